@@ -0,0 +1,384 @@
+/**
+ * Clerk Authentication Module
+ * Verifies Clerk session tokens (RS256 JWTs) against Clerk's JWKS
+ * and provides the Express middleware that attaches req.auth
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+const DEFAULT_JWKS_URL = "https://api.clerk.com/v1/jwks";
+
+/**
+ * Routes that never require a token
+ */
+const PUBLIC_PATHS = ["/health", "/", "/favicon.ico"];
+
+/**
+ * Create an authentication error with an HTTP status and a machine-readable reason
+ * @param {string} reason - Short reason code (e.g. "token_expired")
+ * @param {string} message - Human readable message
+ * @returns {Error}
+ */
+function authError(reason, message) {
+  const error = new Error(message);
+  error.status = 401;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Create the error used when tokens can't be checked at all (JWKS unreachable
+ * and no cached key), so clients retry instead of signing the user out
+ * @returns {Error}
+ */
+function unavailableError() {
+  const error = new Error("Authentication temporarily unavailable");
+  error.status = 503;
+  error.reason = "auth_unavailable";
+  return error;
+}
+
+/**
+ * Fetch a JWKS document over HTTP
+ * Clerk's Backend API endpoint requires the secret key, custom JWKS URLs usually don't
+ * @param {string} jwksUrl - URL of the JWKS document
+ * @param {string} secretKey - Clerk secret key (optional)
+ * @returns {Promise<{keys: Array<object>}>}
+ */
+async function fetchJwksFromUrl(jwksUrl, secretKey) {
+  const headers = { Accept: "application/json" };
+  if (secretKey) {
+    headers.Authorization = `Bearer ${secretKey}`;
+  }
+
+  const response = await axios.get(jwksUrl, { headers, timeout: 10000 });
+  return response.data;
+}
+
+/**
+ * Create a caching JWKS client
+ * Keys are cached by kid. An unknown kid triggers a refresh (key rotation),
+ * throttled by minRefreshIntervalMs so bogus kids can't hammer Clerk.
+ *
+ * When a refresh fails the cached keys stay in use, and further refreshes
+ * back off (minRefreshIntervalMs, doubling up to maxBackoffMs). A kid that
+ * can't be found while the JWKS is unreachable fails with a 503 rather than
+ * a 401.
+ *
+ * @param {object} options
+ * @param {Function} options.fetchJwks - Async function returning { keys: [...] }
+ * @param {number} options.cacheTtlMs - How long a fetched key set stays fresh (default: 1 hour)
+ * @param {number} options.minRefreshIntervalMs - Minimum time between refreshes (default: 30s)
+ * @param {number} options.maxBackoffMs - Longest wait between failed refreshes (default: 5 minutes)
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {{getKey: Function, refresh: Function}}
+ */
+function createJwksClient(options) {
+  const {
+    fetchJwks,
+    cacheTtlMs = 60 * 60 * 1000,
+    minRefreshIntervalMs = 30 * 1000,
+    maxBackoffMs = 5 * 60 * 1000,
+    now = Date.now,
+  } = options;
+
+  if (typeof fetchJwks !== "function") {
+    throw new Error("createJwksClient requires a fetchJwks function");
+  }
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pendingRefresh = null;
+  let failedAt = 0;
+  let failures = 0;
+
+  async function refresh() {
+    // Collapse concurrent refreshes into a single request
+    if (pendingRefresh) {
+      return pendingRefresh;
+    }
+
+    pendingRefresh = (async () => {
+      try {
+        const jwks = await fetchJwks();
+        if (!jwks || !Array.isArray(jwks.keys)) {
+          throw new Error("JWKS response has no keys");
+        }
+
+        const nextKeys = new Map();
+        for (const jwk of jwks.keys) {
+          if (jwk.kty !== "RSA" || (jwk.use && jwk.use !== "sig")) {
+            continue;
+          }
+          nextKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+        }
+
+        keys = nextKeys;
+        fetchedAt = now();
+        console.log(`🔑 [Auth] Loaded ${keys.size} signing keys from JWKS`);
+      } finally {
+        pendingRefresh = null;
+      }
+    })();
+
+    return pendingRefresh;
+  }
+
+  /**
+   * Refresh unless a recent failure says to wait
+   * @returns {Promise<boolean>} - Whether the key set is current
+   */
+  async function tryRefresh() {
+    const backoff = Math.min(maxBackoffMs, minRefreshIntervalMs * 2 ** (failures - 1));
+    if (failures > 0 && now() - failedAt < backoff) {
+      return false;
+    }
+
+    try {
+      await refresh();
+      failures = 0;
+      return true;
+    } catch (error) {
+      failures++;
+      failedAt = now();
+      console.warn(
+        `⚠️ [Auth] JWKS refresh failed (${failures} in a row), using ${keys.size} cached keys:`,
+        error.message
+      );
+      return false;
+    }
+  }
+
+  async function getKey(kid) {
+    const age = now() - fetchedAt;
+    let current = true;
+
+    if (fetchedAt === 0 || age > cacheTtlMs) {
+      current = await tryRefresh();
+    } else if (!keys.has(kid) && age > minRefreshIntervalMs) {
+      // Unknown kid: Clerk may have rotated its signing key
+      current = await tryRefresh();
+    }
+
+    const key = keys.get(kid);
+    if (!key) {
+      // The key may well exist; we just couldn't load it
+      if (!current || failures > 0) {
+        throw unavailableError();
+      }
+      throw authError("unknown_key", "Token signed with an unknown key");
+    }
+    return key;
+  }
+
+  return { getKey, refresh };
+}
+
+/**
+ * Create a Clerk token verifier
+ *
+ * @param {object} options
+ * @param {Function} options.getKey - Async (kid) => KeyObject; overrides the JWKS client
+ * @param {string} options.jwtKey - PEM public key for networkless verification (CLERK_JWT_KEY)
+ * @param {string} options.jwksUrl - JWKS URL (default: Clerk Backend API)
+ * @param {string} options.secretKey - Clerk secret key, sent when fetching the default JWKS URL
+ * @param {Function} options.fetchJwks - Custom JWKS fetcher (e.g. a local keypair in tests)
+ * @param {Array<string>} options.issuers - Accepted "iss" values; any https issuer when empty
+ * @param {Array<string>} options.authorizedParties - Accepted "azp" origins; not checked when empty
+ * @param {number} options.clockToleranceSec - Allowed clock skew for exp/nbf (default: 5)
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {{verify: Function}}
+ */
+function createClerkTokenVerifier(options = {}) {
+  const {
+    jwtKey,
+    jwksUrl = DEFAULT_JWKS_URL,
+    secretKey,
+    issuers = [],
+    authorizedParties = [],
+    clockToleranceSec = 5,
+    now = Date.now,
+  } = options;
+
+  let getKey = options.getKey;
+
+  if (!getKey && jwtKey) {
+    const staticKey = crypto.createPublicKey(jwtKey);
+    getKey = async () => staticKey;
+  }
+
+  if (!getKey) {
+    const fetchJwks =
+      options.fetchJwks || (() => fetchJwksFromUrl(jwksUrl, secretKey));
+    getKey = createJwksClient({ fetchJwks, now }).getKey;
+  }
+
+  /**
+   * Verify a raw bearer token
+   * @param {string} token - Encoded JWT
+   * @returns {Promise<{userId: string, sessionId: string, claims: object}>}
+   */
+  async function verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header || typeof decoded.payload !== "object") {
+      throw authError("malformed_token", "Malformed token");
+    }
+
+    if (decoded.header.alg !== "RS256") {
+      throw authError("invalid_algorithm", "Unsupported token algorithm");
+    }
+
+    const key = await getKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(token, key, {
+        algorithms: ["RS256"],
+        clockTolerance: clockToleranceSec,
+        clockTimestamp: Math.floor(now() / 1000),
+      });
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw authError("token_expired", "Token expired");
+      }
+      if (error.name === "NotBeforeError") {
+        throw authError("token_not_active", "Token not yet valid");
+      }
+      throw authError("invalid_token", `Invalid token: ${error.message}`);
+    }
+
+    if (issuers.length > 0) {
+      if (!issuers.includes(claims.iss)) {
+        throw authError("invalid_issuer", "Token issuer not accepted");
+      }
+    } else if (typeof claims.iss !== "string" || !claims.iss.startsWith("https://")) {
+      throw authError("invalid_issuer", "Token issuer not accepted");
+    }
+
+    if (authorizedParties.length > 0 && claims.azp && !authorizedParties.includes(claims.azp)) {
+      throw authError("invalid_authorized_party", "Token authorized party not accepted");
+    }
+
+    if (!claims.sub) {
+      throw authError("missing_subject", "Token has no subject");
+    }
+
+    return {
+      userId: claims.sub,
+      sessionId: claims.sid,
+      claims,
+    };
+  }
+
+  return { verify };
+}
+
+/**
+ * Create the Express middleware that validates "Authorization: Bearer <clerk_token>"
+ *
+ * Public paths are always let through. A token that is present but fails
+ * verification is rejected with 401, or 503 when the signing keys can't be
+ * loaded. A missing token is rejected in strict mode; otherwise the request
+ * continues with req.auth = null.
+ *
+ * @param {object} options
+ * @param {object} options.verifier - Verifier from createClerkTokenVerifier
+ * @param {boolean} options.strict - Require a valid token on every non-public route
+ * @param {Array<string>} options.publicPaths - Paths that skip authentication
+ * @returns {Function} Express middleware
+ */
+function createClerkAuthMiddleware(options) {
+  const { verifier, strict = false, publicPaths = PUBLIC_PATHS } = options;
+
+  return async function validateClerkToken(req, res, next) {
+    if (publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      if (strict) {
+        return res.status(401).json({
+          error: "Unauthorized - no authentication token provided",
+        });
+      }
+
+      console.warn("⚠️ Request without Authorization header:", req.path);
+      req.auth = null;
+      return next();
+    }
+
+    const token = authHeader.substring(7); // Remove "Bearer " prefix
+
+    try {
+      const { userId, sessionId, claims } = await verifier.verify(token);
+
+      req.auth = {
+        userId,
+        sessionId,
+        claims,
+        token,
+      };
+
+      return next();
+    } catch (error) {
+      console.warn(`⚠️ [Auth] Rejected token on ${req.path}: ${error.message}`);
+
+      if (error.status === 503) {
+        return res.status(503).json({ error: error.message, reason: error.reason });
+      }
+
+      // Only our own auth errors are safe to show; anything else is generic
+      return res.status(401).json({
+        error: error.reason ? `Unauthorized - ${error.message}` : "Unauthorized - invalid token",
+        reason: error.reason || "invalid_token",
+      });
+    }
+  };
+}
+
+/**
+ * Create middleware that only lets configured admin users through
+ * @param {Array<string>} adminUserIds - Clerk user IDs with admin access (ADMIN_USER_IDS)
+ * @returns {Function} Express middleware
+ */
+function createAdminGuard(adminUserIds) {
+  return function requireAdmin(req, res, next) {
+    if (!req.auth?.userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    if (!adminUserIds.includes(req.auth.userId)) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden - admin access required" });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Split a comma separated environment variable into a list
+ * @param {string} value - Raw env value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  PUBLIC_PATHS,
+  DEFAULT_JWKS_URL,
+  createJwksClient,
+  createClerkTokenVerifier,
+  createClerkAuthMiddleware,
+  createAdminGuard,
+  parseList,
+};
@@ -0,0 +1,260 @@
+/**
+ * Companies Module
+ * Creating, listing, renaming and deleting companies, and tracking each
+ * user's default (active) company
+ */
+
+const { httpError } = require("./errors");
+
+const COMPANY_COLUMNS =
+  "id, name, description, owner_user_id, created_at, updated_at";
+
+/**
+ * Validate a company name from a request body
+ * @param {*} name - Raw name value
+ * @returns {string} - Trimmed name
+ */
+function validateCompanyName(name) {
+  if (typeof name !== "string" || name.trim().length === 0) {
+    throw httpError(400, "name is required");
+  }
+
+  if (name.trim().length > 120) {
+    throw httpError(400, "name must be 120 characters or fewer");
+  }
+
+  return name.trim();
+}
+
+/**
+ * List every company the user belongs to
+ * Includes companies the user owns without a membership row (created before
+ * memberships were tracked). When no membership is marked default, the
+ * company getDefaultCompanyId falls back to is flagged instead.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<Array<object>>} - Companies with the user's role and default flag
+ */
+async function listUserCompanies(supabase, userId) {
+  const [memberships, owned] = await Promise.all([
+    supabase
+      .from("user_company_memberships")
+      .select(`role, is_default, created_at, companies(${COMPANY_COLUMNS})`)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: true }),
+    supabase
+      .from("companies")
+      .select(COMPANY_COLUMNS)
+      .eq("owner_user_id", userId)
+      .order("created_at", { ascending: true }),
+  ]);
+
+  if (memberships.error) {
+    throw memberships.error;
+  }
+  if (owned.error) {
+    throw owned.error;
+  }
+
+  const listed = (memberships.data || [])
+    .filter((membership) => membership.companies)
+    .map((membership) => ({
+      ...membership.companies,
+      role: membership.role,
+      is_default: membership.is_default,
+    }));
+
+  const memberOf = new Set(listed.map((company) => company.id));
+  for (const company of owned.data || []) {
+    if (!memberOf.has(company.id)) {
+      listed.push({ ...company, role: "owner", is_default: false });
+    }
+  }
+
+  if (listed.length > 0 && !listed.some((company) => company.is_default)) {
+    listed[0].is_default = true;
+  }
+
+  return listed;
+}
+
+/**
+ * Get the user's default company
+ * Falls back to the oldest membership, then to a company the user owns
+ * without a membership row (created before memberships were tracked).
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<string|null>} - Company UUID or null when the user has none
+ */
+async function getDefaultCompanyId(supabase, userId) {
+  const { data: memberships, error } = await supabase
+    .from("user_company_memberships")
+    .select("company_id, is_default")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  if (memberships && memberships.length > 0) {
+    const preferred = memberships.find((m) => m.is_default) || memberships[0];
+    return preferred.company_id;
+  }
+
+  const { data: owned, error: ownedError } = await supabase
+    .from("companies")
+    .select("id")
+    .eq("owner_user_id", userId)
+    .order("created_at", { ascending: true })
+    .limit(1);
+
+  if (ownedError) {
+    throw ownedError;
+  }
+
+  return owned && owned.length > 0 ? owned[0].id : null;
+}
+
+/**
+ * Mark a company as the user's default, clearing any previous default
+ * Runs as one transaction (set_default_company), so a failure leaves the old
+ * default in place.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {string} companyId - Company UUID (the user must be a member or the owner)
+ * @returns {Promise<void>}
+ */
+async function setDefaultCompany(supabase, userId, companyId) {
+  const { data: status, error } = await supabase.rpc("set_default_company", {
+    p_user_id: userId,
+    p_company_id: companyId,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  if (status === "not_found") {
+    throw httpError(404, "Company not found");
+  }
+  if (status !== "updated") {
+    throw new Error(`set_default_company returned ${status}`);
+  }
+
+  console.log(`⭐ Company ${companyId} is now the default for ${userId}`);
+}
+
+/**
+ * Create a company owned by the user
+ * The company, its owner membership and the default switch are written in one
+ * transaction (create_company). The first company a user creates becomes
+ * their default.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {object} options
+ * @param {string} options.name - Company name
+ * @param {string} options.description - Company description (optional)
+ * @param {boolean} options.makeDefault - Make this the user's default company
+ * @returns {Promise<object>} - Created company with role and is_default
+ */
+async function createCompany(supabase, userId, options) {
+  const { name, description = null, makeDefault = false } = options;
+
+  const { data: company, error } = await supabase.rpc("create_company", {
+    p_user_id: userId,
+    p_name: name,
+    p_description: description,
+    p_make_default: makeDefault,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  if (!company || !company.id) {
+    throw new Error("create_company returned no company");
+  }
+
+  console.log(`✅ Created company ${company.id} for user ${userId}`);
+  return company;
+}
+
+/**
+ * Update a company's name and/or description
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {object} updates - { name?, description? }
+ * @returns {Promise<object>} - Updated company
+ */
+async function updateCompany(supabase, companyId, updates) {
+  const changes = {};
+
+  if (updates.name !== undefined) {
+    changes.name = validateCompanyName(updates.name);
+  }
+
+  if (updates.description !== undefined) {
+    if (
+      updates.description !== null &&
+      typeof updates.description !== "string"
+    ) {
+      throw httpError(400, "description must be a string");
+    }
+    changes.description = updates.description;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw httpError(400, "Nothing to update. Provide name or description.");
+  }
+
+  changes.updated_at = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("companies")
+    .update(changes)
+    .eq("id", companyId)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete a company
+ * Documents, chunks, voice settings and memberships cascade.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<void>}
+ */
+async function deleteCompany(supabase, companyId) {
+  const { error } = await supabase
+    .from("companies")
+    .delete()
+    .eq("id", companyId);
+
+  if (error) {
+    throw error;
+  }
+
+  console.log(`🗑️ Deleted company ${companyId}`);
+}
+
+module.exports = {
+  validateCompanyName,
+  listUserCompanies,
+  getDefaultCompanyId,
+  setDefaultCompany,
+  createCompany,
+  updateCompany,
+  deleteCompany,
+};
@@ -0,0 +1,173 @@
+/**
+ * Company Access Module
+ * Resolves a user's membership in a company and enforces role-based permissions
+ */
+
+/**
+ * Roles from the user_company_memberships.role check constraint, lowest to highest
+ */
+const ROLES = ["member", "admin", "owner"];
+
+/**
+ * Minimum role required for each permission
+ */
+const PERMISSIONS = {
+  "company:read": "member",
+  "company:update": "admin",
+  "company:delete": "owner",
+  "knowledge:read": "member",
+  "knowledge:write": "member",
+  "knowledge:delete": "admin",
+  "settings:read": "member",
+  "settings:write": "admin",
+  "members:read": "member",
+  "members:manage": "admin",
+  "ownership:transfer": "owner",
+};
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a role is at least as privileged as another
+ * @param {string} role - Role held by the user
+ * @param {string} minimumRole - Role required
+ * @returns {boolean}
+ */
+function roleAtLeast(role, minimumRole) {
+  const held = ROLES.indexOf(role);
+  const required = ROLES.indexOf(minimumRole);
+  return held !== -1 && required !== -1 && held >= required;
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role held by the user
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean}
+ */
+function can(role, permission) {
+  const minimumRole = PERMISSIONS[permission];
+  if (!minimumRole) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roleAtLeast(role, minimumRole);
+}
+
+/**
+ * Resolve a user's access to a company
+ * Falls back to companies.owner_user_id for companies created before
+ * membership rows were written reliably.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<{company: object, role: string}|null>} - null when the company does not exist
+ */
+async function resolveCompanyAccess(supabase, companyId, userId) {
+  if (!UUID_REGEX.test(companyId)) {
+    return null;
+  }
+
+  const { data: companies, error: companyError } = await supabase
+    .from("companies")
+    .select("*")
+    .eq("id", companyId)
+    .limit(1);
+
+  if (companyError) {
+    throw companyError;
+  }
+
+  if (!companies || companies.length === 0) {
+    return null;
+  }
+
+  const company = companies[0];
+
+  const { data: memberships, error: membershipError } = await supabase
+    .from("user_company_memberships")
+    .select("role")
+    .eq("company_id", companyId)
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (membershipError) {
+    throw membershipError;
+  }
+
+  let role = memberships && memberships.length > 0 ? memberships[0].role : null;
+  if (!role && company.owner_user_id === userId) {
+    role = "owner";
+  }
+
+  return { company, role };
+}
+
+/**
+ * Express middleware factory guarding /company/:companyId routes
+ *
+ * Membership is resolved once per request and cached on req.companyAccess.
+ * Non-members get 404 so company IDs can't be probed; members without the
+ * required role get 403.
+ *
+ * @param {object} supabase - Supabase client (may be undefined when not configured)
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+function requireCompanyPermission(supabase, permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async function companyPermissionGuard(req, res, next) {
+    if (!supabase) {
+      return res.status(503).json({ error: "Supabase not configured" });
+    }
+
+    if (!req.auth?.userId) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const { companyId } = req.params;
+
+    try {
+      if (!req.companyAccess || req.companyAccess.companyId !== companyId) {
+        const access = await resolveCompanyAccess(
+          supabase,
+          companyId,
+          req.auth.userId
+        );
+        req.companyAccess = access ? { companyId, ...access } : null;
+      }
+
+      if (!req.companyAccess || !req.companyAccess.role) {
+        console.warn(
+          `🚫 [Access] User ${req.auth.userId} has no access to company ${companyId}`
+        );
+        return res.status(404).json({ error: "Company not found" });
+      }
+
+      if (!can(req.companyAccess.role, permission)) {
+        return res.status(403).json({
+          error: `Forbidden - requires ${PERMISSIONS[permission]} role`,
+          role: req.companyAccess.role,
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("❌ [Access] Error resolving company membership:", error);
+      res.status(500).json({ error: "Failed to verify company access" });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  roleAtLeast,
+  can,
+  resolveCompanyAccess,
+  requireCompanyPermission,
+};
@@ -0,0 +1,374 @@
+/**
+ * Company Members Module
+ * Team membership management: listing members, invite codes, role changes,
+ * ownership transfer and leaving a company
+ */
+
+const crypto = require("crypto");
+const { ROLES, roleAtLeast } = require("./companyAccess");
+const { httpError } = require("./errors");
+
+/**
+ * Roles that can be granted through invites or role changes.
+ * "owner" is only ever assigned through transferOwnership.
+ */
+const ASSIGNABLE_ROLES = ROLES.filter((role) => role !== "owner");
+
+const DEFAULT_INVITE_TTL_HOURS = 72;
+const MAX_INVITE_TTL_HOURS = 24 * 30;
+
+/**
+ * Fetch a single membership row
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<object|null>}
+ */
+async function getMembership(supabase, companyId, userId) {
+  const { data, error } = await supabase
+    .from("user_company_memberships")
+    .select("*")
+    .eq("company_id", companyId)
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * List members of a company, owners first
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<Array<{user_id: string, role: string, created_at: string}>>}
+ */
+async function listMembers(supabase, companyId) {
+  const { data, error } = await supabase
+    .from("user_company_memberships")
+    .select("user_id, role, created_at")
+    .eq("company_id", companyId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).sort(
+    (a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role)
+  );
+}
+
+/**
+ * Create a single-use invite code for a company
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {object} options
+ * @param {string} options.role - Role granted on acceptance (default: member)
+ * @param {number} options.expiresInHours - Invite lifetime (default: 72)
+ * @param {string} options.createdBy - Clerk user ID of the inviter
+ * @param {string} options.inviterRole - Role of the inviter
+ * @returns {Promise<object>} - Invite record
+ */
+async function createInvite(supabase, companyId, options) {
+  const {
+    role = "member",
+    expiresInHours = DEFAULT_INVITE_TTL_HOURS,
+    createdBy,
+    inviterRole,
+  } = options;
+
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    throw httpError(
+      400,
+      `Invalid role. Please use one of: ${ASSIGNABLE_ROLES.join(", ")}`
+    );
+  }
+
+  if (!roleAtLeast(inviterRole, role)) {
+    throw httpError(403, `You cannot invite members with the ${role} role`);
+  }
+
+  const hours = Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_TTL_HOURS) {
+    throw httpError(
+      400,
+      `expires_in_hours must be between 1 and ${MAX_INVITE_TTL_HOURS}`
+    );
+  }
+
+  const code = crypto.randomBytes(12).toString("base64url");
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from("company_invites")
+    .insert([
+      {
+        company_id: companyId,
+        code,
+        role,
+        created_by: createdBy,
+        expires_at: expiresAt.toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  console.log(`✉️ Created ${role} invite for company ${companyId}`);
+  return data;
+}
+
+/**
+ * Accept an invite code and join the company
+ * Claiming the invite and adding the membership happen in one transaction
+ * (accept_company_invite), so the invite can only be used once and a failed
+ * insert leaves it usable.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} code - Invite code
+ * @param {string} userId - Clerk user ID of the accepting user
+ * @returns {Promise<{company_id: string, role: string}>}
+ */
+async function acceptInvite(supabase, code, userId) {
+  const { data, error } = await supabase.rpc("accept_company_invite", {
+    p_code: code,
+    p_user_id: userId,
+  });
+
+  if (error) {
+    if (error.code === "23505") {
+      throw httpError(409, "You are already a member of this company");
+    }
+    throw error;
+  }
+
+  const result = Array.isArray(data) ? data[0] : data;
+  switch (result && result.status) {
+    case "accepted":
+      break;
+    case "not_found":
+      throw httpError(404, "Invite not found");
+    case "used":
+      throw httpError(410, "Invite has already been used");
+    case "expired":
+      throw httpError(410, "Invite has expired");
+    case "already_member":
+      throw httpError(409, "You are already a member of this company");
+    default:
+      throw new Error("accept_company_invite returned no status");
+  }
+
+  console.log(
+    `✅ User ${userId} joined company ${result.company_id} as ${result.role}`
+  );
+  return { company_id: result.company_id, role: result.role };
+}
+
+/**
+ * Ensure the acting user outranks the target member
+ * Owners can manage anyone but themselves; admins can only manage members.
+ */
+function assertCanManage(actorRole, target) {
+  if (target.role === "owner") {
+    throw httpError(
+      403,
+      "The owner's membership can only change through an ownership transfer"
+    );
+  }
+
+  if (actorRole !== "owner" && roleAtLeast(target.role, actorRole)) {
+    throw httpError(403, `Only the owner can manage ${target.role}s`);
+  }
+}
+
+/**
+ * Change a member's role (promote/demote between admin and member)
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {object} options
+ * @param {string} options.actorUserId - Clerk user ID performing the change
+ * @param {string} options.actorRole - Role of the acting user
+ * @param {string} options.targetUserId - Member whose role changes
+ * @param {string} options.role - New role
+ * @returns {Promise<object>} - Updated membership
+ */
+async function updateMemberRole(supabase, companyId, options) {
+  const { actorUserId, actorRole, targetUserId, role } = options;
+
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    throw httpError(
+      400,
+      `Invalid role. Please use one of: ${ASSIGNABLE_ROLES.join(
+        ", "
+      )}. Use transfer-ownership to change the owner.`
+    );
+  }
+
+  if (targetUserId === actorUserId) {
+    throw httpError(400, "You cannot change your own role");
+  }
+
+  const target = await getMembership(supabase, companyId, targetUserId);
+  if (!target) {
+    throw httpError(404, "Member not found");
+  }
+
+  assertCanManage(actorRole, target);
+
+  if (!roleAtLeast(actorRole, role)) {
+    throw httpError(403, `You cannot grant the ${role} role`);
+  }
+
+  const { data, error } = await supabase
+    .from("user_company_memberships")
+    .update({ role })
+    .eq("id", target.id)
+    .select("user_id, role, created_at")
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  console.log(
+    `👥 ${actorUserId} changed ${targetUserId} from ${target.role} to ${role} in company ${companyId}`
+  );
+  return data;
+}
+
+/**
+ * Remove a member from a company
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {object} options
+ * @param {string} options.actorUserId - Clerk user ID performing the removal
+ * @param {string} options.actorRole - Role of the acting user
+ * @param {string} options.targetUserId - Member to remove
+ * @returns {Promise<void>}
+ */
+async function removeMember(supabase, companyId, options) {
+  const { actorUserId, actorRole, targetUserId } = options;
+
+  if (targetUserId === actorUserId) {
+    throw httpError(400, "Use the leave endpoint to remove yourself");
+  }
+
+  const target = await getMembership(supabase, companyId, targetUserId);
+  if (!target) {
+    throw httpError(404, "Member not found");
+  }
+
+  assertCanManage(actorRole, target);
+
+  const { error } = await supabase
+    .from("user_company_memberships")
+    .delete()
+    .eq("id", target.id);
+
+  if (error) {
+    throw error;
+  }
+
+  console.log(
+    `👥 ${actorUserId} removed ${targetUserId} from company ${companyId}`
+  );
+}
+
+/**
+ * Transfer company ownership to another member
+ * Runs as one transaction (transfer_company_ownership): the new owner is
+ * promoted, the previous owner stays on as an admin and the company row
+ * follows, or nothing changes.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} currentOwnerId - Clerk user ID of the current owner
+ * @param {string} newOwnerId - Clerk user ID of the new owner
+ * @returns {Promise<{owner_user_id: string}>}
+ */
+async function transferOwnership(
+  supabase,
+  companyId,
+  currentOwnerId,
+  newOwnerId
+) {
+  if (newOwnerId === currentOwnerId) {
+    throw httpError(400, "You already own this company");
+  }
+
+  const { data: status, error } = await supabase.rpc(
+    "transfer_company_ownership",
+    {
+      p_company_id: companyId,
+      p_current_owner: currentOwnerId,
+      p_new_owner: newOwnerId,
+    }
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  if (status === "not_member") {
+    throw httpError(404, "New owner must already be a member of the company");
+  }
+  if (status === "not_owner") {
+    // Another transfer got there first
+    throw httpError(409, "You no longer own this company");
+  }
+  if (status !== "transferred") {
+    throw new Error(`transfer_company_ownership returned ${status}`);
+  }
+
+  console.log(
+    `👑 Ownership of company ${companyId} transferred from ${currentOwnerId} to ${newOwnerId}`
+  );
+  return { owner_user_id: newOwnerId };
+}
+
+/**
+ * Leave a company
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} userId - Clerk user ID leaving
+ * @param {string} role - Current role of the user
+ * @returns {Promise<void>}
+ */
+async function leaveCompany(supabase, companyId, userId, role) {
+  if (role === "owner") {
+    throw httpError(
+      409,
+      "The owner cannot leave the company. Transfer ownership first."
+    );
+  }
+
+  const { error } = await supabase
+    .from("user_company_memberships")
+    .delete()
+    .eq("company_id", companyId)
+    .eq("user_id", userId);
+
+  if (error) {
+    throw error;
+  }
+
+  console.log(`👋 User ${userId} left company ${companyId}`);
+}
+
+module.exports = {
+  ASSIGNABLE_ROLES,
+  getMembership,
+  listMembers,
+  createInvite,
+  acceptInvite,
+  updateMemberRole,
+  removeMember,
+  transferOwnership,
+  leaveCompany,
+};
@@ -0,0 +1,352 @@
+/**
+ * Company Tones Module
+ * Custom reply tones defined per company (company_tones), alongside the
+ * built-in "funny" and "value" tones
+ */
+
+const { httpError } = require("./errors");
+
+/**
+ * Tones every company gets, backed by their own prompt templates
+ */
+const BUILT_IN_TONES = ["funny", "value"];
+
+/**
+ * Tone names are lowercase slugs, e.g. "founder-humble"
+ */
+const TONE_NAME_REGEX = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+const MAX_PROMPT_LENGTH = 2000;
+const MAX_EXAMPLES = 10;
+const MAX_EXAMPLE_LENGTH = 1000;
+const MAX_REPLY_LENGTH = 3000;
+
+const TONE_COLUMNS =
+  "id, company_id, name, label, description, prompt, examples, min_length, max_length, created_by, created_at, updated_at";
+
+/**
+ * Check whether a value is a well-formed tone name (built-in or custom)
+ * @param {*} name - Raw tone value
+ * @returns {boolean}
+ */
+function isValidToneName(name) {
+  return typeof name === "string" && TONE_NAME_REGEX.test(name);
+}
+
+/**
+ * Validate an optional length limit
+ * @param {*} value - Raw value
+ * @param {string} field - Field name for error messages
+ * @returns {number|null}
+ */
+function validateLength(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(value) || value < 1 || value > MAX_REPLY_LENGTH) {
+    throw httpError(
+      400,
+      `${field} must be an integer between 1 and ${MAX_REPLY_LENGTH}`
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Validate tone examples: [{ post?: string, reply: string }]
+ * @param {*} examples - Raw examples value
+ * @returns {Array<{post: string|null, reply: string}>}
+ */
+function validateExamples(examples) {
+  if (examples === undefined || examples === null) {
+    return [];
+  }
+
+  if (!Array.isArray(examples) || examples.length > MAX_EXAMPLES) {
+    throw httpError(
+      400,
+      `examples must be an array of at most ${MAX_EXAMPLES} items`
+    );
+  }
+
+  return examples.map((example, index) => {
+    const { post = null, reply } = example || {};
+
+    if (
+      typeof reply !== "string" ||
+      reply.trim().length === 0 ||
+      reply.length > MAX_EXAMPLE_LENGTH
+    ) {
+      throw httpError(
+        400,
+        `examples[${index}].reply must be a non-empty string of at most ${MAX_EXAMPLE_LENGTH} characters`
+      );
+    }
+
+    if (
+      post !== null &&
+      (typeof post !== "string" || post.length > MAX_EXAMPLE_LENGTH)
+    ) {
+      throw httpError(
+        400,
+        `examples[${index}].post must be a string of at most ${MAX_EXAMPLE_LENGTH} characters`
+      );
+    }
+
+    return { post: post ? post.trim() : null, reply: reply.trim() };
+  });
+}
+
+/**
+ * Validate a tone definition from a request body
+ * @param {object} body - { name, label, description, prompt, examples, min_length, max_length }
+ * @param {object} options
+ * @param {boolean} options.partial - Only validate the fields present (updates)
+ * @returns {object} - Column values to write
+ */
+function validateToneDefinition(body, { partial = false } = {}) {
+  const tone = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!isValidToneName(body.name)) {
+      throw httpError(
+        400,
+        "name must be 2-40 lowercase letters, digits or dashes (e.g. 'founder-humble')"
+      );
+    }
+    if (BUILT_IN_TONES.includes(body.name)) {
+      throw httpError(409, `'${body.name}' is a built-in tone`);
+    }
+    tone.name = body.name;
+  }
+
+  if (!partial || body.prompt !== undefined) {
+    if (
+      typeof body.prompt !== "string" ||
+      body.prompt.trim().length === 0 ||
+      body.prompt.length > MAX_PROMPT_LENGTH
+    ) {
+      throw httpError(
+        400,
+        `prompt is required (at most ${MAX_PROMPT_LENGTH} characters)`
+      );
+    }
+    tone.prompt = body.prompt.trim();
+  }
+
+  for (const field of ["label", "description"]) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && typeof body[field] !== "string") {
+        throw httpError(400, `${field} must be a string`);
+      }
+      tone[field] = body[field] ? body[field].trim() : null;
+    }
+  }
+
+  if (!partial || body.examples !== undefined) {
+    tone.examples = validateExamples(body.examples);
+  }
+
+  if (!partial || body.min_length !== undefined) {
+    tone.min_length = validateLength(body.min_length, "min_length");
+  }
+
+  if (!partial || body.max_length !== undefined) {
+    tone.max_length = validateLength(body.max_length, "max_length");
+  }
+
+  if (tone.min_length && tone.max_length && tone.min_length > tone.max_length) {
+    throw httpError(400, "min_length cannot be greater than max_length");
+  }
+
+  return tone;
+}
+
+/**
+ * List a company's custom tones
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<Array<object>>}
+ */
+async function listCompanyTones(supabase, companyId) {
+  const { data, error } = await supabase
+    .from("company_tones")
+    .select(TONE_COLUMNS)
+    .eq("company_id", companyId)
+    .order("name", { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get one custom tone by name
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} name - Tone name
+ * @returns {Promise<object|null>}
+ */
+async function getCompanyTone(supabase, companyId, name) {
+  const { data, error } = await supabase
+    .from("company_tones")
+    .select(TONE_COLUMNS)
+    .eq("company_id", companyId)
+    .eq("name", name)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Create a custom tone
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} userId - Creating user
+ * @param {object} body - Tone definition
+ * @returns {Promise<object>} - Created tone
+ */
+async function createCompanyTone(supabase, companyId, userId, body) {
+  const tone = validateToneDefinition(body);
+
+  const { data, error } = await supabase
+    .from("company_tones")
+    .insert([{ ...tone, company_id: companyId, created_by: userId }])
+    .select(TONE_COLUMNS)
+    .single();
+
+  if (error) {
+    // unique_violation on (company_id, name)
+    if (error.code === "23505") {
+      throw httpError(409, `Tone '${tone.name}' already exists`);
+    }
+    throw error;
+  }
+
+  console.log(`🎨 Created tone '${tone.name}' for company ${companyId}`);
+  return data;
+}
+
+/**
+ * Update a custom tone
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} name - Current tone name
+ * @param {object} body - Fields to change (name can be changed too)
+ * @returns {Promise<object>} - Updated tone
+ */
+async function updateCompanyTone(supabase, companyId, name, body) {
+  const changes = validateToneDefinition(body, { partial: true });
+
+  if (Object.keys(changes).length === 0) {
+    throw httpError(400, "Nothing to update");
+  }
+
+  const existing = await getCompanyTone(supabase, companyId, name);
+  if (!existing) {
+    throw httpError(404, "Tone not found");
+  }
+
+  const minLength =
+    changes.min_length !== undefined ? changes.min_length : existing.min_length;
+  const maxLength =
+    changes.max_length !== undefined ? changes.max_length : existing.max_length;
+  if (minLength && maxLength && minLength > maxLength) {
+    throw httpError(400, "min_length cannot be greater than max_length");
+  }
+
+  changes.updated_at = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from("company_tones")
+    .update(changes)
+    .eq("id", existing.id)
+    .select(TONE_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === "23505") {
+      throw httpError(409, `Tone '${changes.name}' already exists`);
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete a custom tone
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @param {string} name - Tone name
+ * @returns {Promise<void>}
+ */
+async function deleteCompanyTone(supabase, companyId, name) {
+  const { data, error } = await supabase
+    .from("company_tones")
+    .delete()
+    .eq("company_id", companyId)
+    .eq("name", name)
+    .select("id");
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    throw httpError(404, "Tone not found");
+  }
+
+  console.log(`🗑️ Deleted tone '${name}' from company ${companyId}`);
+}
+
+/**
+ * Resolve a requested tone to its definition
+ * Built-in tones resolve without a lookup; anything else must be registered
+ * for the company.
+ *
+ * @param {object} supabase - Supabase client (optional)
+ * @param {string} companyId - Company UUID (optional)
+ * @param {string} name - Requested tone
+ * @returns {Promise<object>} - { name, builtIn, ...custom tone columns }
+ */
+async function resolveTone(supabase, companyId, name) {
+  if (BUILT_IN_TONES.includes(name)) {
+    return { name, builtIn: true };
+  }
+
+  const custom =
+    supabase && companyId
+      ? await getCompanyTone(supabase, companyId, name)
+      : null;
+
+  if (!custom) {
+    throw httpError(
+      400,
+      `Invalid tone '${name}'. Use 'funny', 'value' or a tone registered for your company.`
+    );
+  }
+
+  return { ...custom, builtIn: false };
+}
+
+module.exports = {
+  BUILT_IN_TONES,
+  TONE_NAME_REGEX,
+  isValidToneName,
+  validateToneDefinition,
+  listCompanyTones,
+  getCompanyTone,
+  createCompanyTone,
+  updateCompanyTone,
+  deleteCompanyTone,
+  resolveTone,
+};
@@ -8,26 +8,212 @@
 
 CREATE TABLE public.operator_usage (
   id integer NOT NULL DEFAULT nextval('operator_usage_id_seq'::regclass),
-  user_id text NOT NULL UNIQUE,
+  user_id text NOT NULL UNIQUE, -- Clerk user ID, or "ip:<address>" for generations without a user
   replies_sent_today integer DEFAULT 0 CHECK (replies_sent_today >= 0),
   replies_sent_week integer DEFAULT 0 CHECK (replies_sent_week >= 0),
   daily_goal integer DEFAULT 10 CHECK (daily_goal > 0),
   weekly_goal integer DEFAULT 50 CHECK (weekly_goal > 0),
+  -- Counter windows, computed in code (usageTracking.js) in time_zone: the
+  -- local day of replies_sent_today and the first day of replies_sent_week
   last_reset_date date DEFAULT CURRENT_DATE,
   last_reset_week_date date DEFAULT CURRENT_DATE,
+  time_zone text NOT NULL DEFAULT 'UTC',
+  week_starts_on text NOT NULL DEFAULT 'monday' CHECK (week_starts_on IN ('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday')),
   updated_at timestamp with time zone DEFAULT now(),
   CONSTRAINT operator_usage_pkey PRIMARY KEY (id)
 );
 
+-- Count one generation: create the row, or roll the counters over to the
+-- given windows and increment them, in one statement so concurrent calls all
+-- count. A request that computed an older window (it read the row just before
+-- midnight) counts into the newer one instead of resetting it.
+CREATE OR REPLACE FUNCTION public.operator_usage_increment(
+  p_user_id text,
+  p_day date,
+  p_week_start date
+)
+RETURNS SETOF operator_usage
+LANGUAGE sql
+AS $$
+  INSERT INTO operator_usage AS u (
+    user_id, replies_sent_today, replies_sent_week, last_reset_date, last_reset_week_date
+  )
+  VALUES (p_user_id, 1, 1, p_day, p_week_start)
+  ON CONFLICT (user_id) DO UPDATE SET
+    replies_sent_today = CASE
+      WHEN u.last_reset_date >= p_day THEN coalesce(u.replies_sent_today, 0) + 1
+      ELSE 1
+    END,
+    replies_sent_week = CASE
+      WHEN u.last_reset_week_date >= p_week_start THEN coalesce(u.replies_sent_week, 0) + 1
+      ELSE 1
+    END,
+    last_reset_date = greatest(u.last_reset_date, p_day),
+    last_reset_week_date = greatest(u.last_reset_week_date, p_week_start),
+    updated_at = now()
+  RETURNING *
+$$;
+
+-- One row per generation (written by trackUsageInSupabase)
 CREATE TABLE public.usage_history (
   id bigint NOT NULL DEFAULT nextval('usage_history_id_seq'::regclass),
   user_id text NOT NULL,
   platform text,
   tone text,
+  company_id uuid,
+  latency_ms integer CHECK (latency_ms >= 0),
   created_at timestamp without time zone NOT NULL DEFAULT now(),
   CONSTRAINT usage_history_pkey PRIMARY KEY (id)
 );
 
+-- Per-day counts for usage analytics; created_at is stored in UTC and
+-- bucketed by the user's time zone
+CREATE OR REPLACE FUNCTION public.usage_history_daily_counts(
+  p_user_id text,
+  p_from date,
+  p_to date,
+  p_time_zone text DEFAULT 'UTC'
+)
+RETURNS TABLE (day date, platform text, tone text, count bigint)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    ((created_at AT TIME ZONE 'UTC') AT TIME ZONE p_time_zone)::date AS day,
+    platform,
+    tone,
+    count(*) AS count
+  FROM usage_history
+  WHERE user_id = p_user_id
+    AND created_at >= (p_from::timestamp AT TIME ZONE p_time_zone) AT TIME ZONE 'UTC'
+    AND created_at < ((p_to + 1)::timestamp AT TIME ZONE p_time_zone) AT TIME ZONE 'UTC'
+  GROUP BY 1, 2, 3
+$$;
+
+-- ==========================================
+-- PLANS
+-- ==========================================
+-- Plan tiers and limits live in plans.js; this table records which users and
+-- companies an admin moved off the default (free) plan
+
+CREATE TABLE public.plan_assignments (
+  subject_type text NOT NULL CHECK (subject_type IN ('user', 'company')),
+  subject_id text NOT NULL, -- Clerk user ID or company UUID
+  plan text NOT NULL CHECK (plan IN ('free', 'pro', 'team')),
+  assigned_by text NOT NULL,
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  CONSTRAINT plan_assignments_pkey PRIMARY KEY (subject_type, subject_id)
+);
+
+-- One row per tone profile create/retrain/feedback refinement, counted against
+-- the monthly limit
+CREATE TABLE public.tone_trainings (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  operator_id text NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('create', 'retrain', 'refine')),
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- RATE LIMITS
+-- ==========================================
+-- Token buckets shared by every server instance (RATE_LIMIT_STORE=supabase,
+-- see rateLimiter.js). Keys are "<budget>:user:<id>" or "<budget>:ip:<address>".
+
+CREATE TABLE public.rate_limit_buckets (
+  key text PRIMARY KEY,
+  tokens double precision NOT NULL,
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- Refill the bucket up to now and take one token if there is one; the row
+-- lock makes concurrent requests wait for each other
+CREATE OR REPLACE FUNCTION public.rate_limit_consume(
+  p_key text,
+  p_limit integer,
+  p_window_seconds integer
+)
+RETURNS TABLE (allowed boolean, tokens double precision)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_now timestamp with time zone := clock_timestamp();
+  v_tokens double precision;
+  v_updated_at timestamp with time zone;
+BEGIN
+  INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+  VALUES (p_key, p_limit, v_now)
+  ON CONFLICT (key) DO NOTHING;
+
+  SELECT b.tokens, b.updated_at INTO v_tokens, v_updated_at
+  FROM rate_limit_buckets b
+  WHERE b.key = p_key
+  FOR UPDATE;
+
+  v_tokens := least(
+    p_limit,
+    v_tokens + greatest(0, extract(epoch FROM v_now - v_updated_at)) * p_limit / p_window_seconds
+  );
+
+  allowed := v_tokens >= 1;
+  IF allowed THEN
+    v_tokens := v_tokens - 1;
+  END IF;
+
+  UPDATE rate_limit_buckets
+  SET tokens = v_tokens, updated_at = v_now
+  WHERE key = p_key;
+
+  tokens := v_tokens;
+  RETURN NEXT;
+END
+$$;
+
+-- ==========================================
+-- GENERATION CACHE
+-- ==========================================
+-- Recent replies shared by every server instance (GENERATION_CACHE=supabase,
+-- see generationCache.js). Keys hash the normalized request and the context
+-- it was generated with.
+
+CREATE TABLE public.generation_cache (
+  key text PRIMARY KEY,
+  value jsonb NOT NULL, -- { reply, rules, rankedCandidates, generationId }
+  expires_at timestamp with time zone NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- IDEMPOTENCY KEYS
+-- ==========================================
+-- First responses to requests sent with an Idempotency-Key, replayed for
+-- retries (IDEMPOTENCY_STORE=supabase, see idempotency.js). Keys are
+-- "user:<id>:<key>" or "ip:<address>:<key>".
+
+CREATE TABLE public.idempotency_keys (
+  key text PRIMARY KEY,
+  fingerprint text NOT NULL, -- hash of method, URL and body
+  state text NOT NULL CHECK (state IN ('in_flight', 'completed')),
+  response jsonb, -- { status, body } once completed
+  expires_at timestamp with time zone NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- ==========================================
+-- PROMPT TEMPLATES
+-- ==========================================
+-- Template text lives in prompts/<name>/v<N>.md; this table records which
+-- version is active (latest row per name wins) and who switched it
+
+CREATE TABLE public.prompt_template_activations (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  name text NOT NULL,
+  version integer NOT NULL CHECK (version > 0),
+  previous_version integer, -- Version active before this one, the rollback target
+  activated_by text,
+  activated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
 -- ==========================================
 -- COMPANY KNOWLEDGE & RAG TABLES
 -- ==========================================
@@ -49,12 +235,34 @@ CREATE TABLE public.company_voice_settings (
   voice_guidelines text,
   brand_tone text,
   positioning text,
+  vertical text, -- default industry pack (verticals.js), e.g. 'saas'
+  llm_provider text CHECK (llm_provider IN ('anthropic', 'openai', 'local', 'stub')), -- preferred model provider (llmProviders.js)
+  generation_config jsonb, -- per-platform model, temperature, max_tokens, stop_sequences (generationConfig.js)
   metadata jsonb DEFAULT '{}'::jsonb,
   created_at timestamp with time zone NOT NULL DEFAULT now(),
   updated_at timestamp with time zone NOT NULL DEFAULT now(),
   UNIQUE(company_id)
 );
 
+-- Custom reply tones per company (the built-in "funny" and "value" tones are
+-- not stored here)
+CREATE TABLE public.company_tones (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id uuid NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (name ~ '^[a-z0-9][a-z0-9-]{1,39}$' AND name NOT IN ('funny', 'value')),
+  label text,
+  description text,
+  prompt text NOT NULL,
+  examples jsonb NOT NULL DEFAULT '[]'::jsonb,
+  min_length integer CHECK (min_length > 0),
+  max_length integer CHECK (max_length > 0),
+  created_by text,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  UNIQUE(company_id, name),
+  CHECK (min_length IS NULL OR max_length IS NULL OR min_length <= max_length)
+);
+
 CREATE TABLE public.company_documents (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   company_id uuid NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
@@ -66,6 +274,7 @@ CREATE TABLE public.company_documents (
   error_message text,
   total_chunks integer DEFAULT 0,
   total_tokens integer DEFAULT 0,
+  progress jsonb, -- { stage, current, total, percent, started_at, updated_at, eta_at } (ingestionProgress.js)
   metadata jsonb DEFAULT '{}'::jsonb,
   created_at timestamp with time zone NOT NULL DEFAULT now(),
   updated_at timestamp with time zone NOT NULL DEFAULT now()
@@ -83,15 +292,331 @@ CREATE TABLE public.company_chunks (
   created_at timestamp with time zone NOT NULL DEFAULT now()
 );
 
+-- Durable ingestion jobs (see ingestionQueue.js). Uploaded files wait in the
+-- ingestion-uploads Storage bucket; document jobs only hold their path.
+CREATE TABLE public.ingestion_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id uuid NOT NULL REFERENCES company_documents(id) ON DELETE CASCADE,
+  company_id uuid NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('document', 'url')),
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb, -- { fileType } or { url }
+  file_path text, -- object in the ingestion-uploads bucket, removed once the job completes or fails
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  run_at timestamp with time zone NOT NULL DEFAULT now(), -- next attempt
+  last_error text,
+  locked_by text, -- worker running the job
+  locked_at timestamp with time zone, -- last heartbeat
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now(),
+  completed_at timestamp with time zone
+);
+
+-- Private bucket for uploads waiting to be ingested (INGESTION_BUCKET)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('ingestion-uploads', 'ingestion-uploads', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Claim the next due job and mark it running. Claims are serialized so two
+-- workers can't both take a company's last free slot.
+CREATE OR REPLACE FUNCTION public.claim_ingestion_job(
+  p_worker text,
+  p_company_limit integer
+)
+RETURNS SETOF ingestion_jobs
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_job_id uuid;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('claim_ingestion_job'));
+
+  SELECT j.id INTO v_job_id
+  FROM ingestion_jobs j
+  WHERE j.status = 'queued'
+    AND j.run_at <= now()
+    AND (
+      SELECT count(*)
+      FROM ingestion_jobs r
+      WHERE r.company_id = j.company_id
+        AND r.status = 'running'
+    ) < p_company_limit
+  ORDER BY j.run_at
+  LIMIT 1;
+
+  IF v_job_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE ingestion_jobs
+  SET status = 'running',
+      attempts = attempts + 1,
+      locked_by = p_worker,
+      locked_at = now(),
+      updated_at = now()
+  WHERE id = v_job_id
+  RETURNING *;
+END
+$$;
+
 CREATE TABLE public.user_company_memberships (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id text NOT NULL,
   company_id uuid NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
   role text NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+  is_default boolean NOT NULL DEFAULT false,
   created_at timestamp with time zone NOT NULL DEFAULT now(),
   UNIQUE(user_id, company_id)
 );
 
+CREATE TABLE public.company_invites (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id uuid NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  code text NOT NULL UNIQUE,
+  role text NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+  created_by text NOT NULL,
+  expires_at timestamp with time zone NOT NULL,
+  accepted_by text,
+  accepted_at timestamp with time zone,
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- Use an invite: claim it and add the membership together, so a failed
+-- insert doesn't burn the invite. The row lock makes a concurrent accept of
+-- the same code wait and then see it used.
+-- status: accepted | not_found | used | expired | already_member
+CREATE OR REPLACE FUNCTION public.accept_company_invite(
+  p_code text,
+  p_user_id text
+)
+RETURNS TABLE (status text, company_id uuid, role text)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_invite company_invites%ROWTYPE;
+BEGIN
+  SELECT * INTO v_invite
+  FROM company_invites i
+  WHERE i.code = p_code
+  FOR UPDATE;
+
+  company_id := v_invite.company_id;
+  role := v_invite.role;
+
+  IF v_invite.id IS NULL THEN
+    status := 'not_found';
+  ELSIF v_invite.accepted_at IS NOT NULL THEN
+    status := 'used';
+  ELSIF v_invite.expires_at <= now() THEN
+    status := 'expired';
+  ELSIF EXISTS (
+    SELECT 1
+    FROM user_company_memberships m
+    WHERE m.company_id = v_invite.company_id
+      AND m.user_id = p_user_id
+  ) THEN
+    status := 'already_member';
+  ELSE
+    INSERT INTO user_company_memberships (user_id, company_id, role)
+    VALUES (p_user_id, v_invite.company_id, v_invite.role);
+
+    UPDATE company_invites
+    SET accepted_by = p_user_id, accepted_at = now()
+    WHERE id = v_invite.id;
+
+    status := 'accepted';
+  END IF;
+
+  RETURN NEXT;
+END
+$$;
+
+-- Hand a company to another member in one transaction: the new owner is
+-- promoted, the previous owner stays on as an admin (older companies may not
+-- have an owner membership row yet) and companies.owner_user_id follows.
+-- status: transferred | not_owner | not_member
+CREATE OR REPLACE FUNCTION public.transfer_company_ownership(
+  p_company_id uuid,
+  p_current_owner text,
+  p_new_owner text
+)
+RETURNS text
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_owner_user_id text;
+BEGIN
+  -- Serializes transfers of the same company
+  SELECT c.owner_user_id INTO v_owner_user_id
+  FROM companies c
+  WHERE c.id = p_company_id
+  FOR UPDATE;
+
+  IF v_owner_user_id IS DISTINCT FROM p_current_owner AND NOT EXISTS (
+    SELECT 1
+    FROM user_company_memberships m
+    WHERE m.company_id = p_company_id
+      AND m.user_id = p_current_owner
+      AND m.role = 'owner'
+  ) THEN
+    RETURN 'not_owner';
+  END IF;
+
+  UPDATE user_company_memberships
+  SET role = 'owner'
+  WHERE company_id = p_company_id
+    AND user_id = p_new_owner;
+
+  IF NOT FOUND THEN
+    RETURN 'not_member';
+  END IF;
+
+  INSERT INTO user_company_memberships (user_id, company_id, role)
+  VALUES (p_current_owner, p_company_id, 'admin')
+  ON CONFLICT (user_id, company_id) DO UPDATE SET role = 'admin';
+
+  UPDATE companies
+  SET owner_user_id = p_new_owner, updated_at = now()
+  WHERE id = p_company_id;
+
+  RETURN 'transferred';
+END
+$$;
+
+-- Make a company the user's default in one transaction, so the user never
+-- ends up without one. A company the user owns from before memberships were
+-- tracked gets its owner membership row here.
+-- status: updated | not_found
+CREATE OR REPLACE FUNCTION public.set_default_company(
+  p_user_id text,
+  p_company_id uuid
+)
+RETURNS text
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- Serializes default changes (and company creation) for the same user
+  PERFORM pg_advisory_xact_lock(hashtext('default_company:' || p_user_id));
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM user_company_memberships m
+    WHERE m.user_id = p_user_id
+      AND m.company_id = p_company_id
+  ) THEN
+    IF NOT EXISTS (
+      SELECT 1
+      FROM companies c
+      WHERE c.id = p_company_id
+        AND c.owner_user_id = p_user_id
+    ) THEN
+      RETURN 'not_found';
+    END IF;
+
+    INSERT INTO user_company_memberships (user_id, company_id, role)
+    VALUES (p_user_id, p_company_id, 'owner');
+  END IF;
+
+  UPDATE user_company_memberships
+  SET is_default = false
+  WHERE user_id = p_user_id
+    AND is_default
+    AND company_id <> p_company_id;
+
+  UPDATE user_company_memberships
+  SET is_default = true
+  WHERE user_id = p_user_id
+    AND company_id = p_company_id;
+
+  RETURN 'updated';
+END
+$$;
+
+-- Create a company with its owner membership in one transaction. The user's
+-- first company, or one created with p_make_default, becomes the default.
+-- Returns the companies row plus role and is_default.
+CREATE OR REPLACE FUNCTION public.create_company(
+  p_user_id text,
+  p_name text,
+  p_description text,
+  p_make_default boolean
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_company companies%ROWTYPE;
+  v_default boolean;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('default_company:' || p_user_id));
+
+  v_default := p_make_default OR NOT EXISTS (
+    SELECT 1
+    FROM user_company_memberships m
+    WHERE m.user_id = p_user_id
+  );
+
+  INSERT INTO companies (owner_user_id, name, description)
+  VALUES (p_user_id, p_name, p_description)
+  RETURNING * INTO v_company;
+
+  IF v_default THEN
+    UPDATE user_company_memberships
+    SET is_default = false
+    WHERE user_id = p_user_id
+      AND is_default;
+  END IF;
+
+  INSERT INTO user_company_memberships (user_id, company_id, role, is_default)
+  VALUES (p_user_id, v_company.id, 'owner', v_default);
+
+  RETURN to_jsonb(v_company) || jsonb_build_object('role', 'owner', 'is_default', v_default);
+END
+$$;
+
+-- ==========================================
+-- REPLY HISTORY
+-- ==========================================
+-- One row per generated reply, with what it was generated from
+
+CREATE TABLE public.reply_generations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id text NOT NULL,
+  company_id uuid REFERENCES companies(id) ON DELETE SET NULL,
+  platform text NOT NULL CHECK (platform IN ('linkedin', 'twitter')),
+  tone text NOT NULL,
+  vertical text,
+  post_text text NOT NULL,
+  post_id text,
+  author_name text,
+  reply text NOT NULL,
+  candidates jsonb NOT NULL DEFAULT '[]'::jsonb,
+  prompt_version text,
+  tone_profile_version text, -- operator_tones.last_learned_at at generation time
+  rag_chunk_ids uuid[] NOT NULL DEFAULT '{}',
+  rules jsonb,
+  search_vector tsvector GENERATED ALWAYS AS (
+    to_tsvector('english', post_text || ' ' || reply)
+  ) STORED,
+  created_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+-- What the operator did with a generated reply (one row per generation)
+CREATE TABLE public.reply_feedback (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  generation_id uuid NOT NULL UNIQUE REFERENCES reply_generations(id) ON DELETE CASCADE,
+  user_id text NOT NULL,
+  platform text NOT NULL,
+  rating text CHECK (rating IN ('up', 'down')),
+  outcome text CHECK (outcome IN ('posted', 'edited', 'discarded')),
+  final_text text,
+  diff jsonb, -- [{ op: "equal" | "delete" | "insert", text }]
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
 -- ==========================================
 -- KEY INDEXES FOR PERFORMANCE
 -- ==========================================
@@ -103,6 +628,20 @@ WITH (m = 16, ef_construction = 64);
 
 -- Multi-tenant isolation indexes
 CREATE INDEX idx_company_chunks_company_id ON company_chunks(company_id);
+-- One row per chunk, so a resumed ingestion can't store a chunk twice
+CREATE UNIQUE INDEX idx_company_chunks_document_chunk ON company_chunks(document_id, chunk_index);
 CREATE INDEX idx_company_documents_company_id ON company_documents(company_id);
+CREATE INDEX idx_ingestion_jobs_due ON ingestion_jobs(status, run_at);
+CREATE INDEX idx_ingestion_jobs_document ON ingestion_jobs(document_id, created_at DESC);
 CREATE INDEX idx_companies_owner_user_id ON companies(owner_user_id);
-CREATE INDEX idx_user_company_memberships_user_id ON user_company_memberships(user_id);
\ No newline at end of file
+CREATE INDEX idx_user_company_memberships_user_id ON user_company_memberships(user_id);
+-- At most one default company per user
+CREATE UNIQUE INDEX idx_user_company_memberships_default ON user_company_memberships(user_id) WHERE is_default;
+CREATE INDEX idx_company_invites_company_id ON company_invites(company_id);
+CREATE INDEX idx_usage_history_user_created ON usage_history(user_id, created_at);
+CREATE INDEX idx_reply_generations_user_created ON reply_generations(user_id, created_at DESC);
+CREATE INDEX idx_reply_generations_search ON reply_generations USING gin (search_vector);
+CREATE INDEX idx_reply_feedback_user_platform ON reply_feedback(user_id, platform, updated_at DESC);
+CREATE INDEX idx_tone_trainings_operator_created ON tone_trainings(operator_id, created_at);
+CREATE INDEX idx_generation_cache_expires ON generation_cache(expires_at);
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys(expires_at);
@@ -198,24 +198,163 @@ async function generateEmbedding(text, openaiClient) {
 }
 
 /**
- * Generate embeddings for multiple text chunks in batch
+ * Embedding request limits. OpenAI caps inputs and tokens per request, so
+ * large documents are sent in several batches.
+ */
+const EMBEDDING_MODEL = "text-embedding-3-small";
+const EMBEDDING_BATCH_SIZE = 100; // inputs per request
+const EMBEDDING_BATCH_TOKENS = 50000; // estimated tokens per request
+const EMBEDDING_CONCURRENCY = 2; // requests in flight per document
+const EMBEDDING_MAX_RETRIES = 4;
+const EMBEDDING_RETRY_BASE_MS = 1000;
+const EMBEDDING_RETRY_MAX_MS = 30000;
+
+/**
+ * Split texts into batches by count and estimated tokens
+ * A text over the token limit on its own still gets a batch of one.
+ * @param {Array<string>} texts - Texts to embed
+ * @param {number} maxBatchSize - Most texts per batch
+ * @param {number} maxBatchTokens - Most estimated tokens per batch
+ * @returns {Array<{start: number, texts: Array<string>}>}
+ */
+function planEmbeddingBatches(texts, maxBatchSize = EMBEDDING_BATCH_SIZE, maxBatchTokens = EMBEDDING_BATCH_TOKENS) {
+  const batches = [];
+  let current = null;
+  let currentTokens = 0;
+
+  texts.forEach((text, index) => {
+    const tokens = estimateTokenCount(text);
+
+    if (
+      !current ||
+      current.texts.length >= maxBatchSize ||
+      (current.texts.length > 0 && currentTokens + tokens > maxBatchTokens)
+    ) {
+      current = { start: index, texts: [] };
+      currentTokens = 0;
+      batches.push(current);
+    }
+
+    current.texts.push(text);
+    currentTokens += tokens;
+  });
+
+  return batches;
+}
+
+/**
+ * Whether an embedding request is worth retrying: rate limits, server errors
+ * and errors without a response (timeouts, dropped connections)
+ */
+function isRetryableEmbeddingError(error) {
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Delay before retrying an embedding request
+ * Uses the server's Retry-After when it sends one.
+ * @param {object} error - Failed request's error
+ * @param {number} attempt - Retries made so far (0 before the first retry)
+ * @returns {number} - Milliseconds
+ */
+function embeddingRetryDelay(error, attempt) {
+  const retryAfter = Number(error.headers?.["retry-after"]);
+  if (retryAfter > 0) {
+    return Math.min(EMBEDDING_RETRY_MAX_MS, retryAfter * 1000);
+  }
+
+  const delay = Math.min(EMBEDDING_RETRY_MAX_MS, EMBEDDING_RETRY_BASE_MS * 2 ** attempt);
+  // Jitter so concurrent batches don't retry in lockstep
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Generate embeddings for multiple text chunks in batches
+ * Batches run a few at a time and retry with backoff on 429/5xx. Pass
+ * onBatch to save each batch as it completes: when a batch finally fails,
+ * batches already in flight still finish (and reach onBatch) before the
+ * error is thrown, so a retry only has to embed what is missing.
+ *
  * @param {Array<string>} texts - Array of texts to embed
  * @param {object} openaiClient - OpenAI client instance
- * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors
+ * @param {object} options - Batching options
+ * @param {Function} options.onBatch - Called with ({ start, embeddings }) as each batch completes (optional)
+ * @param {number} options.maxBatchSize - Most texts per request (default: EMBEDDING_BATCH_SIZE)
+ * @param {number} options.maxBatchTokens - Most estimated tokens per request (default: EMBEDDING_BATCH_TOKENS)
+ * @param {number} options.concurrency - Requests in flight (default: EMBEDDING_CONCURRENCY)
+ * @param {number} options.maxRetries - Retries per batch (default: EMBEDDING_MAX_RETRIES)
+ * @param {Function} options.sleep - Waits the given ms (default: setTimeout)
+ * @returns {Promise<Array<Array<number>>>} - Array of embedding vectors, in input order
  */
-async function generateEmbeddingsBatch(texts, openaiClient) {
-  try {
-    // OpenAI allows batch requests for embeddings
-    const response = await openaiClient.embeddings.create({
-      model: "text-embedding-3-small",
-      input: texts,
-    });
+async function generateEmbeddingsBatch(texts, openaiClient, options = {}) {
+  const {
+    onBatch = () => {},
+    maxBatchSize = EMBEDDING_BATCH_SIZE,
+    maxBatchTokens = EMBEDDING_BATCH_TOKENS,
+    concurrency = EMBEDDING_CONCURRENCY,
+    maxRetries = EMBEDDING_MAX_RETRIES,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  } = options;
 
-    return response.data.map(item => item.embedding);
-  } catch (error) {
-    console.error("Error generating batch embeddings:", error);
-    throw new Error(`Failed to generate batch embeddings: ${error.message}`);
+  const batches = planEmbeddingBatches(texts, maxBatchSize, maxBatchTokens);
+  const embeddings = new Array(texts.length);
+  let nextBatch = 0;
+  let failure = null;
+
+  const embedBatch = async (batch) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Retries are handled here, not by the SDK
+        const response = await openaiClient.embeddings.create(
+          { model: EMBEDDING_MODEL, input: batch.texts },
+          { maxRetries: 0 }
+        );
+        return response.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding);
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableEmbeddingError(error)) {
+          console.error("Error generating batch embeddings:", error);
+          const failed = new Error(`Failed to generate batch embeddings: ${error.message}`);
+          failed.status = error.status;
+          // Bad requests (e.g. an input over the model's limit) fail the same way again
+          failed.retryable = isRetryableEmbeddingError(error);
+          throw failed;
+        }
+
+        const delay = embeddingRetryDelay(error, attempt);
+        console.warn(`⚠️ [Embeddings] Batch at ${batch.start} failed (${error.status || error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  // Each worker takes the next batch until none are left or one has failed
+  const worker = async () => {
+    while (!failure && nextBatch < batches.length) {
+      const batch = batches[nextBatch++];
+
+      try {
+        const vectors = await embedBatch(batch);
+        vectors.forEach((vector, offset) => {
+          embeddings[batch.start + offset] = vector;
+        });
+        await onBatch({ start: batch.start, embeddings: vectors });
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, batches.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  if (failure) {
+    throw failure;
   }
+
+  console.log(`Generated ${texts.length} embeddings in ${batches.length} batches`);
+  return embeddings;
 }
 
 /**
@@ -223,17 +362,20 @@ async function generateEmbeddingsBatch(texts, openaiClient) {
  * @param {Buffer} fileBuffer - File buffer
  * @param {string} fileType - File type
  * @param {object} options - Processing options
+ * @param {Function} options.onProgress - Called with each stage ("extracting", "chunking") as it starts (optional)
  * @returns {Promise<{text: string, chunks: Array}>}
  */
 async function processDocument(fileBuffer, fileType, options = {}) {
   const {
     chunkSize = 500,
     overlap = 100,
+    onProgress = () => {},
   } = options;
 
   try {
     // Extract text
     console.log(`Extracting text from ${fileType}...`);
+    await onProgress("extracting");
     const rawText = await extractText(fileBuffer, fileType);
 
     // Clean text
@@ -246,6 +388,7 @@ async function processDocument(fileBuffer, fileType, options = {}) {
 
     // Chunk text
     console.log("Chunking text...");
+    await onProgress("chunking");
     const chunks = chunkText(cleanedText, chunkSize, overlap);
 
     console.log(`Processed document: ${cleanedText.length} chars, ${chunks.length} chunks`);
@@ -265,17 +408,20 @@ async function processDocument(fileBuffer, fileType, options = {}) {
  * Process a URL: scrape, extract, clean, chunk, and prepare for embedding
  * @param {string} url - URL to process
  * @param {object} options - Processing options
+ * @param {Function} options.onProgress - Called with each stage ("extracting", "chunking") as it starts (optional)
  * @returns {Promise<{text: string, chunks: Array}>}
  */
 async function processUrl(url, options = {}) {
   const {
     chunkSize = 500,
     overlap = 100,
+    onProgress = () => {},
   } = options;
 
   try {
     // Extract text from URL
     console.log(`Extracting text from URL: ${url}...`);
+    await onProgress("extracting");
     const rawText = await extractTextFromUrl(url);
 
     // Clean text
@@ -288,6 +434,7 @@ async function processUrl(url, options = {}) {
 
     // Chunk text
     console.log("Chunking text...");
+    await onProgress("chunking");
     const chunks = chunkText(cleanedText, chunkSize, overlap);
 
     console.log(`Processed URL: ${cleanedText.length} chars, ${chunks.length} chunks`);
@@ -310,6 +457,7 @@ module.exports = {
   estimateTokenCount,
   chunkText,
   generateEmbedding,
+  planEmbeddingBatches,
   generateEmbeddingsBatch,
   processDocument,
   processUrl,
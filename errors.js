@@ -0,0 +1,25 @@
+/**
+ * Error Helpers
+ * Errors thrown by service modules carry an HTTP status so route handlers
+ * can respond with `res.status(error.status || 500)`. The `expose` flag marks
+ * errors whose status and message are safe to pass through to the client.
+ */
+
+/**
+ * Create an error carrying an HTTP status for the route handler
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {object} details - Extra fields copied onto the error (optional)
+ * @returns {Error}
+ */
+function httpError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  Object.assign(error, details);
+  return error;
+}
+
+module.exports = {
+  httpError,
+};
@@ -0,0 +1,275 @@
+/**
+ * Generation Cache Module
+ * Replays a recent reply when the same generation is requested again (an
+ * extension retry, an accidental "regenerate") instead of paying for another
+ * model call. Opt-in: the server only creates a cache when GENERATION_CACHE
+ * is set.
+ *
+ * The key hashes the normalized request (post text with whitespace collapsed,
+ * platform, tone, emojiBool, vertical, company, user, n, judge) together with
+ * fingerprints of what was gathered for the prompt: the operator's tone
+ * profile, RAG chunks, posted-reply examples, thread replies, prompt template
+ * and model settings. Relearning a tone profile or uploading a document that
+ * changes the retrieved chunks therefore misses the cache.
+ *
+ * Entries live in a store: { get(key), set(key, value, ttlSeconds) }. The
+ * memory store works for a single instance, the Supabase store
+ * (generation_cache table) shares entries between instances.
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_SECONDS = 10 * 60;
+
+/**
+ * Most entries the memory store keeps (oldest are evicted first)
+ */
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Bump when the key inputs or the cached value change shape
+ */
+const KEY_VERSION = 1;
+
+/**
+ * JSON with object keys sorted, so equal values always hash the same
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Short hash of any JSON value
+ * @param {*} value
+ * @returns {string}
+ */
+function fingerprint(value) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(value))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Normalize post text so whitespace differences still hit the cache
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || "").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Build the cache key for a generation
+ * Called after the prompt is built, so every fingerprinted input is loaded.
+ *
+ * @param {object} ctx - Generation context (see generationService.js)
+ * @returns {string}
+ */
+function buildCacheKey(ctx) {
+  const { input } = ctx;
+
+  const parts = {
+    version: KEY_VERSION,
+    platform: input.platform,
+    text: normalizeText(input.text),
+    tone: ctx.tone.name,
+    emojiBool: !!input.emojiBool,
+    vertical: ctx.vertical.id,
+    companyId: input.companyId || null,
+    userId: input.userId || null,
+    postId: input.postId || input.tweetId || null,
+    authorName: input.authorName || null,
+    n: input.n || 1,
+    judge: !!input.judge,
+    fingerprints: {
+      tone: fingerprint(ctx.tone),
+      toneProfile: fingerprint(ctx.operatorTone),
+      rag: fingerprint(ctx.ragContext),
+      feedback: fingerprint(ctx.feedbackExamples),
+      thread: fingerprint(ctx.tweetReplies),
+      prompt: ctx.promptVersion,
+      model: fingerprint({
+        provider: ctx.llmProvider,
+        maxTokens: ctx.maxTokens,
+        ...ctx.modelParams,
+      }),
+    },
+  };
+
+  return `generation:${crypto
+    .createHash("sha256")
+    .update(stableStringify(parts))
+    .digest("hex")}`;
+}
+
+/**
+ * Check whether the client asked to skip the cache
+ * Send { cache: false } or "Cache-Control: no-cache". The fresh reply still
+ * replaces the cached one.
+ *
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function wantsFreshGeneration(req) {
+  return (
+    req.body?.cache === false ||
+    (req.get("cache-control") || "").includes("no-cache")
+  );
+}
+
+/**
+ * Keep entries in process memory
+ * @param {object} options
+ * @param {number} options.maxEntries - Most entries kept (default: DEFAULT_MAX_ENTRIES)
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {{get: Function, set: Function}}
+ */
+function createMemoryStore(options = {}) {
+  const { maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = options;
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      // Re-insert so the Map's order stays oldest-first
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+/**
+ * Keep entries in Supabase so every server instance shares them
+ * @param {object} supabase - Supabase client
+ * @returns {{get: Function, set: Function}}
+ */
+function createSupabaseStore(supabase) {
+  return {
+    async get(key) {
+      const { data, error } = await supabase
+        .from("generation_cache")
+        .select("value")
+        .eq("key", key)
+        .gt("expires_at", new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return data ? data.value : null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      const now = Date.now();
+      const { error } = await supabase.from("generation_cache").upsert(
+        {
+          key,
+          value,
+          expires_at: new Date(now + ttlSeconds * 1000).toISOString(),
+        },
+        { onConflict: "key" }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      // Expired rows are never read again
+      await supabase
+        .from("generation_cache")
+        .delete()
+        .lt("expires_at", new Date(now).toISOString());
+    },
+  };
+}
+
+/**
+ * Create a generation cache
+ * A failing store never fails the generation: reads count as misses and
+ * writes are skipped.
+ *
+ * @param {object} options
+ * @param {object} options.store - { get(key), set(key, value, ttlSeconds) } (default: memory store)
+ * @param {number} options.ttlSeconds - How long a reply is replayed (default: DEFAULT_TTL_SECONDS)
+ * @returns {{get: Function, set: Function, ttlSeconds: number}}
+ */
+function createGenerationCache(options = {}) {
+  const { store = createMemoryStore(), ttlSeconds = DEFAULT_TTL_SECONDS } =
+    options;
+
+  return {
+    ttlSeconds,
+
+    /**
+     * @param {string} key - See buildCacheKey
+     * @returns {Promise<object|null>} - Cached value, or null on a miss
+     */
+    async get(key) {
+      try {
+        return await store.get(key);
+      } catch (error) {
+        console.warn("⚠️ [Cache] Read failed, generating:", error.message);
+        return null;
+      }
+    },
+
+    /**
+     * @param {string} key - See buildCacheKey
+     * @param {object} value - { reply, rules, rankedCandidates, generationId }
+     */
+    async set(key, value) {
+      try {
+        await store.set(key, value, ttlSeconds);
+      } catch (error) {
+        console.warn("⚠️ [Cache] Write failed:", error.message);
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  DEFAULT_MAX_ENTRIES,
+  stableStringify,
+  fingerprint,
+  normalizeText,
+  buildCacheKey,
+  wantsFreshGeneration,
+  createMemoryStore,
+  createSupabaseStore,
+  createGenerationCache,
+};
@@ -0,0 +1,198 @@
+/**
+ * Generation Config Module
+ * Per-company model parameters, stored per platform in
+ * company_voice_settings.generation_config:
+ *
+ *   {
+ *     "twitter":  { "model": "...", "temperature": 0.7, "max_tokens": 100, "stop_sequences": ["\n\n"] },
+ *     "linkedin": { ... }
+ *   }
+ *
+ * Every field is optional; missing fields keep the platform defaults. A model
+ * needs the company's llm_provider, since model names only mean something to
+ * one provider: it is sent to that provider, and failover providers keep
+ * their own model.
+ */
+
+const llmProviders = require("./llmProviders");
+
+const PLATFORMS = ["linkedin", "twitter"];
+
+const FIELDS = ["model", "temperature", "max_tokens", "stop_sequences"];
+
+/**
+ * Accepted ranges (the intersection of what Anthropic and OpenAI accept)
+ */
+const LIMITS = {
+  temperature: { min: 0, max: 1 },
+  max_tokens: { min: 16, max: 1024 },
+  stop_sequences: { count: 4, length: 50 },
+  model: { length: 100 },
+};
+
+const MODEL_REGEX = /^[A-Za-z0-9._:/-]+$/;
+
+function validatePlatformConfig(platform, config, provider) {
+  const prefix = `generation_config.${platform}`;
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return `${prefix} must be an object`;
+  }
+
+  for (const field of Object.keys(config)) {
+    if (!FIELDS.includes(field)) {
+      return `${prefix}.${field} is not supported (use: ${FIELDS.join(", ")})`;
+    }
+  }
+
+  const { model, temperature, max_tokens: maxTokens } = config;
+
+  if (
+    model !== undefined &&
+    model !== null &&
+    (typeof model !== "string" ||
+      model.length > LIMITS.model.length ||
+      !MODEL_REGEX.test(model))
+  ) {
+    return `${prefix}.model must be a model name`;
+  }
+
+  if (model && !provider) {
+    return `${prefix}.model requires llm_provider, the provider that serves the model`;
+  }
+
+  if (
+    temperature !== undefined &&
+    temperature !== null &&
+    (typeof temperature !== "number" ||
+      temperature < LIMITS.temperature.min ||
+      temperature > LIMITS.temperature.max)
+  ) {
+    return `${prefix}.temperature must be a number between ${LIMITS.temperature.min} and ${LIMITS.temperature.max}`;
+  }
+
+  if (
+    maxTokens !== undefined &&
+    maxTokens !== null &&
+    (!Number.isInteger(maxTokens) ||
+      maxTokens < LIMITS.max_tokens.min ||
+      maxTokens > LIMITS.max_tokens.max)
+  ) {
+    return `${prefix}.max_tokens must be an integer between ${LIMITS.max_tokens.min} and ${LIMITS.max_tokens.max}`;
+  }
+
+  const stops = config.stop_sequences;
+  if (stops !== undefined && stops !== null) {
+    if (
+      !Array.isArray(stops) ||
+      stops.length > LIMITS.stop_sequences.count ||
+      stops.some(
+        (stop) =>
+          typeof stop !== "string" ||
+          !stop.trim() ||
+          stop.length > LIMITS.stop_sequences.length
+      )
+    ) {
+      return `${prefix}.stop_sequences must be at most ${LIMITS.stop_sequences.count} non-blank strings of up to ${LIMITS.stop_sequences.length} characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a generation_config value from the settings request
+ * @param {*} config - { [platform]: { model?, temperature?, max_tokens?, stop_sequences? } }
+ * @param {string} provider - The company's llm_provider, as it will be after the update (may be null)
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateGenerationConfig(config, provider = null) {
+  if (config === undefined || config === null) {
+    return null;
+  }
+
+  if (typeof config !== "object" || Array.isArray(config)) {
+    return "generation_config must be an object keyed by platform";
+  }
+
+  for (const [platform, platformConfig] of Object.entries(config)) {
+    if (!PLATFORMS.includes(platform)) {
+      return `generation_config.${platform} is not a platform (use: ${PLATFORMS.join(
+        ", "
+      )})`;
+    }
+
+    const error = validatePlatformConfig(platform, platformConfig, provider);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the parameters configured for one platform
+ * Unset fields are left out, so the result can be spread over defaults.
+ *
+ * @param {object} config - Stored generation_config (may be null)
+ * @param {string} platform - "linkedin" | "twitter"
+ * @returns {{model?: string, temperature?: number, maxTokens?: number, stopSequences?: Array<string>}}
+ */
+function getPlatformParams(config, platform) {
+  const platformConfig = (config && config[platform]) || {};
+  const params = {};
+
+  if (platformConfig.model) {
+    params.model = platformConfig.model;
+  }
+  if (typeof platformConfig.temperature === "number") {
+    params.temperature = platformConfig.temperature;
+  }
+  if (Number.isInteger(platformConfig.max_tokens)) {
+    params.maxTokens = platformConfig.max_tokens;
+  }
+  if (
+    Array.isArray(platformConfig.stop_sequences) &&
+    platformConfig.stop_sequences.length > 0
+  ) {
+    params.stopSequences = platformConfig.stop_sequences;
+  }
+
+  return params;
+}
+
+/**
+ * Read a company's model settings from its voice settings
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<{provider: string|null, generationConfig: object|null}>}
+ */
+async function getCompanyModelSettings(supabase, companyId) {
+  const { data, error } = await supabase
+    .from("company_voice_settings")
+    .select("llm_provider, generation_config")
+    .eq("company_id", companyId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const row = data && data.length > 0 ? data[0] : {};
+  return {
+    provider: llmProviders.isProvider(row.llm_provider)
+      ? row.llm_provider
+      : null,
+    generationConfig: row.generation_config || null,
+  };
+}
+
+module.exports = {
+  PLATFORMS,
+  FIELDS,
+  LIMITS,
+  validateGenerationConfig,
+  getPlatformParams,
+  getCompanyModelSettings,
+};
@@ -0,0 +1,840 @@
+/**
+ * Reply Generation Service
+ * One pipeline shared by every generate endpoint. Each stage is an async
+ * function (ctx, deps) that reads and writes the generation context, so a
+ * stage can be replaced without touching the routes:
+ *
+ *   gatherContext -> buildPrompt -> readCache -> checkQuota -> callModel
+ *   -> postProcess -> enforceRules -> rank -> account -> record -> writeCache
+ *
+ * On a cache hit (see generationCache.js) the stages from checkQuota to
+ * record are skipped: the cached reply is returned without a model call and
+ * without counting usage again, so it is served even at the quota limit.
+ */
+
+const vectorOperations = require("./vectorOperations");
+const twitterService = require("./twitterService");
+const replyPrompts = require("./replyPrompts");
+const companyTones = require("./companyTones");
+const verticals = require("./verticals");
+const replyRanker = require("./replyRanker");
+const replyRules = require("./replyRules");
+const replyHistory = require("./replyHistory");
+const replyFeedback = require("./replyFeedback");
+const llmProviders = require("./llmProviders");
+const generationConfig = require("./generationConfig");
+const generationCache = require("./generationCache");
+const plans = require("./plans");
+const { httpError } = require("./errors");
+
+/**
+ * Built-in reply tones (companies can register more, see companyTones.js)
+ */
+const TONES = companyTones.BUILT_IN_TONES;
+
+const INVALID_TONE_MESSAGE =
+  "Invalid tone. Please use 'funny', 'value' or a tone registered for your company.";
+
+/**
+ * Per-platform generation settings
+ */
+const PLATFORMS = {
+  linkedin: { label: "LinkedIn", maxTokens: 200, ragMaxChunks: 10 },
+  twitter: { label: "Twitter", maxTokens: 120, ragMaxChunks: 8 },
+};
+
+/**
+ * Most reply candidates a single request can ask for (n)
+ */
+const MAX_CANDIDATES = 5;
+
+/**
+ * Extra instructions that push candidates 2..n away from the first one
+ */
+const VARIATION_HINTS = [
+  "Take a different angle than the most obvious response.",
+  "Lead with a concrete example, number or specific detail.",
+  "Make it noticeably shorter and punchier.",
+  "Focus on a counter-point or an overlooked nuance.",
+];
+
+/**
+ * Pipeline stages, in execution order
+ */
+const STAGES = [
+  "gatherContext",
+  "buildPrompt",
+  "readCache",
+  "checkQuota",
+  "callModel",
+  "postProcess",
+  "enforceRules",
+  "rank",
+  "account",
+  "record",
+  "writeCache",
+];
+
+/**
+ * Stages a cache hit replaces
+ */
+const SKIPPED_ON_CACHE_HIT = [
+  "checkQuota",
+  "callModel",
+  "postProcess",
+  "enforceRules",
+  "rank",
+  "account",
+  "record",
+];
+
+/**
+ * Validate the requested number of candidates
+ * @param {*} n - Raw value (undefined means 1)
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateCandidateCount(n) {
+  if (
+    n !== undefined &&
+    (!Number.isInteger(n) || n < 1 || n > MAX_CANDIDATES)
+  ) {
+    return `Invalid n. Please request between 1 and ${MAX_CANDIDATES} candidates.`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the common fields of a reply request
+ * @param {object} body - { text, tone, emojiBool, vertical, n }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateReplyRequest({ text, tone, emojiBool, vertical, n }) {
+  if (
+    !text ||
+    typeof text !== "string" ||
+    text.trim().length === 0 ||
+    emojiBool === undefined
+  ) {
+    return "Invalid input. Please provide a 'text' field with post content.";
+  }
+
+  // Validate minimum text length to prevent poor quality responses
+  if (text.trim().length < 20) {
+    return "Post text too short. Minimum 20 characters required for quality replies.";
+  }
+
+  // Validate maximum length to prevent token waste
+  if (text.trim().length > 5000) {
+    return "Post text too long. Maximum 5000 characters allowed.";
+  }
+
+  // Custom tones are checked against the company in gatherContext
+  if (!companyTones.isValidToneName(tone)) {
+    return INVALID_TONE_MESSAGE;
+  }
+
+  if (
+    vertical !== undefined &&
+    vertical !== null &&
+    !verticals.isVertical(vertical)
+  ) {
+    return verticals.INVALID_VERTICAL_MESSAGE;
+  }
+
+  return validateCandidateCount(n);
+}
+
+/**
+ * Load the operator's tone profile (Twitter-based personalization)
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @returns {Promise<object|null>} - { tone_json, last_learned_at } or null
+ */
+async function loadOperatorTone(supabase, userId) {
+  try {
+    const { data: toneData } = await supabase
+      .from("operator_tones")
+      .select("tone_json, last_learned_at")
+      .eq("operator_id", userId)
+      .single();
+
+    if (toneData && toneData.tone_json) {
+      console.log(`✅ [Tone] Loaded operator tone profile for ${userId}`);
+      return toneData;
+    }
+  } catch (error) {
+    // Tone profile is optional, continue without it
+  }
+
+  console.log(`ℹ️ [Tone] No tone profile found for ${userId}`);
+  return null;
+}
+
+/**
+ * Who a generation counts against: the user, or the client IP for callers
+ * without one
+ * @param {object} input - generateReply input
+ * @returns {string|null} - User ID, anonymous subject, or null when neither is known
+ */
+function quotaSubject(input) {
+  if (input.userId) {
+    return input.userId;
+  }
+  return input.clientIp ? plans.anonymousSubject(input.clientIp) : null;
+}
+
+/**
+ * Stage: reject the request before any model call when the user (or, without
+ * one, the client IP) is out of plan quota (see plans.js)
+ * Runs after readCache: a cached reply costs nothing and is not counted.
+ */
+async function checkQuota(ctx, deps) {
+  const subject = quotaSubject(ctx.input);
+  if (subject && deps.checkQuota) {
+    await deps.checkQuota(subject);
+  }
+}
+
+/**
+ * Stage: resolve the tone, vertical and the company's model provider, then
+ * load the operator tone profile, posted-reply examples, RAG context and
+ * thread replies
+ */
+async function gatherContext(ctx, deps) {
+  const { supabase, openai } = deps;
+  const { userId, companyId, text, platform, tweetId, tone } = ctx.input;
+
+  ctx.tone = await companyTones.resolveTone(supabase, companyId, tone);
+  ctx.vertical = await verticals.resolveVertical({
+    supabase,
+    companyId,
+    vertical: ctx.input.vertical,
+    web3Bool: ctx.input.web3Bool,
+    fallback: ctx.input.defaultVertical,
+  });
+
+  if (companyId && supabase) {
+    try {
+      const settings = await generationConfig.getCompanyModelSettings(
+        supabase,
+        companyId
+      );
+      ctx.llmProvider = settings.provider;
+      ctx.modelParams = generationConfig.getPlatformParams(
+        settings.generationConfig,
+        platform
+      );
+    } catch (error) {
+      // Fall back to the default provider order and parameters
+      console.warn(
+        `⚠️ [LLM] Could not load model settings for company ${companyId}:`,
+        error.message
+      );
+    }
+  }
+
+  if (userId && supabase) {
+    const profile = await loadOperatorTone(supabase, userId);
+    if (profile) {
+      ctx.operatorTone = profile.tone_json;
+      // The profile changes whenever it is relearned
+      ctx.toneProfileVersion = profile.last_learned_at || null;
+    }
+
+    try {
+      ctx.feedbackExamples = await replyFeedback.loadFeedbackExamples(
+        supabase,
+        userId,
+        platform
+      );
+    } catch (error) {
+      // Few-shot examples are optional, continue without them
+      console.warn(
+        `⚠️ [Feedback] Could not load posted replies for ${userId}:`,
+        error.message
+      );
+    }
+  }
+
+  if (companyId && supabase && openai) {
+    try {
+      console.log(`🧠 [RAG] Building context for company ${companyId}`);
+      ctx.ragContext = await vectorOperations.buildRagContext({
+        supabase,
+        openaiClient: openai,
+        companyId,
+        postText: text,
+        maxChunks: PLATFORMS[platform].ragMaxChunks,
+        similarityThreshold: 0.7,
+      });
+      console.log(
+        `✅ [RAG] Retrieved ${ctx.ragContext.chunks.length} relevant chunks`
+      );
+    } catch (error) {
+      console.warn(
+        `⚠️ [RAG] Error building context for company ${companyId}:`,
+        error.message
+      );
+      console.warn(
+        `💡 Hint: Visit the Knowledge page first to create a company and upload documents.`
+      );
+      // Continue without RAG context
+    }
+  } else if (companyId) {
+    console.warn(
+      `⚠️ [RAG] CompanyId provided but RAG not available (Supabase: ${!!supabase}, OpenAI: ${!!openai})`
+    );
+  }
+
+  if (platform === "twitter" && tweetId) {
+    try {
+      ctx.tweetReplies = await twitterService.fetchTweetReplies(tweetId, 10);
+      console.log(
+        `💬 [Twitter] Loaded ${ctx.tweetReplies.length} replies for tweet ${tweetId}`
+      );
+    } catch (replyError) {
+      console.warn(
+        `⚠️ [Twitter] Could not load replies for tweet ${tweetId}:`,
+        replyError.message
+      );
+    }
+  }
+}
+
+/**
+ * Stage: assemble the system prompt and user message
+ */
+async function buildPrompt(ctx) {
+  const { platform } = ctx.input;
+
+  const systemPrompt = replyPrompts.buildSystemPrompt({
+    ...ctx.input,
+    toneDefinition: ctx.tone,
+    vertical: ctx.vertical,
+    operatorTone: ctx.operatorTone,
+    feedbackExamples: ctx.feedbackExamples,
+    ragContext: ctx.ragContext,
+  });
+  ctx.systemPrompt = systemPrompt.text;
+  ctx.promptVersion = systemPrompt.template;
+  ctx.userPrompt = replyPrompts.buildUserPrompt({
+    ...ctx.input,
+    vertical: ctx.vertical,
+    tweetReplies: ctx.tweetReplies,
+  });
+  ctx.maxTokens = PLATFORMS[platform].maxTokens;
+
+  // A company's configured max_tokens is taken as-is; otherwise leave room
+  // for long custom tones (roughly 3 characters per token)
+  if (ctx.modelParams.maxTokens) {
+    ctx.maxTokens = ctx.modelParams.maxTokens;
+  } else if (ctx.tone && ctx.tone.max_length) {
+    ctx.maxTokens = Math.max(ctx.maxTokens, Math.ceil(ctx.tone.max_length / 3));
+  }
+}
+
+/**
+ * Stage: replay a cached reply for an identical generation
+ * With input.cache === false the lookup is skipped, but writeCache still
+ * stores the fresh reply. A hit reports current usage without counting a
+ * generation.
+ */
+async function readCache(ctx, deps) {
+  if (!deps.cache) {
+    return;
+  }
+
+  ctx.cacheKey = generationCache.buildCacheKey(ctx);
+  if (ctx.input.cache === false) {
+    return;
+  }
+
+  const cached = await deps.cache.get(ctx.cacheKey);
+  if (!cached) {
+    return;
+  }
+
+  ctx.cached = true;
+  ctx.reply = cached.reply;
+  ctx.rules = cached.rules;
+  ctx.rankedCandidates = cached.rankedCandidates;
+  ctx.candidates = cached.rankedCandidates.map((candidate) => candidate.text);
+  ctx.generationId = cached.generationId;
+
+  if (ctx.input.onDelta) {
+    ctx.input.onDelta(ctx.reply);
+  }
+
+  if (ctx.input.userId && deps.getUsage) {
+    ctx.usage = await deps.getUsage(ctx.input.userId);
+  }
+
+  console.log(
+    `♻️ [${ctx.label}] Cache hit: "${ctx.reply.substring(0, 50)}..."`
+  );
+}
+
+/**
+ * Request one completion from the company's provider (or the default chain)
+ * using the company's model, temperature and stop sequences for the platform.
+ * With onDelta the completion is streamed and each text delta is passed on
+ * as it arrives. Aborting the signal cancels the request.
+ */
+async function requestCompletion(llm, ctx, userPrompt, onDelta) {
+  return llm.complete(
+    {
+      model: ctx.modelParams.model,
+      system: ctx.systemPrompt,
+      prompt: userPrompt,
+      maxTokens: ctx.maxTokens,
+      temperature: ctx.modelParams.temperature,
+      stopSequences: ctx.modelParams.stopSequences,
+      signal: ctx.input.signal,
+      onDelta,
+    },
+    { provider: ctx.llmProvider }
+  );
+}
+
+/**
+ * Stage: call the model once per requested candidate
+ * Candidates after the first get a variation hint so they don't all take the
+ * same angle. A candidate that fails is dropped as long as one succeeds.
+ * When streaming (input.onDelta), only the first candidate is streamed.
+ */
+async function callModel(ctx, deps) {
+  if (!deps.llm) {
+    throw new Error("LLM providers not initialized. Check your API keys.");
+  }
+
+  const count = ctx.input.n || 1;
+  const results = await Promise.allSettled(
+    Array.from({ length: count }, (_, index) =>
+      requestCompletion(
+        deps.llm,
+        ctx,
+        index === 0
+          ? ctx.userPrompt
+          : `${ctx.userPrompt}\n\n${
+              VARIATION_HINTS[(index - 1) % VARIATION_HINTS.length]
+            }`,
+        index === 0 ? ctx.input.onDelta : undefined
+      )
+    )
+  );
+
+  const completions = results
+    .filter((result) => result.status === "fulfilled")
+    .map((result) => result.value);
+
+  if (completions.length === 0) {
+    throw results[0].reason;
+  }
+
+  if (completions.length < count) {
+    console.warn(
+      `⚠️ [${ctx.label}] ${
+        count - completions.length
+      } of ${count} candidates failed`
+    );
+  }
+
+  ctx.completion = completions[0];
+  ctx.candidates = completions.map((completion) => completion.text);
+  ctx.reply = ctx.candidates[0];
+}
+
+/**
+ * Stage: clean up the model output
+ */
+async function postProcess(ctx) {
+  // Drop empty and duplicate candidates
+  ctx.candidates = [
+    ...new Set(ctx.candidates.map((candidate) => (candidate || "").trim())),
+  ].filter(Boolean);
+  ctx.reply = ctx.candidates[0] || "";
+
+  if (!ctx.reply) {
+    throw httpError(500, "Failed to generate reply - empty response");
+  }
+
+  console.log(
+    `✅ [${ctx.label}] Reply generated: "${ctx.reply.substring(0, 50)}..."`
+  );
+}
+
+/**
+ * Fix one candidate, regenerating it once if a broken rule can't be fixed
+ * @returns {Promise<{text: string, rules: object}>}
+ */
+async function repairCandidate(ctx, deps, candidate, options) {
+  let result = replyRules.enforceRules(candidate, options);
+  const fired = new Set([...result.fixed, ...result.unresolved]);
+  const fixed = new Set(result.fixed);
+  let regenerated = false;
+
+  if (result.unresolved.length > 0 && deps.llm) {
+    const repairPrompt = `${
+      ctx.userPrompt
+    }\n\nA previous attempt broke these rules:\n${replyRules.describeViolations(
+      result.unresolved,
+      options
+    )}\n\nPrevious attempt: "${
+      result.reply
+    }"\n\nWrite a new reply that follows every rule.`;
+
+    try {
+      const completion = await requestCompletion(deps.llm, ctx, repairPrompt);
+      const retry = replyRules.enforceRules(completion.text.trim(), options);
+
+      if (retry.reply && retry.unresolved.length <= result.unresolved.length) {
+        retry.fixed.forEach((id) => fixed.add(id));
+        retry.unresolved.forEach((id) => fired.add(id));
+        result = retry;
+        regenerated = true;
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ [${ctx.label}] Regeneration after rule violations failed:`,
+        error.message
+      );
+    }
+  }
+
+  if (result.unresolved.length > 0) {
+    console.warn(
+      `⚠️ [${ctx.label}] Reply still breaks: ${result.unresolved.join(", ")}`
+    );
+  }
+
+  return {
+    text: result.reply,
+    rules: {
+      fired: [...fired],
+      fixed: [...fixed],
+      regenerated,
+      unresolved: result.unresolved,
+    },
+  };
+}
+
+/**
+ * Stage: check every candidate against the prompt rules (emojis, em-dashes,
+ * sentences, length, quotes/labels), fixing what is safe to fix
+ */
+async function enforceRules(ctx, deps) {
+  const options = replyRules.getRuleOptions({
+    platform: ctx.input.platform,
+    emojiBool: ctx.input.emojiBool,
+    tone: ctx.tone,
+  });
+
+  const repaired = await Promise.all(
+    ctx.candidates.map((candidate) =>
+      repairCandidate(ctx, deps, candidate, options)
+    )
+  );
+
+  ctx.candidates = repaired.map((candidate) => candidate.text);
+  ctx.ruleReports = new Map(
+    repaired.map((candidate) => [candidate.text, candidate.rules])
+  );
+  ctx.reply = ctx.candidates[0];
+}
+
+/**
+ * Stage: score candidates and put the best one first
+ */
+async function rank(ctx, deps) {
+  const { platform, text, emojiBool, judge } = ctx.input;
+  const lengthTarget = {};
+
+  if (ctx.tone && ctx.tone.min_length) {
+    lengthTarget.min = ctx.tone.min_length;
+  }
+  if (ctx.tone && ctx.tone.max_length) {
+    lengthTarget.max = ctx.tone.max_length;
+  }
+
+  ctx.rankedCandidates = await replyRanker.rankReplies(ctx.candidates, {
+    platform,
+    text,
+    emojiBool,
+    lengthTarget,
+    judge: !!judge,
+    llm: deps.llm,
+    provider: ctx.llmProvider,
+  });
+  for (const candidate of ctx.rankedCandidates) {
+    candidate.rules = ctx.ruleReports.get(candidate.text) || null;
+  }
+
+  ctx.reply = ctx.rankedCandidates[0].text;
+  ctx.rules = ctx.rankedCandidates[0].rules;
+}
+
+/**
+ * Stage: track usage for authenticated users, and count anonymous generations
+ * against the client IP's quota
+ * Runs once per request, however many candidates were generated.
+ */
+async function account(ctx, deps) {
+  if (ctx.input.userId && deps.trackUsage) {
+    ctx.usage = await deps.trackUsage(ctx.input.userId, {
+      platform: ctx.input.platform,
+      tone: ctx.tone.name,
+      companyId: ctx.input.companyId,
+      latencyMs: Date.now() - ctx.startedAt,
+    });
+    return;
+  }
+
+  const subject = quotaSubject(ctx.input);
+  if (subject && deps.trackAnonymousUsage) {
+    await deps.trackAnonymousUsage(subject);
+  }
+}
+
+/**
+ * Stage: save the generation to the user's history
+ * Best-effort: a failed insert is logged and the reply is still returned.
+ */
+async function record(ctx, deps) {
+  const { input } = ctx;
+
+  if (!input.userId || !deps.supabase) {
+    return;
+  }
+
+  try {
+    ctx.generationId = await replyHistory.recordGeneration(deps.supabase, {
+      userId: input.userId,
+      companyId: input.companyId,
+      platform: input.platform,
+      tone: ctx.tone.name,
+      vertical: ctx.vertical.id,
+      postText: input.text,
+      postId: input.postId || input.tweetId,
+      authorName: input.authorName,
+      reply: ctx.reply,
+      candidates: ctx.rankedCandidates.length > 1 ? ctx.rankedCandidates : [],
+      promptVersion: ctx.promptVersion,
+      toneProfileVersion: ctx.toneProfileVersion,
+      ragChunkIds: ctx.ragContext
+        ? ctx.ragContext.chunks
+            .map((chunk) => chunk.id || chunk.chunk_id)
+            .filter(Boolean)
+        : [],
+      rules: ctx.rules,
+    });
+  } catch (error) {
+    console.warn(
+      `⚠️ [History] Could not save generation for ${input.userId}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Stage: cache the reply for identical requests within the TTL
+ */
+async function writeCache(ctx, deps) {
+  if (!deps.cache || !ctx.cacheKey || ctx.cached) {
+    return;
+  }
+
+  await deps.cache.set(ctx.cacheKey, {
+    reply: ctx.reply,
+    rules: ctx.rules,
+    rankedCandidates: ctx.rankedCandidates,
+    generationId: ctx.generationId,
+  });
+}
+
+const DEFAULT_STAGES = {
+  gatherContext,
+  buildPrompt,
+  readCache,
+  checkQuota,
+  callModel,
+  postProcess,
+  enforceRules,
+  rank,
+  account,
+  record,
+  writeCache,
+};
+
+/**
+ * Create a generation service
+ *
+ * @param {object} deps
+ * @param {object} deps.llm - Provider router (see llmProviders.createLLMRouter)
+ * @param {object} deps.supabase - Supabase client (optional)
+ * @param {object} deps.openai - OpenAI client for RAG embeddings (optional)
+ * @param {Function} deps.trackUsage - Async (userId, { platform, tone, companyId, latencyMs }) => usage stats (optional)
+ * @param {Function} deps.trackAnonymousUsage - Async (subject) => void, counts a generation by a caller without a user (optional)
+ * @param {Function} deps.checkQuota - Async (subject) => void, throws when the user or anonymous subject is out of quota (optional)
+ * @param {Function} deps.getUsage - Async (userId) => usage stats without counting a generation, for cache hits (optional)
+ * @param {object} deps.cache - Generation cache (see generationCache.createGenerationCache; optional)
+ * @param {object} stageOverrides - Replacement stage functions keyed by stage name
+ * @returns {{generateReply: Function}}
+ */
+function createGenerationService(deps, stageOverrides = {}) {
+  for (const name of Object.keys(stageOverrides)) {
+    if (!STAGES.includes(name)) {
+      throw new Error(`Unknown generation stage: ${name}`);
+    }
+  }
+
+  const stages = STAGES.map((name) => ({
+    name,
+    run: stageOverrides[name] || DEFAULT_STAGES[name],
+  }));
+
+  /**
+   * Generate a reply
+   * @param {object} input
+   * @param {string} input.platform - "linkedin" | "twitter"
+   * @param {string} input.text - Original post text
+   * @param {string} input.tone - Built-in tone or a tone registered for the company
+   * @param {boolean} input.emojiBool - Whether emojis are allowed
+   * @param {string} input.vertical - Vertical pack id (optional)
+   * @param {boolean} input.web3Bool - Legacy alias: truthy selects "web3", falsy "general" (optional)
+   * @param {string} input.defaultVertical - Used when neither is sent and the company has no default
+   * @param {string} input.companyId - Company for RAG context (optional)
+   * @param {string} input.authorName - Post author (optional)
+   * @param {string} input.tweetId - Tweet to load thread replies for (optional)
+   * @param {string} input.postId - Post ID saved with the history entry (default: tweetId)
+   * @param {string} input.userId - Authenticated user (optional)
+   * @param {string} input.clientIp - Caller's IP address, meters generations without a user (optional)
+   * @param {string} input.label - Log label (default: platform label)
+   * @param {number} input.n - Number of candidates to generate (default: 1)
+   * @param {boolean} input.judge - Also rank candidates with an LLM judge
+   * @param {boolean} input.cache - false skips the cache lookup (default: true)
+   * @param {Function} input.onDelta - Stream the reply: called with each text delta (optional)
+   * @param {AbortSignal} input.signal - Cancels the generation (optional)
+   * @returns {Promise<object>} - Final context: { reply, rules, rankedCandidates, usage, promptVersion, generationId, cached, ... }
+   */
+  async function generateReply(input) {
+    if (!PLATFORMS[input.platform]) {
+      throw httpError(400, `Unsupported platform: ${input.platform}`);
+    }
+
+    const ctx = {
+      input,
+      label: input.label || PLATFORMS[input.platform].label,
+      startedAt: Date.now(),
+      tone: null,
+      vertical: null,
+      llmProvider: null,
+      modelParams: {},
+      operatorTone: null,
+      toneProfileVersion: null,
+      feedbackExamples: [],
+      ragContext: null,
+      tweetReplies: [],
+      promptVersion: null,
+      completion: null,
+      candidates: [],
+      ruleReports: new Map(),
+      rankedCandidates: [],
+      reply: null,
+      rules: null,
+      usage: null,
+      generationId: null,
+      cacheKey: null,
+      cached: false,
+    };
+
+    for (const stage of stages) {
+      // Stop before doing (or counting) more work for a client that left
+      if (input.signal && input.signal.aborted) {
+        throw httpError(499, "Generation cancelled by the client");
+      }
+      if (ctx.cached && SKIPPED_ON_CACHE_HIT.includes(stage.name)) {
+        continue;
+      }
+      await stage.run(ctx, deps);
+    }
+
+    return ctx;
+  }
+
+  return { generateReply };
+}
+
+/**
+ * Map a generation error to an HTTP status and message
+ * @param {Error} error - Error thrown by the pipeline
+ * @returns {{status: number, message: string, details: object, retryAfter: number}}
+ */
+function describeGenerationError(error) {
+  // Our own errors (validation, plan quota) pass through as they are
+  if (error.expose) {
+    return {
+      status: error.status,
+      message: error.message,
+      details: error.details,
+      retryAfter: error.retryAfter,
+    };
+  }
+
+  const provider =
+    llmProviders.PROVIDER_LABELS[error.provider] || "the model provider";
+
+  // Handle specific provider errors
+  if (
+    error.status === 401 ||
+    error.message?.includes("401") ||
+    error.message?.includes("Unauthorized")
+  ) {
+    return {
+      status: 401,
+      message: `Invalid ${provider} API key. Check your .env file.`,
+    };
+  }
+
+  if (
+    error.status === 429 ||
+    error.message?.includes("429") ||
+    error.message?.includes("rate_limit")
+  ) {
+    const retryAfter = Number(error.headers?.["retry-after"]);
+    return {
+      status: 429,
+      message: `Rate limited by ${provider}. Please try again in a moment.`,
+      retryAfter: retryAfter > 0 ? Math.ceil(retryAfter) : undefined,
+    };
+  }
+
+  if (
+    error.message?.includes("API key") ||
+    error.message?.includes("authentication")
+  ) {
+    return {
+      status: 401,
+      message: `${provider} API key issue: ${error.message}`,
+    };
+  }
+
+  return {
+    status: 500,
+    message: error.message || "An error occurred while generating the reply",
+  };
+}
+
+module.exports = {
+  TONES,
+  INVALID_TONE_MESSAGE,
+  PLATFORMS,
+  MAX_CANDIDATES,
+  STAGES,
+  DEFAULT_STAGES,
+  validateCandidateCount,
+  validateReplyRequest,
+  loadOperatorTone,
+  createGenerationService,
+  describeGenerationError,
+};
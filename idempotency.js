@@ -0,0 +1,338 @@
+/**
+ * Idempotency Module
+ * Idempotency-Key support, so a client can safely retry a request after a
+ * network error without generating (and counting) a reply twice or creating
+ * a second document row.
+ *
+ * The first response for a key and user (or client IP when unauthenticated)
+ * is stored for a window and replayed, with an Idempotent-Replayed header, for
+ * retries. A retry that arrives while the first request is still running gets
+ * 409, and reusing a key for a different request gets 422.
+ *
+ * Only successful (2xx) JSON responses are stored. Errors and streamed (SSE)
+ * responses release the key, so the retry runs the request again. A client
+ * that disconnects doesn't release the key: the request keeps running and
+ * its response is stored for the retry.
+ *
+ * Keys live in a store: the in-memory store works for a single instance, the
+ * Supabase store (idempotency_keys table) shares them between instances.
+ */
+
+const crypto = require("crypto");
+const { stableStringify } = require("./generationCache");
+
+/**
+ * How long a completed response is replayed
+ */
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * How long an in-flight key blocks retries if its request never finishes
+ * (e.g. the server restarted mid-request)
+ */
+const IN_FLIGHT_SECONDS = 5 * 60;
+
+/**
+ * How often the memory store drops expired keys
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Printable ASCII, at most 255 characters
+ */
+const KEY_REGEX = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Hash what makes two requests "the same": method, URL, body and file
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+function fingerprintRequest(req) {
+  const file = req.file
+    ? {
+        name: req.file.originalname,
+        size: req.file.size,
+        sha256: crypto
+          .createHash("sha256")
+          .update(req.file.buffer)
+          .digest("hex"),
+      }
+    : null;
+
+  return crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        method: req.method,
+        url: req.originalUrl,
+        body: req.body || null,
+        file,
+      })
+    )
+    .digest("hex");
+}
+
+/**
+ * Keep keys in process memory
+ * @param {object} options
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {{begin: Function, complete: Function, release: Function, close: Function}}
+ */
+function createMemoryStore(options = {}) {
+  const { now = Date.now } = options;
+  const records = new Map();
+
+  const sweeper = setInterval(() => {
+    const current = now();
+    for (const [key, record] of records) {
+      if (record.expiresAt <= current) {
+        records.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    async begin(key, fingerprint, ttlSeconds) {
+      const record = records.get(key);
+      if (record && record.expiresAt > now()) {
+        return record;
+      }
+
+      records.set(key, {
+        fingerprint,
+        state: "in_flight",
+        response: null,
+        expiresAt: now() + ttlSeconds * 1000,
+      });
+      return null;
+    },
+
+    async complete(key, response, ttlSeconds) {
+      const record = records.get(key);
+      if (record) {
+        record.state = "completed";
+        record.response = response;
+        record.expiresAt = now() + ttlSeconds * 1000;
+      }
+    },
+
+    async release(key) {
+      records.delete(key);
+    },
+
+    close() {
+      clearInterval(sweeper);
+    },
+  };
+}
+
+/**
+ * Keep keys in Supabase so every server instance shares them
+ * The primary key makes claiming a key atomic: of two concurrent requests
+ * only one insert succeeds.
+ *
+ * @param {object} supabase - Supabase client
+ * @returns {{begin: Function, complete: Function, release: Function}}
+ */
+function createSupabaseStore(supabase) {
+  async function begin(key, fingerprint, ttlSeconds, attempt = 0) {
+    const { error } = await supabase.from("idempotency_keys").insert({
+      key,
+      fingerprint,
+      state: "in_flight",
+      expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+    });
+
+    if (!error) {
+      return null;
+    }
+    // Anything but a duplicate key is a real failure
+    if (error.code !== "23505") {
+      throw error;
+    }
+
+    const { data, error: readError } = await supabase
+      .from("idempotency_keys")
+      .select("fingerprint, state, response, expires_at")
+      .eq("key", key)
+      .maybeSingle();
+
+    if (readError) {
+      throw readError;
+    }
+
+    const expired = !data || new Date(data.expires_at).getTime() <= Date.now();
+    if (!expired) {
+      return {
+        fingerprint: data.fingerprint,
+        state: data.state,
+        response: data.response,
+      };
+    }
+
+    if (attempt > 0) {
+      throw new Error(`Could not claim idempotency key ${key}`);
+    }
+
+    // Only delete the expired row we read, not one another request just made
+    if (data) {
+      await supabase
+        .from("idempotency_keys")
+        .delete()
+        .eq("key", key)
+        .eq("expires_at", data.expires_at);
+    }
+    return begin(key, fingerprint, ttlSeconds, attempt + 1);
+  }
+
+  return {
+    begin,
+
+    async complete(key, response, ttlSeconds) {
+      const { error } = await supabase
+        .from("idempotency_keys")
+        .update({
+          state: "completed",
+          response,
+          expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        })
+        .eq("key", key);
+
+      if (error) {
+        throw error;
+      }
+    },
+
+    async release(key) {
+      const { error } = await supabase
+        .from("idempotency_keys")
+        .delete()
+        .eq("key", key);
+
+      if (error) {
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Create the Idempotency-Key middleware
+ * Runs after the auth middleware so req.auth is set, and after body parsing
+ * (including multer for uploads) so the request can be fingerprinted.
+ * Requests without the header pass straight through. If the store fails the
+ * request runs without idempotency rather than failing.
+ *
+ * @param {object} options
+ * @param {object} options.store - { begin, complete, release } (default: memory store)
+ * @param {number} options.ttlSeconds - How long responses are replayed (default: DEFAULT_TTL_SECONDS)
+ * @returns {Function} - Express middleware
+ */
+function createIdempotencyMiddleware(options = {}) {
+  const { store = createMemoryStore(), ttlSeconds = DEFAULT_TTL_SECONDS } =
+    options;
+
+  return async (req, res, next) => {
+    const idempotencyKey = req.get("idempotency-key");
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (!KEY_REGEX.test(idempotencyKey)) {
+      return res.status(400).json({
+        error:
+          "Invalid Idempotency-Key. Use 1-255 printable ASCII characters, e.g. a UUID.",
+      });
+    }
+
+    const clientKey = req.auth?.userId
+      ? `user:${req.auth.userId}`
+      : `ip:${req.ip}`;
+    const key = `${clientKey}:${idempotencyKey}`;
+    const fingerprint = fingerprintRequest(req);
+
+    let existing;
+    try {
+      existing = await store.begin(key, fingerprint, IN_FLIGHT_SECONDS);
+    } catch (error) {
+      console.warn(
+        "⚠️ [Idempotency] Store unavailable, running request:",
+        error.message
+      );
+      return next();
+    }
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          error:
+            "This Idempotency-Key was already used for a different request.",
+          code: "idempotency_key_reused",
+        });
+      }
+
+      if (existing.state === "in_flight") {
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still in progress.",
+          code: "idempotency_in_flight",
+        });
+      }
+
+      console.log(`🔁 [Idempotency] Replaying response for ${key}`);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.response.status).json(existing.response.body);
+    }
+
+    let settled = false;
+    const settle = (body) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      const stored =
+        body !== undefined && res.statusCode >= 200 && res.statusCode < 300;
+      const work = stored
+        ? store.complete(key, { status: res.statusCode, body }, ttlSeconds)
+        : store.release(key);
+
+      work.catch((error) => {
+        console.warn(
+          `⚠️ [Idempotency] Could not ${
+            stored ? "save" : "release"
+          } key ${key}:`,
+          error.message
+        );
+      });
+    };
+
+    // Settle when the handler responds, even if the client has already gone:
+    // a client that disconnected is the one most likely to retry
+    const json = res.json.bind(res);
+    res.json = (value) => {
+      settle(value);
+      return json(value);
+    };
+    res.on("finish", () => settle(undefined));
+    res.on("close", () => {
+      // A streamed generation is cancelled when the client disconnects, so
+      // the retry should run it again
+      if (String(res.getHeader("content-type")).includes("text/event-stream")) {
+        settle(undefined);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  IN_FLIGHT_SECONDS,
+  fingerprintRequest,
+  createMemoryStore,
+  createSupabaseStore,
+  createIdempotencyMiddleware,
+};
@@ -0,0 +1,172 @@
+/**
+ * Ingestion Progress Module
+ * Tracks how far a document's ingestion has got, persisted on the document
+ * row (company_documents.progress) so any server instance can report it:
+ *
+ *   { stage, current, total, percent, started_at, updated_at, eta_at }
+ *
+ * Stages cover a fixed share of the overall percentage and advance within it
+ * as current/total grows. Chunks are embedded and stored batch by batch, so
+ * the embedding and storing stages alternate over one share: the stage says
+ * which step the latest batch is in, current counts the chunks stored. The
+ * ETA extrapolates the time taken so far.
+ *
+ * Updates are also published in-process, so a progress stream on the
+ * instance running the job sees them without waiting for the next poll.
+ */
+
+const { EventEmitter } = require("events");
+
+/**
+ * Share of the overall percentage covered by each stage: [from, to]
+ */
+const STAGES = {
+  queued: [0, 0],
+  extracting: [0, 10],
+  chunking: [10, 15],
+  embedding: [15, 100],
+  storing: [15, 100],
+  completed: [100, 100],
+};
+
+/**
+ * No ETA before this percentage: extraction time says little about the rest
+ */
+const MIN_PERCENT_FOR_ETA = 15;
+
+/**
+ * Least time between two progress writes for the same stage
+ */
+const DEFAULT_MIN_INTERVAL_MS = 1000;
+
+/**
+ * How often a progress stream re-reads the document row
+ */
+const POLL_INTERVAL_MS = 2000;
+
+const progressEvents = new EventEmitter();
+// One listener per open progress stream
+progressEvents.setMaxListeners(0);
+
+/**
+ * Compute a progress record
+ * @param {object} options
+ * @param {string} options.stage - One of STAGES
+ * @param {number} options.current - Items done in this stage (e.g. chunks embedded)
+ * @param {number} options.total - Items in this stage (0 when not counted)
+ * @param {number} options.startedAt - When processing started (ms since epoch)
+ * @param {number} options.now - Current time (ms since epoch)
+ * @returns {object} - { stage, current, total, percent, started_at, updated_at, eta_at }
+ */
+function computeProgress({ stage, current = 0, total = 0, startedAt, now }) {
+  const [from, to] = STAGES[stage];
+  const fraction = total > 0 ? Math.min(1, current / total) : 0;
+  const percent = Math.round(from + (to - from) * fraction);
+
+  let etaAt = null;
+  if (percent >= MIN_PERCENT_FOR_ETA && percent < 100) {
+    const elapsed = now - startedAt;
+    etaAt = new Date(
+      now + Math.round((elapsed * (100 - percent)) / percent)
+    ).toISOString();
+  }
+
+  return {
+    stage,
+    current,
+    total,
+    percent,
+    started_at: new Date(startedAt).toISOString(),
+    updated_at: new Date(now).toISOString(),
+    eta_at: etaAt,
+  };
+}
+
+/**
+ * Create a progress reporter for one ingestion attempt
+ * Writes are throttled to one per minIntervalMs within a stage; a new stage
+ * or the last item of a stage is always written. Progress is best-effort: a
+ * failed write is logged and never fails the ingestion.
+ *
+ * @param {object} options
+ * @param {object} options.supabase - Supabase client
+ * @param {string} options.documentId - Document UUID
+ * @param {number} options.minIntervalMs - Least time between writes (default: DEFAULT_MIN_INTERVAL_MS)
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {{report: Function}}
+ */
+function createProgressReporter(options) {
+  const {
+    supabase,
+    documentId,
+    minIntervalMs = DEFAULT_MIN_INTERVAL_MS,
+    now = Date.now,
+  } = options;
+
+  const startedAt = now();
+  let latest = null;
+  let lastWriteAt = 0;
+  let writing = Promise.resolve();
+
+  /**
+   * Record progress
+   * @param {string} stage - One of STAGES
+   * @param {number} current - Items done in this stage (optional)
+   * @param {number} total - Items in this stage (optional)
+   * @returns {Promise<void>} - Resolves once the update is written (or skipped)
+   */
+  function report(stage, current = 0, total = 0) {
+    const previous = latest;
+    latest = computeProgress({ stage, current, total, startedAt, now: now() });
+    progressEvents.emit(documentId, latest);
+
+    const due =
+      !previous ||
+      previous.stage !== stage ||
+      current >= total ||
+      now() - lastWriteAt >= minIntervalMs;
+    if (!due) {
+      return writing;
+    }
+
+    lastWriteAt = now();
+    const progress = latest;
+    // Chain writes so an older update can't land after a newer one
+    writing = writing.then(async () => {
+      const { error } = await supabase
+        .from("company_documents")
+        .update({ progress })
+        .eq("id", documentId);
+
+      if (error) {
+        console.warn(
+          `⚠️ [Progress] Could not save progress for ${documentId}:`,
+          error.message
+        );
+      }
+    });
+    return writing;
+  }
+
+  return { report };
+}
+
+/**
+ * Listen for progress updates made by this process
+ * @param {string} documentId - Document UUID
+ * @param {Function} listener - Called with each progress record
+ * @returns {Function} - Unsubscribe
+ */
+function subscribe(documentId, listener) {
+  progressEvents.on(documentId, listener);
+  return () => progressEvents.off(documentId, listener);
+}
+
+module.exports = {
+  STAGES,
+  MIN_PERCENT_FOR_ETA,
+  POLL_INTERVAL_MS,
+  computeProgress,
+  createProgressReporter,
+  subscribe,
+};
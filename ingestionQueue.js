@@ -0,0 +1,815 @@
+/**
+ * Ingestion Queue Module
+ * Durable background jobs for document and URL ingestion. Uploads enqueue a
+ * job instead of processing inside the request, so a restart no longer loses
+ * the work:
+ *
+ *   queued -> running -> completed
+ *                     -> queued again after a backoff (retry)
+ *                     -> failed (after maxAttempts, or a non-retryable error)
+ *
+ * Running jobs send heartbeats; a running job whose worker stopped sending
+ * them (the process died) is queued again. At most companyConcurrency jobs
+ * run per company at once, so one large upload can't hold up other companies.
+ *
+ * Drivers store the jobs: the Supabase driver (ingestion_jobs table,
+ * claim_ingestion_job) is durable and shared between instances; the local
+ * driver keeps jobs in process memory, for tests and local development.
+ *
+ * Uploaded files don't go in the job: a file store keeps them (Supabase
+ * Storage, or memory alongside the local driver) and the job only holds the
+ * path. The file is removed once its job completes or fails for good.
+ */
+
+const crypto = require("crypto");
+const os = require("os");
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_COMPANY_CONCURRENCY = 1;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+/**
+ * Supabase Storage bucket holding uploads until they are ingested
+ */
+const DEFAULT_BUCKET = "ingestion-uploads";
+
+/**
+ * Retry delays: 5s, 10s, 20s, ... up to 10 minutes
+ */
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * A running job without a heartbeat for this long has lost its worker
+ */
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+const STALE_JOB_MESSAGE = "Worker stopped while processing";
+
+const ORPHANED_DOCUMENT_MESSAGE =
+  "Processing was interrupted and the file is no longer available. Please upload it again.";
+
+/**
+ * Job columns returned to callers
+ */
+const JOB_COLUMNS =
+  "id, document_id, company_id, kind, payload, file_path, status, attempts, run_at, last_error, locked_by, locked_at, created_at, updated_at, completed_at";
+
+/**
+ * Delay before retrying a job
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} - Milliseconds
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+}
+
+/**
+ * Keep uploaded files in process memory (use with the local driver)
+ * @returns {{put: Function, get: Function, remove: Function}}
+ */
+function createMemoryFileStore() {
+  const files = new Map();
+
+  return {
+    async put(path, file) {
+      files.set(path, file);
+    },
+
+    async get(path) {
+      if (!files.has(path)) {
+        throw new Error(`Uploaded file ${path} not found`);
+      }
+      return files.get(path);
+    },
+
+    async remove(path) {
+      files.delete(path);
+    },
+  };
+}
+
+/**
+ * Keep uploaded files in a Supabase Storage bucket, so every server instance
+ * can reach them without sending them through the ingestion_jobs table
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} bucket - Private bucket name (default: DEFAULT_BUCKET)
+ * @returns {{put: Function, get: Function, remove: Function}}
+ */
+function createStorageFileStore(supabase, bucket = DEFAULT_BUCKET) {
+  const storage = () => supabase.storage.from(bucket);
+
+  return {
+    async put(path, file) {
+      const { error } = await storage().upload(path, file, { upsert: false });
+      if (error) {
+        throw error;
+      }
+    },
+
+    async get(path) {
+      const { data, error } = await storage().download(path);
+      if (error) {
+        throw error;
+      }
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(path) {
+      const { error } = await storage().remove([path]);
+      if (error) {
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Keep jobs in process memory
+ * Jobs are lost on restart, so use it for tests and local development only.
+ *
+ * @param {object} options
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {object} - Driver
+ */
+function createLocalDriver(options = {}) {
+  const { now = Date.now } = options;
+  const jobs = new Map();
+
+  const timestamp = () => new Date(now()).toISOString();
+  const copy = (job) => ({ ...job });
+
+  function update(jobId, changes) {
+    const job = jobs.get(jobId);
+    if (job) {
+      Object.assign(job, changes, { updated_at: timestamp() });
+    }
+  }
+
+  return {
+    async enqueue(job) {
+      const record = {
+        id: crypto.randomUUID(),
+        ...job,
+        status: "queued",
+        attempts: 0,
+        run_at: timestamp(),
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        created_at: timestamp(),
+        updated_at: timestamp(),
+        completed_at: null,
+      };
+      jobs.set(record.id, record);
+      return copy(record);
+    },
+
+    async claim(workerId, companyLimit) {
+      const running = new Map();
+      for (const job of jobs.values()) {
+        if (job.status === "running") {
+          running.set(job.company_id, (running.get(job.company_id) || 0) + 1);
+        }
+      }
+
+      const [job] = [...jobs.values()]
+        .filter(
+          (candidate) =>
+            candidate.status === "queued" &&
+            Date.parse(candidate.run_at) <= now() &&
+            (running.get(candidate.company_id) || 0) < companyLimit
+        )
+        .sort((a, b) => Date.parse(a.run_at) - Date.parse(b.run_at));
+
+      if (!job) {
+        return null;
+      }
+
+      update(job.id, {
+        status: "running",
+        attempts: job.attempts + 1,
+        locked_by: workerId,
+        locked_at: timestamp(),
+      });
+      return { ...job };
+    },
+
+    async heartbeat(workerId, jobIds) {
+      for (const jobId of jobIds) {
+        if (jobs.get(jobId)?.locked_by === workerId) {
+          update(jobId, { locked_at: timestamp() });
+        }
+      }
+    },
+
+    async complete(jobId) {
+      update(jobId, {
+        status: "completed",
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: timestamp(),
+      });
+    },
+
+    async retry(jobId, message, runAt) {
+      update(jobId, {
+        status: "queued",
+        run_at: runAt,
+        last_error: message,
+        locked_by: null,
+        locked_at: null,
+      });
+    },
+
+    async fail(jobId, message) {
+      update(jobId, {
+        status: "failed",
+        last_error: message,
+        locked_by: null,
+        locked_at: null,
+        completed_at: timestamp(),
+      });
+    },
+
+    async releaseStale(staleBefore, maxAttempts) {
+      const requeued = [];
+      const failed = [];
+
+      for (const job of jobs.values()) {
+        if (job.status !== "running" || job.locked_at >= staleBefore) {
+          continue;
+        }
+
+        if (job.attempts >= maxAttempts) {
+          await this.fail(job.id, STALE_JOB_MESSAGE);
+          failed.push(copy(job));
+        } else {
+          await this.retry(job.id, STALE_JOB_MESSAGE, timestamp());
+          requeued.push(copy(job));
+        }
+      }
+
+      return { requeued, failed };
+    },
+
+    async listForDocuments(documentIds) {
+      return [...jobs.values()]
+        .filter((job) => documentIds.includes(job.document_id))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(copy);
+    },
+  };
+}
+
+/**
+ * Keep jobs in Supabase (ingestion_jobs) so they survive restarts and every
+ * server instance works through the same queue
+ *
+ * @param {object} supabase - Supabase client
+ * @returns {object} - Driver
+ */
+function createSupabaseDriver(supabase) {
+  const jobs = () => supabase.from("ingestion_jobs");
+
+  async function unwrap(query) {
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  return {
+    async enqueue(job) {
+      return unwrap(jobs().insert(job).select(JOB_COLUMNS).single());
+    },
+
+    async claim(workerId, companyLimit) {
+      // claim_ingestion_job picks the next due job and marks it running
+      const data = await unwrap(
+        supabase.rpc("claim_ingestion_job", {
+          p_worker: workerId,
+          p_company_limit: companyLimit,
+        })
+      );
+      return Array.isArray(data) ? data[0] || null : data;
+    },
+
+    async heartbeat(workerId, jobIds) {
+      await unwrap(
+        jobs()
+          .update({ locked_at: new Date().toISOString() })
+          .in("id", jobIds)
+          .eq("locked_by", workerId)
+      );
+    },
+
+    async complete(jobId) {
+      const completedAt = new Date().toISOString();
+      await unwrap(
+        jobs()
+          .update({
+            status: "completed",
+            last_error: null,
+            locked_by: null,
+            locked_at: null,
+            completed_at: completedAt,
+            updated_at: completedAt,
+          })
+          .eq("id", jobId)
+      );
+    },
+
+    async retry(jobId, message, runAt) {
+      await unwrap(
+        jobs()
+          .update({
+            status: "queued",
+            run_at: runAt,
+            last_error: message,
+            locked_by: null,
+            locked_at: null,
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", jobId)
+      );
+    },
+
+    async fail(jobId, message) {
+      const failedAt = new Date().toISOString();
+      await unwrap(
+        jobs()
+          .update({
+            status: "failed",
+            last_error: message,
+            locked_by: null,
+            locked_at: null,
+            completed_at: failedAt,
+            updated_at: failedAt,
+          })
+          .eq("id", jobId)
+      );
+    },
+
+    async releaseStale(staleBefore, maxAttempts) {
+      const releasedAt = new Date().toISOString();
+
+      // Out of attempts first, so the re-queue below only sees the rest
+      const failed = await unwrap(
+        jobs()
+          .update({
+            status: "failed",
+            last_error: STALE_JOB_MESSAGE,
+            locked_by: null,
+            locked_at: null,
+            completed_at: releasedAt,
+            updated_at: releasedAt,
+          })
+          .eq("status", "running")
+          .lt("locked_at", staleBefore)
+          .gte("attempts", maxAttempts)
+          .select(JOB_COLUMNS)
+      );
+
+      const requeued = await unwrap(
+        jobs()
+          .update({
+            status: "queued",
+            run_at: releasedAt,
+            last_error: STALE_JOB_MESSAGE,
+            locked_by: null,
+            locked_at: null,
+            updated_at: releasedAt,
+          })
+          .eq("status", "running")
+          .lt("locked_at", staleBefore)
+          .select(JOB_COLUMNS)
+      );
+
+      return { requeued, failed };
+    },
+
+    async listForDocuments(documentIds) {
+      return unwrap(
+        jobs()
+          .select(JOB_COLUMNS)
+          .in("document_id", documentIds)
+          .order("created_at", { ascending: false })
+      );
+    },
+  };
+}
+
+/**
+ * Create the ingestion queue and its worker
+ *
+ * Handlers get the job with `file` (a Buffer, for document jobs) and
+ * `attempts` (1 on the first run). A handler that throws is retried with
+ * exponential backoff unless the error has `retryable: false`.
+ *
+ * @param {object} options
+ * @param {object} options.driver - Local or Supabase driver
+ * @param {object} options.files - File store for uploads: { put, get, remove } (default: memory file store)
+ * @param {object} options.handlers - { [kind]: async (job) => void }
+ * @param {Function} options.onFailed - Async (job, error) => void, called once a job has failed for good (optional)
+ * @param {number} options.concurrency - Jobs this worker runs at once (default: DEFAULT_CONCURRENCY)
+ * @param {number} options.companyConcurrency - Jobs running per company across workers (default: DEFAULT_COMPANY_CONCURRENCY)
+ * @param {number} options.maxAttempts - Attempts before a job fails (default: DEFAULT_MAX_ATTEMPTS)
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {{enqueue: Function, getJobs: Function, start: Function, stop: Function, sweepStale: Function}}
+ */
+function createIngestionQueue(options) {
+  const {
+    driver,
+    files = createMemoryFileStore(),
+    handlers,
+    onFailed,
+    concurrency = DEFAULT_CONCURRENCY,
+    companyConcurrency = DEFAULT_COMPANY_CONCURRENCY,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    now = Date.now,
+  } = options;
+
+  const workerId = `${os.hostname()}:${process.pid}:${crypto
+    .randomUUID()
+    .slice(0, 8)}`;
+  const active = new Map();
+  let started = false;
+  let pumping = false;
+  let pumpAgain = false;
+  let lastSweep = 0;
+  let pollTimer = null;
+  let heartbeatTimer = null;
+
+  /**
+   * Public view of a job
+   * @param {object} job - Driver record
+   * @returns {object}
+   */
+  function describeJob(job) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      status: job.status,
+      attempts: job.attempts,
+      max_attempts: maxAttempts,
+      next_attempt_at: job.status === "queued" ? job.run_at : null,
+      last_error: job.last_error,
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      completed_at: job.completed_at,
+    };
+  }
+
+  /**
+   * Queue a job
+   * @param {string} kind - Handler name, e.g. "document" | "url"
+   * @param {object} job
+   * @param {string} job.documentId - company_documents row being ingested
+   * @param {string} job.companyId - Owning company
+   * @param {object} job.payload - Handler input, e.g. { fileType } or { url }
+   * @param {Buffer} job.file - File contents, kept in the file store until the job is done (optional)
+   * @returns {Promise<object>} - Job (see describeJob)
+   */
+  async function enqueue(kind, { documentId, companyId, payload = {}, file }) {
+    if (!handlers[kind]) {
+      throw new Error(`Unknown ingestion job kind: ${kind}`);
+    }
+
+    let filePath = null;
+    if (file) {
+      filePath = `${companyId}/${documentId}/${crypto.randomUUID()}`;
+      await files.put(filePath, file);
+    }
+
+    let job;
+    try {
+      job = await driver.enqueue({
+        kind,
+        document_id: documentId,
+        company_id: companyId,
+        payload,
+        file_path: filePath,
+      });
+    } catch (error) {
+      await discardFile(filePath);
+      throw error;
+    }
+    console.log(
+      `📥 [Ingestion] Queued ${kind} job ${job.id} for ${documentId}`
+    );
+
+    if (started) {
+      pump();
+    }
+    return describeJob(job);
+  }
+
+  /**
+   * Latest job for each document
+   * @param {Array<string>} documentIds
+   * @returns {Promise<Map<string, object>>} - documentId -> job (see describeJob)
+   */
+  async function getJobs(documentIds) {
+    const latest = new Map();
+    if (documentIds.length === 0) {
+      return latest;
+    }
+
+    for (const job of await driver.listForDocuments(documentIds)) {
+      if (!latest.has(job.document_id)) {
+        latest.set(job.document_id, describeJob(job));
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Remove a job's upload once nothing will read it again
+   * Best-effort: a leftover file is only wasted space.
+   * @param {string} filePath - job.file_path (may be null)
+   */
+  async function discardFile(filePath) {
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      await files.remove(filePath);
+    } catch (error) {
+      console.warn(
+        `⚠️ [Ingestion] Could not remove uploaded file ${filePath}:`,
+        error.message
+      );
+    }
+  }
+
+  async function settleFailure(job, error) {
+    const retry = error.retryable !== false && job.attempts < maxAttempts;
+
+    try {
+      if (retry) {
+        const delayMs = backoffDelay(job.attempts);
+        await driver.retry(
+          job.id,
+          error.message,
+          new Date(now() + delayMs).toISOString()
+        );
+        console.warn(
+          `⚠️ [Ingestion] ${job.kind} job ${job.id} failed (attempt ${
+            job.attempts
+          }/${maxAttempts}), retrying in ${Math.round(delayMs / 1000)}s:`,
+          error.message
+        );
+        return;
+      }
+
+      await driver.fail(job.id, error.message);
+      await discardFile(job.file_path);
+      console.error(
+        `❌ [Ingestion] ${job.kind} job ${job.id} failed after ${job.attempts} attempt(s):`,
+        error.message
+      );
+      if (onFailed) {
+        await onFailed(job, error);
+      }
+    } catch (storeError) {
+      console.error(
+        `❌ [Ingestion] Could not record failure of job ${job.id}:`,
+        storeError.message
+      );
+    }
+  }
+
+  async function runJob(job) {
+    try {
+      const file = job.file_path ? await files.get(job.file_path) : null;
+      await handlers[job.kind]({ ...job, file });
+      await driver.complete(job.id);
+      await discardFile(job.file_path);
+    } catch (error) {
+      await settleFailure(job, error);
+    }
+  }
+
+  /**
+   * Claim and start jobs until this worker is busy or nothing is due
+   */
+  async function pump() {
+    if (pumping) {
+      pumpAgain = true;
+      return;
+    }
+    pumping = true;
+
+    try {
+      do {
+        pumpAgain = false;
+        while (started && active.size < concurrency) {
+          const job = await driver.claim(workerId, companyConcurrency);
+          if (!job) {
+            break;
+          }
+
+          if (!handlers[job.kind]) {
+            await settleFailure(
+              job,
+              Object.assign(new Error(`Unknown job kind: ${job.kind}`), {
+                retryable: false,
+              })
+            );
+            continue;
+          }
+
+          active.set(
+            job.id,
+            runJob(job).finally(() => {
+              active.delete(job.id);
+              if (started) {
+                pump();
+              }
+            })
+          );
+        }
+      } while (pumpAgain && started);
+    } catch (error) {
+      console.warn("⚠️ [Ingestion] Could not claim jobs:", error.message);
+    } finally {
+      pumping = false;
+    }
+  }
+
+  /**
+   * Re-queue running jobs whose worker stopped heartbeating, and fail the
+   * ones that are out of attempts
+   */
+  async function sweepStale() {
+    lastSweep = now();
+    const { requeued, failed } = await driver.releaseStale(
+      new Date(now() - STALE_AFTER_MS).toISOString(),
+      maxAttempts
+    );
+
+    if (requeued.length > 0) {
+      console.warn(
+        `♻️ [Ingestion] Re-queued ${requeued.length} job(s) whose worker stopped`
+      );
+    }
+    for (const job of failed) {
+      await discardFile(job.file_path);
+      console.error(
+        `❌ [Ingestion] ${job.kind} job ${job.id} failed: ${STALE_JOB_MESSAGE}`
+      );
+      if (onFailed) {
+        await onFailed(job, new Error(STALE_JOB_MESSAGE));
+      }
+    }
+  }
+
+  async function poll() {
+    if (now() - lastSweep >= STALE_AFTER_MS) {
+      try {
+        await sweepStale();
+      } catch (error) {
+        console.warn("⚠️ [Ingestion] Stale job sweep failed:", error.message);
+      }
+    }
+    await pump();
+  }
+
+  async function heartbeat() {
+    if (active.size === 0) {
+      return;
+    }
+
+    try {
+      await driver.heartbeat(workerId, [...active.keys()]);
+    } catch (error) {
+      console.warn("⚠️ [Ingestion] Heartbeat failed:", error.message);
+    }
+  }
+
+  return {
+    enqueue,
+    getJobs,
+    sweepStale,
+
+    /**
+     * Recover jobs left by a stopped worker, then start working the queue
+     */
+    async start() {
+      if (started) {
+        return;
+      }
+      started = true;
+
+      try {
+        await sweepStale();
+      } catch (error) {
+        console.warn("⚠️ [Ingestion] Stale job sweep failed:", error.message);
+      }
+
+      pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+      pollTimer.unref();
+      heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+      heartbeatTimer.unref();
+
+      console.log(`✅ Ingestion worker ${workerId} started`);
+      await pump();
+    },
+
+    /**
+     * Stop claiming jobs and wait for the running ones
+     */
+    async stop() {
+      started = false;
+      clearInterval(pollTimer);
+      clearInterval(heartbeatTimer);
+      await Promise.allSettled([...active.values()]);
+    },
+  };
+}
+
+/**
+ * Deal with documents stuck in "processing" without a live job
+ * (uploaded before a restart that lost them, or before the queue existed).
+ * URLs are fetched again; uploaded files are gone, so those documents fail.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {object} queue - Ingestion queue
+ * @param {string} createdBefore - Only documents created before this ISO time (the worker's start)
+ * @returns {Promise<{requeued: number, failed: number}>}
+ */
+async function recoverOrphanedDocuments(supabase, queue, createdBefore) {
+  const { data: documents, error } = await supabase
+    .from("company_documents")
+    .select("id, company_id, file_type, source_url")
+    .eq("status", "processing")
+    .lt("created_at", createdBefore);
+
+  if (error) {
+    throw error;
+  }
+
+  const jobs = await queue.getJobs(documents.map((document) => document.id));
+  const counts = { requeued: 0, failed: 0 };
+
+  for (const document of documents) {
+    const job = jobs.get(document.id);
+    if (job && (job.status === "queued" || job.status === "running")) {
+      continue;
+    }
+
+    if (!job && document.file_type === "url" && document.source_url) {
+      await queue.enqueue("url", {
+        documentId: document.id,
+        companyId: document.company_id,
+        payload: { url: document.source_url },
+      });
+      counts.requeued++;
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from("company_documents")
+      .update({
+        status: "failed",
+        error_message:
+          job && job.last_error ? job.last_error : ORPHANED_DOCUMENT_MESSAGE,
+      })
+      .eq("id", document.id);
+
+    if (updateError) {
+      throw updateError;
+    }
+    counts.failed++;
+  }
+
+  if (counts.requeued > 0 || counts.failed > 0) {
+    console.warn(
+      `♻️ [Ingestion] Orphaned documents: ${counts.requeued} re-queued, ${counts.failed} marked failed`
+    );
+  }
+  return counts;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_COMPANY_CONCURRENCY,
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_BUCKET,
+  STALE_AFTER_MS,
+  backoffDelay,
+  createMemoryFileStore,
+  createStorageFileStore,
+  createLocalDriver,
+  createSupabaseDriver,
+  createIngestionQueue,
+  recoverOrphanedDocuments,
+};
@@ -0,0 +1,373 @@
+/**
+ * LLM Providers Module
+ * One completion interface over several model providers, so generation and
+ * tone learning don't depend on a single vendor:
+ *
+ *   anthropic - Claude (ANTHROPIC_API_KEY)
+ *   openai    - OpenAI chat completions (OPENAI_API_KEY)
+ *   local     - Any OpenAI-compatible server, e.g. llama.cpp or Ollama (LOCAL_LLM_URL)
+ *   stub      - Canned replies for offline testing
+ *
+ * A provider is { name, label, model, complete(request) }. The router tries
+ * providers in order (a company's preferred provider first) and moves on to
+ * the next one when a provider is rate limited (429), fails (5xx) or can't be
+ * reached.
+ */
+
+const { httpError } = require("./errors");
+
+/**
+ * Provider names, in default failover order
+ */
+const PROVIDERS = ["anthropic", "openai", "local", "stub"];
+
+const PROVIDER_LABELS = {
+  anthropic: "Anthropic",
+  openai: "OpenAI",
+  local: "Local model",
+  stub: "Stub",
+};
+
+const DEFAULT_MODELS = {
+  anthropic: "claude-sonnet-4-5-20250929",
+  openai: "gpt-4o-mini",
+  local: "llama3.1",
+  stub: "stub",
+};
+
+const STUB_REPLY =
+  "Great point - curious how this plays out once more teams try it.";
+
+/**
+ * Check whether a value is a provider name
+ * @param {*} name - Raw value
+ * @returns {boolean}
+ */
+function isProvider(name) {
+  return typeof name === "string" && PROVIDERS.includes(name);
+}
+
+/**
+ * Completion request shared by every provider
+ * @typedef {object} CompletionRequest
+ * @property {string} model - Model to use instead of the provider's default (optional)
+ * @property {string} system - System prompt (optional)
+ * @property {string} prompt - User message
+ * @property {number} maxTokens - Maximum output tokens
+ * @property {number} temperature - Sampling temperature (optional)
+ * @property {Array<string>} stopSequences - Stop sequences (optional)
+ * @property {Function} onDelta - Stream the completion: called with each text delta (optional)
+ * @property {AbortSignal} signal - Cancels the request (optional)
+ */
+
+/**
+ * Claude through the Anthropic SDK
+ * @param {object} options
+ * @param {object} options.client - Anthropic client
+ * @param {string} options.model - Model name (default: DEFAULT_MODELS.anthropic)
+ * @returns {object} - Provider
+ */
+function createAnthropicProvider({ client, model = DEFAULT_MODELS.anthropic }) {
+  return {
+    name: "anthropic",
+    label: PROVIDER_LABELS.anthropic,
+    model,
+
+    /**
+     * @param {CompletionRequest} request
+     * @returns {Promise<{text: string, model: string}>}
+     */
+    async complete(request) {
+      const params = {
+        model: request.model || model,
+        max_tokens: request.maxTokens,
+        messages: [{ role: "user", content: request.prompt }],
+      };
+      if (request.system) {
+        params.system = request.system;
+      }
+      if (request.temperature !== undefined) {
+        params.temperature = request.temperature;
+      }
+      if (request.stopSequences && request.stopSequences.length > 0) {
+        params.stop_sequences = request.stopSequences;
+      }
+      const options = { signal: request.signal };
+
+      let message;
+      if (request.onDelta) {
+        const stream = client.messages.stream(params, options);
+        stream.on("text", (delta) => request.onDelta(delta));
+        message = await stream.finalMessage();
+      } else {
+        message = await client.messages.create(params, options);
+      }
+
+      // Validate response structure
+      if (!message || !message.content || message.content.length === 0) {
+        throw new Error("Claude returned empty response");
+      }
+
+      return {
+        text: message.content[0].type === "text" ? message.content[0].text : "",
+        model: message.model || params.model,
+      };
+    },
+  };
+}
+
+/**
+ * Chat completions through the OpenAI SDK
+ * Also used for local OpenAI-compatible servers (a client with a baseURL).
+ *
+ * @param {object} options
+ * @param {object} options.client - OpenAI client
+ * @param {string} options.model - Model name (default: DEFAULT_MODELS[name])
+ * @param {string} options.name - "openai" | "local" (default: "openai")
+ * @returns {object} - Provider
+ */
+function createOpenAIProvider({ client, name = "openai", model }) {
+  const modelName = model || DEFAULT_MODELS[name];
+
+  return {
+    name,
+    label: PROVIDER_LABELS[name],
+    model: modelName,
+
+    /**
+     * @param {CompletionRequest} request
+     * @returns {Promise<{text: string, model: string}>}
+     */
+    async complete(request) {
+      const params = {
+        model: request.model || modelName,
+        max_tokens: request.maxTokens,
+        messages: [
+          ...(request.system
+            ? [{ role: "system", content: request.system }]
+            : []),
+          { role: "user", content: request.prompt },
+        ],
+      };
+      if (request.temperature !== undefined) {
+        params.temperature = request.temperature;
+      }
+      if (request.stopSequences && request.stopSequences.length > 0) {
+        params.stop = request.stopSequences;
+      }
+      const options = { signal: request.signal };
+
+      if (request.onDelta) {
+        const stream = await client.chat.completions.create(
+          { ...params, stream: true },
+          options
+        );
+
+        let text = "";
+        for await (const chunk of stream) {
+          const delta = chunk.choices[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            request.onDelta(delta);
+          }
+        }
+        return { text, model: params.model };
+      }
+
+      const completion = await client.chat.completions.create(params, options);
+      const text = completion.choices?.[0]?.message?.content;
+
+      if (typeof text !== "string") {
+        throw new Error(`${PROVIDER_LABELS[name]} returned empty response`);
+      }
+
+      return { text, model: completion.model || params.model };
+    },
+  };
+}
+
+/**
+ * Provider that never leaves the process
+ * @param {object} options
+ * @param {Function} options.respond - (request) => reply text (default: a fixed reply)
+ * @returns {object} - Provider
+ */
+function createStubProvider({ respond = () => STUB_REPLY } = {}) {
+  return {
+    name: "stub",
+    label: PROVIDER_LABELS.stub,
+    model: DEFAULT_MODELS.stub,
+
+    /**
+     * @param {CompletionRequest} request
+     * @returns {Promise<{text: string, model: string}>}
+     */
+    async complete(request) {
+      if (request.signal && request.signal.aborted) {
+        throw httpError(499, "Request aborted");
+      }
+
+      const text = await respond(request);
+      if (request.onDelta) {
+        for (const delta of text.split(/(?<=\s)/)) {
+          request.onDelta(delta);
+        }
+      }
+
+      return { text, model: DEFAULT_MODELS.stub };
+    },
+  };
+}
+
+/**
+ * Whether the next provider should get a try after this error
+ * Rate limits, server errors and errors without any response (connection
+ * refused, timeout) fail over; bad requests and auth errors would fail the
+ * same way everywhere, or point at a config problem worth surfacing.
+ */
+function shouldFailOver(error) {
+  if (error.expose) {
+    return false;
+  }
+  return (
+    error.status === undefined || error.status === 429 || error.status >= 500
+  );
+}
+
+/**
+ * Create the provider router
+ *
+ * @param {object} options
+ * @param {Array<object>} options.providers - Configured providers
+ * @param {Array<string>} options.order - Default failover order (default: providers as given, minus stub)
+ * @returns {object} - Router: { complete, has, list, isAvailable }
+ */
+function createLLMRouter({ providers, order }) {
+  const byName = new Map(
+    providers.map((provider) => [provider.name, provider])
+  );
+  const defaultOrder = (
+    order && order.length > 0
+      ? order
+      : providers
+          .map((provider) => provider.name)
+          .filter((name) => name !== "stub")
+  ).filter((name) => byName.has(name));
+
+  /**
+   * Providers to try, in order
+   * @param {string} preferred - Provider to try first (optional, ignored when not configured)
+   * @returns {Array<object>}
+   */
+  function chainFor(preferred) {
+    const names = byName.has(preferred)
+      ? [preferred, ...defaultOrder.filter((name) => name !== preferred)]
+      : defaultOrder;
+    return names.map((name) => byName.get(name));
+  }
+
+  /**
+   * Run a completion, failing over to the next provider when one is down
+   * A streamed completion only fails over before its first delta, so the
+   * client never sees text from two providers. request.model only applies to
+   * the preferred provider; any other provider uses its own model.
+   *
+   * @param {CompletionRequest} request
+   * @param {object} options
+   * @param {string} options.provider - Preferred provider (e.g. the company's)
+   * @returns {Promise<{text: string, model: string, provider: string}>}
+   */
+  async function complete(request, { provider: preferred } = {}) {
+    const chain = chainFor(preferred);
+    if (chain.length === 0) {
+      throw httpError(
+        503,
+        "No LLM provider configured. Set ANTHROPIC_API_KEY, OPENAI_API_KEY or LOCAL_LLM_URL."
+      );
+    }
+
+    let streamed = false;
+    const attempt = request.onDelta
+      ? {
+          ...request,
+          onDelta: (delta) => {
+            streamed = true;
+            request.onDelta(delta);
+          },
+        }
+      : { ...request };
+
+    for (const [index, provider] of chain.entries()) {
+      // A model name belongs to the preferred provider, which may not be
+      // configured here
+      if (index > 0 || provider.name !== preferred) {
+        delete attempt.model;
+      }
+
+      try {
+        const result = await provider.complete(attempt);
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        error.provider = provider.name;
+
+        const next = chain[index + 1];
+        if (
+          !next ||
+          streamed ||
+          (request.signal && request.signal.aborted) ||
+          !shouldFailOver(error)
+        ) {
+          throw error;
+        }
+
+        console.warn(
+          `⚠️ [LLM] ${provider.label} failed (${
+            error.status || error.message
+          }), falling back to ${next.label}`
+        );
+      }
+    }
+  }
+
+  return {
+    complete,
+
+    /**
+     * @param {string} name - Provider name
+     * @returns {boolean} - Whether the provider is configured
+     */
+    has(name) {
+      return byName.has(name);
+    },
+
+    /**
+     * @returns {Array<{name: string, label: string, model: string}>} - Configured providers
+     */
+    list() {
+      return providers.map(({ name, label, model }) => ({
+        name,
+        label,
+        model,
+      }));
+    },
+
+    /**
+     * @returns {boolean} - Whether any provider is in the default order
+     */
+    isAvailable() {
+      return defaultOrder.length > 0;
+    },
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_LABELS,
+  DEFAULT_MODELS,
+  STUB_REPLY,
+  isProvider,
+  createAnthropicProvider,
+  createOpenAIProvider,
+  createStubProvider,
+  createLLMRouter,
+};
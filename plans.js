@@ -0,0 +1,537 @@
+/**
+ * Plans Module
+ * Subscription tiers (free, pro, team) with hard limits on generations, RAG
+ * documents, knowledge storage and tone profile trainings.
+ *
+ * Plans are assigned by admins to users or companies (plan_assignments).
+ * A user gets the best of their own plan and the plans of companies they
+ * belong to; a company gets its own plan, or its owner's. Everyone else is on
+ * free, including callers without a user: their generations are metered per
+ * IP address (see anonymousSubject), so dropping the Authorization header
+ * does not lift the limits.
+ *
+ * Limits that reset (generations, trainings) fail with 429 and Retry-After;
+ * limits that only an upgrade lifts (documents, storage) fail with 402.
+ */
+
+const { httpError } = require("./errors");
+
+const DEFAULT_PLAN = "free";
+
+/**
+ * Plans, lowest to highest
+ */
+const PLAN_ORDER = ["free", "pro", "team"];
+
+const MB = 1024 * 1024;
+
+const PLANS = {
+  free: {
+    label: "Free",
+    limits: {
+      generations_per_day: 20,
+      generations_per_week: 100,
+      rag_documents: 5,
+      storage_bytes: 10 * MB,
+      tone_trainings_per_month: 2,
+    },
+  },
+  pro: {
+    label: "Pro",
+    limits: {
+      generations_per_day: 200,
+      generations_per_week: 1000,
+      rag_documents: 100,
+      storage_bytes: 500 * MB,
+      tone_trainings_per_month: 10,
+    },
+  },
+  team: {
+    label: "Team",
+    limits: {
+      generations_per_day: 1000,
+      generations_per_week: 5000,
+      rag_documents: 1000,
+      storage_bytes: 5 * 1024 * MB,
+      tone_trainings_per_month: 50,
+    },
+  },
+};
+
+const SUBJECT_TYPES = ["user", "company"];
+
+/**
+ * Prefix of quota subjects for callers without a user
+ */
+const ANONYMOUS_PREFIX = "ip:";
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a value is a plan id
+ * @param {*} plan - Raw value
+ * @returns {boolean}
+ */
+function isPlan(plan) {
+  return typeof plan === "string" && PLAN_ORDER.includes(plan);
+}
+
+/**
+ * Get a plan with its id
+ * @param {string} plan - Plan id
+ * @returns {object}
+ */
+function getPlan(plan) {
+  const id = isPlan(plan) ? plan : DEFAULT_PLAN;
+  return { id, ...PLANS[id] };
+}
+
+/**
+ * Quota subject for a caller without a user, used in place of a user ID for
+ * usage counters and generation quota
+ * @param {string} ip - Client IP address
+ * @returns {string} - "ip:<address>"
+ */
+function anonymousSubject(ip) {
+  return `${ANONYMOUS_PREFIX}${ip}`;
+}
+
+/**
+ * Check whether a quota subject is an anonymous caller rather than a user
+ * @param {string} subject - User ID or anonymous subject
+ * @returns {boolean}
+ */
+function isAnonymousSubject(subject) {
+  return typeof subject === "string" && subject.startsWith(ANONYMOUS_PREFIX);
+}
+
+/**
+ * Highest of several plan ids
+ * @param {Array<string>} plans - Plan ids (unknown values are ignored)
+ * @returns {string}
+ */
+function bestPlan(plans) {
+  return plans
+    .filter(isPlan)
+    .reduce(
+      (best, plan) =>
+        PLAN_ORDER.indexOf(plan) > PLAN_ORDER.indexOf(best) ? plan : best,
+      DEFAULT_PLAN
+    );
+}
+
+/**
+ * Error for an exceeded plan limit
+ *
+ * @param {object} options
+ * @param {string} options.limit - Limit name from PLANS[*].limits
+ * @param {object} options.plan - Plan from getPlan
+ * @param {number} options.used - Current usage
+ * @param {Date} options.resetsAt - When the limit resets (omit for 402)
+ * @param {Date} options.now - Current time, for Retry-After
+ * @returns {Error}
+ */
+function limitExceeded({ limit, plan, used, resetsAt, now }) {
+  const allowed = plan.limits[limit];
+  const name = limit.replace(/_/g, " ");
+  const reached = `${plan.label} plan limit reached: ${used}/${allowed} ${name}.`;
+  const message = resetsAt
+    ? `${reached} Try again after ${resetsAt.toISOString()} or upgrade your plan.`
+    : `${reached} Upgrade your plan for more.`;
+
+  return httpError(resetsAt ? 429 : 402, message, {
+    details: {
+      code: "plan_limit_exceeded",
+      limit,
+      plan: plan.id,
+      used,
+      allowed,
+      ...(resetsAt && { resets_at: resetsAt.toISOString() }),
+    },
+    ...(resetsAt && {
+      retryAfter: Math.max(1, Math.ceil((resetsAt - now) / 1000)),
+    }),
+  });
+}
+
+/**
+ * Send an error, including plan limit details and Retry-After
+ * @param {object} res - Express response
+ * @param {Error} error - Error (plan limit or other)
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+
+  res.status(error.status || 500).json({
+    error: error.message || fallbackMessage,
+    ...(error.expose && error.details),
+  });
+}
+
+/**
+ * Validate an admin plan assignment body
+ * @param {object} body - { plan }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePlanAssignment(body) {
+  if (!body || !isPlan(body.plan)) {
+    return `plan must be one of: ${PLAN_ORDER.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Create the plan service
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client
+ * @param {object} deps.usageTracker - From usageTracking.createUsageTracker
+ * @param {Function} deps.now - Clock returning the current Date (default: new Date())
+ * @returns {object}
+ */
+function createPlanService({ supabase, usageTracker, now = () => new Date() }) {
+  async function loadAssignments(subjectType, subjectIds) {
+    if (subjectIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from("plan_assignments")
+      .select("subject_type, subject_id, plan, assigned_by, updated_at")
+      .eq("subject_type", subjectType)
+      .in("subject_id", subjectIds);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Effective plan for a user: their own or their companies', whichever is best
+   * @param {string} userId - Clerk user ID, or an anonymous subject (always free)
+   * @returns {Promise<object>} - Plan from getPlan
+   */
+  async function getUserPlan(userId) {
+    if (isAnonymousSubject(userId)) {
+      return getPlan(DEFAULT_PLAN);
+    }
+
+    const { data: memberships, error } = await supabase
+      .from("user_company_memberships")
+      .select("company_id")
+      .eq("user_id", userId);
+
+    if (error) {
+      throw error;
+    }
+
+    const [own, companies] = await Promise.all([
+      loadAssignments("user", [userId]),
+      loadAssignments(
+        "company",
+        (memberships || []).map((membership) => membership.company_id)
+      ),
+    ]);
+
+    return getPlan(
+      bestPlan([...own, ...companies].map((assignment) => assignment.plan))
+    );
+  }
+
+  /**
+   * Effective plan for a company: its own, else its owner's
+   * @param {object} company - companies row (id, owner_user_id)
+   * @returns {Promise<object>} - Plan from getPlan
+   */
+  async function getCompanyPlan(company) {
+    const [own] = await loadAssignments("company", [company.id]);
+    if (own) {
+      return getPlan(own.plan);
+    }
+
+    const [owner] = company.owner_user_id
+      ? await loadAssignments("user", [company.owner_user_id])
+      : [];
+    return getPlan(owner ? owner.plan : DEFAULT_PLAN);
+  }
+
+  /**
+   * Throw 429 if the user has no generations left today or this week
+   * @param {string} userId - Clerk user ID, or anonymousSubject(ip) for callers without one
+   * @returns {Promise<void>}
+   */
+  async function checkGenerationQuota(userId) {
+    const [plan, usage] = await Promise.all([
+      getUserPlan(userId),
+      usageTracker.getUsage(userId),
+    ]);
+
+    if (usage.daily_used >= plan.limits.generations_per_day) {
+      throw limitExceeded({
+        limit: "generations_per_day",
+        plan,
+        used: usage.daily_used,
+        resetsAt: new Date(usage.daily_resets_at),
+        now: now(),
+      });
+    }
+
+    if (usage.weekly_used >= plan.limits.generations_per_week) {
+      throw limitExceeded({
+        limit: "generations_per_week",
+        plan,
+        used: usage.weekly_used,
+        resetsAt: new Date(usage.weekly_resets_at),
+        now: now(),
+      });
+    }
+  }
+
+  /**
+   * Throw 402 if a company can't add another document of this size
+   * @param {object} company - companies row
+   * @param {number} bytes - Size of the new document (0 when unknown)
+   * @returns {Promise<void>}
+   */
+  async function checkDocumentQuota(company, bytes = 0) {
+    const plan = await getCompanyPlan(company);
+
+    const { data: documents, error } = await supabase
+      .from("company_documents")
+      .select("file_size")
+      .eq("company_id", company.id)
+      .neq("status", "failed");
+
+    if (error) {
+      throw error;
+    }
+
+    const count = (documents || []).length;
+    const storage = (documents || []).reduce(
+      (sum, document) => sum + (Number(document.file_size) || 0),
+      0
+    );
+
+    if (count >= plan.limits.rag_documents) {
+      throw limitExceeded({ limit: "rag_documents", plan, used: count });
+    }
+
+    if (
+      storage >= plan.limits.storage_bytes ||
+      storage + bytes > plan.limits.storage_bytes
+    ) {
+      throw limitExceeded({ limit: "storage_bytes", plan, used: storage });
+    }
+  }
+
+  function startOfMonth(date, monthOffset = 0) {
+    return new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + monthOffset, 1)
+    );
+  }
+
+  async function countToneTrainings(userId, since) {
+    const { count, error } = await supabase
+      .from("tone_trainings")
+      .select("id", { count: "exact", head: true })
+      .eq("operator_id", userId)
+      .gte("created_at", since.toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Throw 429 if the user has no tone profile trainings left this month (UTC)
+   * @param {string} userId - Clerk user ID
+   * @returns {Promise<void>}
+   */
+  async function checkToneTrainingQuota(userId) {
+    const current = now();
+    const [plan, used] = await Promise.all([
+      getUserPlan(userId),
+      countToneTrainings(userId, startOfMonth(current)),
+    ]);
+
+    if (used >= plan.limits.tone_trainings_per_month) {
+      throw limitExceeded({
+        limit: "tone_trainings_per_month",
+        plan,
+        used,
+        resetsAt: startOfMonth(current, 1),
+        now: current,
+      });
+    }
+  }
+
+  /**
+   * Get the user's plan with its limits and what they used so far
+   * @param {string} userId - Clerk user ID
+   * @returns {Promise<{plan: string, label: string, limits: object, usage: object}>}
+   */
+  async function getUserPlanUsage(userId) {
+    const current = now();
+    const [plan, usage, trainings] = await Promise.all([
+      getUserPlan(userId),
+      usageTracker.getUsage(userId),
+      countToneTrainings(userId, startOfMonth(current)),
+    ]);
+
+    return {
+      plan: plan.id,
+      label: plan.label,
+      limits: plan.limits,
+      usage: {
+        generations_today: usage.daily_used,
+        generations_this_week: usage.weekly_used,
+        tone_trainings_this_month: trainings,
+        daily_resets_at: usage.daily_resets_at,
+        weekly_resets_at: usage.weekly_resets_at,
+        monthly_resets_at: startOfMonth(current, 1).toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Count a tone profile training (create, retrain or feedback refinement)
+   * @param {string} userId - Clerk user ID
+   * @param {string} kind - "create" | "retrain" | "refine"
+   * @returns {Promise<void>}
+   */
+  async function recordToneTraining(userId, kind) {
+    const { error } = await supabase
+      .from("tone_trainings")
+      .insert([{ operator_id: userId, kind }]);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a plan to a user or company
+   * @param {string} subjectType - "user" | "company"
+   * @param {string} subjectId - Clerk user ID or company UUID
+   * @param {string} plan - Plan id
+   * @param {string} assignedBy - Admin user ID
+   * @returns {Promise<object>} - plan_assignments row
+   */
+  async function assignPlan(subjectType, subjectId, plan, assignedBy) {
+    if (!SUBJECT_TYPES.includes(subjectType)) {
+      throw new Error(`Unknown plan subject type: ${subjectType}`);
+    }
+
+    if (subjectType === "company" && !UUID_REGEX.test(subjectId)) {
+      throw httpError(400, "Invalid company ID");
+    }
+
+    const { data, error } = await supabase
+      .from("plan_assignments")
+      .upsert(
+        [
+          {
+            subject_type: subjectType,
+            subject_id: subjectId,
+            plan,
+            assigned_by: assignedBy,
+            updated_at: now().toISOString(),
+          },
+        ],
+        { onConflict: "subject_type,subject_id" }
+      )
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Remove a plan assignment (back to the default plan)
+   * @param {string} subjectType - "user" | "company"
+   * @param {string} subjectId - Clerk user ID or company UUID
+   * @returns {Promise<void>}
+   */
+  async function removePlan(subjectType, subjectId) {
+    const { data, error } = await supabase
+      .from("plan_assignments")
+      .delete()
+      .eq("subject_type", subjectType)
+      .eq("subject_id", subjectId)
+      .select("subject_id");
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw httpError(404, "No plan assigned");
+    }
+  }
+
+  /**
+   * List plan assignments
+   * @param {string} subjectType - Only this subject type (optional)
+   * @returns {Promise<Array<object>>}
+   */
+  async function listAssignments(subjectType) {
+    let query = supabase
+      .from("plan_assignments")
+      .select("subject_type, subject_id, plan, assigned_by, updated_at");
+
+    if (subjectType) {
+      query = query.eq("subject_type", subjectType);
+    }
+
+    const { data, error } = await query.order("updated_at", {
+      ascending: false,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  return {
+    getUserPlan,
+    getCompanyPlan,
+    checkGenerationQuota,
+    checkDocumentQuota,
+    checkToneTrainingQuota,
+    recordToneTraining,
+    getUserPlanUsage,
+    assignPlan,
+    removePlan,
+    listAssignments,
+  };
+}
+
+module.exports = {
+  DEFAULT_PLAN,
+  PLAN_ORDER,
+  PLANS,
+  SUBJECT_TYPES,
+  isPlan,
+  getPlan,
+  anonymousSubject,
+  isAnonymousSubject,
+  bestPlan,
+  limitExceeded,
+  sendError,
+  validatePlanAssignment,
+  createPlanService,
+};
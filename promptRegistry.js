@@ -0,0 +1,347 @@
+/**
+ * Prompt Template Registry
+ * Loads versioned system prompt templates from prompts/<name>/v<N>.md,
+ * renders them with named variables and tracks which version is active
+ *
+ * With an activation store, activations are shared by every server instance:
+ * each instance re-reads them every refreshMs, and activate/rollback read the
+ * latest before changing anything.
+ *
+ * Template syntax:
+ *   {{variable}}                          - replaced with the variable's value
+ *   {{#if flag}}...{{else}}...{{/if}}     - conditional on a truthy variable
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { httpError } = require("./errors");
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, "prompts");
+const VERSION_FILE_REGEX = /^v(\d+)\.md$/;
+
+/**
+ * How often saved activations are re-read
+ */
+const DEFAULT_REFRESH_MS = 30 * 1000;
+
+/**
+ * Render a template string
+ * @param {string} source - Template source
+ * @param {object} variables - Named variables
+ * @returns {string}
+ */
+function renderTemplate(source, variables = {}) {
+  const withConditionals = source.replace(
+    /\{\{#if (\w+)\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+    (match, name, whenTrue, whenFalse = "") =>
+      variables[name] ? whenTrue : whenFalse
+  );
+
+  return withConditionals.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Missing template variable: ${name}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Load every template version from a directory
+ * @param {string} dir - Template directory
+ * @returns {Map<string, Map<number, string>>} - name -> version -> source
+ */
+function loadTemplates(dir) {
+  const templates = new Map();
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+
+    const versions = new Map();
+    for (const file of fs.readdirSync(path.join(dir, entry.name))) {
+      const match = file.match(VERSION_FILE_REGEX);
+      if (!match) {
+        continue;
+      }
+
+      const source = fs.readFileSync(path.join(dir, entry.name, file), "utf-8");
+      // Drop the trailing newline editors add at end of file
+      versions.set(Number(match[1]), source.replace(/\n$/, ""));
+    }
+
+    if (versions.size > 0) {
+      templates.set(entry.name, versions);
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Persist template activations in Supabase (prompt_template_activations)
+ * Every activation is a new row, so the table doubles as an audit log.
+ *
+ * @param {object} supabase - Supabase client
+ * @returns {{loadAll: Function, save: Function}}
+ */
+function createSupabaseActivationStore(supabase) {
+  return {
+    /**
+     * @returns {Promise<object>} - { [name]: { version, previous_version } } from the latest row per name
+     */
+    async loadAll() {
+      const { data, error } = await supabase
+        .from("prompt_template_activations")
+        .select("name, version, previous_version, activated_at")
+        .order("activated_at", { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      // Later rows win
+      const active = {};
+      for (const row of data || []) {
+        active[row.name] = {
+          version: row.version,
+          previous_version: row.previous_version,
+        };
+      }
+      return active;
+    },
+
+    async save(name, version, activatedBy, previousVersion) {
+      const { error } = await supabase
+        .from("prompt_template_activations")
+        .insert([
+          {
+            name,
+            version,
+            previous_version: previousVersion,
+            activated_by: activatedBy,
+          },
+        ]);
+
+      if (error) {
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Create a prompt registry
+ * The newest version of each template is active until another is activated.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Template directory (default: ./prompts)
+ * @returns {object} - Registry API
+ */
+function createPromptRegistry(options = {}) {
+  const { dir = DEFAULT_TEMPLATE_DIR } = options;
+
+  const templates = loadTemplates(dir);
+  const active = new Map();
+  // Version each template was switched from by its latest activation
+  const previous = new Map();
+  let store = null;
+  let refreshTimer = null;
+  // Bumped by every local activation, so a slower re-read can't undo one
+  let changes = 0;
+
+  for (const [name, versions] of templates) {
+    active.set(name, Math.max(...versions.keys()));
+  }
+
+  function getVersions(name) {
+    const versions = templates.get(name);
+    if (!versions) {
+      throw httpError(404, `Unknown prompt template: ${name}`);
+    }
+    return versions;
+  }
+
+  /**
+   * Render the active version of a template
+   * @param {string} name - Template name (e.g. "linkedin.funny.web3")
+   * @param {object} variables - Named variables
+   * @returns {{text: string, name: string, version: number, id: string}}
+   */
+  function render(name, variables) {
+    const versions = getVersions(name);
+    const version = active.get(name);
+
+    return {
+      text: renderTemplate(versions.get(version), variables),
+      name,
+      version,
+      id: `${name}@v${version}`,
+    };
+  }
+
+  /**
+   * Apply the activations saved in the store
+   * @returns {Promise<void>}
+   */
+  async function reload() {
+    const changesBefore = changes;
+    const saved = await store.loadAll();
+    if (changes !== changesBefore) {
+      return;
+    }
+
+    for (const [name, activation] of Object.entries(saved)) {
+      const { version, previous_version: previousVersion } = activation;
+      if (templates.has(name) && templates.get(name).has(version)) {
+        active.set(name, version);
+        previous.set(name, previousVersion || null);
+      } else {
+        console.warn(
+          `⚠️ [Prompts] Ignoring saved activation ${name}@v${version} - template file missing`
+        );
+      }
+    }
+  }
+
+  /**
+   * Make a template version active
+   * @param {string} name - Template name
+   * @param {number} version - Version number
+   * @param {string} activatedBy - User making the change (for the audit log)
+   * @returns {Promise<{name: string, version: number, previous_version: number}>}
+   */
+  async function activate(name, version, activatedBy) {
+    const versions = getVersions(name);
+    if (!versions.has(version)) {
+      throw httpError(
+        404,
+        `Unknown version ${version} for prompt template ${name}`
+      );
+    }
+
+    // Another instance may have switched it since the last re-read
+    if (store) {
+      await reload();
+    }
+
+    const current = active.get(name);
+    if (store) {
+      await store.save(name, version, activatedBy, current);
+    }
+    changes++;
+    active.set(name, version);
+    previous.set(name, current);
+
+    console.log(
+      `📝 [Prompts] ${name} switched from v${current} to v${version}${
+        activatedBy ? ` by ${activatedBy}` : ""
+      }`
+    );
+    return { name, version, previous_version: current };
+  }
+
+  /**
+   * Roll a template back to the version that was active before the current
+   * one; before any activation, to the newest version below the current one
+   * @param {string} name - Template name
+   * @param {string} activatedBy - User making the change
+   * @returns {Promise<{name: string, version: number, previous_version: number}>}
+   */
+  async function rollback(name, activatedBy) {
+    const versions = getVersions(name);
+    if (store) {
+      await reload();
+    }
+
+    const current = active.get(name);
+    const recorded = previous.get(name);
+    if (recorded && versions.has(recorded)) {
+      return activate(name, recorded, activatedBy);
+    }
+
+    const older = [...versions.keys()].filter((v) => v < current);
+    if (older.length === 0) {
+      throw httpError(
+        409,
+        `Prompt template ${name} has no version before v${current}`
+      );
+    }
+
+    return activate(name, Math.max(...older), activatedBy);
+  }
+
+  /**
+   * Attach a persistent activation store, apply saved activations and keep
+   * re-reading them so activations made on other instances apply here too
+   * @param {object} activationStore - { loadAll, save }
+   * @param {object} storeOptions
+   * @param {number} storeOptions.refreshMs - Re-read interval, 0 to never re-read (default: DEFAULT_REFRESH_MS)
+   * @returns {Promise<void>} - Resolves once saved activations are applied
+   */
+  async function useStore(activationStore, storeOptions = {}) {
+    const { refreshMs = DEFAULT_REFRESH_MS } = storeOptions;
+
+    store = activationStore;
+    await reload();
+
+    clearInterval(refreshTimer);
+    if (refreshMs > 0) {
+      refreshTimer = setInterval(() => {
+        reload().catch((error) => {
+          console.warn(
+            "⚠️ [Prompts] Could not re-read template activations:",
+            error.message
+          );
+        });
+      }, refreshMs);
+      // Don't keep the process alive just to refresh
+      refreshTimer.unref();
+    }
+  }
+
+  /**
+   * Describe every template and its versions
+   * @returns {Array<{name: string, active_version: number, versions: Array<number>}>}
+   */
+  function list() {
+    return [...templates.keys()].sort().map((name) => ({
+      name,
+      active_version: active.get(name),
+      versions: [...templates.get(name).keys()].sort((a, b) => a - b),
+    }));
+  }
+
+  /**
+   * Get the raw source of a template version
+   * @param {string} name - Template name
+   * @param {number} version - Version number
+   * @returns {string|null}
+   */
+  function getSource(name, version) {
+    return getVersions(name).get(version) || null;
+  }
+
+  function has(name) {
+    return templates.has(name);
+  }
+
+  return {
+    render,
+    activate,
+    rollback,
+    useStore,
+    list,
+    getSource,
+    has,
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_DIR,
+  DEFAULT_REFRESH_MS,
+  renderTemplate,
+  loadTemplates,
+  createSupabaseActivationStore,
+  createPromptRegistry,
+};
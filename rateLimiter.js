@@ -0,0 +1,249 @@
+/**
+ * Rate Limiter Module
+ * Token buckets with separate budgets for generation, ingestion and tone
+ * profile training, keyed by user ID (or client IP when unauthenticated).
+ *
+ * Each budget allows `limit` requests per `windowSeconds`: the bucket holds at
+ * most `limit` tokens and refills continuously at limit / windowSeconds.
+ * Buckets live in a store: the in-memory store works for a single instance,
+ * the Supabase store (rate_limit_consume) shares them between instances.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy headers; rejected requests also get Retry-After.
+ */
+
+const DEFAULT_BUDGETS = {
+  generation: { limit: 30, windowSeconds: 60 },
+  ingestion: { limit: 20, windowSeconds: 60 * 60 },
+  tone: { limit: 5, windowSeconds: 60 * 60 },
+};
+
+/**
+ * How often the memory store drops buckets that refilled completely
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse a budget from an environment variable
+ * @param {string} value - "<limit>/<windowSeconds>", e.g. "30/60"
+ * @param {object} fallback - Budget used when value is empty or invalid
+ * @returns {{limit: number, windowSeconds: number}}
+ */
+function parseBudget(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || "");
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    if (value) {
+      console.warn(
+        `⚠️ [RateLimit] Ignoring invalid budget "${value}" (expected <limit>/<windowSeconds>)`
+      );
+    }
+    return fallback;
+  }
+
+  return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+/**
+ * Tokens in a bucket after refilling it up to now
+ * @param {{tokens: number, updatedAt: number}|undefined} bucket - Saved state (undefined for a new key)
+ * @param {object} budget - { limit, windowSeconds }
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+function refill(bucket, budget, now) {
+  if (!bucket) {
+    return budget.limit;
+  }
+
+  const refillPerMs = budget.limit / (budget.windowSeconds * 1000);
+  return Math.min(
+    budget.limit,
+    bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs
+  );
+}
+
+/**
+ * Refill a bucket and take one token if there is one
+ * Used by the memory store; rate_limit_consume does the same in SQL.
+ *
+ * @param {{tokens: number, updatedAt: number}|undefined} bucket - Saved state (undefined for a new key)
+ * @param {object} budget - { limit, windowSeconds }
+ * @param {number} now - Current time in ms
+ * @returns {{bucket: object, allowed: boolean}}
+ */
+function takeToken(bucket, budget, now) {
+  const tokens = refill(bucket, budget, now);
+  const allowed = tokens >= 1;
+  return {
+    bucket: { tokens: allowed ? tokens - 1 : tokens, updatedAt: now },
+    allowed,
+  };
+}
+
+/**
+ * Keep buckets in process memory
+ * @param {object} options
+ * @param {Function} options.now - Clock, returns ms since epoch (default: Date.now)
+ * @returns {{consume: Function, close: Function}}
+ */
+function createMemoryStore(options = {}) {
+  const { now = Date.now } = options;
+  const buckets = new Map();
+
+  // A full bucket behaves exactly like a missing one, so it can go
+  const sweeper = setInterval(() => {
+    const current = now();
+    for (const [key, entry] of buckets) {
+      if (refill(entry.bucket, entry.budget, current) >= entry.budget.limit) {
+        buckets.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    async consume(key, budget) {
+      const entry = buckets.get(key);
+      const result = takeToken(entry && entry.bucket, budget, now());
+      buckets.set(key, { bucket: result.bucket, budget });
+      return { allowed: result.allowed, tokens: result.bucket.tokens };
+    },
+
+    close() {
+      clearInterval(sweeper);
+    },
+  };
+}
+
+/**
+ * Keep buckets in Supabase so every server instance shares them
+ * rate_limit_consume locks the bucket row, so concurrent requests can't
+ * both take the last token.
+ *
+ * @param {object} supabase - Supabase client
+ * @returns {{consume: Function}}
+ */
+function createSupabaseStore(supabase) {
+  return {
+    async consume(key, budget) {
+      const { data, error } = await supabase.rpc("rate_limit_consume", {
+        p_key: key,
+        p_limit: budget.limit,
+        p_window_seconds: budget.windowSeconds,
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return { allowed: row.allowed, tokens: Number(row.tokens) };
+    },
+  };
+}
+
+/**
+ * Create a rate limiter
+ *
+ * @param {object} options
+ * @param {object} options.budgets - { [name]: { limit, windowSeconds } } (default: DEFAULT_BUDGETS)
+ * @param {object} options.store - { consume(key, budget) => { allowed, tokens } } (default: memory store)
+ * @returns {{middleware: Function, check: Function}}
+ */
+function createRateLimiter(options = {}) {
+  const { budgets = DEFAULT_BUDGETS, store = createMemoryStore() } = options;
+
+  /**
+   * Take a token from a client's bucket
+   * @param {string} name - Budget name
+   * @param {string} clientKey - "user:<id>" or "ip:<address>"
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number}>}
+   */
+  async function check(name, clientKey) {
+    const budget = budgets[name];
+    if (!budget) {
+      throw new Error(`Unknown rate limit budget: ${name}`);
+    }
+
+    const { allowed, tokens } = await store.consume(
+      `${name}:${clientKey}`,
+      budget
+    );
+    const secondsPerToken = budget.windowSeconds / budget.limit;
+
+    return {
+      allowed,
+      limit: budget.limit,
+      remaining: Math.floor(tokens),
+      // Until the bucket is full again
+      resetSeconds: Math.ceil((budget.limit - tokens) * secondsPerToken),
+      // Until the next token
+      retryAfterSeconds: Math.max(1, Math.ceil((1 - tokens) * secondsPerToken)),
+    };
+  }
+
+  /**
+   * Express middleware enforcing a budget
+   * Runs after the auth middleware so req.auth is set. If the store fails the
+   * request is let through: an outage of the shared store should not take
+   * generation down with it.
+   *
+   * @param {string} name - Budget name
+   * @returns {Function}
+   */
+  function middleware(name) {
+    if (!budgets[name]) {
+      throw new Error(`Unknown rate limit budget: ${name}`);
+    }
+
+    return async (req, res, next) => {
+      const clientKey = req.auth?.userId
+        ? `user:${req.auth.userId}`
+        : `ip:${req.ip}`;
+
+      let result;
+      try {
+        result = await check(name, clientKey);
+      } catch (error) {
+        console.warn(
+          `⚠️ [RateLimit] Store unavailable, allowing ${name} request:`,
+          error.message
+        );
+        return next();
+      }
+
+      const budget = budgets[name];
+      res.set({
+        "RateLimit-Limit": String(result.limit),
+        "RateLimit-Remaining": String(result.remaining),
+        "RateLimit-Reset": String(result.resetSeconds),
+        "RateLimit-Policy": `${budget.limit};w=${budget.windowSeconds}`,
+      });
+
+      if (!result.allowed) {
+        console.warn(`🚦 [RateLimit] ${name} limit hit for ${clientKey}`);
+        res.set("Retry-After", String(result.retryAfterSeconds));
+        return res.status(429).json({
+          error: `Too many ${name} requests. Try again in ${result.retryAfterSeconds} seconds.`,
+          code: "rate_limited",
+          budget: name,
+          retry_after: result.retryAfterSeconds,
+        });
+      }
+
+      next();
+    };
+  }
+
+  return { check, middleware };
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  parseBudget,
+  refill,
+  takeToken,
+  createMemoryStore,
+  createSupabaseStore,
+  createRateLimiter,
+};
@@ -0,0 +1,451 @@
+/**
+ * Reply Feedback Module
+ * Records what happened to a generated reply (thumbs up/down, posted as-is,
+ * edited or discarded) and feeds it back into generation: posted replies
+ * become few-shot examples for the same operator, and edits and rejections
+ * refine the operator's tone profile (operator_tones).
+ *
+ * A refinement first claims the profile by moving last_learned_at forward
+ * with a conditional update, so of several feedback requests past the
+ * threshold (on any instance) only one refines. Refinements count as tone
+ * trainings against the plan's monthly limit; at the limit they are skipped.
+ */
+
+const toneService = require("./toneService");
+
+const RATINGS = ["up", "down"];
+const OUTCOMES = ["posted", "edited", "discarded"];
+
+const MAX_FINAL_TEXT_LENGTH = 5000;
+
+/**
+ * New edits/rejections needed before the tone profile is refined again
+ */
+const TONE_REFINE_THRESHOLD = 5;
+
+/**
+ * Most feedback entries sent to a single refinement
+ */
+const TONE_REFINE_MAX_ENTRIES = 20;
+
+/**
+ * Few-shot examples added to each prompt
+ */
+const FEW_SHOT_LIMIT = 3;
+
+/**
+ * Validate a feedback request body
+ * @param {object} body - { rating?, outcome?, final_text? }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateFeedback(body) {
+  const { rating, outcome, final_text: finalText } = body || {};
+
+  if (
+    rating === undefined &&
+    outcome === undefined &&
+    finalText === undefined
+  ) {
+    return "Provide at least one of rating, outcome or final_text.";
+  }
+
+  if (rating !== undefined && rating !== null && !RATINGS.includes(rating)) {
+    return "rating must be 'up', 'down' or null.";
+  }
+
+  if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+    return `outcome must be one of: ${OUTCOMES.join(", ")}.`;
+  }
+
+  if (finalText !== undefined) {
+    if (typeof finalText !== "string" || !finalText.trim()) {
+      return "final_text must be a non-empty string.";
+    }
+    if (finalText.length > MAX_FINAL_TEXT_LENGTH) {
+      return `final_text must be at most ${MAX_FINAL_TEXT_LENGTH} characters.`;
+    }
+    if (outcome === "discarded") {
+      return "A discarded reply has no final_text.";
+    }
+  }
+
+  if (outcome === "edited" && finalText === undefined) {
+    return "final_text is required when outcome is 'edited'.";
+  }
+
+  return null;
+}
+
+/**
+ * Word-level diff between the generated reply and the posted text
+ * Whitespace is kept with the words so joining the parts rebuilds each text.
+ *
+ * @param {string} before - Generated reply
+ * @param {string} after - Final posted text
+ * @returns {Array<{op: string, text: string}>} - "equal" | "delete" | "insert" parts
+ */
+function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (op, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      parts.push({ op, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("delete", a[i++]);
+    } else {
+      push("insert", b[j++]);
+    }
+  }
+  while (i < a.length) {
+    push("delete", a[i++]);
+  }
+  while (j < b.length) {
+    push("insert", b[j++]);
+  }
+
+  return parts;
+}
+
+/**
+ * Get the feedback saved for a generation
+ * @param {object} supabase - Supabase client
+ * @param {string} generationId - Generation UUID
+ * @returns {Promise<object|null>}
+ */
+async function getFeedback(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("reply_feedback")
+    .select("*")
+    .eq("generation_id", generationId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Save feedback for one of the user's generations
+ *
+ * Feedback can arrive in several requests (e.g. a thumbs up now, the posted
+ * text later); fields that are not sent keep their saved value. When
+ * final_text is sent without an outcome, the outcome is "posted" if it matches
+ * the reply and "edited" otherwise.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {object} generation - Row from reply_generations (see replyHistory.getGeneration)
+ * @param {object} body - Validated { rating?, outcome?, final_text? }
+ * @returns {Promise<object>} - Saved reply_feedback row
+ */
+async function saveFeedback(supabase, generation, body) {
+  const existing = await getFeedback(supabase, generation.id);
+
+  let rating = existing ? existing.rating : null;
+  let outcome = existing ? existing.outcome : null;
+  let finalText = existing ? existing.final_text : null;
+
+  if (body.rating !== undefined) {
+    rating = body.rating;
+  }
+
+  if (body.final_text !== undefined) {
+    finalText = body.final_text.trim();
+    outcome =
+      body.outcome ||
+      (finalText === generation.reply.trim() ? "posted" : "edited");
+  } else if (body.outcome !== undefined) {
+    outcome = body.outcome;
+    if (outcome === "posted") {
+      finalText = generation.reply;
+    } else if (outcome === "discarded") {
+      finalText = null;
+    }
+  }
+
+  const { data, error } = await supabase
+    .from("reply_feedback")
+    .upsert(
+      [
+        {
+          generation_id: generation.id,
+          user_id: generation.user_id,
+          platform: generation.platform,
+          rating,
+          outcome,
+          final_text: finalText,
+          diff: finalText ? diffWords(generation.reply, finalText) : null,
+          updated_at: new Date().toISOString(),
+        },
+      ],
+      { onConflict: "generation_id" }
+    )
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Load replies the operator actually posted, to use as few-shot examples
+ * Thumbs-down replies are skipped even if they were posted.
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {string} platform - "linkedin" | "twitter"
+ * @param {number} limit - Most examples to return
+ * @returns {Promise<Array<{post: string, reply: string}>>}
+ */
+async function loadFeedbackExamples(
+  supabase,
+  userId,
+  platform,
+  limit = FEW_SHOT_LIMIT
+) {
+  const { data, error } = await supabase
+    .from("reply_feedback")
+    .select("final_text, generation:reply_generations(post_text)")
+    .eq("user_id", userId)
+    .eq("platform", platform)
+    .in("outcome", ["posted", "edited"])
+    .or("rating.is.null,rating.eq.up")
+    .order("updated_at", { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || [])
+    .filter((row) => row.final_text && row.generation)
+    .map((row) => ({ post: row.generation.post_text, reply: row.final_text }));
+}
+
+/**
+ * List feedback that says something about the operator's voice: edits and
+ * thumbs-down ratings
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {string} since - Only feedback updated after this ISO timestamp (optional)
+ * @returns {Promise<Array<{post_text: string, reply: string, final_text: string, rating: string, outcome: string}>>}
+ */
+async function listToneFeedback(supabase, userId, since) {
+  let query = supabase
+    .from("reply_feedback")
+    .select(
+      "rating, outcome, final_text, updated_at, generation:reply_generations(post_text, reply)"
+    )
+    .eq("user_id", userId)
+    .or("outcome.eq.edited,rating.eq.down");
+
+  if (since) {
+    query = query.gt("updated_at", since);
+  }
+
+  const { data, error } = await query
+    .order("updated_at", { ascending: false })
+    .limit(TONE_REFINE_MAX_ENTRIES);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || [])
+    .filter((row) => row.generation)
+    .map((row) => ({
+      post_text: row.generation.post_text,
+      reply: row.generation.reply,
+      final_text: row.final_text,
+      rating: row.rating,
+      outcome: row.outcome,
+    }));
+}
+
+/**
+ * Move last_learned_at from the value the caller read to a new one
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {string|null} from - last_learned_at as read
+ * @param {string|null} to - New last_learned_at
+ * @returns {Promise<boolean>} - false when it had already changed
+ */
+async function moveLastLearnedAt(supabase, userId, from, to) {
+  let query = supabase
+    .from("operator_tones")
+    .update({ last_learned_at: to })
+    .eq("operator_id", userId);
+  query = from
+    ? query.eq("last_learned_at", from)
+    : query.is("last_learned_at", null);
+
+  const { data, error } = await query.select("operator_id");
+  if (error) {
+    throw error;
+  }
+
+  return !!data && data.length > 0;
+}
+
+/**
+ * Refine the operator's tone profile once enough new feedback has arrived
+ * since it was last learned
+ *
+ * @param {object} supabase - Supabase client
+ * @param {object} llm - Provider router (see llmProviders.js)
+ * @param {string} userId - Clerk user ID
+ * @param {object} planService - Plan service (see plans.js), null to skip the training limit
+ * @returns {Promise<object|null>} - Refined tone profile, or null when nothing changed
+ */
+async function refineOperatorTone(supabase, llm, userId, planService = null) {
+  const { data: profiles, error } = await supabase
+    .from("operator_tones")
+    .select("tone_json, last_learned_at")
+    .eq("operator_id", userId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  // Feedback only refines an existing profile
+  if (!profiles || profiles.length === 0 || !profiles[0].tone_json) {
+    return null;
+  }
+
+  const profile = profiles[0];
+  const feedback = await listToneFeedback(
+    supabase,
+    userId,
+    profile.last_learned_at
+  );
+
+  if (feedback.length < TONE_REFINE_THRESHOLD) {
+    return null;
+  }
+
+  if (planService) {
+    try {
+      await planService.checkToneTrainingQuota(userId);
+    } catch (quotaError) {
+      if (quotaError.status !== 429) {
+        throw quotaError;
+      }
+      console.log(
+        `⏭️ [Feedback] Skipping tone refinement for ${userId}: ${quotaError.message}`
+      );
+      return null;
+    }
+  }
+
+  // Feedback after this moment counts towards the next refinement
+  const claimedAt = new Date().toISOString();
+  if (
+    !(await moveLastLearnedAt(
+      supabase,
+      userId,
+      profile.last_learned_at,
+      claimedAt
+    ))
+  ) {
+    return null;
+  }
+
+  console.log(
+    `🧠 [Feedback] Refining tone profile for ${userId} with ${feedback.length} feedback entries`
+  );
+
+  let refined;
+  try {
+    refined = await toneService.refineToneProfile(
+      llm,
+      profile.tone_json,
+      feedback
+    );
+  } catch (refineError) {
+    // Hand the feedback back to the next refinement
+    await moveLastLearnedAt(
+      supabase,
+      userId,
+      claimedAt,
+      profile.last_learned_at
+    ).catch(() => {});
+    throw refineError;
+  }
+
+  // Skip the save if the profile was retrained meanwhile
+  const { data: saved, error: updateError } = await supabase
+    .from("operator_tones")
+    .update({ tone_json: refined, updated_at: new Date().toISOString() })
+    .eq("operator_id", userId)
+    .eq("last_learned_at", claimedAt)
+    .select("operator_id");
+
+  if (updateError) {
+    throw updateError;
+  }
+  if (!saved || saved.length === 0) {
+    return null;
+  }
+
+  if (planService) {
+    try {
+      await planService.recordToneTraining(userId, "refine");
+    } catch (recordError) {
+      console.warn(
+        `⚠️ [Feedback] Could not record tone training for ${userId}:`,
+        recordError.message
+      );
+    }
+  }
+
+  console.log(`✅ [Feedback] Tone profile refined for ${userId}`);
+  return refined;
+}
+
+module.exports = {
+  RATINGS,
+  OUTCOMES,
+  TONE_REFINE_THRESHOLD,
+  FEW_SHOT_LIMIT,
+  validateFeedback,
+  diffWords,
+  getFeedback,
+  saveFeedback,
+  loadFeedbackExamples,
+  listToneFeedback,
+  refineOperatorTone,
+};
@@ -0,0 +1,205 @@
+/**
+ * Reply History Module
+ * Persists every generated reply (reply_generations) and lets operators
+ * list, search and fetch their past generations
+ */
+
+const { httpError } = require("./errors");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const LIST_COLUMNS =
+  "id, company_id, platform, tone, vertical, post_id, author_name, post_text, reply, prompt_version, created_at";
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Save a finished generation
+ *
+ * @param {object} supabase - Supabase client
+ * @param {object} generation
+ * @param {string} generation.userId - Clerk user ID
+ * @param {string} generation.companyId - Company used for RAG (optional)
+ * @param {string} generation.platform - "linkedin" | "twitter"
+ * @param {string} generation.tone - Tone name
+ * @param {string} generation.vertical - Vertical id
+ * @param {string} generation.postText - Original post text
+ * @param {string} generation.postId - Tweet ID / post ID (optional)
+ * @param {string} generation.authorName - Post author (optional)
+ * @param {string} generation.reply - Returned reply
+ * @param {Array<object>} generation.candidates - Ranked candidates (n > 1)
+ * @param {string} generation.promptVersion - Prompt template id
+ * @param {string} generation.toneProfileVersion - operator_tones.last_learned_at of the profile used
+ * @param {Array<string>} generation.ragChunkIds - company_chunks used as context
+ * @param {object} generation.rules - Rule enforcement report
+ * @returns {Promise<string>} - Generation ID
+ */
+async function recordGeneration(supabase, generation) {
+  const { data, error } = await supabase
+    .from("reply_generations")
+    .insert([
+      {
+        user_id: generation.userId,
+        company_id: generation.companyId || null,
+        platform: generation.platform,
+        tone: generation.tone,
+        vertical: generation.vertical || null,
+        post_text: generation.postText,
+        post_id: generation.postId || null,
+        author_name: generation.authorName || null,
+        reply: generation.reply,
+        candidates: generation.candidates || [],
+        prompt_version: generation.promptVersion || null,
+        tone_profile_version: generation.toneProfileVersion || null,
+        rag_chunk_ids: generation.ragChunkIds || [],
+        rules: generation.rules || null,
+      },
+    ])
+    .select("id")
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data.id;
+}
+
+/**
+ * Parse list filters from a query string
+ * @param {object} query - req.query
+ * @returns {object} - Validated filters
+ */
+function parseHistoryFilters(query) {
+  const limit =
+    query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw httpError(
+      400,
+      `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+    );
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw httpError(400, "offset must be a non-negative integer");
+  }
+
+  for (const field of ["from", "to"]) {
+    if (query[field] !== undefined && Number.isNaN(Date.parse(query[field]))) {
+      throw httpError(400, `${field} must be an ISO date`);
+    }
+  }
+
+  if (query.company_id !== undefined && !UUID_REGEX.test(query.company_id)) {
+    throw httpError(400, "company_id must be a UUID");
+  }
+
+  return {
+    q: typeof query.q === "string" && query.q.trim() ? query.q.trim() : null,
+    platform: query.platform || null,
+    tone: query.tone || null,
+    companyId: query.company_id || null,
+    from: query.from || null,
+    to: query.to || null,
+    limit,
+    offset,
+  };
+}
+
+/**
+ * List a user's generations, newest first
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {object} filters - From parseHistoryFilters
+ * @returns {Promise<{generations: Array<object>, total: number, limit: number, offset: number}>}
+ */
+async function listGenerations(supabase, userId, filters) {
+  let query = supabase
+    .from("reply_generations")
+    .select(LIST_COLUMNS, { count: "exact" })
+    .eq("user_id", userId);
+
+  if (filters.q) {
+    // Full-text search over the post and the reply
+    query = query.textSearch("search_vector", filters.q, {
+      type: "websearch",
+      config: "english",
+    });
+  }
+  if (filters.platform) {
+    query = query.eq("platform", filters.platform);
+  }
+  if (filters.tone) {
+    query = query.eq("tone", filters.tone);
+  }
+  if (filters.companyId) {
+    query = query.eq("company_id", filters.companyId);
+  }
+  if (filters.from) {
+    query = query.gte("created_at", filters.from);
+  }
+  if (filters.to) {
+    query = query.lt("created_at", filters.to);
+  }
+
+  const { data, error, count } = await query
+    .order("created_at", { ascending: false })
+    .range(filters.offset, filters.offset + filters.limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    generations: data || [],
+    total: count || 0,
+    limit: filters.limit,
+    offset: filters.offset,
+  };
+}
+
+/**
+ * Get one of the user's generations
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {string} generationId - Generation UUID
+ * @returns {Promise<object>}
+ */
+async function getGeneration(supabase, userId, generationId) {
+  if (!UUID_REGEX.test(generationId)) {
+    throw httpError(404, "Generation not found");
+  }
+
+  const { data, error } = await supabase
+    .from("reply_generations")
+    .select(
+      "id, user_id, company_id, platform, tone, vertical, post_id, author_name, post_text, reply, candidates, prompt_version, tone_profile_version, rag_chunk_ids, rules, created_at"
+    )
+    .eq("id", generationId)
+    .eq("user_id", userId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    throw httpError(404, "Generation not found");
+  }
+
+  return data[0];
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  recordGeneration,
+  parseHistoryFilters,
+  listGenerations,
+  getGeneration,
+};
@@ -0,0 +1,324 @@
+/**
+ * Reply Prompts Module
+ * System prompts and user messages for reply generation, shared by every
+ * generate endpoint
+ */
+
+const toneService = require("./toneService");
+const promptRegistry = require("./promptRegistry");
+const { BUILT_IN_TONES } = require("./companyTones");
+
+/**
+ * Versioned system prompt templates (prompts/<platform>.<tone>.<web3|general>/v<N>.md)
+ */
+const registry = promptRegistry.createPromptRegistry();
+
+/**
+ * Name of the system prompt template for a platform, tone and vertical
+ * Company-defined tones share the "<platform>.custom.*" templates, and every
+ * vertical except web3 uses the general variant plus its vertical section.
+ *
+ * @param {object} options - { platform, tone, vertical }
+ * @returns {string}
+ */
+function getTemplateName({ platform, tone, vertical }) {
+  const toneKey = BUILT_IN_TONES.includes(tone) ? tone : "custom";
+  const variant = vertical && vertical.id === "web3" ? "web3" : "general";
+  return `${platform}.${toneKey}.${variant}`;
+}
+
+/**
+ * Describe a custom tone's length limits as a prompt rule
+ * @param {object} toneDefinition - Row from company_tones
+ * @param {string} platform - "linkedin" | "twitter"
+ * @returns {string}
+ */
+function formatLengthRule(toneDefinition, platform) {
+  const { min_length: min, max_length: max } = toneDefinition;
+
+  if (min && max) {
+    return `Keep the reply between ${min} and ${max} characters`;
+  }
+  if (max) {
+    return `Keep the reply under ${max} characters`;
+  }
+  if (min) {
+    return `Write at least ${min} characters`;
+  }
+  return platform === "twitter"
+    ? "2-3 short sentences max"
+    : "2-3 sentences maximum";
+}
+
+/**
+ * Format a custom tone's examples for the system prompt
+ * @param {Array<{post: string|null, reply: string}>} examples
+ * @returns {string}
+ */
+function formatToneExamples(examples) {
+  return (examples || [])
+    .map((example) =>
+      example.post
+        ? `Post: "${example.post}"\nReply: "${example.reply}"`
+        : `Reply: "${example.reply}"`
+    )
+    .join("\n\n");
+}
+
+/**
+ * Template variables for a company-defined tone
+ * @param {object} toneDefinition - Row from company_tones
+ * @param {string} platform - "linkedin" | "twitter"
+ * @returns {object}
+ */
+function getCustomToneVariables(toneDefinition, platform) {
+  const toneExamples = formatToneExamples(toneDefinition.examples);
+
+  return {
+    toneLabel: toneDefinition.label || toneDefinition.name,
+    toneInstructions: toneDefinition.prompt,
+    lengthRule: formatLengthRule(toneDefinition, platform),
+    hasExamples: toneExamples.length > 0,
+    toneExamples,
+  };
+}
+
+/**
+ * Render the active base system prompt for a platform, tone and vertical
+ * @param {object} options
+ * @param {string} options.platform - "linkedin" | "twitter"
+ * @param {string} options.tone - Built-in or company tone name
+ * @param {object} options.toneDefinition - Resolved tone (required for company tones)
+ * @param {object} options.vertical - Vertical pack from verticals.resolveVertical
+ * @param {boolean} options.emojiBool - Whether emojis are allowed
+ * @returns {{text: string, name: string, version: number, id: string}}
+ */
+function getSystemPrompt({
+  platform,
+  tone,
+  toneDefinition,
+  vertical,
+  emojiBool,
+}) {
+  const variables = { emojiBool: !!emojiBool };
+
+  if (!BUILT_IN_TONES.includes(tone)) {
+    if (!toneDefinition || toneDefinition.name !== tone) {
+      throw new Error(`No definition loaded for custom tone: ${tone}`);
+    }
+    Object.assign(variables, getCustomToneVariables(toneDefinition, platform));
+  }
+
+  return registry.render(
+    getTemplateName({ platform, tone, vertical }),
+    variables
+  );
+}
+
+/**
+ * Format a vertical pack as a system prompt section
+ * @param {object} vertical - Vertical pack from verticals.resolveVertical
+ * @returns {string}
+ */
+function formatVerticalSection(vertical) {
+  if (
+    !vertical ||
+    (!vertical.jargon &&
+      vertical.examples.length === 0 &&
+      vertical.forbiddenClaims.length === 0)
+  ) {
+    return "";
+  }
+
+  let section = `\n\n---\n\n## Industry Focus: ${vertical.label}\n\n`;
+
+  if (vertical.jargon) {
+    section += `**Jargon & Terminology:** ${vertical.jargon}\n\n`;
+  }
+
+  if (vertical.examples.length > 0) {
+    section += `**Examples for this industry:**\n\n${formatToneExamples(
+      vertical.examples
+    )}\n\n`;
+  }
+
+  if (vertical.forbiddenClaims.length > 0) {
+    section += `**NEVER claim or imply:**\n${vertical.forbiddenClaims
+      .map((claim) => `- ${claim}`)
+      .join("\n")}\n\n`;
+  }
+
+  section += `Write for an audience in this industry, but only bring up industry details that are relevant to the post.`;
+  return section;
+}
+
+/**
+ * Format the operator's tone profile as a system prompt section
+ * @param {object} operatorTone - Tone profile JSON from operator_tones
+ * @returns {string}
+ */
+function formatOperatorToneSection(operatorTone) {
+  if (!operatorTone) {
+    return "";
+  }
+
+  let section = `\n\n---\n\n## CRITICAL: Personal Writing Style\n\n`;
+  section += `You must write in the operator's authentic voice. This is their actual writing style from Twitter:\n\n`;
+  section += toneService.formatToneForPrompt(operatorTone);
+  section += `\n**IMPORTANT:** Replicate this exact writing style while following the role guidelines above. The response should sound like THIS person wrote it.`;
+  return section;
+}
+
+/**
+ * Format replies the operator posted (from feedback) as few-shot examples
+ * @param {Array<{post: string, reply: string}>} examples - From replyFeedback.loadFeedbackExamples
+ * @returns {string}
+ */
+function formatFeedbackSection(examples) {
+  if (!examples || examples.length === 0) {
+    return "";
+  }
+
+  let section = `\n\n---\n\n## Replies This Operator Posted\n\n`;
+  section += `These are earlier replies in their final posted form, after the operator's own edits. Match their voice, length and structure, but never reuse their content:\n\n`;
+  section += formatToneExamples(examples);
+  return section;
+}
+
+/**
+ * Format RAG context as a system prompt section
+ * @param {object} ragContext - Context from vectorOperations.buildRagContext
+ * @param {string} platform - "linkedin" | "twitter"
+ * @returns {string}
+ */
+function formatRagSection(ragContext, platform) {
+  if (!ragContext || !ragContext.hasContext) {
+    return "";
+  }
+
+  const subject = platform === "twitter" ? "tweet" : "post";
+  let section = `\n\n---\n\n## IMPORTANT: Company-Specific Context\n\n`;
+
+  if (ragContext.formattedVoice) {
+    section += `### Company Voice & Brand Guidelines:\n${ragContext.formattedVoice}\n\n`;
+  }
+
+  if (ragContext.formattedChunks) {
+    section += `### Relevant Company Knowledge:\nUse the following information from the company's knowledge base to inform your reply. Only reference this if relevant to the ${subject}.\n\n${ragContext.formattedChunks}\n\n`;
+  }
+
+  section += `**CRITICAL:** Align your reply with the company's voice and use relevant knowledge naturally. Do NOT hallucinate facts outside the provided context.`;
+  return section;
+}
+
+/**
+ * Format existing thread replies for the Twitter user message
+ * @param {Array<object>} tweetReplies - Replies from twitterService.fetchTweetReplies
+ * @returns {string}
+ */
+function formatTweetReplies(tweetReplies) {
+  if (!tweetReplies || tweetReplies.length === 0) {
+    return "";
+  }
+
+  return `\n\nRecent replies already in the thread (most recent first):\n${tweetReplies
+    .map((reply, index) => {
+      const author = reply.authorUsername
+        ? `@${reply.authorUsername}`
+        : reply.authorName || "Unknown user";
+      const metrics =
+        reply.likeCount && reply.likeCount > 0
+          ? ` • ${reply.likeCount} likes`
+          : "";
+      return `${index + 1}. ${author}${metrics}: ${reply.text}`;
+    })
+    .join(
+      "\n"
+    )}\n\nUse these to understand the conversation flow. Do NOT repeat them verbatim.`;
+}
+
+/**
+ * Build the user message for a reply request
+ * @param {object} options
+ * @param {string} options.platform - "linkedin" | "twitter"
+ * @param {string} options.text - Original post text
+ * @param {string} options.authorName - Post author (optional)
+ * @param {object} options.vertical - Vertical pack (optional)
+ * @param {Array<object>} options.tweetReplies - Existing thread replies (Twitter only)
+ * @returns {string}
+ */
+function buildUserPrompt({
+  platform,
+  text,
+  authorName,
+  vertical,
+  tweetReplies,
+}) {
+  const industry =
+    vertical && vertical.id !== "general" ? `${vertical.label} ` : "";
+
+  if (platform === "twitter") {
+    return `Generate a ${industry}comment for this Twitter post or reply:
+
+"${text}"${authorName ? `\n\nAuthor: ${authorName}` : ""}
+
+${formatTweetReplies(tweetReplies)}
+
+Context: This could be a main tweet or a reply to someone. Read carefully and respond appropriately.${
+      authorName
+        ? ` When appropriate, you may address the author by name (${authorName}) to make your comment more personal and engaging.`
+        : ""
+    }
+
+CRITICAL: Do NOT regurgitate or rephrase the original text. You must add NEW information, a counter-point, or a relevant question.
+
+Remember: Keep it short (1-2 sentences), maximum 2 emojis at the END only. Only provide the reply itself, nothing else.`;
+  }
+
+  return `Generate a ${industry}professional comment for this LinkedIn post or comment:
+
+"${text}"${authorName ? `\n\nAuthor: ${authorName}` : ""}
+
+Context: This could be a main post or a reply to someone's comment. Read it carefully and respond appropriately.${
+    authorName
+      ? ` You should use the author's name (${authorName}) to make your comment more personal and engaging.`
+      : ""
+  }
+
+CRITICAL: Do NOT regurgitate or rephrase the original text. You must add NEW information, a counter-point, or a relevant question.
+
+Remember: Only provide the comment itself, nothing else. No quotes, no labels.`;
+}
+
+/**
+ * Assemble the full system prompt for a request
+ * @param {object} options - getSystemPrompt options plus operatorTone, feedbackExamples and ragContext
+ * @returns {{text: string, template: string}} - Prompt text and the template version used
+ */
+function buildSystemPrompt(options) {
+  const base = getSystemPrompt(options);
+
+  return {
+    text:
+      base.text +
+      formatVerticalSection(options.vertical) +
+      formatOperatorToneSection(options.operatorTone) +
+      formatFeedbackSection(options.feedbackExamples) +
+      formatRagSection(options.ragContext, options.platform),
+    template: base.id,
+  };
+}
+
+module.exports = {
+  registry,
+  getTemplateName,
+  getSystemPrompt,
+  formatToneExamples,
+  formatVerticalSection,
+  formatOperatorToneSection,
+  formatFeedbackSection,
+  formatRagSection,
+  formatTweetReplies,
+  buildUserPrompt,
+  buildSystemPrompt,
+};
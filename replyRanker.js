@@ -0,0 +1,247 @@
+/**
+ * Reply Ranker Module
+ * Scores reply candidates with cheap local heuristics and, optionally, an
+ * LLM judge, so the best candidate can be returned first
+ */
+
+const EMOJI_REGEX = /\p{Extended_Pictographic}/gu;
+const TRAILING_EMOJI_REGEX =
+  /[\s\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f]+$/u;
+
+/**
+ * Default length targets in characters, per platform
+ */
+const LENGTH_TARGETS = {
+  linkedin: { min: 80, max: 450 },
+  twitter: { min: 40, max: 240, hardMax: 280 },
+};
+
+/**
+ * Most emojis the prompts allow when emojis are on
+ */
+const MAX_EMOJIS = { linkedin: 1, twitter: 2 };
+
+/**
+ * Heuristic weights (question only applies to Twitter)
+ */
+const WEIGHTS = { length: 0.25, emoji: 0.25, question: 0.2, overlap: 0.3 };
+
+const JUDGE_WEIGHT = 0.5;
+
+/**
+ * Count emojis in a string
+ * @param {string} text
+ * @returns {number}
+ */
+function countEmojis(text) {
+  return (text.match(EMOJI_REGEX) || []).length;
+}
+
+/**
+ * Lowercase words of 4+ letters, used for overlap
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function contentWords(text) {
+  return new Set(
+    (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).filter(
+      (word) => word.length >= 4
+    )
+  );
+}
+
+/**
+ * Score how well the reply length fits the target range (0-1)
+ */
+function scoreLength(reply, target) {
+  const length = reply.length;
+
+  if (target.hardMax && length > target.hardMax) {
+    return 0;
+  }
+  if (length < target.min) {
+    return Math.max(0, length / target.min);
+  }
+  if (length > target.max) {
+    return Math.max(0, 1 - (length - target.max) / target.max);
+  }
+  return 1;
+}
+
+/**
+ * Score emoji rule compliance (0 or 1): count within the limit and only at the end
+ */
+function scoreEmoji(reply, { platform, emojiBool }) {
+  const count = countEmojis(reply);
+
+  if (!emojiBool) {
+    return count === 0 ? 1 : 0;
+  }
+
+  const body = reply.replace(TRAILING_EMOJI_REGEX, "");
+  return count <= MAX_EMOJIS[platform] && countEmojis(body) === 0 ? 1 : 0;
+}
+
+/**
+ * Score whether a Twitter reply ends with a question (0 or 1)
+ */
+function scoreQuestion(reply) {
+  return reply.replace(TRAILING_EMOJI_REGEX, "").endsWith("?") ? 1 : 0;
+}
+
+/**
+ * Score how little the reply repeats the original post (0-1)
+ * Up to 20% of shared content words is normal; 80%+ is a rephrase.
+ */
+function scoreOverlap(reply, text) {
+  const replyWords = contentWords(reply);
+  if (replyWords.size === 0) {
+    return 0;
+  }
+
+  const postWords = contentWords(text);
+  let shared = 0;
+  for (const word of replyWords) {
+    if (postWords.has(word)) {
+      shared += 1;
+    }
+  }
+
+  const ratio = shared / replyWords.size;
+  return Math.min(1, Math.max(0, 1 - (ratio - 0.2) / 0.6));
+}
+
+/**
+ * Score a reply candidate with the local heuristics
+ *
+ * @param {string} reply - Candidate text
+ * @param {object} options
+ * @param {string} options.platform - "linkedin" | "twitter"
+ * @param {string} options.text - Original post text
+ * @param {boolean} options.emojiBool - Whether emojis are allowed
+ * @param {object} options.lengthTarget - { min, max } override (e.g. from a custom tone)
+ * @returns {{score: number, checks: object}} - Weighted score (0-1) and per-check scores
+ */
+function scoreReply(reply, options) {
+  const { platform, text, emojiBool, lengthTarget } = options;
+
+  const checks = {
+    length: scoreLength(reply, {
+      ...LENGTH_TARGETS[platform],
+      ...lengthTarget,
+    }),
+    emoji: scoreEmoji(reply, { platform, emojiBool }),
+    overlap: scoreOverlap(reply, text),
+  };
+
+  if (platform === "twitter") {
+    checks.question = scoreQuestion(reply);
+  }
+
+  let total = 0;
+  let weights = 0;
+  for (const [name, value] of Object.entries(checks)) {
+    total += WEIGHTS[name] * value;
+    weights += WEIGHTS[name];
+  }
+
+  return { score: round(total / weights), checks: roundAll(checks) };
+}
+
+/**
+ * Ask the model to rate each candidate
+ *
+ * @param {object} options
+ * @param {object} options.llm - Provider router (see llmProviders.js)
+ * @param {string} options.provider - Preferred provider (optional)
+ * @param {string} options.platform - "linkedin" | "twitter"
+ * @param {string} options.text - Original post text
+ * @param {Array<string>} options.candidates - Candidate replies
+ * @returns {Promise<Array<number>>} - Score per candidate (0-1)
+ */
+async function judgeReplies(options) {
+  const { llm, provider, platform, text, candidates } = options;
+
+  const completion = await llm.complete(
+    {
+      maxTokens: 200,
+      system:
+        "You rate social media replies. Judge relevance to the post, whether the reply adds something new, and whether it sounds like a real person. Respond with JSON only.",
+      prompt: `Post (${platform}):\n"${text}"\n\nCandidate replies:\n${candidates
+        .map((candidate, index) => `${index + 1}. ${candidate}`)
+        .join(
+          "\n"
+        )}\n\nRate each candidate from 1 (poor) to 10 (excellent). Respond with a JSON array of ${
+        candidates.length
+      } numbers in candidate order, e.g. [7, 4, 9].`,
+    },
+    { provider }
+  );
+
+  const match = completion.text.match(/\[[\d\s.,]*\]/);
+  const ratings = match ? JSON.parse(match[0]) : null;
+
+  if (!Array.isArray(ratings) || ratings.length !== candidates.length) {
+    throw new Error("Judge returned an unexpected response");
+  }
+
+  return ratings.map((rating) => round(Math.min(10, Math.max(1, rating)) / 10));
+}
+
+/**
+ * Score and sort candidates, best first
+ *
+ * @param {Array<string>} candidates - Candidate replies
+ * @param {object} options - scoreReply options, plus judge options
+ * @param {boolean} options.judge - Also ask the LLM judge
+ * @param {object} options.llm - Provider router (required for judge)
+ * @param {string} options.provider - Preferred judge provider (optional)
+ * @returns {Promise<Array<{text: string, score: number, checks: object, judge_score?: number}>>}
+ */
+async function rankReplies(candidates, options) {
+  const ranked = candidates.map((candidate) => ({
+    text: candidate,
+    ...scoreReply(candidate, options),
+  }));
+
+  if (options.judge && options.llm && candidates.length > 1) {
+    try {
+      const judgeScores = await judgeReplies({ ...options, candidates });
+      ranked.forEach((entry, index) => {
+        entry.judge_score = judgeScores[index];
+        entry.score = round(
+          (1 - JUDGE_WEIGHT) * entry.score + JUDGE_WEIGHT * judgeScores[index]
+        );
+      });
+    } catch (error) {
+      // The judge is best-effort; heuristics alone still give an order
+      console.warn(
+        "⚠️ [Ranker] LLM judge failed, using heuristics only:",
+        error.message
+      );
+    }
+  }
+
+  // Stable sort keeps generation order for ties
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function roundAll(values) {
+  return Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [name, round(value)])
+  );
+}
+
+module.exports = {
+  LENGTH_TARGETS,
+  MAX_EMOJIS,
+  WEIGHTS,
+  countEmojis,
+  scoreReply,
+  judgeReplies,
+  rankReplies,
+};
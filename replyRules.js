@@ -0,0 +1,300 @@
+/**
+ * Reply Rules Module
+ * Checks generated replies against the rules the prompts ask for (emojis,
+ * em-dashes, sentence count, length, no quotes or labels). Violations that
+ * can be fixed without changing the meaning are repaired in place; the rest
+ * are reported so the caller can regenerate.
+ */
+
+const { MAX_EMOJIS } = require("./replyRanker");
+
+/**
+ * One emoji, including skin tone modifiers and ZWJ sequences
+ */
+const EMOJI_SEQUENCE_REGEX =
+  /\p{Extended_Pictographic}[\p{Emoji_Modifier}\ufe0f]*(?:\u200d\p{Extended_Pictographic}[\p{Emoji_Modifier}\ufe0f]*)*/gu;
+
+const LABEL_REGEX = /^\s*(?:reply|comment|response|answer)\s*:\s*/i;
+const WRAPPING_QUOTES = [
+  ['"', '"'],
+  ["“", "”"],
+  ["'", "'"],
+];
+
+/**
+ * Hard character limits per platform
+ */
+const PLATFORM_MAX_LENGTH = { twitter: 280 };
+
+/**
+ * Sentence limit from the prompts ("2-3 sentences maximum")
+ */
+const MAX_SENTENCES = 3;
+
+/**
+ * Words whose trailing period doesn't end a sentence (lowercase, without dots)
+ */
+const ABBREVIATIONS = new Set([
+  "mr",
+  "mrs",
+  "ms",
+  "dr",
+  "prof",
+  "sr",
+  "jr",
+  "st",
+  "vs",
+  "etc",
+  "eg",
+  "ie",
+  "cf",
+  "approx",
+  "inc",
+  "ltd",
+  "co",
+  "corp",
+  "no",
+]);
+
+function findEmojis(reply) {
+  return reply.match(EMOJI_SEQUENCE_REGEX) || [];
+}
+
+function stripEmojis(reply) {
+  return tidy(reply.replace(EMOJI_SEQUENCE_REGEX, ""));
+}
+
+function tidy(reply) {
+  return reply
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/ +([.,!?;:])/g, "$1")
+    .trim();
+}
+
+/**
+ * Whether every emoji sits at the end of the reply
+ */
+function emojisOnlyAtEnd(reply) {
+  const withoutTrailing = reply.replace(
+    new RegExp(`(?:\\s*${EMOJI_SEQUENCE_REGEX.source})+\\s*$`, "u"),
+    ""
+  );
+  return findEmojis(withoutTrailing).length === 0;
+}
+
+/**
+ * Whether the text after a period, "!" or "?" starts a new sentence
+ * It has to start with an uppercase letter, and a period must not belong to
+ * an abbreviation ("e.g.", "Dr.") or an initial ("J.", "U.S.").
+ */
+function isSentenceBreak(before, after) {
+  if (!/^\p{Lu}/u.test(after.replace(/^["'“‘(]+/, ""))) {
+    return false;
+  }
+
+  const lastWord = before
+    .replace(/["'”’)]+$/, "")
+    .split(/\s+/)
+    .pop()
+    .replace(/^[^\p{L}]+/u, "");
+  if (!lastWord.endsWith(".") || lastWord.endsWith("..")) {
+    return true;
+  }
+
+  return (
+    !/^(?:\p{L}\.)+$/u.test(lastWord) &&
+    !ABBREVIATIONS.has(lastWord.replace(/\./g, "").toLowerCase())
+  );
+}
+
+/**
+ * Count sentences, ignoring trailing emojis
+ */
+function countSentences(reply) {
+  const sentences = [];
+  for (const piece of stripEmojis(reply).split(/(?<=[.!?]["'”’)]*)\s+/)) {
+    if (
+      sentences.length > 0 &&
+      !isSentenceBreak(sentences[sentences.length - 1], piece)
+    ) {
+      sentences[sentences.length - 1] += ` ${piece}`;
+    } else {
+      sentences.push(piece);
+    }
+  }
+
+  return sentences.filter((sentence) => /[\p{L}\p{N}]/u.test(sentence)).length;
+}
+
+/**
+ * Rules in the order they are checked and fixed
+ * fix is only defined for rules that are safe to repair automatically.
+ */
+const RULES = [
+  {
+    id: "label",
+    description: 'Starts with a label such as "Reply:"',
+    check: (reply) => LABEL_REGEX.test(reply),
+    fix: (reply) => reply.replace(LABEL_REGEX, "").trim(),
+  },
+  {
+    id: "quotes",
+    description: "Wrapped in quotation marks",
+    check: (reply) =>
+      reply.length > 1 &&
+      WRAPPING_QUOTES.some(
+        ([open, close]) =>
+          reply.startsWith(open) &&
+          reply.endsWith(close) &&
+          !reply.slice(1, -1).includes(close)
+      ),
+    fix: (reply) => reply.slice(1, -1).trim(),
+  },
+  {
+    id: "em_dash",
+    description: "Uses em-dashes",
+    check: (reply) => /[—–]/.test(reply),
+    // Number ranges keep a hyphen, anything else becomes a comma
+    fix: (reply) =>
+      tidy(
+        reply
+          .replace(/(\d)\s*[—–]\s*(\d)/g, "$1-$2")
+          .replace(/\s*[—–]\s*/g, ", ")
+          .replace(/,\s*([.,!?])/g, "$1")
+      ),
+  },
+  {
+    id: "emoji_not_allowed",
+    description: "Contains emojis although emojis are off",
+    applies: ({ emojiBool }) => !emojiBool,
+    check: (reply) => findEmojis(reply).length > 0,
+    fix: stripEmojis,
+  },
+  {
+    id: "emoji_count",
+    description: "Too many emojis",
+    applies: ({ emojiBool }) => !!emojiBool,
+    check: (reply, { platform }) =>
+      findEmojis(reply).length > MAX_EMOJIS[platform],
+    // Keep the last allowed emojis, moved to the end
+    fix: (reply, { platform }) =>
+      appendEmojis(
+        stripEmojis(reply),
+        findEmojis(reply).slice(-MAX_EMOJIS[platform])
+      ),
+  },
+  {
+    id: "emoji_position",
+    description: "Emojis outside the end of the reply",
+    applies: ({ emojiBool }) => !!emojiBool,
+    check: (reply) => !emojisOnlyAtEnd(reply),
+    fix: (reply) => appendEmojis(stripEmojis(reply), findEmojis(reply)),
+  },
+  {
+    id: "sentence_count",
+    description: `More than ${MAX_SENTENCES} sentences`,
+    // Custom tones with explicit length limits set their own shape
+    applies: ({ lengthLimit }) => !lengthLimit,
+    check: (reply) => countSentences(reply) > MAX_SENTENCES,
+  },
+  {
+    id: "length",
+    description: "Longer than the character limit",
+    applies: ({ maxLength }) => !!maxLength,
+    check: (reply, { maxLength }) => reply.length > maxLength,
+  },
+];
+
+function appendEmojis(body, emojis) {
+  return emojis.length > 0 ? `${body} ${emojis.join("")}` : body;
+}
+
+/**
+ * Build rule options for a request
+ * @param {object} options
+ * @param {string} options.platform - "linkedin" | "twitter"
+ * @param {boolean} options.emojiBool - Whether emojis are allowed
+ * @param {object} options.tone - Resolved tone (custom tones may carry max_length)
+ * @returns {object}
+ */
+function getRuleOptions({ platform, emojiBool, tone }) {
+  const toneMax = tone && tone.max_length;
+  const platformMax = PLATFORM_MAX_LENGTH[platform];
+  const limits = [toneMax, platformMax].filter(Boolean);
+
+  return {
+    platform,
+    emojiBool,
+    lengthLimit: !!(tone && (tone.min_length || tone.max_length)),
+    maxLength: limits.length > 0 ? Math.min(...limits) : null,
+  };
+}
+
+/**
+ * List the rules a reply breaks
+ * @param {string} reply - Reply text
+ * @param {object} options - From getRuleOptions
+ * @returns {Array<object>} - Violated rules
+ */
+function findViolations(reply, options) {
+  return RULES.filter(
+    (rule) =>
+      (!rule.applies || rule.applies(options)) && rule.check(reply, options)
+  );
+}
+
+/**
+ * Apply every safe fix, then report what is still broken
+ * @param {string} reply - Reply text
+ * @param {object} options - From getRuleOptions
+ * @returns {{reply: string, fixed: Array<string>, unresolved: Array<string>}}
+ */
+function enforceRules(reply, options) {
+  let current = reply;
+  const fixed = [];
+
+  // Check against the current text so each fix sees the previous ones
+  // (e.g. quotes only show up once a "Reply:" label is gone)
+  for (const rule of RULES) {
+    if (
+      rule.fix &&
+      (!rule.applies || rule.applies(options)) &&
+      rule.check(current, options)
+    ) {
+      current = rule.fix(current, options);
+      fixed.push(rule.id);
+    }
+  }
+
+  const unresolved = findViolations(current, options).map((rule) => rule.id);
+  return { reply: current, fixed, unresolved };
+}
+
+/**
+ * Describe unresolved rules for a regeneration prompt
+ * @param {Array<string>} ruleIds - Rule ids
+ * @param {object} options - From getRuleOptions
+ * @returns {string}
+ */
+function describeViolations(ruleIds, options) {
+  return ruleIds
+    .map((id) => {
+      if (id === "length") {
+        return `- Longer than ${options.maxLength} characters`;
+      }
+      return `- ${RULES.find((rule) => rule.id === id).description}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  RULES,
+  MAX_SENTENCES,
+  PLATFORM_MAX_LENGTH,
+  findEmojis,
+  countSentences,
+  getRuleOptions,
+  findViolations,
+  enforceRules,
+  describeViolations,
+};
@@ -14,7 +14,6 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const jwt = require("jsonwebtoken");
 
 // Import Clerk backend SDK
 let clerkClient;
@@ -46,33 +45,26 @@ try {
   console.warn("⚠️ Supabase initialization failed:", error.message);
 }
 
-// Verify API key BEFORE initializing anything
-if (!process.env.ANTHROPIC_API_KEY) {
-  console.error("❌ ERROR: ANTHROPIC_API_KEY is not set in .env file");
-  console.error(
-    "Please create a .env file with: ANTHROPIC_API_KEY=your_key_here"
-  );
-  process.exit(1);
-}
-
-console.log("✅ Anthropic API key found");
-
-// Now safely import and initialize Anthropic
+// Initialize Anthropic (Claude) client
 let anthropic;
-try {
-  const Anthropic = require("@anthropic-ai/sdk");
-  anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-  });
-  console.log("✅ Anthropic (Claude) client initialized");
-} catch (error) {
-  console.error("❌ Failed to initialize Anthropic:", error.message);
-  console.error("Make sure you ran: npm install @anthropic-ai/sdk");
-  process.exit(1);
+if (process.env.ANTHROPIC_API_KEY) {
+  try {
+    const Anthropic = require("@anthropic-ai/sdk");
+    anthropic = new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+    });
+    console.log("✅ Anthropic (Claude) client initialized");
+  } catch (error) {
+    console.warn("⚠️ Anthropic initialization failed:", error.message);
+    console.warn("Make sure you ran: npm install @anthropic-ai/sdk");
+  }
+} else {
+  console.warn("⚠️ ANTHROPIC_API_KEY not set - Claude generation disabled");
 }
 
-// Initialize OpenAI client for embeddings
+// Initialize OpenAI client for embeddings (and OpenAI generation)
 let openai;
+let localLlm;
 try {
   const OpenAI = require("openai");
   if (process.env.OPENAI_API_KEY) {
@@ -83,6 +75,17 @@ try {
   } else {
     console.warn("⚠️ OPENAI_API_KEY not set - RAG features disabled");
   }
+
+  // Local OpenAI-compatible server (llama.cpp, Ollama, vLLM, ...)
+  if (process.env.LOCAL_LLM_URL) {
+    localLlm = new OpenAI({
+      baseURL: process.env.LOCAL_LLM_URL,
+      apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+    });
+    console.log(
+      `✅ Local model client initialized (${process.env.LOCAL_LLM_URL})`
+    );
+  }
 } catch (error) {
   console.warn("⚠️ OpenAI initialization failed:", error.message);
 }
@@ -92,6 +95,84 @@ const documentProcessor = require("./documentProcessor");
 const vectorOperations = require("./vectorOperations");
 const twitterService = require("./twitterService");
 const toneService = require("./toneService");
+const clerkAuth = require("./clerkAuth");
+const companyAccess = require("./companyAccess");
+const companyMembers = require("./companyMembers");
+const companies = require("./companies");
+const companyTones = require("./companyTones");
+const verticals = require("./verticals");
+const generationService = require("./generationService");
+const replyPrompts = require("./replyPrompts");
+const promptRegistry = require("./promptRegistry");
+const sse = require("./sse");
+const replyHistory = require("./replyHistory");
+const replyFeedback = require("./replyFeedback");
+const usageAnalytics = require("./usageAnalytics");
+const usageTracking = require("./usageTracking");
+const plans = require("./plans");
+const rateLimiter = require("./rateLimiter");
+const llmProviders = require("./llmProviders");
+const generationConfig = require("./generationConfig");
+const generationCache = require("./generationCache");
+const idempotency = require("./idempotency");
+const ingestionQueue = require("./ingestionQueue");
+const ingestionProgress = require("./ingestionProgress");
+const { httpError } = require("./errors");
+
+/**
+ * Model providers for generation and tone learning
+ * LLM_PROVIDERS sets the default failover order (e.g. "anthropic,openai");
+ * add "stub" to generate offline. Companies can prefer another configured
+ * provider in their settings (llm_provider).
+ */
+const llm = (() => {
+  const providers = [];
+  if (anthropic) {
+    providers.push(
+      llmProviders.createAnthropicProvider({
+        client: anthropic,
+        model: process.env.ANTHROPIC_MODEL,
+      })
+    );
+  }
+  if (openai) {
+    providers.push(
+      llmProviders.createOpenAIProvider({
+        client: openai,
+        model: process.env.OPENAI_MODEL,
+      })
+    );
+  }
+  if (localLlm) {
+    providers.push(
+      llmProviders.createOpenAIProvider({
+        client: localLlm,
+        name: "local",
+        model: process.env.LOCAL_LLM_MODEL,
+      })
+    );
+  }
+
+  const order = clerkAuth.parseList(process.env.LLM_PROVIDERS);
+  if (order.includes("stub")) {
+    providers.push(llmProviders.createStubProvider());
+  }
+
+  const router = llmProviders.createLLMRouter({ providers, order });
+  if (router.isAvailable()) {
+    console.log(
+      `✅ LLM providers: ${router
+        .list()
+        .map((provider) => `${provider.name} (${provider.model})`)
+        .join(", ")}`
+    );
+  } else {
+    console.warn(
+      "⚠️ No LLM provider configured - generation disabled. Set ANTHROPIC_API_KEY, OPENAI_API_KEY or LOCAL_LLM_URL."
+    );
+  }
+  return router;
+})();
 
 // Initialize multer for file uploads
 const multer = require("multer");
@@ -106,6 +187,16 @@ const upload = multer({
 const app = express();
 const PORT = 3000;
 
+// Behind a load balancer, trust its X-Forwarded-For so req.ip (used to rate
+// limit anonymous clients) is the client address: hop count or "true"
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY
+  );
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -117,171 +208,137 @@ app.use(express.json());
  * The Chrome extension and web app send tokens in the format:
  * Authorization: Bearer <clerk_token>
  *
- * This middleware validates the token and attaches user info to req.auth
+ * Tokens are verified against Clerk's JWKS (signature, exp/nbf, issuer and
+ * authorized party). Set CLERK_AUTH_STRICT=true to reject every non-public
+ * request that has no token; otherwise those continue with req.auth = null.
  */
-async function validateClerkToken(req, res, next) {
-  // Skip validation for health check and public endpoints
-  if (
-    req.path === "/health" ||
-    req.path === "/" ||
-    req.path === "/favicon.ico"
-  ) {
-    return next();
-  }
+const clerkTokenVerifier = clerkAuth.createClerkTokenVerifier({
+  jwtKey: process.env.CLERK_JWT_KEY,
+  jwksUrl: process.env.CLERK_JWKS_URL || clerkAuth.DEFAULT_JWKS_URL,
+  secretKey: process.env.CLERK_JWKS_URL ? undefined : process.env.CLERK_SECRET_KEY,
+  issuers: clerkAuth.parseList(process.env.CLERK_ISSUER),
+  authorizedParties: clerkAuth.parseList(process.env.CLERK_AUTHORIZED_PARTIES),
+});
 
-  try {
-    const authHeader = req.headers.authorization;
+if (!process.env.CLERK_JWT_KEY && !process.env.CLERK_JWKS_URL && !process.env.CLERK_SECRET_KEY) {
+  console.warn(
+    "⚠️ No CLERK_JWT_KEY, CLERK_JWKS_URL or CLERK_SECRET_KEY set - bearer tokens cannot be verified"
+  );
+}
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      // For backward compatibility, allow requests without auth for now
-      // Remove this check in production for full token requirement
-      console.warn("⚠️ Request without Authorization header:", req.path);
-      req.auth = null;
-      return next();
-    }
+const validateClerkToken = clerkAuth.createClerkAuthMiddleware({
+  verifier: clerkTokenVerifier,
+  strict: process.env.CLERK_AUTH_STRICT === "true",
+});
 
-    const token = authHeader.substring(7); // Remove "Bearer " prefix
+// Apply auth middleware to all routes
+app.use(validateClerkToken);
 
-    // Verify the Clerk token
-    // In production, you should verify the signature using Clerk's public key
-    // For now, we'll do basic validation
-    try {
-      // Clerk tokens are JWTs that we can decode
-      // The token structure contains: header.payload.signature
-      const parts = token.split(".");
+// Admin-only routes (comma separated Clerk user IDs in ADMIN_USER_IDS)
+const requireAdmin = clerkAuth.createAdminGuard(
+  clerkAuth.parseList(process.env.ADMIN_USER_IDS)
+);
 
-      if (parts.length !== 3) {
-        throw new Error("Invalid token format");
-      }
+/**
+ * Per-user (or per-IP) request budgets, e.g. RATE_LIMIT_GENERATION=30/60 for
+ * 30 requests per 60 seconds. RATE_LIMIT_STORE=supabase shares the buckets
+ * between server instances.
+ */
+const limiter = rateLimiter.createRateLimiter({
+  budgets: {
+    generation: rateLimiter.parseBudget(
+      process.env.RATE_LIMIT_GENERATION,
+      rateLimiter.DEFAULT_BUDGETS.generation
+    ),
+    ingestion: rateLimiter.parseBudget(
+      process.env.RATE_LIMIT_INGESTION,
+      rateLimiter.DEFAULT_BUDGETS.ingestion
+    ),
+    tone: rateLimiter.parseBudget(
+      process.env.RATE_LIMIT_TONE,
+      rateLimiter.DEFAULT_BUDGETS.tone
+    ),
+  },
+  store:
+    process.env.RATE_LIMIT_STORE === "supabase" && supabase
+      ? rateLimiter.createSupabaseStore(supabase)
+      : rateLimiter.createMemoryStore(),
+});
+const limitGeneration = limiter.middleware("generation");
+const limitIngestion = limiter.middleware("ingestion");
+const limitToneTraining = limiter.middleware("tone");
 
-      // Decode the payload (without verifying signature for now)
-      // In production, use Clerk's SDK to verify: https://clerk.com/docs/backend-requests/handling/jwt-verification
-      const payload = JSON.parse(
-        Buffer.from(parts[1], "base64").toString("utf-8")
-      );
+/**
+ * Idempotency-Key support for generate and upload requests: retries replay
+ * the first response instead of counting usage or creating a document twice.
+ * IDEMPOTENCY_STORE=supabase shares keys between server instances,
+ * IDEMPOTENCY_TTL sets how long responses are replayed (seconds).
+ */
+const dedupe = idempotency.createIdempotencyMiddleware({
+  store:
+    process.env.IDEMPOTENCY_STORE === "supabase" && supabase
+      ? idempotency.createSupabaseStore(supabase)
+      : idempotency.createMemoryStore(),
+  ttlSeconds:
+    parseInt(process.env.IDEMPOTENCY_TTL, 10) ||
+    idempotency.DEFAULT_TTL_SECONDS,
+});
 
-      // Attach auth info to request
-      req.auth = {
-        userId: payload.sub || payload.uid, // Clerk user ID
-        sessionId: payload.sid, // Session ID
-        token: token,
-      };
-
-      console.log(`✅ Token validated for user: ${req.auth.userId}`);
-      next();
-    } catch (decodeError) {
-      console.error("❌ Token decode error:", decodeError.message);
-      // For development, log but allow. In production, reject
-      req.auth = { token: token }; // Keep token for logging
-      next();
-    }
-  } catch (error) {
-    console.error("❌ Auth middleware error:", error.message);
-    req.auth = null;
-    next();
-  }
-}
+/**
+ * Daily/weekly usage counters (rollover in the user's time zone)
+ */
+const usageTracker = supabase
+  ? usageTracking.createUsageTracker({ supabase })
+  : null;
 
-// Apply auth middleware to all routes
-app.use(validateClerkToken);
+/**
+ * Plan tiers and their limits (generations, documents, storage, trainings)
+ */
+const planService = supabase
+  ? plans.createPlanService({ supabase, usageTracker })
+  : null;
 
 /**
  * Helper function to track usage in Supabase
- * Updates daily and weekly counters for the user
- * Returns updated usage stats
+ * Records the generation in usage_history, updates daily and weekly counters
+ * for the user and returns updated usage stats
+ *
+ * tone is any tone the generation resolved - built-in or registered for the
+ * company - so it is not checked against a fixed list here.
  */
-async function trackUsageInSupabase(userId, tone = "value") {
+async function trackUsageInSupabase(
+  userId,
+  { platform, tone = "value", companyId, latencyMs } = {}
+) {
   if (!userId || !supabase) {
     console.warn("⚠️ Supabase or userId not available for tracking");
     return null;
   }
 
   try {
-    // Get or create user usage record - use limit(1) instead of .single()
-    let { data: userData, error: selectError } = await supabase
-      .from("operator_usage")
-      .select("*")
-      .eq("user_id", userId)
-      .limit(1);
-
-    if (selectError) {
-      throw selectError;
-    }
-
-    // If user doesn't exist, create a new record
-    if (!userData || userData.length === 0) {
-      // Get today's date in YYYY-MM-DD format for Postgres
-      const today = new Date().toISOString().split("T")[0];
-
-      const { data: newUser, error: createError } = await supabase
-        .from("operator_usage")
-        .insert([
-          {
-            user_id: userId,
-            daily_goal: 10,
-            weekly_goal: 50,
-            replies_sent_today: 1,
-            replies_sent_week: 1,
-            last_reset_date: today,
-            last_reset_week_date: today,
-          },
-        ])
-        .select()
-        .limit(1);
-
-      if (createError) throw createError;
-      if (!newUser || newUser.length === 0)
-        throw new Error("Failed to create user record");
-      userData = newUser[0];
-      console.log(`📊 Created new user usage record for ${userId}`);
-    } else {
-      // Get the existing user record (first element from array)
-      const user = userData[0];
-
-      // Get today's date in YYYY-MM-DD format
-      const today = new Date().toISOString().split("T")[0];
-
-      // Build update object with simple increments
-      // The database trigger will handle resets automatically
-      const updateData = {
-        replies_sent_today: user.replies_sent_today + 1,
-        replies_sent_week: user.replies_sent_week + 1,
-        last_reset_date: today,
-      };
-
-      // Update the record - any resets will be handled by the database trigger
-      const { data: updatedUser, error: updateError } = await supabase
-        .from("operator_usage")
-        .update(updateData)
-        .eq("user_id", userId)
-        .select()
-        .limit(1);
+    await usageAnalytics.recordUsage(supabase, {
+      userId,
+      platform,
+      tone,
+      companyId,
+      latencyMs,
+    });
+  } catch (error) {
+    // History feeds analytics only; the counters below still update
+    console.warn(
+      `⚠️ Could not write usage history for user ${userId}:`,
+      error.message
+    );
+  }
 
-      if (updateError) throw updateError;
-      if (!updatedUser || updatedUser.length === 0)
-        throw new Error("Failed to update user record");
-      userData = updatedUser[0];
-    }
+  try {
+    const usage = await usageTracker.trackUsage(userId);
 
     console.log(
-      `📊 Usage tracked for user ${userId}: ${userData.replies_sent_today}/${userData.daily_goal} daily, ${userData.replies_sent_week}/${userData.weekly_goal} weekly`
+      `📊 Usage tracked for user ${userId}: ${usage.daily_used}/${usage.daily_goal} daily, ${usage.weekly_used}/${usage.weekly_goal} weekly`
     );
 
-    return {
-      usage_count: userData.replies_sent_today,
-      daily_used: userData.replies_sent_today,
-      daily_goal: userData.daily_goal,
-      daily_remaining: Math.max(
-        0,
-        userData.daily_goal - userData.replies_sent_today
-      ),
-      weekly_used: userData.replies_sent_week,
-      weekly_goal: userData.weekly_goal,
-      weekly_remaining: Math.max(
-        0,
-        userData.weekly_goal - userData.replies_sent_week
-      ),
-    };
+    return usage;
   } catch (error) {
     console.warn(
       `⚠️ Supabase tracking error for user ${userId}:`,
@@ -291,6 +348,19 @@ async function trackUsageInSupabase(userId, tone = "value") {
   }
 }
 
+/**
+ * Helper function to count a generation by a caller without a user
+ * Only the counters the free plan quota is checked against are updated;
+ * anonymous generations have no history or analytics.
+ */
+async function trackAnonymousUsage(subject) {
+  try {
+    await usageTracker.trackUsage(subject);
+  } catch (error) {
+    console.warn(`⚠️ Supabase tracking error for ${subject}:`, error.message);
+  }
+}
+
 /**
  * Helper function to get current usage for a user
  * Returns current daily and weekly quota usage
@@ -301,85 +371,181 @@ async function getUserUsage(userId) {
   }
 
   try {
-    // First ensure user exists
-    let { data: userData, error } = await supabase
-      .from("operator_usage")
-      .select()
-      .eq("user_id", userId)
-      .limit(1);
+    return await usageTracker.getUsage(userId);
+  } catch (error) {
+    console.warn(`⚠️ Error getting usage for ${userId}:`, error.message);
+    return null;
+  }
+}
 
-    if (error) {
-      console.warn(`⚠️ Error fetching usage for ${userId}:`, error.message);
-      return null;
+// Restore prompt template activations (rollbacks) saved in Supabase and keep
+// re-reading them, so an activation on one instance reaches the others.
+// The server starts listening once they are applied.
+const promptActivationsLoaded = supabase
+  ? replyPrompts.registry
+      .useStore(promptRegistry.createSupabaseActivationStore(supabase))
+      .catch((error) => {
+        console.warn(
+          "⚠️ [Prompts] Could not load template activations:",
+          error.message
+        );
+      })
+  : Promise.resolve();
+
+/**
+ * Opt-in cache for identical generation requests: GENERATION_CACHE=memory
+ * (per instance) or supabase (shared), GENERATION_CACHE_TTL in seconds
+ */
+const replyCache = (() => {
+  const storeName = process.env.GENERATION_CACHE;
+  if (!storeName) {
+    return null;
+  }
+
+  const ttlSeconds =
+    parseInt(process.env.GENERATION_CACHE_TTL, 10) ||
+    generationCache.DEFAULT_TTL_SECONDS;
+  const store =
+    storeName === "supabase" && supabase
+      ? generationCache.createSupabaseStore(supabase)
+      : generationCache.createMemoryStore();
+
+  console.log(
+    `✅ Generation cache enabled (${
+      storeName === "supabase" && supabase ? "supabase" : "memory"
+    }, ${ttlSeconds}s)`
+  );
+  return generationCache.createGenerationCache({ store, ttlSeconds });
+})();
+
+/**
+ * Shared reply generation pipeline used by every generate endpoint
+ */
+const replyGenerator = generationService.createGenerationService({
+  llm,
+  supabase,
+  openai,
+  trackUsage: trackUsageInSupabase,
+  trackAnonymousUsage: usageTracker ? trackAnonymousUsage : null,
+  getUsage: getUserUsage,
+  checkQuota: planService ? planService.checkGenerationQuota : null,
+  cache: replyCache,
+});
+
+/**
+ * Helper function to send a generation error
+ * Plan limit errors include their details and a Retry-After header.
+ */
+function sendGenerationError(res, error) {
+  const { status, message, details, retryAfter } =
+    generationService.describeGenerationError(error);
+
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+  }
+  res.status(status).json({ error: message, ...details });
+}
+
+/**
+ * Helper function to resolve the company used for RAG context
+ * Uses the companyId from the request body, or the authenticated user's
+ * default company when it is omitted. A requested company selects private
+ * knowledge, tones and model settings, so the caller must be signed in and a
+ * member: like the /company/:companyId routes, non-members get 404.
+ */
+async function resolveGenerationCompanyId(req, companyId) {
+  if (companyId) {
+    if (!supabase) {
+      throw httpError(503, "Supabase not configured");
+    }
+    if (!req.auth?.userId) {
+      throw httpError(401, "Sign in to generate with company knowledge");
     }
 
-    // If no record exists, create one with default values
-    if (!userData || userData.length === 0) {
-      const today = new Date().toISOString().split("T")[0];
+    const access = await companyAccess.resolveCompanyAccess(
+      supabase,
+      companyId,
+      req.auth.userId
+    );
+    if (!access || !access.role) {
+      console.warn(
+        `🚫 [Access] User ${req.auth.userId} has no access to company ${companyId}`
+      );
+      throw httpError(404, "Company not found");
+    }
+    if (!companyAccess.can(access.role, "knowledge:read")) {
+      throw httpError(
+        403,
+        `Forbidden - requires ${companyAccess.PERMISSIONS["knowledge:read"]} role`
+      );
+    }
 
-      const { data: newUser, error: createError } = await supabase
-        .from("operator_usage")
-        .insert([
-          {
-            user_id: userId,
-            daily_goal: 10,
-            weekly_goal: 50,
-            replies_sent_today: 0,
-            replies_sent_week: 0,
-            last_reset_date: today,
-            last_reset_week_date: today,
-          },
-        ])
-        .select()
-        .limit(1);
-
-      if (createError) {
-        // If duplicate key error, it means another request created the record
-        // Try fetching again
-        if (createError.code === "23505") {
-          const { data: retryData, error: retryError } = await supabase
-            .from("operator_usage")
-            .select()
-            .eq("user_id", userId)
-            .limit(1);
-
-          if (retryError || !retryData || retryData.length === 0) {
-            console.warn(
-              `⚠️ Error fetching usage after duplicate key for ${userId}`
-            );
-            return null;
-          }
+    return companyId;
+  }
 
-          userData = retryData;
-        } else {
-          console.warn(
-            `⚠️ Error creating usage for ${userId}:`,
-            createError.message
-          );
-          return null;
-        }
-      } else {
-        userData = newUser;
-      }
+  if (!req.auth?.userId || !supabase) {
+    return null;
+  }
+
+  try {
+    const defaultCompanyId = await companies.getDefaultCompanyId(
+      supabase,
+      req.auth.userId
+    );
+    if (defaultCompanyId) {
+      console.log(
+        `🏢 Using default company ${defaultCompanyId} for ${req.auth.userId}`
+      );
     }
-    console.log(userData);
-    const user = userData[0];
-
-    return {
-      usage_count: user.replies_sent_today,
-      daily_used: user.replies_sent_today,
-      daily_goal: user.daily_goal,
-      daily_remaining: Math.max(0, user.daily_goal - user.replies_sent_today),
-      weekly_used: user.replies_sent_week,
-      weekly_goal: user.weekly_goal,
-      weekly_remaining: Math.max(0, user.weekly_goal - user.replies_sent_week),
-    };
+    return defaultCompanyId;
   } catch (error) {
-    console.warn(`⚠️ Error getting usage for ${userId}:`, error.message);
+    console.warn(
+      `⚠️ Could not resolve default company for ${req.auth.userId}:`,
+      error.message
+    );
     return null;
   }
 }
 
+/**
+ * Run a generation and send it as Server-Sent Events
+ * Errors become an "error" event since the 200 status is already sent.
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} input - generateReply input
+ * @param {Function} toResponse - Builds the "done" payload from the result
+ */
+async function streamReply(req, res, input, toResponse) {
+  const stream = sse.openEventStream(req, res);
+
+  try {
+    const result = await replyGenerator.generateReply({
+      ...input,
+      signal: stream.signal,
+      onDelta: (text) => stream.send("delta", { text }),
+    });
+
+    stream.send("done", toResponse(result));
+  } catch (error) {
+    if (stream.signal.aborted) {
+      console.log(
+        `🛑 [Stream] Client disconnected, ${input.platform} generation cancelled`
+      );
+    } else {
+      console.error(
+        `❌ [Stream] Error generating ${input.platform} reply:`,
+        error.message
+      );
+      const { status, message, details } =
+        generationService.describeGenerationError(error);
+      stream.send("error", { error: message, status, ...details });
+    }
+  } finally {
+    stream.close();
+  }
+}
+
 /**
  * Health check endpoint
  * Used by the extension to verify the backend is running
@@ -392,496 +558,172 @@ app.get("/health", (req, res) => {
  * Generate reply endpoint for LinkedIn
  * POST /generate/linkedin
  *
- * Request body: { text: "original post text", tone: "funny" | "value", emojiBool: boolean }
- * Response: JSON with reply text and usage stats
+ * Request body: { text: "original post text", tone: "funny" | "value" | <company tone>, emojiBool: boolean }
+ * Optional: vertical (see GET /verticals; defaults to the company's vertical, then "web3"),
+ *           web3Bool (legacy alias for vertical "web3" / "general"),
+ *           n (1-5 candidates), judge (also rank candidates with an LLM judge),
+ *           cache (false, or "Cache-Control: no-cache", skips the generation cache)
+ * Idempotency-Key: <key> (optional) - a retry with the same key replays the
+ * first response without counting usage again; 409 while it is still running
+ * Response: JSON with reply text, prompt_version, generation_id, cached and usage stats
+ *           (plus ranked candidates: [{ text, score, checks, rules }] when n > 1)
+ *           rules: { fired, fixed, regenerated, unresolved } - output rule checks
+ *
+ * Streaming: send { stream: true } or "Accept: text/event-stream" to get SSE:
+ *   event: delta  data: { text }          - raw text as the model writes it
+ *   event: done   data: <JSON response>   - final reply (after rule fixes), metadata and usage
+ *   event: error  data: { error, status }
+ * Closing the connection cancels the generation; cancelled requests are not counted.
  *
- * Authorization: Bearer <clerk_token> (optional, but required for usage tracking)
+ * Authorization: Bearer <clerk_token> (optional, but required for usage tracking
+ * and for companyId: only members of the company can generate with it, others get 404)
  */
-app.post("/generate/linkedin", async (req, res) => {
+app.post("/generate/linkedin", limitGeneration, dedupe, async (req, res) => {
   try {
     const {
       text,
       tone = "value",
       emojiBool,
-      web3Bool = true,
-      companyId,
+      web3Bool,
+      vertical,
+      n,
+      judge,
+      companyId: requestedCompanyId,
       authorName,
     } = req.body;
 
     // Validate input
-    if (
-      !text ||
-      typeof text !== "string" ||
-      text.trim().length === 0 ||
-      emojiBool === undefined
-    ) {
-      return res.status(400).json({
-        error:
-          "Invalid input. Please provide a 'text' field with post content.",
-      });
-    }
-
-    // Validate minimum text length to prevent poor quality responses
-    if (text.trim().length < 20) {
-      return res.status(400).json({
-        error:
-          "Post text too short. Minimum 20 characters required for quality replies.",
-      });
+    const validationError = generationService.validateReplyRequest({
+      text,
+      tone,
+      emojiBool,
+      vertical,
+      n,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Optional: Validate maximum length to prevent token waste
-    if (text.trim().length > 5000) {
-      return res.status(400).json({
-        error:
-          "Post text too long. Maximum 5000 characters allowed.",
-      });
+    if (sse.wantsEventStream(req) && n > 1) {
+      return res
+        .status(400)
+        .json({ error: "Streaming supports a single candidate (n = 1)." });
     }
 
-    // Validate tone
-    if (!["funny", "value"].includes(tone)) {
-      return res.status(400).json({
-        error: "Invalid tone. Please use 'funny' or 'value'.",
-      });
-    }
+    // Fall back to the user's default company for RAG context
+    const companyId = await resolveGenerationCompanyId(req, requestedCompanyId);
 
     console.log(
       `📝 [LinkedIn] Generating reply for: "${text.substring(
         0,
         50
-      )}..." (tone: ${tone}, web3: ${web3Bool})`
+      )}..." (tone: ${tone}, vertical: ${vertical || "-"}, web3: ${web3Bool})`
     );
     if (req.auth?.userId) {
       console.log(`👤 User: ${req.auth.userId}`);
     }
 
-    // Double-check Anthropic client exists
-    if (!anthropic) {
-      throw new Error("Anthropic client not initialized. Check your API key.");
-    }
+    const input = {
+      platform: "linkedin",
+      text,
+      tone,
+      emojiBool,
+      vertical,
+      web3Bool,
+      // LinkedIn has always defaulted to the Web3 prompts
+      defaultVertical: "web3",
+      companyId,
+      authorName,
+      n,
+      judge: judge === true,
+      cache: !generationCache.wantsFreshGeneration(req),
+      userId: req.auth?.userId,
+      clientIp: req.ip,
+    };
+    const toResponse = (result) => ({
+      reply: result.reply,
+      tone: tone,
+      platform: "linkedin",
+      vertical: result.vertical.id,
+      prompt_version: result.promptVersion,
+      generation_id: result.generationId,
+      rules: result.rules,
+      ...(n > 1 && { candidates: result.rankedCandidates }),
+      cached: result.cached,
+      usage: result.usage,
+    });
 
-    // Fetch operator tone profile if available (Twitter-based personalization)
-    let operatorTone = null;
-    if (req.auth?.userId && supabase) {
-      try {
-        const { data: toneData } = await supabase
-          .from("operator_tones")
-          .select("tone_json")
-          .eq("operator_id", req.auth.userId)
-          .single();
-
-        if (toneData && toneData.tone_json) {
-          operatorTone = toneData.tone_json;
-          console.log(
-            `✅ [Tone] Loaded operator tone profile for ${req.auth.userId}`
-          );
-        }
-      } catch (error) {
-        // Tone profile is optional, continue without it
-        console.log(`ℹ️ [Tone] No tone profile found for ${req.auth.userId}`);
-      }
+    if (sse.wantsEventStream(req)) {
+      return streamReply(req, res, input, toResponse);
     }
 
-    // Build RAG context if companyId provided
-    let ragContext = null;
-    if (companyId && supabase && openai) {
-      try {
-        console.log(`🧠 [RAG] Building context for company ${companyId}`);
-        ragContext = await vectorOperations.buildRagContext({
-          supabase,
-          openaiClient: openai,
-          companyId,
-          postText: text,
-          maxChunks: 10,
-          similarityThreshold: 0.7,
-        });
-        console.log(
-          `✅ [RAG] Retrieved ${ragContext.chunks.length} relevant chunks`
-        );
-      } catch (error) {
-        console.warn(
-          `⚠️ [RAG] Error building context for company ${companyId}:`,
-          error.message
-        );
-        console.warn(
-          `💡 Hint: Visit the Knowledge page first to create a company and upload documents.`
-        );
-        // Continue without RAG context
-      }
-    } else if (companyId && (!supabase || !openai)) {
-      console.warn(
-        `⚠️ [RAG] CompanyId provided but RAG not available (Supabase: ${!!supabase}, OpenAI: ${!!openai})`
-      );
-    }
+    const result = await replyGenerator.generateReply(input);
 
-    // Build system prompt based on tone and web3 setting
-    let systemPrompt;
-    if (tone === "funny" && web3Bool) {
-      systemPrompt = `## Role: Sharp Web3 Commentator for LinkedIn
+    // Return the reply and usage stats
+    res.status(200).json(toResponse(result));
+  } catch (error) {
+    console.error("❌ [LinkedIn] Error generating reply:", error.message);
+    console.error("Full error:", error);
 
-You are a Web3 professional known for witty, intelligent commentary. Your comments are clever WITHOUT being try-hard.
-
-### Core Principles
-
-**Understand the Post Type:**
-- **Engagement Bait:** If the post is clearly designed to farm engagement (fake hiring posts, obvious ragebait, "agree?" posts, generic motivation), call it out cleverly or subvert expectations
-- **Genuine Discussion:** If it's real industry discussion, add sharp insight
-- **Comment Thread:** If replying to someone's comment (not the main post), respond directly to THEIR point, not the original post
-
-**Comment Quality:**
-1. Read carefully - understand what's ACTUALLY being said
-2. Add genuine insight or clever observation
-3. Be specific to THIS post, not generic Web3 commentary
-4. If it's engagement bait, be playfully skeptical
-
-**Tone & Style:**
-* Sharp and authentic - smart humor, not forced jokes
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if needed
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes, excessive punctuation, or emoji spam
-* Sound like a real person, not a content creator
-
-**Examples of Good Replies:**
-
-Post: "We're hiring a senior Solidity developer! Must have 10 years experience."
-Bad: "Solidity has only been around for 9 years! 😂🔥💯"
-Good: "Solidity launched in 2014. Might want to adjust those requirements."
-
-Post: "Hot take: Web3 will replace Web2 by 2025"
-Bad: "Lol no way this is happening 💀😂"
-Good: "We said this about Web2 replacing Web1 by 2010. Turns out they coexist."
-
-Comment: "I think gas fees will always be a problem"
-Bad: "Actually L2s solve this with rollups and zkProofs! 🚀"
-Good: "L2s have dropped fees 95%+ already. The UX problem is wallets, not cost."
-
-**Critical Rules:**
-- Match the depth of the original post
-- If replying to a comment, address THAT person's specific point
-- No emoji spam (max 1, only at end)
-- No generic platitudes
-- Be genuinely helpful or genuinely funny, not both
-- NEVER just rephrase the original post. Add a new angle.
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-    } else if (tone === "funny" && !web3Bool) {
-      systemPrompt = `## Role: Sharp Professional Commentator for LinkedIn
-
-You are a professional known for witty, intelligent commentary. Your comments are clever WITHOUT being try-hard.
-
-### Core Principles
-
-**Understand the Post Type:**
-- **Engagement Bait:** If the post is clearly designed to farm engagement (fake hiring posts, obvious ragebait, "agree?" posts, generic motivation), call it out cleverly or subvert expectations
-- **Genuine Discussion:** If it's real industry discussion, add sharp insight
-- **Comment Thread:** If replying to someone's comment (not the main post), respond directly to THEIR point, not the original post
-
-**Comment Quality:**
-1. Read carefully - understand what's ACTUALLY being said
-2. Add genuine insight or clever observation
-3. Be specific to THIS post, not generic commentary
-4. If it's engagement bait, be playfully skeptical
-
-**Tone & Style:**
-* Sharp and authentic - smart humor, not forced jokes
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if needed
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes, excessive punctuation, or emoji spam
-* Sound like a real person, not a content creator
-
-**Examples of Good Replies:**
-
-Post: "We're hiring a senior developer! Must have 10 years experience in a 5-year-old framework."
-Bad: "Math isn't mathing! 😂🔥💯"
-Good: "Time travel experience required. Will accept DeLorean certification."
-
-Post: "Hot take: AI will replace all jobs by 2025"
-Bad: "Lol no way this is happening 💀😂"
-Good: "We said this about Excel in 1985. Turns out spreadsheets just created new jobs."
-
-Comment: "I think remote work is just a fad"
-Bad: "Bro it's 2025 wake up 💀"
-Good: "Companies spent billions on office space they can't fill. That's not a fad, that's sunk cost."
-
-**Critical Rules:**
-- Match the depth of the original post
-- If replying to a comment, address THAT person's specific point
-- No emoji spam (max 1, only at end)
-- No generic platitudes
-- Be genuinely helpful or genuinely funny, not both
-- NEVER just rephrase the original post. Add a new angle.
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-    } else if (tone === "value" && web3Bool) {
-      systemPrompt = `## Role: Insightful Web3 Professional for LinkedIn
-
-You are a Web3 professional known for clear, valuable commentary. Your comments add genuine insight.
-
-### Core Principles
-
-**Understand the Post Type:**
-- **Engagement Bait:** If the post is clearly designed to farm engagement (fake hiring posts, obvious ragebait, "agree?" posts), either skip engagement or add genuinely useful context
-- **Genuine Discussion:** Add real insight, data, or perspective
-- **Comment Thread:** If replying to someone's comment (not the main post), respond directly to THEIR specific point
-
-**Comment Quality:**
-1. Read carefully - understand the actual argument being made
-2. Add specific insight, not generic observations
-3. Reference real trends, data, or technical details when relevant
-4. If it's engagement bait, either ignore or provide actual value
-
-**Tone & Style:**
-* Professional and direct - peer-to-peer conversation
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if appropriate
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes or excessive punctuation
-* Avoid buzzwords and hype - be substantive
-* Sound like an expert colleague, not a motivational speaker
-
-**Examples of Good Replies:**
-
-Post: "DeFi is dead, no one uses it anymore"
-Bad: "Not true! DeFi TVL is still strong 💪📈"
-Good: "DeFi TVL is $50B+, down from $180B peak but higher than 2020. Real issue is most users are yield chasers, not organic activity."
-
-Post: "What's the future of blockchain?"
-Bad: "Blockchain will revolutionize everything! Bright future ahead 🚀"
-Good: "Infrastructure is maturing. Next phase is applications that hide the blockchain - users shouldn't need to know it exists."
-
-Comment: "I don't think NFTs have real utility"
-Bad: "NFTs are about digital ownership and provenance! 🎨"
-Good: "Event tickets, certification, and supply chain tracking are working use cases. Profile pictures were just the first retail experiment."
-
-**Critical Rules:**
-- Be specific and substantive
-- If replying to a comment, address THAT person's exact point
-- No emoji spam (max 1, only at end)
-- No generic statements that could apply to any post
-- Add information or perspective they don't already have
-- NEVER just rephrase the original post. Provide NEW info.
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-    } else {
-      // tone === "value" && !web3Bool
-      systemPrompt = `## Role: Insightful Professional for LinkedIn
-
-You are a professional known for clear, valuable commentary. Your comments add genuine insight.
-
-### Core Principles
-
-**Understand the Post Type:**
-- **Engagement Bait:** If the post is clearly designed to farm engagement (fake hiring posts, obvious ragebait, "agree?" posts), either skip engagement or add genuinely useful context
-- **Genuine Discussion:** Add real insight, data, or perspective
-- **Comment Thread:** If replying to someone's comment (not the main post), respond directly to THEIR specific point
-
-**Comment Quality:**
-1. Read carefully - understand the actual argument being made
-2. Add specific insight, not generic observations
-3. Reference real trends, data, or relevant details when appropriate
-4. If it's engagement bait, either ignore or provide actual value
-
-**Tone & Style:**
-* Professional and direct - peer-to-peer conversation
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if appropriate
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes or excessive punctuation
-* Avoid buzzwords and hype - be substantive
-* Sound like an expert colleague, not a motivational speaker
-
-**Examples of Good Replies:**
-
-Post: "Remote work is destroying productivity"
-Bad: "Not true! Studies show remote workers are more productive 💪📈"
-Good: "Microsoft's 2024 study shows remote workers complete 13% more tasks, but collaboration dropped 25%. It's not binary - hybrid models address both."
-
-Post: "What's the future of AI in business?"
-Bad: "AI will revolutionize everything! Bright future ahead 🚀"
-Good: "Process automation and data analysis are the immediate wins. Customer-facing AI still struggles with edge cases - that's where humans remain critical."
-
-Comment: "I don't think certifications matter anymore"
-Bad: "Certifications show commitment and knowledge! 🎓"
-Good: "Certifications validate baseline knowledge, but portfolio work demonstrates real capability. For hiring, I weight projects 3x higher than certs."
-
-**Critical Rules:**
-- Be specific and substantive
-- If replying to a comment, address THAT person's exact point
-- No emoji spam (max 1, only at end)
-- No generic statements that could apply to any post
-- Add information or perspective they don't already have
-- NEVER just rephrase the original post. Provide NEW info.
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-    }
-
-    // // Enhance system prompt with operator tone profile if available
-    // if (operatorTone) {
-    //   systemPrompt += `\n\n---\n\n## CRITICAL: Personal Writing Style\n\n`;
-    //   systemPrompt += `You must write in the operator's authentic voice. This is their actual writing style from Twitter:\n\n`;
-    //   systemPrompt += toneService.formatToneForPrompt(operatorTone);
-    //   systemPrompt += `\n**IMPORTANT:** Replicate this exact writing style while following the role guidelines above. The response should sound like THIS person wrote it.`;
-    // }
-
-    // Enhance system prompt with RAG context if available
-    if (ragContext && ragContext.hasContext) {
-      systemPrompt += `\n\n---\n\n## IMPORTANT: Company-Specific Context\n\n`;
-
-      if (ragContext.formattedVoice) {
-        systemPrompt += `### Company Voice & Brand Guidelines:\n${ragContext.formattedVoice}\n\n`;
-      }
-
-      if (ragContext.formattedChunks) {
-        systemPrompt += `### Relevant Company Knowledge:\nUse the following information from the company's knowledge base to inform your reply. Only reference this if relevant to the post.\n\n${ragContext.formattedChunks}\n\n`;
-      }
-
-      systemPrompt += `**CRITICAL:** Align your reply with the company's voice and use relevant knowledge naturally. Do NOT hallucinate facts outside the provided context.`;
-    }
-
-    // Call Anthropic Claude API to generate a LinkedIn reply
-    const message = await anthropic.messages.create({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 200,
-      system: systemPrompt,
-      messages: [
-        {
-          role: "user",
-          content: `Generate a ${
-            web3Bool ? "Web3 " : ""
-          }professional comment for this LinkedIn post or comment:
-
-"${text}"${authorName ? `\n\nAuthor: ${authorName}` : ""}
-
-Context: This could be a main post or a reply to someone's comment. Read it carefully and respond appropriately.${authorName ? `you should use the author's name: (${authorName}) to make your comment more personal and engaging.` : ""}
-
-CRITICAL: Do NOT regurgitate or rephrase the original text. You must add NEW information, a counter-point, or a relevant question.
-
-Remember: Only provide the comment itself, nothing else. No quotes, no labels.`,
-        },
-      ],
-    });
-
-    // Validate response structure
-    if (!message || !message.content || message.content.length === 0) {
-      throw new Error("Claude returned empty response");
-    }
-
-    // Extract the reply text
-    const reply =
-      message.content[0].type === "text" ? message.content[0].text : "";
-
-    if (!reply) {
-      return res
-        .status(500)
-        .json({ error: "Failed to generate reply - empty response" });
-    }
-
-    console.log(
-      `✅ [LinkedIn] Reply generated: "${reply.substring(0, 50)}..."`
-    );
-
-    // Track usage if user is authenticated
-    let usageStats = null;
-    if (req.auth?.userId) {
-      usageStats = await trackUsageInSupabase(req.auth.userId, tone);
-    }
-
-    // Return the reply and usage stats
-    res.status(200).json({
-      reply: reply,
-      tone: tone,
-      platform: "linkedin",
-      usage: usageStats,
-    });
-  } catch (error) {
-    console.error("❌ [LinkedIn] Error generating reply:", error.message);
-    console.error("Full error:", error);
-
-    // Handle specific Anthropic errors
-    if (
-      error.status === 401 ||
-      error.message?.includes("401") ||
-      error.message?.includes("Unauthorized")
-    ) {
-      return res.status(401).json({
-        error: "Invalid Anthropic API key. Check your .env file.",
-      });
-    }
-
-    if (
-      error.status === 429 ||
-      error.message?.includes("429") ||
-      error.message?.includes("rate_limit")
-    ) {
-      return res.status(429).json({
-        error: "Rate limited by Anthropic. Please try again in a moment.",
-      });
-    }
-
-    if (
-      error.message?.includes("API key") ||
-      error.message?.includes("authentication")
-    ) {
-      return res.status(401).json({
-        error: "Anthropic API key issue: " + error.message,
-      });
-    }
-
-    res.status(500).json({
-      error: error.message || "An error occurred while generating the reply",
-    });
-  }
-});
+    sendGenerationError(res, error);
+  }
+});
 
 /**
  * Generate reply endpoint for Twitter/X
  * POST /generate/twitter
  *
- * Request body: { text: "original post text", tone: "funny" | "value" }
- * Response: JSON with reply text and usage stats
+ * Request body: { text: "original post text", tone: "funny" | "value" | <company tone> }
+ * Optional: vertical (see GET /verticals; defaults to the company's vertical, then "general"),
+ *           web3Bool (legacy alias for vertical "web3" / "general"),
+ *           n (1-5 candidates), judge (also rank candidates with an LLM judge),
+ *           cache (false, or "Cache-Control: no-cache", skips the generation cache)
+ * Idempotency-Key: <key> (optional) - a retry with the same key replays the
+ * first response without counting usage again; 409 while it is still running
+ * Response: JSON with reply text, prompt_version, generation_id, cached and usage stats
+ *           (plus ranked candidates: [{ text, score, checks, rules }] when n > 1)
+ *           rules: { fired, fixed, regenerated, unresolved } - output rule checks
  *
- * Authorization: Bearer <clerk_token> (optional, but required for usage tracking)
+ * Streaming: send { stream: true } or "Accept: text/event-stream" to get SSE:
+ *   event: delta  data: { text }          - raw text as the model writes it
+ *   event: done   data: <JSON response>   - final reply (after rule fixes), metadata and usage
+ *   event: error  data: { error, status }
+ * Closing the connection cancels the generation; cancelled requests are not counted.
+ *
+ * Authorization: Bearer <clerk_token> (optional, but required for usage tracking
+ * and for companyId: only members of the company can generate with it, others get 404)
  */
-app.post("/generate/twitter", async (req, res) => {
+app.post("/generate/twitter", limitGeneration, dedupe, async (req, res) => {
   try {
     const {
       text,
       tone,
       emojiBool,
-      web3Bool ,
-      companyId,
+      web3Bool,
+      vertical,
+      n,
+      judge,
+      companyId: requestedCompanyId,
       tweetId,
       authorName,
     } = req.body;
 
     // Validate input
-    if (
-      !text ||
-      typeof text !== "string" ||
-      text.trim().length === 0 ||
-      emojiBool === undefined
-    ) {
-      return res.status(400).json({
-        error:
-          "Invalid input. Please provide a 'text' field with post content.",
-      });
-    }
-
-    // Validate minimum text length to prevent poor quality responses
-    if (text.trim().length < 20) {
-      return res.status(400).json({
-        error:
-          "Post text too short. Minimum 20 characters required for quality replies.",
-      });
+    const validationError = generationService.validateReplyRequest({
+      text,
+      tone,
+      emojiBool,
+      vertical,
+      n,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Optional: Validate maximum length to prevent token waste
-    if (text.trim().length > 5000) {
-      return res.status(400).json({
-        error:
-          "Post text too long. Maximum 5000 characters allowed.",
-      });
+    if (sse.wantsEventStream(req) && n > 1) {
+      return res
+        .status(400)
+        .json({ error: "Streaming supports a single candidate (n = 1)." });
     }
 
     if (tweetId && typeof tweetId !== "string") {
@@ -890,18 +732,16 @@ app.post("/generate/twitter", async (req, res) => {
       });
     }
 
-    // Validate tone
-    if (!["funny", "value"].includes(tone)) {
-      return res.status(400).json({
-        error: "Invalid tone. Please use 'funny' or 'value'.",
-      });
-    }
+    // Fall back to the user's default company for RAG context
+    const companyId = await resolveGenerationCompanyId(req, requestedCompanyId);
 
     console.log(
       `📝 [Twitter] Generating reply for: "${text.substring(
         0,
         50
-      )}..." (tone: ${tone}, web3: ${web3Bool}) with companyId: ${companyId} tweetId: ${
+      )}..." (tone: ${tone}, vertical: ${
+        vertical || "-"
+      }, web3: ${web3Bool}) with companyId: ${companyId} tweetId: ${
         tweetId || "N/A"
       }`
     );
@@ -909,399 +749,61 @@ app.post("/generate/twitter", async (req, res) => {
       console.log(`👤 User: ${req.auth.userId}`);
     }
 
-    // Double-check Anthropic client exists
-    if (!anthropic) {
-      throw new Error("Anthropic client not initialized. Check your API key.");
-    }
-
-    // Fetch operator tone profile if available (Twitter-based personalization)
-    let operatorTone = null;
-    if (req.auth?.userId && supabase) {
-      try {
-        const { data: toneData } = await supabase
-          .from("operator_tones")
-          .select("tone_json")
-          .eq("operator_id", req.auth.userId)
-          .single();
-
-        if (toneData && toneData.tone_json) {
-          operatorTone = toneData.tone_json;
-          console.log(
-            `✅ [Tone] Loaded operator tone profile for ${req.auth.userId}`
-          );
-        }
-      } catch (error) {
-        // Tone profile is optional, continue without it
-        console.log(`ℹ️ [Tone] No tone profile found for ${req.auth.userId}`);
-      }
-    }
-
-    // Build RAG context if companyId provided
-    let ragContext = null;
-    if (companyId) {
-      try {
-        console.log(`🧠 [RAG] Building context for company ${companyId}`);
-        ragContext = await vectorOperations.buildRagContext({
-          supabase,
-          openaiClient: openai,
-          companyId,
-          postText: text,
-          maxChunks: 8, // Slightly fewer for Twitter's shorter format
-          similarityThreshold: 0.7,
-        });
-        console.log(
-          `✅ [RAG] Retrieved ${ragContext.chunks.length} relevant chunks`
-        );
-      } catch (error) {
-        console.warn(
-          `⚠️ [RAG] Error building context for company ${companyId}:`,
-          error.message
-        );
-        console.warn(
-          `💡 Hint: Visit the Knowledge page first to create a company and upload documents.`
-        );
-        // Continue without RAG context
-      }
-    } else if (companyId && (!supabase || !openai)) {
-      console.warn(
-        `⚠️ [RAG] CompanyId provided but RAG not available (Supabase: ${!!supabase}, OpenAI: ${!!openai})`
-      );
-    }
-
-    // Fetch existing replies for additional context
-    let tweetReplies = [];
-    if (tweetId) {
-      try {
-        tweetReplies = await twitterService.fetchTweetReplies(tweetId, 10);
-        console.log(
-          `💬 [Twitter] Loaded ${tweetReplies.length} replies for tweet ${tweetId}`
-        );
-      } catch (replyError) {
-        console.warn(
-          `⚠️ [Twitter] Could not load replies for tweet ${tweetId}:`,
-          replyError.message
-        );
-      }
-    }
-
-    const repliesContextText =
-      tweetReplies.length > 0
-        ? `\n\nRecent replies already in the thread (most recent first):\n${tweetReplies
-            .map((reply, index) => {
-              const author = reply.authorUsername
-                ? `@${reply.authorUsername}`
-                : reply.authorName || "Unknown user";
-              const metrics =
-                reply.likeCount && reply.likeCount > 0
-                  ? ` • ${reply.likeCount} likes`
-                  : "";
-              return `${index + 1}. ${author}${metrics}: ${reply.text}`;
-            })
-            .join(
-              "\n"
-            )}\n\nUse these to understand the conversation flow. Do NOT repeat them verbatim.`
-        : "";
-
-    // Build system prompt based on tone and web3 setting
-    let systemPrompt;
-    // Replace the systemPrompt section with these improved versions:
-
-    // FUNNY + WEB3
-    if (tone === "funny" && web3Bool) {
-      systemPrompt = `## Role: Conversational Web3 Voice
-
-You're having a natural Twitter conversation. Be witty, make a sharp observation, then ask something that invites dialogue.
-
-### Core Principles
-
-**Read the Context:**
-- What's the actual point they're making?
-- If it's a reply thread, respond to their specific argument
-- Understand the vibe - are they serious, joking, or engagement farming?
-
-**Conversational Structure:**
-1. React naturally to what they said (witty observation or light joke)
-2. End with a genuine question that continues the conversation
-3. Sound like a friend jumping into the thread
-
-**Style:**
-* Natural, flowing sentences - like you're texting a friend
-* 2-3 short sentences max
-* ${emojiBool ? "1-2 emojis only, at the end" : "NO emojis"}
-* End with a question that shows curiosity
-* No forced memes or crypto jargon spam
-
-**Examples:**
-
-Tweet: "Just paid $50 in gas fees to move $30"
-Reply: "That's a very expensive lesson in timing. What were you even trying to move?"
-
-Tweet: "Web3 gaming will replace AAA games soon"
-Reply: "We can barely load a 2D metaverse without lag. What game are you playing that makes you think we're ready?"
-
-Reply to: "ETH is dead, everyone's moving to Solana"
-Reply: "Interesting take after the 7th outage this year. What makes you think it's more reliable long-term?"
-
-**Critical Rules:**
-- React first, then question
-- Questions should be genuine, not rhetorical dunks
-- Sound curious, not confrontational
-- Keep it conversational and flowing
-- NEVER just rephrase the original post. Add a new angle.
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-    }
-
-    // FUNNY + NON-WEB3
-    else if (tone === "funny" && !web3Bool) {
-      systemPrompt = `## Role: Conversational Professional Voice
-
-You're having a natural Twitter conversation. Be witty, make a sharp observation, then ask something that invites dialogue.
-
-### Core Principles
-
-**Read the Context:**
-- What's the actual point they're making?
-- If it's a reply thread, respond to their specific argument
-- Understand the vibe - are they serious, joking, or engagement farming?
-
-**Conversational Structure:**
-1. React naturally to what they said (witty observation or light joke)
-2. End with a genuine question that continues the conversation
-3. Sound like a friend jumping into the thread
-
-**Style:**
-* Natural, flowing sentences - like you're texting a friend
-* 2-3 short sentences max
-* ${emojiBool ? "1-2 emojis only, at the end" : "NO emojis"}
-* End with a question that shows curiosity
-* No forced jokes or corporate speak
-
-**Examples:**
-
-Tweet: "Just spent 3 hours in a meeting that could have been an email"
-Reply: "At least they probably had snacks. Did anyone actually take action items or just nod along?"
-
-Tweet: "AI will replace all creative jobs"
-Reply: "It still draws hands like eldritch horrors. Which creative job do you think goes first?"
-
-Reply to: "Coffee is overrated"
-Reply: "Bold stance from presumably a tea person. What's your drink of choice that's so much better?"
-
-**Critical Rules:**
-- React first, then question
-- Questions should be genuine, not rhetorical dunks
-- Sound curious, not confrontational
-- Keep it conversational and flowing
-- NEVER just rephrase the original post. Add a new angle.
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-    }
-
-    // VALUE + WEB3
-    else if (tone === "value" && web3Bool) {
-      systemPrompt = `## Role: Thoughtful Web3 Voice
-
-You're adding substance to a Twitter conversation. Share insight or data, then ask something that deepens the discussion.
-
-### Core Principles
-
-**Read the Context:**
-- What's the core argument or claim?
-- If it's a reply thread, engage with their specific point
-- Add information they might not have considered
-
-**Conversational Structure:**
-1. Make your point with substance (data, context, or technical insight)
-2. End with a question that explores the topic further
-3. Sound like a peer sharing knowledge, not lecturing
-
-**Style:**
-* Clear, direct sentences
-* 2-3 sentences max
-* Maximum 1 emoji at the end if it fits
-* End with a genuine question that invites deeper thinking
-* Skip hype words and buzzwords
-
-**Examples:**
-
-Tweet: "ETH is too expensive for normal users"
-Reply: "L2s like Base and Arbitrum are under $0.10 per transaction now. Are you using them or still defaulting to mainnet?"
-
-Tweet: "NFTs are just JPEGs with no value"
-Reply: "Event tickets and game items are proving utility beyond profile pics. What use case would actually convince you there's value here?"
-
-Reply to: "DeFi has no real users"
-Reply: "Aave processes $2B monthly in actual loans. The issue is 90% is yield farming, not organic borrowing. What would real adoption look like to you?"
-
-**Critical Rules:**
-- Lead with substance, end with curiosity
-- Questions should advance the conversation
-- Show you're interested in their perspective
-- Be informative but conversational
-- NEVER just rephrase the original post. Provide NEW info or a specific question.
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-    }
-
-    // VALUE + NON-WEB3
-    else {
-      systemPrompt = `## Role: Thoughtful Professional Voice
-
-You're adding substance to a Twitter conversation. Share insight or data, then ask something that deepens the discussion.
-
-### Core Principles
-
-**Read the Context:**
-- What's the core argument or claim?
-- If it's a reply thread, engage with their specific point
-- Add information they might not have considered
-
-**Conversational Structure:**
-1. Make your point with substance (data, context, or insight)
-2. End with a question that explores the topic further
-3. Sound like a peer sharing knowledge, not lecturing
-
-**Style:**
-* Clear, direct sentences
-* 2-3 sentences max
-* Maximum 1 emoji at the end if it fits
-* End with a genuine question that invites deeper thinking
-* Skip buzzwords and corporate jargon
-
-**Examples:**
-
-Tweet: "Remote work kills company culture"
-Reply: "GitLab scaled to 2000+ employees fully remote with strong culture. What specific cultural elements do you think require physical proximity?"
-
-Tweet: "Marketing is just manipulation"
-Reply: "Marketing is distribution - bad products manipulate, good products educate. What's an example of marketing you think was actually valuable?"
-
-Reply to: "Degrees are worthless now"
-Reply: "College grads still earn 67% more lifetime, though ROI varies wildly by major. What alternative path do you think provides better outcomes?"
-
-**Critical Rules:**
-- Lead with substance, end with curiosity
-- Questions should advance the conversation
-- Show you're interested in their perspective
-- Be informative but conversational
-- NEVER just rephrase the original post. Provide NEW info or a specific question.
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-    }
-
-
-
-    // Enhance system prompt with RAG context if available
-    if (ragContext && ragContext.hasContext) {
-      systemPrompt += `\n\n---\n\n## IMPORTANT: Company-Specific Context\n\n`;
-
-      if (ragContext.formattedVoice) {
-        systemPrompt += `### Company Voice & Brand Guidelines:\n${ragContext.formattedVoice}\n\n`;
-      }
-
-      if (ragContext.formattedChunks) {
-        systemPrompt += `### Relevant Company Knowledge:\nUse the following information from the company's knowledge base to inform your reply. Only reference this if relevant to the tweet.\n\n${ragContext.formattedChunks}\n\n`;
-      }
-
-      systemPrompt += `**CRITICAL:** Align your reply with the company's voice and use relevant knowledge naturally. Do NOT hallucinate facts outside the provided context.`;
-    }
-
-    // Call Anthropic Claude API to generate a Twitter reply
-    const message = await anthropic.messages.create({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 120,
-      system: systemPrompt,
-      messages: [
-        {
-          role: "user",
-          content: `Generate a ${
-            web3Bool ? "Web3 " : ""
-          }comment for this Twitter post or reply:
-
-"${text}"${authorName ? `\n\nAuthor: ${authorName}` : ""}
-
-${repliesContextText}
-
-Context: This could be a main tweet or a reply to someone. Read carefully and respond appropriately.${authorName ? ` When appropriate, you may address the author by name (${authorName}) to make your comment more personal and engaging.` : ""}
-
-CRITICAL: Do NOT regurgitate or rephrase the original text. You must add NEW information, a counter-point, or a relevant question.
-
-Remember: Keep it short (1-2 sentences), maximum 2 emojis at the END only. Only provide the reply itself, nothing else.`,
-        },
-      ],
+    const input = {
+      platform: "twitter",
+      text,
+      tone,
+      emojiBool,
+      vertical,
+      web3Bool,
+      companyId,
+      tweetId,
+      authorName,
+      n,
+      judge: judge === true,
+      cache: !generationCache.wantsFreshGeneration(req),
+      userId: req.auth?.userId,
+      clientIp: req.ip,
+    };
+    const toResponse = (result) => ({
+      reply: result.reply,
+      tone: tone,
+      platform: "twitter",
+      vertical: result.vertical.id,
+      prompt_version: result.promptVersion,
+      generation_id: result.generationId,
+      rules: result.rules,
+      ...(n > 1 && { candidates: result.rankedCandidates }),
+      cached: result.cached,
+      usage: result.usage,
     });
 
-    // Validate response structure
-    if (!message || !message.content || message.content.length === 0) {
-      throw new Error("Claude returned empty response");
-    }
-
-    // Extract the reply text
-    const reply =
-      message.content[0].type === "text" ? message.content[0].text : "";
-
-    if (!reply) {
-      return res
-        .status(500)
-        .json({ error: "Failed to generate reply - empty response" });
+    if (sse.wantsEventStream(req)) {
+      return streamReply(req, res, input, toResponse);
     }
 
-    console.log(`✅ [Twitter] Reply generated: "${reply.substring(0, 50)}..."`);
-
-    // Track usage if user is authenticated
-    let usageStats = null;
-    if (req.auth?.userId) {
-      usageStats = await trackUsageInSupabase(req.auth.userId, tone);
-    }
+    const result = await replyGenerator.generateReply(input);
 
     // Return the reply and usage stats
-    res.status(200).json({
-      reply: reply,
-      tone: tone,
-      platform: "twitter",
-      usage: usageStats,
-    });
+    res.status(200).json(toResponse(result));
   } catch (error) {
     console.error("❌ [Twitter] Error generating reply:", error.message);
     console.error("Full error:", error);
 
-    // Handle specific Anthropic errors
-    if (
-      error.status === 401 ||
-      error.message?.includes("401") ||
-      error.message?.includes("Unauthorized")
-    ) {
-      return res.status(401).json({
-        error: "Invalid Anthropic API key. Check your .env file.",
-      });
-    }
-
-    if (
-      error.status === 429 ||
-      error.message?.includes("429") ||
-      error.message?.includes("rate_limit")
-    ) {
-      return res.status(429).json({
-        error: "Rate limited by Anthropic. Please try again in a moment.",
-      });
-    }
-
-    if (
-      error.message?.includes("API key") ||
-      error.message?.includes("authentication")
-    ) {
-      return res.status(401).json({
-        error: "Anthropic API key issue: " + error.message,
-      });
-    }
-
-    res.status(500).json({
-      error: error.message || "An error occurred while generating the reply",
-    });
+    sendGenerationError(res, error);
   }
 });
 
+/**
+ * List industry verticals
+ * GET /verticals
+ *
+ * Response: { verticals: [{ id, label, description, jargon, examples, forbiddenClaims }] }
+ */
+app.get("/verticals", (req, res) => {
+  res.status(200).json({ verticals: verticals.listVerticals() });
+});
+
 /**
  * Get user usage endpoint
  * GET /usage
@@ -1342,401 +844,275 @@ app.get("/usage", async (req, res) => {
 });
 
 /**
- * AutoMode endpoint - Generate reply for a specific post
- * POST /generateAuto
- *
- * Request body: { 
- *   post_id: string, 
- *   post_text: string, 
- *   tone: "funny" | "value",
- *   platform: "twitter" | "linkedin"
- * }
- * Response: { reply: string, post_id: string, url: string }
+ * Get the user's usage preferences
+ * GET /preferences
  *
- * This endpoint is specifically for AutoMode - it generates a reply
- * and returns the post URL for navigation-based automation.
+ * Response: { preferences: { daily_goal, weekly_goal, time_zone, week_starts_on } }
+ * Authorization: Bearer <clerk_token> (required)
  */
-app.post("/generateAuto", async (req, res) => {
-  try {
-    const {
-      post_id,
-      post_text,
-      tone = "funny",
-      platform = "twitter",
-      emojiBool = true,
-      web3Bool = true,
-      companyId,
-      authorName,
-    } = req.body;
-
-    // Validate input
-    if (!post_id || !post_text || typeof post_text !== "string") {
-      return res.status(400).json({
-        error: "Invalid input. Please provide post_id and post_text.",
-      });
-    }
+app.get("/preferences", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
 
-    // Validate tone
-    if (!["funny", "value"].includes(tone)) {
-      return res.status(400).json({
-        error: "Invalid tone. Please use 'funny' or 'value'.",
-      });
-    }
+  if (!req.auth?.userId) {
+    return res.status(401).json({
+      error: "Unauthorized - no authentication token provided",
+    });
+  }
 
-    // Validate platform
-    if (!["twitter", "linkedin"].includes(platform)) {
-      return res.status(400).json({
-        error: "Invalid platform. Please use 'twitter' or 'linkedin'.",
-      });
-    }
+  try {
+    const preferences = await usageTracker.getPreferences(req.auth.userId);
+    res.status(200).json({ preferences });
+  } catch (error) {
+    console.error("❌ [Preferences] Error:", error.message);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to fetch preferences" });
+  }
+});
+
+/**
+ * Update the user's usage preferences
+ * PATCH /preferences
+ *
+ * Request: { daily_goal?: number, weekly_goal?: number,
+ *            time_zone?: string (IANA, e.g. "Europe/Berlin"),
+ *            week_starts_on?: "monday" | "sunday" | ... }
+ * Response: { preferences: {...}, usage: {...} } - usage as returned by GET /usage
+ * Replies already counted today and this week are kept when the time zone or
+ * week start changes.
+ *
+ * Authorization: Bearer <clerk_token> (required)
+ */
+app.patch("/preferences", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  if (!req.auth?.userId) {
+    return res.status(401).json({
+      error: "Unauthorized - no authentication token provided",
+    });
+  }
+
+  const validationError = usageTracking.validatePreferences(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const result = await usageTracker.updatePreferences(
+      req.auth.userId,
+      req.body
+    );
 
     console.log(
-      `📝 [AutoMode] Generating reply for ${platform} post: ${post_id}`
+      `⚙️ [Preferences] Updated for ${req.auth.userId}:`,
+      result.preferences
     );
-    if (req.auth?.userId) {
-      console.log(`👤 User: ${req.auth.userId}`);
-    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("❌ [Preferences] Error:", error.message);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to update preferences" });
+  }
+});
 
-    // Use the same logic as /generate/twitter or /generate/linkedin
-    // but return with URL for navigation
+/**
+ * Usage analytics for dashboards
+ * GET /usage/analytics
+ *
+ * Query: period ("day" | "week", default "day"), from / to (YYYY-MM-DD,
+ *        inclusive; default the last 30 days or the last 12 weeks)
+ * Response: {
+ *   period, from, to,
+ *   buckets: [{ start, total, by_platform: { linkedin: n }, by_tone: { value: n } }],
+ *   totals: { total, by_platform, by_tone },
+ *   streaks: { active_days, daily_goal, weekly_goal }  - each { current, longest }
+ *   goal_completion: { daily, weekly }                 - each { goal, periods, met, rate }
+ * }
+ * Days and weeks follow the user's time zone and week start (see /preferences).
+ * Streaks only look inside the range,
+ * and the current day/week counts toward completion once its goal is met.
+ *
+ * Authorization: Bearer <clerk_token> (required)
+ */
+app.get("/usage/analytics", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
 
-    // For now, forward to the appropriate endpoint internally
-    const endpoint = platform === "twitter" ? "twitter" : "linkedin";
-    const metadata = platform === "twitter" ? { tweetId: post_id } : {};
+  if (!req.auth?.userId) {
+    return res.status(401).json({
+      error: "Unauthorized - no authentication token provided",
+    });
+  }
 
-    // Fetch operator tone profile if available
-    let operatorTone = null;
-    if (req.auth?.userId && supabase) {
-      try {
-        const { data: toneData } = await supabase
-          .from("operator_tones")
-          .select("tone_json")
-          .eq("operator_id", req.auth.userId)
-          .single();
-
-        if (toneData && toneData.tone_json) {
-          operatorTone = toneData.tone_json;
-          console.log(
-            `✅ [Tone] Loaded operator tone profile for ${req.auth.userId}`
-          );
-        }
-      } catch (error) {
-        console.log(`ℹ️ [Tone] No tone profile found for ${req.auth.userId}`);
-      }
-    }
+  try {
+    const usage = await usageTracker.getUsage(req.auth.userId);
+    const range = usageAnalytics.parseAnalyticsQuery(
+      req.query,
+      usage.day,
+      usage.week_starts_on
+    );
+    const dailyCounts = await usageAnalytics.getDailyCounts(
+      supabase,
+      req.auth.userId,
+      range,
+      usage.time_zone
+    );
 
-    // Build RAG context if companyId provided
-    let ragContext = null;
-    if (companyId && supabase && openai) {
-      try {
-        console.log(`🧠 [RAG] Building context for company ${companyId}`);
-        ragContext = await vectorOperations.buildRagContext({
-          supabase,
-          openaiClient: openai,
-          companyId,
-          postText: post_text,
-          maxChunks: platform === "twitter" ? 8 : 10,
-          similarityThreshold: 0.7,
-        });
-        console.log(
-          `✅ [RAG] Retrieved ${ragContext.chunks.length} relevant chunks`
-        );
-      } catch (error) {
-        console.warn(
-          `⚠️ [RAG] Error building context for company ${companyId}:`,
-          error.message
-        );
-      }
-    }
+    res.status(200).json(
+      usageAnalytics.buildAnalytics(dailyCounts, {
+        ...range,
+        today: usage.day,
+        dailyGoal: usage.daily_goal,
+        weeklyGoal: usage.weekly_goal,
+        weekStartsOn: usage.week_starts_on,
+      })
+    );
+  } catch (error) {
+    console.error("❌ [Usage] Error building analytics:", error.message);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to fetch usage analytics" });
+  }
+});
 
-    // Build system prompt (use same prompts as main endpoints for consistency)
-    let systemPrompt;
-    if (platform === "twitter") {
-      // FUNNY + WEB3
-      if (tone === "funny" && web3Bool) {
-        systemPrompt = `## Role: Conversational Web3 Voice
-
-You're having a natural Twitter conversation. Be witty, make a sharp observation, then ask something that invites dialogue.
-
-### Core Principles
-
-**Read the Context:**
-- What's the actual point they're making?
-- If it's a reply thread, respond to their specific argument
-- Understand the vibe - are they serious, joking, or engagement farming?
-
-**Conversational Structure:**
-1. React naturally to what they said (witty observation or light joke)
-2. End with a genuine question that continues the conversation
-3. Sound like a friend jumping into the thread
-
-**Style:**
-* Natural, flowing sentences - like you're texting a friend
-* 2-3 short sentences max
-* ${emojiBool ? "1-2 emojis only, at the end" : "NO emojis"}
-* End with a question that shows curiosity
-* No forced memes or crypto jargon spam
-
-**Critical Rules:**
-- React first, then question
-- Questions should be genuine, not rhetorical dunks
-- Sound curious, not confrontational
-- Keep it conversational and flowing
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-      }
-      // FUNNY + NON-WEB3
-      else if (tone === "funny" && !web3Bool) {
-        systemPrompt = `## Role: Conversational Professional Voice
-
-You're having a natural Twitter conversation. Be witty, make a sharp observation, then ask something that invites dialogue.
-
-### Core Principles
-
-**Read the Context:**
-- What's the actual point they're making?
-- If it's a reply thread, respond to their specific argument
-- Understand the vibe - are they serious, joking, or engagement farming?
-
-**Conversational Structure:**
-1. React naturally to what they said (witty observation or light joke)
-2. End with a genuine question that continues the conversation
-3. Sound like a friend jumping into the thread
-
-**Style:**
-* Natural, flowing sentences - like you're texting a friend
-* 2-3 short sentences max
-* ${emojiBool ? "1-2 emojis only, at the end" : "NO emojis"}
-* End with a question that shows curiosity
-* No forced jokes or corporate speak
-
-**Critical Rules:**
-- React first, then question
-- Questions should be genuine, not rhetorical dunks
-- Sound curious, not confrontational
-- Keep it conversational and flowing
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-      }
-      // VALUE + WEB3
-      else if (tone === "value" && web3Bool) {
-        systemPrompt = `## Role: Thoughtful Web3 Voice
-
-You're adding substance to a Twitter conversation. Share insight or data, then ask something that deepens the discussion.
-
-### Core Principles
-
-**Read the Context:**
-- What's the core argument or claim?
-- If it's a reply thread, engage with their specific point
-- Add information they might not have considered
-
-**Conversational Structure:**
-1. Make your point with substance (data, context, or technical insight)
-2. End with a question that explores the topic further
-3. Sound like a peer sharing knowledge, not lecturing
-
-**Style:**
-* Clear, direct sentences
-* 2-3 sentences max
-* Maximum 1 emoji at the end if it fits
-* End with a genuine question that invites deeper thinking
-* Skip hype words and buzzwords
-
-**Critical Rules:**
-- Lead with substance, end with curiosity
-- Questions should advance the conversation
-- Show you're interested in their perspective
-- Be informative but conversational
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-      }
-      // VALUE + NON-WEB3
-      else {
-        systemPrompt = `## Role: Thoughtful Professional Voice
-
-You're adding substance to a Twitter conversation. Share insight or data, then ask something that deepens the discussion.
-
-### Core Principles
-
-**Read the Context:**
-- What's the core argument or claim?
-- If it's a reply thread, engage with their specific point
-- Add information they might not have considered
-
-**Conversational Structure:**
-1. Make your point with substance (data, context, or insight)
-2. End with a question that explores the topic further
-3. Sound like a peer sharing knowledge, not lecturing
-
-**Style:**
-* Clear, direct sentences
-* 2-3 sentences max
-* Maximum 1 emoji at the end if it fits
-* End with a genuine question that invites deeper thinking
-* Skip buzzwords and corporate jargon
-
-**Critical Rules:**
-- Lead with substance, end with curiosity
-- Questions should advance the conversation
-- Show you're interested in their perspective
-- Be informative but conversational
-
-**Output:** Only the reply. No quotes, labels, or explanations.`;
-      }
-    } else {
-      // LinkedIn prompts (use same as /generate/linkedin)
-      if (tone === "funny" && web3Bool) {
-        systemPrompt = `## Role: Sharp Web3 Commentator for LinkedIn
-
-You are a Web3 professional known for witty, intelligent commentary. Your comments are clever WITHOUT being try-hard.
-
-**Comment Quality:**
-1. Read carefully - understand what's ACTUALLY being said
-2. Add genuine insight or clever observation
-3. Be specific to THIS post, not generic Web3 commentary
-
-**Tone & Style:**
-* Sharp and authentic - smart humor, not forced jokes
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if needed
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes, excessive punctuation, or emoji spam
-* Sound like a real person, not a content creator
-
-**Critical Rules:**
-- Match the depth of the original post
-- No emoji spam (max 1, only at end)
-- No generic platitudes
-- Be genuinely helpful or genuinely funny, not both
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-      } else if (tone === "funny" && !web3Bool) {
-        systemPrompt = `## Role: Sharp Professional Commentator for LinkedIn
-
-You are a professional known for witty, intelligent commentary. Your comments are clever WITHOUT being try-hard.
-
-**Comment Quality:**
-1. Read carefully - understand what's ACTUALLY being said
-2. Add genuine insight or clever observation
-3. Be specific to THIS post, not generic commentary
-
-**Tone & Style:**
-* Sharp and authentic - smart humor, not forced jokes
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if needed
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes, excessive punctuation, or emoji spam
-* Sound like a real person, not a content creator
-
-**Critical Rules:**
-- Match the depth of the original post
-- No emoji spam (max 1, only at end)
-- No generic platitudes
-- Be genuinely helpful or genuinely funny, not both
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-      } else if (tone === "value" && web3Bool) {
-        systemPrompt = `## Role: Insightful Web3 Professional for LinkedIn
-
-You are a Web3 professional known for clear, valuable commentary. Your comments add genuine insight.
-
-**Comment Quality:**
-1. Read carefully - understand the actual argument being made
-2. Add specific insight, not generic observations
-3. Reference real trends, data, or technical details when relevant
-
-**Tone & Style:**
-* Professional and direct - peer-to-peer conversation
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if appropriate
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes or excessive punctuation
-* Avoid buzzwords and hype - be substantive
-* Sound like an expert colleague, not a motivational speaker
-
-**Critical Rules:**
-- Be specific and substantive
-- No emoji spam (max 1, only at end)
-- No generic statements that could apply to any post
-- Add information or perspective they don't already have
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-      } else {
-        systemPrompt = `## Role: Insightful Professional for LinkedIn
-
-You are a professional known for clear, valuable commentary. Your comments add genuine insight.
-
-**Comment Quality:**
-1. Read carefully - understand the actual argument being made
-2. Add specific insight, not generic observations
-3. Reference real trends, data, or relevant details when appropriate
-
-**Tone & Style:**
-* Professional and direct - peer-to-peer conversation
-* 2-3 sentences maximum
-* ONE emoji maximum, ONLY at the very end if appropriate
-* ${emojiBool ? "Maximum 1 emoji at the end only" : "NO emojis allowed"}
-* Never use em-dashes or excessive punctuation
-* Avoid buzzwords and hype - be substantive
-* Sound like an expert colleague, not a motivational speaker
-
-**Critical Rules:**
-- Be specific and substantive
-- No emoji spam (max 1, only at end)
-- No generic statements that could apply to any post
-- Add information or perspective they don't already have
-
-**Output:** Only the comment text. No labels, no quotes, no explanations.`;
-      }
-    }
+/**
+ * Get the user's plan, its limits and current usage against them
+ * GET /plan
+ *
+ * Response: {
+ *   plan: "free" | "pro" | "team",
+ *   label: string,
+ *   limits: { generations_per_day, generations_per_week, rag_documents, storage_bytes, tone_trainings_per_month },
+ *   usage: { generations_today, generations_this_week, tone_trainings_this_month, daily_resets_at, weekly_resets_at, monthly_resets_at }
+ * }
+ * Authorization: Bearer <clerk_token> (required)
+ */
+app.get("/plan", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  if (!req.auth?.userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
 
-    // Enhance with operator tone if available
-    if (operatorTone) {
-      systemPrompt += `\n\nIMPORTANT: Write in the operator's authentic voice:\n`;
-      systemPrompt += toneService.formatToneForPrompt(operatorTone);
+  try {
+    res.status(200).json(await planService.getUserPlanUsage(req.auth.userId));
+  } catch (error) {
+    console.error("❌ [Plan] Error fetching plan:", error.message);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to fetch plan" });
+  }
+});
+
+/**
+ * AutoMode endpoint - Generate reply for a specific post
+ * POST /generateAuto
+ *
+ * Request body: { 
+ *   post_id: string, 
+ *   post_text: string, 
+ *   tone: "funny" | "value" | <company tone>,
+ *   platform: "twitter" | "linkedin",
+ *   vertical?: string,
+ *   n?: number,
+ *   judge?: boolean,
+ *   cache?: boolean (false skips the generation cache),
+ *   companyId?: string (requires sign-in and membership; defaults to your default company)
+ * }
+ * Response: { reply: string, post_id: string, url: string, prompt_version: string, generation_id: string, cached: boolean }
+ *
+ * This endpoint is specifically for AutoMode - it generates a reply
+ * and returns the post URL for navigation-based automation.
+ *
+ * Idempotency-Key: <key> (optional) - a retry with the same key replays the
+ * first response without counting usage again; 409 while it is still running
+ */
+app.post("/generateAuto", limitGeneration, dedupe, async (req, res) => {
+  try {
+    const {
+      post_id,
+      post_text,
+      tone = "funny",
+      platform = "twitter",
+      emojiBool = true,
+      web3Bool,
+      vertical,
+      n,
+      judge,
+      companyId: requestedCompanyId,
+      authorName,
+    } = req.body;
+
+    // Validate input
+    if (!post_id || !post_text || typeof post_text !== "string") {
+      return res.status(400).json({
+        error: "Invalid input. Please provide post_id and post_text.",
+      });
     }
 
-    // Enhance with RAG context if available
-    if (ragContext && ragContext.hasContext) {
-      if (ragContext.formattedVoice) {
-        systemPrompt += `\n\nCompany Voice:\n${ragContext.formattedVoice}\n`;
-      }
-      if (ragContext.formattedChunks) {
-        systemPrompt += `\n\nCompany Knowledge:\n${ragContext.formattedChunks}\n`;
-      }
+    // Validate tone (custom tones are resolved against the company later)
+    if (!companyTones.isValidToneName(tone)) {
+      return res.status(400).json({
+        error: generationService.INVALID_TONE_MESSAGE,
+      });
     }
 
-    // Call Anthropic Claude API
-    const message = await anthropic.messages.create({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: platform === "twitter" ? 120 : 200,
-      system: systemPrompt,
-      messages: [
-        {
-          role: "user",
-          content: `Generate a reply for this ${platform} post:\n\n"${post_text}"${authorName ? `\n\nAuthor: ${authorName}` : ""}\n\n${authorName ? `When appropriate, you may address the author by name (${authorName}) to make your comment more personal and engaging. ` : ""}Only provide the reply text, nothing else.`,
-        },
-      ],
-    });
+    // Validate platform
+    if (!generationService.PLATFORMS[platform]) {
+      return res.status(400).json({
+        error: "Invalid platform. Please use 'twitter' or 'linkedin'.",
+      });
+    }
 
-    const reply =
-      message.content[0].type === "text" ? message.content[0].text : "";
+    if (vertical !== undefined && !verticals.isVertical(vertical)) {
+      return res.status(400).json({
+        error: verticals.INVALID_VERTICAL_MESSAGE,
+      });
+    }
 
-    if (!reply) {
-      return res
-        .status(500)
-        .json({ error: "Failed to generate reply - empty response" });
+    const candidateCountError = generationService.validateCandidateCount(n);
+    if (candidateCountError) {
+      return res.status(400).json({ error: candidateCountError });
     }
 
-    console.log(`✅ [AutoMode] Reply generated: "${reply.substring(0, 50)}..."`);
+    // Fall back to the user's default company for RAG context
+    const companyId = await resolveGenerationCompanyId(req, requestedCompanyId);
 
-    // Track usage if user is authenticated
-    let usageStats = null;
+    console.log(
+      `📝 [AutoMode] Generating reply for ${platform} post: ${post_id}`
+    );
     if (req.auth?.userId) {
-      usageStats = await trackUsageInSupabase(req.auth.userId, tone);
+      console.log(`👤 User: ${req.auth.userId}`);
     }
 
+    // Same pipeline as /generate/twitter and /generate/linkedin
+    const result = await replyGenerator.generateReply({
+      platform,
+      text: post_text,
+      tone,
+      emojiBool,
+      vertical,
+      web3Bool,
+      defaultVertical: "web3",
+      companyId,
+      authorName,
+      n,
+      judge: judge === true,
+      cache: !generationCache.wantsFreshGeneration(req),
+      userId: req.auth?.userId,
+      clientIp: req.ip,
+      label: "AutoMode",
+      postId: post_id,
+    });
+
     // Construct URL based on platform and post_id
     let url;
     if (platform === "twitter") {
@@ -1759,20 +1135,24 @@ You are a professional known for clear, valuable commentary. Your comments add g
 
     // Return reply with URL for AutoMode navigation
     res.status(200).json({
-      reply: reply,
+      reply: result.reply,
       post_id: post_id,
       url: url,
       tone: tone,
       platform: platform,
-      usage: usageStats,
+      vertical: result.vertical.id,
+      prompt_version: result.promptVersion,
+      generation_id: result.generationId,
+      rules: result.rules,
+      ...(n > 1 && { candidates: result.rankedCandidates }),
+      cached: result.cached,
+      usage: result.usage,
     });
   } catch (error) {
     console.error("❌ [AutoMode] Error generating reply:", error.message);
     console.error("Full error:", error);
 
-    res.status(500).json({
-      error: error.message || "An error occurred while generating the reply",
-    });
+    sendGenerationError(res, error);
   }
 });
 
@@ -1810,6 +1190,147 @@ app.post("/generate", async (req, res) => {
   app._router.handle(req, res);
 });
 
+// ==========================================
+// REPLY HISTORY ENDPOINTS
+// ==========================================
+
+/**
+ * List the user's generated replies, newest first
+ * GET /history
+ *
+ * Query: q (full-text search over post and reply), platform, tone,
+ *        company_id, from / to (ISO dates), limit (1-100, default 20), offset
+ * Response: { generations: [...], total, limit, offset }
+ */
+app.get("/history", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  if (!req.auth?.userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const filters = replyHistory.parseHistoryFilters(req.query);
+    const page = await replyHistory.listGenerations(
+      supabase,
+      req.auth.userId,
+      filters
+    );
+
+    res.status(200).json(page);
+  } catch (error) {
+    console.error("❌ [History] Error:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to list history" });
+  }
+});
+
+/**
+ * Get one generated reply
+ * GET /history/:generationId
+ *
+ * Response: { generation: { ..., candidates, prompt_version, tone_profile_version, rag_chunk_ids, rules },
+ *             feedback: { rating, outcome, final_text, diff } | null }
+ */
+app.get("/history/:generationId", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  if (!req.auth?.userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const generation = await replyHistory.getGeneration(
+      supabase,
+      req.auth.userId,
+      req.params.generationId
+    );
+
+    const feedback = await replyFeedback.getFeedback(supabase, generation.id);
+
+    res.status(200).json({ generation, feedback });
+  } catch (error) {
+    console.error("❌ [History] Error:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to fetch generation" });
+  }
+});
+
+/**
+ * Record what happened to a generated reply
+ * POST /history/:generationId/feedback
+ *
+ * Request: { rating?: "up" | "down" | null,
+ *            outcome?: "posted" | "edited" | "discarded",
+ *            final_text?: string }
+ * Fields can be sent in separate requests; unsent fields keep their value.
+ * final_text without an outcome counts as "posted" when it matches the reply
+ * and "edited" otherwise. A word diff against the reply is stored with it.
+ * Response: { feedback: { rating, outcome, final_text, diff, ... } }
+ *
+ * Posted replies become few-shot examples for the operator's next
+ * generations, and edits/thumbs-down refine their tone profile once enough
+ * have accumulated. A refinement counts as a tone training and is skipped at
+ * the plan's monthly limit.
+ */
+app.post("/history/:generationId/feedback", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  if (!req.auth?.userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const validationError = replyFeedback.validateFeedback(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const generation = await replyHistory.getGeneration(
+      supabase,
+      req.auth.userId,
+      req.params.generationId
+    );
+    const feedback = await replyFeedback.saveFeedback(
+      supabase,
+      generation,
+      req.body
+    );
+
+    console.log(
+      `📝 [Feedback] ${generation.id}: rating ${feedback.rating || "-"}, outcome ${feedback.outcome || "-"}`
+    );
+
+    // Refine the tone profile in the background (at most one at a time per
+    // user, see refineOperatorTone)
+    if (llm.isAvailable()) {
+      replyFeedback
+        .refineOperatorTone(supabase, llm, req.auth.userId, planService)
+        .catch((error) => {
+          console.error(
+            `❌ [Feedback] Tone refinement failed for ${req.auth.userId}:`,
+            error.message
+          );
+        });
+    }
+
+    res.status(200).json({ feedback });
+  } catch (error) {
+    console.error("❌ [Feedback] Error:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to save feedback" });
+  }
+});
+
 // ==========================================
 // COMPANY KNOWLEDGE & RAG ENDPOINTS
 // ==========================================
@@ -1834,52 +1355,24 @@ app.post("/company/ensure", async (req, res) => {
   const { name } = req.body;
 
   try {
-    // Check if user already has a company
-    const { data: existingCompany, error: checkError } = await supabase
-      .from("companies")
-      .select("id")
-      .eq("owner_user_id", userId)
-      .limit(1);
-
-    if (checkError) {
-      throw checkError;
-    }
+    // Return the user's default company if they already have one
+    const defaultCompanyId = await companies.getDefaultCompanyId(
+      supabase,
+      userId
+    );
 
-    // If company exists, return it
-    if (existingCompany && existingCompany.length > 0) {
+    if (defaultCompanyId) {
       return res.status(200).json({
-        company_id: existingCompany[0].id,
+        company_id: defaultCompanyId,
         existed: true,
       });
     }
 
-    // Create new company
-    const { data: newCompany, error: createError } = await supabase
-      .from("companies")
-      .insert([
-        {
-          owner_user_id: userId,
-          name: name || `${userId}'s Company`,
-          description: "Auto-created company for knowledge base",
-        },
-      ])
-      .select()
-      .single();
-
-    if (createError) {
-      throw createError;
-    }
-
-    // Add user as owner in memberships
-    await supabase.from("user_company_memberships").insert([
-      {
-        user_id: userId,
-        company_id: newCompany.id,
-        role: "owner",
-      },
-    ]);
-
-    console.log(`✅ Created company ${newCompany.id} for user ${userId}`);
+    // Create new company (becomes the default as the user's first)
+    const newCompany = await companies.createCompany(supabase, userId, {
+      name: name || `${userId}'s Company`,
+      description: "Auto-created company for knowledge base",
+    });
 
     res.status(201).json({
       company_id: newCompany.id,
@@ -1894,26 +1387,174 @@ app.post("/company/ensure", async (req, res) => {
 });
 
 /**
- * Upload document to company knowledge base
- * POST /company/:companyId/upload
+ * List the user's companies
+ * GET /companies
  *
- * Request: multipart/form-data with 'file' field
- * Response: { document_id, chunks_created, status }
+ * Response: { companies: [{ id, name, description, role, is_default, ... }] }
  */
-app.post(
+app.get("/companies", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  if (!req.auth?.userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const userCompanies = await companies.listUserCompanies(
+      supabase,
+      req.auth.userId
+    );
+
+    res.status(200).json({ companies: userCompanies });
+  } catch (error) {
+    console.error("❌ [Companies] Error:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to list companies" });
+  }
+});
+
+/**
+ * Create a company
+ * POST /companies
+ *
+ * Request: { name: string, description?: string, is_default?: boolean }
+ * Response: { company: {...} }
+ */
+app.post("/companies", async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  if (!req.auth?.userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { name, description, is_default } = req.body;
+
+  try {
+    const company = await companies.createCompany(supabase, req.auth.userId, {
+      name: companies.validateCompanyName(name),
+      description: typeof description === "string" ? description : null,
+      makeDefault: is_default === true,
+    });
+
+    res.status(201).json({ company });
+  } catch (error) {
+    console.error("❌ [Create Company] Error:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to create company" });
+  }
+});
+
+/**
+ * Rename a company or update its description
+ * PATCH /company/:companyId
+ *
+ * Request: { name?: string, description?: string }
+ * Response: { company: {...} }
+ */
+app.patch(
+  "/company/:companyId",
+  companyAccess.requireCompanyPermission(supabase, "company:update"),
+  async (req, res) => {
+    const { name, description } = req.body;
+
+    try {
+      const company = await companies.updateCompany(
+        supabase,
+        req.params.companyId,
+        { name, description }
+      );
+
+      res.status(200).json({ company });
+    } catch (error) {
+      console.error("❌ [Update Company] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to update company" });
+    }
+  }
+);
+
+/**
+ * Delete a company and all of its knowledge
+ * DELETE /company/:companyId
+ *
+ * Response: { success: true }
+ */
+app.delete(
+  "/company/:companyId",
+  companyAccess.requireCompanyPermission(supabase, "company:delete"),
+  async (req, res) => {
+    try {
+      await companies.deleteCompany(supabase, req.params.companyId);
+
+      res.status(200).json({ success: true, message: "Company deleted" });
+    } catch (error) {
+      console.error("❌ [Delete Company] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to delete company" });
+    }
+  }
+);
+
+/**
+ * Make a company the user's default
+ * Generation endpoints use the default company when companyId is omitted
+ * POST /company/:companyId/default
+ *
+ * Response: { company_id, is_default: true }
+ */
+app.post(
+  "/company/:companyId/default",
+  companyAccess.requireCompanyPermission(supabase, "company:read"),
+  async (req, res) => {
+    try {
+      await companies.setDefaultCompany(
+        supabase,
+        req.auth.userId,
+        req.params.companyId
+      );
+
+      res
+        .status(200)
+        .json({ company_id: req.params.companyId, is_default: true });
+    } catch (error) {
+      console.error("❌ [Default Company] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to set default company" });
+    }
+  }
+);
+
+/**
+ * Upload document to company knowledge base
+ * POST /company/:companyId/upload
+ *
+ * Request: multipart/form-data with 'file' field
+ * Response: { document_id, status, job }
+ * Idempotency-Key: <key> (optional) - a retry with the same key replays the
+ * first response instead of creating another document
+ */
+app.post(
   "/company/:companyId/upload",
+  limitIngestion,
+  companyAccess.requireCompanyPermission(supabase, "knowledge:write"),
   upload.single("file"),
+  dedupe,
   async (req, res) => {
-    if (!supabase || !openai) {
+    if (!openai) {
       return res.status(503).json({
         error: "RAG features not available - Supabase or OpenAI not configured",
       });
     }
 
-    if (!req.auth?.userId) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-
     const { companyId } = req.params;
     const file = req.file;
 
@@ -1938,6 +1579,14 @@ app.post(
         });
       }
 
+      // Reject before storing anything when the plan has no room left
+      if (planService) {
+        await planService.checkDocumentQuota(
+          req.companyAccess.company,
+          file.size
+        );
+      }
+
       // Create document record
       const { data: document, error: docError } = await supabase
         .from("company_documents")
@@ -1959,20 +1608,24 @@ app.post(
 
       console.log(`📄 Created document record: ${document.id}`);
 
-      // Process document in background
-      processDocumentAsync(document.id, file.buffer, fileExtension, companyId);
+      // Process document in background (the job keeps the file until then)
+      const job = await queueIngestion(
+        document,
+        "document",
+        { fileType: fileExtension },
+        file.buffer
+      );
 
       res.status(202).json({
         document_id: document.id,
         status: "processing",
+        job,
         message:
           "Document is being processed. Check status with GET /company/:companyId/documents/:documentId",
       });
     } catch (error) {
       console.error("❌ [Upload] Error:", error);
-      res
-        .status(500)
-        .json({ error: error.message || "Failed to upload document" });
+      plans.sendError(res, error, "Failed to upload document");
     }
   }
 );
@@ -1982,66 +1635,77 @@ app.post(
  * POST /company/:companyId/upload-url
  *
  * Request: { url: "https://example.com" }
- * Response: { document_id, chunks_created, status }
+ * Response: { document_id, status, job }
+ * Idempotency-Key: <key> (optional) - a retry with the same key replays the
+ * first response instead of creating another document
  */
-app.post("/company/:companyId/upload-url", async (req, res) => {
-  if (!supabase || !openai) {
-    return res.status(503).json({
-      error: "RAG features not available - Supabase or OpenAI not configured",
-    });
-  }
+app.post(
+  "/company/:companyId/upload-url",
+  limitIngestion,
+  companyAccess.requireCompanyPermission(supabase, "knowledge:write"),
+  dedupe,
+  async (req, res) => {
+    if (!openai) {
+      return res.status(503).json({
+        error: "RAG features not available - Supabase or OpenAI not configured",
+      });
+    }
 
-  if (!req.auth?.userId) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
+    const { companyId } = req.params;
+    const { url } = req.body;
 
-  const { companyId } = req.params;
-  const { url } = req.body;
+    if (!url || typeof url !== "string") {
+      return res.status(400).json({ error: "URL is required" });
+    }
 
-  if (!url || typeof url !== "string") {
-    return res.status(400).json({ error: "URL is required" });
-  }
+    try {
+      console.log(
+        `📤 [Upload URL] Processing URL: ${url} for company ${companyId}`
+      );
 
-  try {
-    console.log(
-      `📤 [Upload URL] Processing URL: ${url} for company ${companyId}`
-    );
+      // The page size is unknown until it is fetched, so only the document
+      // count and the storage already used are checked here
+      if (planService) {
+        await planService.checkDocumentQuota(req.companyAccess.company);
+      }
 
-    // Create document record
-    const { data: document, error: docError } = await supabase
-      .from("company_documents")
-      .insert([
-        {
-          company_id: companyId,
-          filename: url,
-          file_type: "url",
-          source_url: url,
-          status: "processing",
-        },
-      ])
-      .select()
-      .single();
+      // Create document record
+      const { data: document, error: docError } = await supabase
+        .from("company_documents")
+        .insert([
+          {
+            company_id: companyId,
+            filename: url,
+            file_type: "url",
+            source_url: url,
+            status: "processing",
+          },
+        ])
+        .select()
+        .single();
 
-    if (docError) {
-      throw docError;
-    }
+      if (docError) {
+        throw docError;
+      }
 
-    console.log(`📄 Created document record: ${document.id}`);
+      console.log(`📄 Created document record: ${document.id}`);
 
-    // Process URL in background
-    processUrlAsync(document.id, url, companyId);
+      // Process URL in background
+      const job = await queueIngestion(document, "url", { url });
 
-    res.status(202).json({
-      document_id: document.id,
-      status: "processing",
-      message:
-        "URL is being processed. Check status with GET /company/:companyId/documents/:documentId",
-    });
-  } catch (error) {
-    console.error("❌ [Upload URL] Error:", error);
-    res.status(500).json({ error: error.message || "Failed to upload URL" });
+      res.status(202).json({
+        document_id: document.id,
+        status: "processing",
+        job,
+        message:
+          "URL is being processed. Check status with GET /company/:companyId/documents/:documentId",
+      });
+    } catch (error) {
+      console.error("❌ [Upload URL] Error:", error);
+      plans.sendError(res, error, "Failed to upload URL");
+    }
   }
-});
+);
 
 /**
  * Get company knowledge base status
@@ -2049,115 +1713,572 @@ app.post("/company/:companyId/upload-url", async (req, res) => {
  *
  * Response: { total_documents, total_chunks, total_tokens, total_storage_bytes, last_updated, voice_settings }
  */
-app.get("/company/:companyId/status", async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ error: "Supabase not configured" });
+app.get(
+  "/company/:companyId/status",
+  companyAccess.requireCompanyPermission(supabase, "knowledge:read"),
+  async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+      // Get stats
+      const stats = await vectorOperations.getCompanyStats(supabase, companyId);
+
+      // Get voice settings
+      const voiceSettings = await vectorOperations.getCompanyVoiceSettings(
+        supabase,
+        companyId
+      );
+
+      res.status(200).json({
+        ...stats,
+        voice_settings: voiceSettings,
+      });
+    } catch (error) {
+      console.error("❌ [Status] Error:", error);
+      res.status(500).json({ error: error.message || "Failed to get status" });
+    }
   }
+);
 
-  if (!req.auth?.userId) {
-    return res.status(401).json({ error: "Unauthorized" });
+/**
+ * Get all documents for a company
+ * GET /company/:companyId/documents
+ *
+ * Response: { documents: [{ ..., job }] }
+ *   job: latest ingestion job, or null (see GET /company/:companyId/documents/:documentId)
+ */
+app.get(
+  "/company/:companyId/documents",
+  companyAccess.requireCompanyPermission(supabase, "knowledge:read"),
+  async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+      const { data, error } = await supabase
+        .from("company_documents")
+        .select("*")
+        .eq("company_id", companyId)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      const jobs = await documentQueue.getJobs(
+        data.map((document) => document.id)
+      );
+
+      res.status(200).json({
+        documents: data.map((document) => ({
+          ...document,
+          job: jobs.get(document.id) || null,
+        })),
+      });
+    } catch (error) {
+      console.error("❌ [Documents] Error:", error);
+      res.status(500).json({ error: error.message || "Failed to get documents" });
+    }
   }
+);
 
-  const { companyId } = req.params;
+/**
+ * Get single document details
+ * GET /company/:companyId/documents/:documentId
+ *
+ * Response: { document: { ..., progress, job } }
+ *   progress: ingestion stage, percent and ETA, or null (see
+ *   GET /company/:companyId/documents/:documentId/progress)
+ *   job: latest ingestion job, or null: { id, kind, status (queued | running |
+ *   completed | failed), attempts, max_attempts, next_attempt_at, last_error,
+ *   created_at, updated_at, completed_at }
+ */
+app.get(
+  "/company/:companyId/documents/:documentId",
+  companyAccess.requireCompanyPermission(supabase, "knowledge:read"),
+  async (req, res) => {
+    const { companyId, documentId } = req.params;
 
-  try {
-    // Get stats
-    const stats = await vectorOperations.getCompanyStats(supabase, companyId);
+    try {
+      const { data, error } = await supabase
+        .from("company_documents")
+        .select("*")
+        .eq("id", documentId)
+        .eq("company_id", companyId)
+        .single();
 
-    // Get voice settings
-    const voiceSettings = await vectorOperations.getCompanyVoiceSettings(
-      supabase,
-      companyId
-    );
+      if (error) {
+        if (error.code === "PGRST116") {
+          return res.status(404).json({ error: "Document not found" });
+        }
+        throw error;
+      }
 
-    res.status(200).json({
-      ...stats,
-      voice_settings: voiceSettings,
+      const jobs = await documentQueue.getJobs([data.id]);
+
+      res.status(200).json({
+        document: { ...data, job: jobs.get(data.id) || null },
+      });
+    } catch (error) {
+      console.error("❌ [Document] Error:", error);
+      res.status(500).json({ error: error.message || "Failed to get document" });
+    }
+  }
+);
+
+/**
+ * Stream a document's ingestion progress
+ * GET /company/:companyId/documents/:documentId/progress
+ *
+ * Server-Sent Events, instead of polling the document:
+ *   event: progress  data: { status: "processing", progress }
+ *   event: done      data: { status, progress, error_message, total_chunks } - then the stream closes
+ *   event: error     data: { error, status }
+ * progress: { stage, current, total, percent, started_at, updated_at, eta_at }
+ *   (null until the ingestion job starts); stages: extracting, chunking,
+ *   embedding and storing (alternate per batch; current/total chunks stored),
+ *   completed
+ */
+app.get(
+  "/company/:companyId/documents/:documentId/progress",
+  companyAccess.requireCompanyPermission(supabase, "knowledge:read"),
+  async (req, res) => {
+    const { companyId, documentId } = req.params;
+
+    const loadDocument = async () => {
+      const { data, error } = await supabase
+        .from("company_documents")
+        .select("id, status, progress, error_message, total_chunks")
+        .eq("id", documentId)
+        .eq("company_id", companyId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+      return data;
+    };
+
+    let document;
+    try {
+      document = await loadDocument();
+    } catch (error) {
+      console.error("❌ [Document Progress] Error:", error);
+      return res
+        .status(500)
+        .json({ error: error.message || "Failed to get document" });
+    }
+
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const stream = sse.openEventStream(req, res);
+    let lastUpdatedAt = null;
+    let unsubscribe = () => {};
+    let poller = null;
+
+    const finish = (current) => {
+      clearInterval(poller);
+      unsubscribe();
+      stream.send("done", {
+        status: current.status,
+        progress: current.progress,
+        error_message: current.error_message,
+        total_chunks: current.total_chunks,
+      });
+      stream.close();
+    };
+
+    // Updates arrive both in-process and from the database; skip stale ones
+    const sendProgress = (progress) => {
+      if (progress && lastUpdatedAt && progress.updated_at <= lastUpdatedAt) {
+        return;
+      }
+      lastUpdatedAt = progress ? progress.updated_at : lastUpdatedAt;
+      stream.send("progress", { status: "processing", progress });
+    };
+
+    if (document.status !== "processing") {
+      return finish(document);
+    }
+    sendProgress(document.progress);
+
+    // The job may run on another instance, so the row is polled as well
+    unsubscribe = ingestionProgress.subscribe(documentId, sendProgress);
+    poller = setInterval(async () => {
+      try {
+        const current = await loadDocument();
+        if (!current) {
+          clearInterval(poller);
+          unsubscribe();
+          stream.send("error", { error: "Document not found", status: 404 });
+          return stream.close();
+        }
+
+        if (current.status !== "processing") {
+          return finish(current);
+        }
+        sendProgress(current.progress);
+      } catch (error) {
+        console.warn(
+          `⚠️ [Document Progress] Could not load ${documentId}:`,
+          error.message
+        );
+      }
+    }, ingestionProgress.POLL_INTERVAL_MS);
+
+    stream.signal.addEventListener("abort", () => {
+      clearInterval(poller);
+      unsubscribe();
     });
-  } catch (error) {
-    console.error("❌ [Status] Error:", error);
-    res.status(500).json({ error: error.message || "Failed to get status" });
   }
-});
+);
 
 /**
- * Get all documents for a company
- * GET /company/:companyId/documents
+ * Delete a document and its chunks
+ * DELETE /company/:companyId/documents/:documentId
  *
- * Response: { documents: [...] }
+ * Response: { success: true }
  */
-app.get("/company/:companyId/documents", async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ error: "Supabase not configured" });
+app.delete(
+  "/company/:companyId/documents/:documentId",
+  companyAccess.requireCompanyPermission(supabase, "knowledge:delete"),
+  async (req, res) => {
+    const { companyId, documentId } = req.params;
+
+    try {
+      // Delete document (chunks will cascade)
+      const { data, error } = await supabase
+        .from("company_documents")
+        .delete()
+        .eq("id", documentId)
+        .eq("company_id", companyId)
+        .select("id");
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: "Document not found" });
+      }
+
+      res.status(200).json({ success: true, message: "Document deleted" });
+    } catch (error) {
+      console.error("❌ [Delete Document] Error:", error);
+      res
+        .status(500)
+        .json({ error: error.message || "Failed to delete document" });
+    }
   }
+);
 
-  if (!req.auth?.userId) {
-    return res.status(401).json({ error: "Unauthorized" });
+/**
+ * Get company voice settings
+ * GET /company/:companyId/settings
+ *
+ * Response: { voice_settings: {...} }
+ */
+app.get(
+  "/company/:companyId/settings",
+  companyAccess.requireCompanyPermission(supabase, "settings:read"),
+  async (req, res) => {
+    const { companyId } = req.params;
+
+    try {
+      const settings = await vectorOperations.getCompanyVoiceSettings(
+        supabase,
+        companyId
+      );
+
+      res.status(200).json({ voice_settings: settings });
+    } catch (error) {
+      console.error("❌ [Get Settings] Error:", error);
+      res.status(500).json({ error: error.message || "Failed to get settings" });
+    }
   }
+);
 
-  const { companyId } = req.params;
+/**
+ * Update company voice settings
+ * PUT /company/:companyId/settings
+ *
+ * Request: { voice_guidelines, brand_tone, positioning, vertical, llm_provider, generation_config, metadata }
+ *   llm_provider: preferred model provider, one of the configured providers
+ *   ("anthropic", "openai", "local"); the others remain failovers
+ *   generation_config: per-platform model parameters, e.g.
+ *   { twitter: { model, temperature, max_tokens, stop_sequences }, linkedin: {...} }
+ *   (temperature 0-1, max_tokens 16-1024, up to 4 stop sequences; a model
+ *   requires llm_provider)
+ * Only the fields sent are updated; send null to clear one.
+ * Response: { voice_settings: {...} }
+ */
+app.put(
+  "/company/:companyId/settings",
+  companyAccess.requireCompanyPermission(supabase, "settings:write"),
+  async (req, res) => {
+    const { companyId } = req.params;
+    const settings = req.body;
 
-  try {
-    const { data, error } = await supabase
-      .from("company_documents")
-      .select("*")
-      .eq("company_id", companyId)
-      .order("created_at", { ascending: false });
+    if (settings.vertical && !verticals.isVertical(settings.vertical)) {
+      return res.status(400).json({
+        error: verticals.INVALID_VERTICAL_MESSAGE,
+      });
+    }
 
-    if (error) {
-      throw error;
+    if (settings.llm_provider && !llm.has(settings.llm_provider)) {
+      return res.status(400).json({
+        error: `llm_provider must be one of: ${llm
+          .list()
+          .map((provider) => provider.name)
+          .join(", ")}`,
+      });
     }
 
-    res.status(200).json({ documents: data });
-  } catch (error) {
-    console.error("❌ [Documents] Error:", error);
-    res.status(500).json({ error: error.message || "Failed to get documents" });
+    try {
+      // A model needs a provider: check the config and provider as they will
+      // be stored, taking whichever one this request leaves out from the row
+      if (
+        settings.llm_provider !== undefined ||
+        settings.generation_config !== undefined
+      ) {
+        const stored = await generationConfig.getCompanyModelSettings(
+          supabase,
+          companyId
+        );
+        const configError = generationConfig.validateGenerationConfig(
+          settings.generation_config !== undefined
+            ? settings.generation_config
+            : stored.generationConfig,
+          settings.llm_provider !== undefined
+            ? settings.llm_provider || null
+            : stored.provider
+        );
+        if (configError) {
+          return res.status(400).json({ error: configError });
+        }
+      }
+
+      const updatedSettings = await vectorOperations.upsertCompanyVoiceSettings(
+        supabase,
+        companyId,
+        settings
+      );
+
+      res.status(200).json({ voice_settings: updatedSettings });
+    } catch (error) {
+      console.error("❌ [Update Settings] Error:", error);
+      res
+        .status(500)
+        .json({ error: error.message || "Failed to update settings" });
+    }
   }
-});
+);
+
+// ==========================================
+// COMPANY TONE ENDPOINTS
+// ==========================================
 
 /**
- * Get single document details
- * GET /company/:companyId/documents/:documentId
+ * List the tones available to a company
+ * GET /company/:companyId/tones
  *
- * Response: { document: {...} }
+ * Response: { built_in: ["funny", "value"], tones: [{ name, label, prompt, examples, min_length, max_length, ... }] }
  */
-app.get("/company/:companyId/documents/:documentId", async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ error: "Supabase not configured" });
+app.get(
+  "/company/:companyId/tones",
+  companyAccess.requireCompanyPermission(supabase, "settings:read"),
+  async (req, res) => {
+    try {
+      const tones = await companyTones.listCompanyTones(
+        supabase,
+        req.params.companyId
+      );
+
+      res
+        .status(200)
+        .json({ built_in: companyTones.BUILT_IN_TONES, tones: tones });
+    } catch (error) {
+      console.error("❌ [Tones] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to list tones" });
+    }
   }
+);
 
-  if (!req.auth?.userId) {
-    return res.status(401).json({ error: "Unauthorized" });
+/**
+ * Create a custom tone
+ * POST /company/:companyId/tones
+ *
+ * Request: {
+ *   name: "founder-humble",
+ *   label?: string,
+ *   description?: string,
+ *   prompt: "How replies in this tone should sound",
+ *   examples?: [{ post?: string, reply: string }],
+ *   min_length?: number,
+ *   max_length?: number
+ * }
+ * Response: { tone: {...} }
+ */
+app.post(
+  "/company/:companyId/tones",
+  companyAccess.requireCompanyPermission(supabase, "settings:write"),
+  async (req, res) => {
+    try {
+      const tone = await companyTones.createCompanyTone(
+        supabase,
+        req.params.companyId,
+        req.auth.userId,
+        req.body
+      );
+
+      res.status(201).json({ tone });
+    } catch (error) {
+      console.error("❌ [Create Tone] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to create tone" });
+    }
   }
+);
 
-  const { companyId, documentId } = req.params;
+/**
+ * Update a custom tone
+ * PATCH /company/:companyId/tones/:name
+ *
+ * Request: any of the POST fields
+ * Response: { tone: {...} }
+ */
+app.patch(
+  "/company/:companyId/tones/:name",
+  companyAccess.requireCompanyPermission(supabase, "settings:write"),
+  async (req, res) => {
+    try {
+      const tone = await companyTones.updateCompanyTone(
+        supabase,
+        req.params.companyId,
+        req.params.name,
+        req.body
+      );
 
-  try {
-    const { data, error } = await supabase
-      .from("company_documents")
-      .select("*")
-      .eq("id", documentId)
-      .eq("company_id", companyId)
-      .single();
+      res.status(200).json({ tone });
+    } catch (error) {
+      console.error("❌ [Update Tone] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to update tone" });
+    }
+  }
+);
 
-    if (error) {
-      throw error;
+/**
+ * Delete a custom tone
+ * DELETE /company/:companyId/tones/:name
+ *
+ * Response: { success: true }
+ */
+app.delete(
+  "/company/:companyId/tones/:name",
+  companyAccess.requireCompanyPermission(supabase, "settings:write"),
+  async (req, res) => {
+    try {
+      await companyTones.deleteCompanyTone(
+        supabase,
+        req.params.companyId,
+        req.params.name
+      );
+
+      res.status(200).json({ success: true, message: "Tone deleted" });
+    } catch (error) {
+      console.error("❌ [Delete Tone] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to delete tone" });
     }
+  }
+);
 
-    res.status(200).json({ document: data });
-  } catch (error) {
-    console.error("❌ [Document] Error:", error);
-    res.status(500).json({ error: error.message || "Failed to get document" });
+// ==========================================
+// COMPANY MEMBERSHIP ENDPOINTS
+// ==========================================
+
+/**
+ * List company members
+ * GET /company/:companyId/members
+ *
+ * Response: { members: [{ user_id, role, created_at }], role }
+ */
+app.get(
+  "/company/:companyId/members",
+  companyAccess.requireCompanyPermission(supabase, "members:read"),
+  async (req, res) => {
+    try {
+      const members = await companyMembers.listMembers(
+        supabase,
+        req.params.companyId
+      );
+
+      res.status(200).json({ members, role: req.companyAccess.role });
+    } catch (error) {
+      console.error("❌ [Members] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to list members" });
+    }
   }
-});
+);
 
 /**
- * Delete a document and its chunks
- * DELETE /company/:companyId/documents/:documentId
+ * Create an invite code
+ * POST /company/:companyId/invites
  *
- * Response: { success: true }
+ * Request: { role?: "admin" | "member", expires_in_hours?: number }
+ * Response: { invite: { code, role, expires_at } }
+ */
+app.post(
+  "/company/:companyId/invites",
+  companyAccess.requireCompanyPermission(supabase, "members:manage"),
+  async (req, res) => {
+    const { role, expires_in_hours } = req.body;
+
+    try {
+      const invite = await companyMembers.createInvite(
+        supabase,
+        req.params.companyId,
+        {
+          role,
+          expiresInHours: expires_in_hours,
+          createdBy: req.auth.userId,
+          inviterRole: req.companyAccess.role,
+        }
+      );
+
+      res.status(201).json({
+        invite: {
+          code: invite.code,
+          role: invite.role,
+          expires_at: invite.expires_at,
+        },
+      });
+    } catch (error) {
+      console.error("❌ [Create Invite] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to create invite" });
+    }
+  }
+);
+
+/**
+ * Accept an invite code
+ * POST /company/invites/accept
+ *
+ * Request: { code: string }
+ * Response: { company_id, role }
  */
-app.delete("/company/:companyId/documents/:documentId", async (req, res) => {
+app.post("/company/invites/accept", async (req, res) => {
   if (!supabase) {
     return res.status(503).json({ error: "Supabase not configured" });
   }
@@ -2166,97 +2287,169 @@ app.delete("/company/:companyId/documents/:documentId", async (req, res) => {
     return res.status(401).json({ error: "Unauthorized" });
   }
 
-  const { companyId, documentId } = req.params;
+  const { code } = req.body;
 
-  try {
-    // Delete document (chunks will cascade)
-    const { error } = await supabase
-      .from("company_documents")
-      .delete()
-      .eq("id", documentId)
-      .eq("company_id", companyId);
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({ error: "code is required" });
+  }
 
-    if (error) {
-      throw error;
-    }
+  try {
+    const result = await companyMembers.acceptInvite(
+      supabase,
+      code.trim(),
+      req.auth.userId
+    );
 
-    res.status(200).json({ success: true, message: "Document deleted" });
+    res.status(200).json(result);
   } catch (error) {
-    console.error("❌ [Delete Document] Error:", error);
+    console.error("❌ [Accept Invite] Error:", error);
     res
-      .status(500)
-      .json({ error: error.message || "Failed to delete document" });
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to accept invite" });
   }
 });
 
 /**
- * Get company voice settings
- * GET /company/:companyId/settings
+ * Change a member's role
+ * PATCH /company/:companyId/members/:userId
  *
- * Response: { voice_settings: {...} }
+ * Request: { role: "admin" | "member" }
+ * Response: { member: { user_id, role, created_at } }
  */
-app.get("/company/:companyId/settings", async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ error: "Supabase not configured" });
+app.patch(
+  "/company/:companyId/members/:userId",
+  companyAccess.requireCompanyPermission(supabase, "members:manage"),
+  async (req, res) => {
+    try {
+      const member = await companyMembers.updateMemberRole(
+        supabase,
+        req.params.companyId,
+        {
+          actorUserId: req.auth.userId,
+          actorRole: req.companyAccess.role,
+          targetUserId: req.params.userId,
+          role: req.body.role,
+        }
+      );
+
+      res.status(200).json({ member });
+    } catch (error) {
+      console.error("❌ [Update Member] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to update member" });
+    }
   }
+);
 
-  if (!req.auth?.userId) {
-    return res.status(401).json({ error: "Unauthorized" });
+/**
+ * Remove a member
+ * DELETE /company/:companyId/members/:userId
+ *
+ * Response: { success: true }
+ */
+app.delete(
+  "/company/:companyId/members/:userId",
+  companyAccess.requireCompanyPermission(supabase, "members:manage"),
+  async (req, res) => {
+    try {
+      await companyMembers.removeMember(supabase, req.params.companyId, {
+        actorUserId: req.auth.userId,
+        actorRole: req.companyAccess.role,
+        targetUserId: req.params.userId,
+      });
+
+      res.status(200).json({ success: true, message: "Member removed" });
+    } catch (error) {
+      console.error("❌ [Remove Member] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to remove member" });
+    }
   }
+);
 
-  const { companyId } = req.params;
+/**
+ * Transfer company ownership to another member
+ * POST /company/:companyId/transfer-ownership
+ *
+ * Request: { user_id: string }
+ * Response: { owner_user_id }
+ */
+app.post(
+  "/company/:companyId/transfer-ownership",
+  companyAccess.requireCompanyPermission(supabase, "ownership:transfer"),
+  async (req, res) => {
+    const { user_id } = req.body;
+
+    if (!user_id || typeof user_id !== "string") {
+      return res.status(400).json({ error: "user_id is required" });
+    }
 
-  try {
-    const settings = await vectorOperations.getCompanyVoiceSettings(
-      supabase,
-      companyId
-    );
+    try {
+      const result = await companyMembers.transferOwnership(
+        supabase,
+        req.params.companyId,
+        req.auth.userId,
+        user_id
+      );
 
-    res.status(200).json({ voice_settings: settings });
-  } catch (error) {
-    console.error("❌ [Get Settings] Error:", error);
-    res.status(500).json({ error: error.message || "Failed to get settings" });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error("❌ [Transfer Ownership] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to transfer ownership" });
+    }
   }
-});
+);
 
 /**
- * Update company voice settings
- * PUT /company/:companyId/settings
+ * Leave a company
+ * POST /company/:companyId/leave
  *
- * Request: { voice_guidelines, brand_tone, positioning, metadata }
- * Response: { voice_settings: {...} }
+ * Response: { success: true }
  */
-app.put("/company/:companyId/settings", async (req, res) => {
-  if (!supabase) {
-    return res.status(503).json({ error: "Supabase not configured" });
-  }
+app.post(
+  "/company/:companyId/leave",
+  companyAccess.requireCompanyPermission(supabase, "members:read"),
+  async (req, res) => {
+    try {
+      await companyMembers.leaveCompany(
+        supabase,
+        req.params.companyId,
+        req.auth.userId,
+        req.companyAccess.role
+      );
 
-  if (!req.auth?.userId) {
-    return res.status(401).json({ error: "Unauthorized" });
+      res.status(200).json({ success: true, message: "Left company" });
+    } catch (error) {
+      console.error("❌ [Leave Company] Error:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to leave company" });
+    }
   }
+);
 
-  const { companyId } = req.params;
-  const settings = req.body;
+// ==========================================
+// OPERATOR TONE PROFILE ENDPOINTS
+// ==========================================
 
+/**
+ * Helper function to count a tone profile training against the user's plan
+ * The profile is already saved, so a failed insert is only logged.
+ */
+async function recordToneTraining(operatorId, kind) {
   try {
-    const updatedSettings = await vectorOperations.upsertCompanyVoiceSettings(
-      supabase,
-      companyId,
-      settings
-    );
-
-    res.status(200).json({ voice_settings: updatedSettings });
+    await planService.recordToneTraining(operatorId, kind);
   } catch (error) {
-    console.error("❌ [Update Settings] Error:", error);
-    res
-      .status(500)
-      .json({ error: error.message || "Failed to update settings" });
+    console.warn(
+      `⚠️ Could not record tone training for ${operatorId}:`,
+      error.message
+    );
   }
-});
-
-// ==========================================
-// OPERATOR TONE PROFILE ENDPOINTS
-// ==========================================
+}
 
 /**
  * Create operator tone profile from Twitter
@@ -2265,11 +2458,11 @@ app.put("/company/:companyId/settings", async (req, res) => {
  * Request: { operator_id: string, twitter_url: string }
  * Response: { tone_profile: {...}, message: string }
  */
-app.post("/operator/tone/create", async (req, res) => {
-  if (!supabase || !anthropic) {
+app.post("/operator/tone/create", limitToneTraining, async (req, res) => {
+  if (!supabase || !llm.isAvailable()) {
     return res.status(503).json({
       error:
-        "Tone profile features not available - Supabase or Anthropic not configured",
+        "Tone profile features not available - Supabase or LLM provider not configured",
     });
   }
 
@@ -2289,6 +2482,8 @@ app.post("/operator/tone/create", async (req, res) => {
       `🐦 [Tone Create] Creating tone profile for operator ${operatorId} from ${twitter_url}`
     );
 
+    await planService.checkToneTrainingQuota(operatorId);
+
     // Extract username from URL
     const username = twitterService.extractUsername(twitter_url);
     console.log(`📝 Extracted username: @${username}`);
@@ -2320,11 +2515,8 @@ app.post("/operator/tone/create", async (req, res) => {
 
     console.log(`✅ Retrieved ${tweets.length} tweets for analysis`);
 
-    // Generate tone profile using Claude
-    const toneProfile = await toneService.generateToneProfile(
-      anthropic,
-      tweets
-    );
+    // Generate tone profile using the LLM
+    const toneProfile = await toneService.generateToneProfile(llm, tweets);
 
     // Check if profile already exists
     const { data: existingProfile } = await supabase
@@ -2373,6 +2565,8 @@ app.post("/operator/tone/create", async (req, res) => {
       console.log(`✅ Created new tone profile for ${operatorId}`);
     }
 
+    await recordToneTraining(operatorId, "create");
+
     res.status(200).json({
       tone_profile: result.tone_json,
       twitter_username: result.twitter_username,
@@ -2381,9 +2575,7 @@ app.post("/operator/tone/create", async (req, res) => {
     });
   } catch (error) {
     console.error("❌ [Tone Create] Error:", error);
-    res.status(500).json({
-      error: error.message || "Failed to create tone profile",
-    });
+    plans.sendError(res, error, "Failed to create tone profile");
   }
 });
 
@@ -2440,8 +2632,8 @@ app.get("/operator/tone/:operatorId", async (req, res) => {
  * Request: { operator_id?: string } (if not provided, uses authenticated user)
  * Response: { tone_profile: {...}, message: string }
  */
-app.post("/operator/tone/retrain", async (req, res) => {
-  if (!supabase || !anthropic) {
+app.post("/operator/tone/retrain", limitToneTraining, async (req, res) => {
+  if (!supabase || !llm.isAvailable()) {
     return res.status(503).json({
       error: "Tone profile features not available",
     });
@@ -2476,6 +2668,8 @@ app.post("/operator/tone/retrain", async (req, res) => {
       });
     }
 
+    await planService.checkToneTrainingQuota(operatorId);
+
     const twitter_url = existingProfile.twitter_url;
     const username =
       existingProfile.twitter_username ||
@@ -2504,10 +2698,7 @@ app.post("/operator/tone/retrain", async (req, res) => {
     }
 
     // Generate new tone profile
-    const toneProfile = await toneService.generateToneProfile(
-      anthropic,
-      tweets
-    );
+    const toneProfile = await toneService.generateToneProfile(llm, tweets);
 
     // Update profile
     const { data, error } = await supabase
@@ -2525,6 +2716,8 @@ app.post("/operator/tone/retrain", async (req, res) => {
 
     console.log(`✅ Successfully retrained tone profile for ${operatorId}`);
 
+    await recordToneTraining(operatorId, "retrain");
+
     res.status(200).json({
       tone_profile: data.tone_json,
       twitter_username: data.twitter_username,
@@ -2533,132 +2726,494 @@ app.post("/operator/tone/retrain", async (req, res) => {
     });
   } catch (error) {
     console.error("❌ [Tone Retrain] Error:", error);
-    res.status(500).json({
-      error: error.message || "Failed to retrain tone profile",
-    });
+    plans.sendError(res, error, "Failed to retrain tone profile");
   }
 });
 
 // ==========================================
-// BACKGROUND PROCESSING FUNCTIONS
+// PROMPT TEMPLATE ADMIN ENDPOINTS
 // ==========================================
 
 /**
- * Process document asynchronously (runs in background)
+ * List prompt templates and their versions
+ * GET /admin/prompts
+ *
+ * Response: { templates: [{ name, active_version, versions }] }
  */
-async function processDocumentAsync(
-  documentId,
-  fileBuffer,
-  fileType,
-  companyId
-) {
+app.get("/admin/prompts", requireAdmin, (req, res) => {
+  res.status(200).json({ templates: replyPrompts.registry.list() });
+});
+
+/**
+ * Get the source of a prompt template version
+ * GET /admin/prompts/:name/versions/:version
+ *
+ * Response: { name, version, source }
+ */
+app.get("/admin/prompts/:name/versions/:version", requireAdmin, (req, res) => {
+  const { name } = req.params;
+  const version = Number(req.params.version);
+
   try {
-    console.log(`🔄 Processing document ${documentId}...`);
+    const source = replyPrompts.registry.getSource(name, version);
+    if (source === null) {
+      return res
+        .status(404)
+        .json({ error: "Prompt template version not found" });
+    }
 
-    // Process document
-    const result = await documentProcessor.processDocument(
-      fileBuffer,
-      fileType
-    );
+    res.status(200).json({ name, version, source });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to get prompt template" });
+  }
+});
 
-    // Generate embeddings for all chunks
-    console.log(
-      `🧠 Generating embeddings for ${result.chunks.length} chunks...`
-    );
-    const chunkTexts = result.chunks.map((c) => c.content);
-    const embeddings = await documentProcessor.generateEmbeddingsBatch(
-      chunkTexts,
-      openai
-    );
+/**
+ * Activate a prompt template version
+ * POST /admin/prompts/:name/activate
+ *
+ * Request: { version: number }
+ * Response: { name, version, previous_version }
+ */
+app.post("/admin/prompts/:name/activate", requireAdmin, async (req, res) => {
+  const version = Number(req.body.version);
 
-    // Store chunks
-    console.log(`💾 Storing chunks in vector database...`);
-    const chunksStored = await vectorOperations.storeChunks(
-      supabase,
-      companyId,
-      documentId,
-      result.chunks,
-      embeddings
+  if (!Number.isInteger(version) || version < 1) {
+    return res
+      .status(400)
+      .json({ error: "version must be a positive integer" });
+  }
+
+  try {
+    const result = await replyPrompts.registry.activate(
+      req.params.name,
+      version,
+      req.auth.userId
     );
 
-    // Update document status
-    await supabase
-      .from("company_documents")
-      .update({
-        status: "completed",
-        total_chunks: chunksStored,
-        total_tokens: result.totalTokens,
-      })
-      .eq("id", documentId);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("❌ [Prompt Activate] Error:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to activate prompt template" });
+  }
+});
+
+/**
+ * Roll a prompt template back to the version active before the current one
+ * POST /admin/prompts/:name/rollback
+ *
+ * Response: { name, version, previous_version }
+ */
+app.post("/admin/prompts/:name/rollback", requireAdmin, async (req, res) => {
+  try {
+    const result = await replyPrompts.registry.rollback(
+      req.params.name,
+      req.auth.userId
+    );
 
-    console.log(`✅ Document ${documentId} processed successfully`);
+    res.status(200).json(result);
   } catch (error) {
-    console.error(`❌ Error processing document ${documentId}:`, error);
+    console.error("❌ [Prompt Rollback] Error:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to roll back prompt template" });
+  }
+});
 
-    // Update document with error
-    await supabase
-      .from("company_documents")
-      .update({
-        status: "failed",
-        error_message: error.message,
-      })
-      .eq("id", documentId);
+// ==========================================
+// PLAN ADMIN ENDPOINTS
+// ==========================================
+
+/**
+ * List plans and their limits
+ * GET /admin/plans
+ *
+ * Response: { plans: [{ id, label, limits }], default_plan }
+ */
+app.get("/admin/plans", requireAdmin, (req, res) => {
+  res.status(200).json({
+    plans: plans.PLAN_ORDER.map(plans.getPlan),
+    default_plan: plans.DEFAULT_PLAN,
+  });
+});
+
+/**
+ * List plan assignments
+ * GET /admin/plans/assignments?subject_type=user|company
+ *
+ * Response: { assignments: [{ subject_type, subject_id, plan, assigned_by, updated_at }] }
+ */
+app.get("/admin/plans/assignments", requireAdmin, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: "Supabase not configured" });
+  }
+
+  const subjectType = req.query.subject_type;
+  if (subjectType !== undefined && !plans.SUBJECT_TYPES.includes(subjectType)) {
+    return res.status(400).json({
+      error: `subject_type must be one of: ${plans.SUBJECT_TYPES.join(", ")}`,
+    });
+  }
+
+  try {
+    const assignments = await planService.listAssignments(subjectType);
+    res.status(200).json({ assignments });
+  } catch (error) {
+    console.error("❌ [Plan Admin] Error listing assignments:", error);
+    res
+      .status(error.status || 500)
+      .json({ error: error.message || "Failed to list plan assignments" });
   }
+});
+
+/**
+ * Helper function to build the assign handler for users or companies
+ */
+function assignPlanHandler(subjectType) {
+  return async (req, res) => {
+    if (!supabase) {
+      return res.status(503).json({ error: "Supabase not configured" });
+    }
+
+    const validationError = plans.validatePlanAssignment(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const assignment = await planService.assignPlan(
+        subjectType,
+        req.params.subjectId,
+        req.body.plan,
+        req.auth.userId
+      );
+
+      console.log(
+        `💳 [Plan Admin] ${req.auth.userId} set ${subjectType} ${req.params.subjectId} to ${req.body.plan}`
+      );
+      res.status(200).json({ assignment });
+    } catch (error) {
+      console.error("❌ [Plan Admin] Error assigning plan:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to assign plan" });
+    }
+  };
+}
+
+/**
+ * Helper function to build the remove handler for users or companies
+ */
+function removePlanHandler(subjectType) {
+  return async (req, res) => {
+    if (!supabase) {
+      return res.status(503).json({ error: "Supabase not configured" });
+    }
+
+    try {
+      await planService.removePlan(subjectType, req.params.subjectId);
+
+      console.log(
+        `💳 [Plan Admin] ${req.auth.userId} removed the plan of ${subjectType} ${req.params.subjectId}`
+      );
+      res.status(200).json({
+        message: `Plan removed, ${subjectType} is back on ${plans.DEFAULT_PLAN}`,
+      });
+    } catch (error) {
+      console.error("❌ [Plan Admin] Error removing plan:", error);
+      res
+        .status(error.status || 500)
+        .json({ error: error.message || "Failed to remove plan" });
+    }
+  };
+}
+
+/**
+ * Assign a plan to a user
+ * PUT /admin/plans/users/:subjectId
+ *
+ * Request: { plan: "free" | "pro" | "team" }
+ * Response: { assignment: { subject_type, subject_id, plan, assigned_by, updated_at } }
+ */
+app.put(
+  "/admin/plans/users/:subjectId",
+  requireAdmin,
+  assignPlanHandler("user")
+);
+
+/**
+ * Remove a user's plan (back to the default plan)
+ * DELETE /admin/plans/users/:subjectId
+ *
+ * Response: { message }
+ */
+app.delete(
+  "/admin/plans/users/:subjectId",
+  requireAdmin,
+  removePlanHandler("user")
+);
+
+/**
+ * Assign a plan to a company (applies to all its members)
+ * PUT /admin/plans/companies/:subjectId
+ *
+ * Request: { plan: "free" | "pro" | "team" }
+ * Response: { assignment: { subject_type, subject_id, plan, assigned_by, updated_at } }
+ */
+app.put(
+  "/admin/plans/companies/:subjectId",
+  requireAdmin,
+  assignPlanHandler("company")
+);
+
+/**
+ * Remove a company's plan (back to its owner's plan, or the default)
+ * DELETE /admin/plans/companies/:subjectId
+ *
+ * Response: { message }
+ */
+app.delete(
+  "/admin/plans/companies/:subjectId",
+  requireAdmin,
+  removePlanHandler("company")
+);
+
+// ==========================================
+// BACKGROUND PROCESSING FUNCTIONS
+// ==========================================
+
+/**
+ * Durable queue for document and URL ingestion (see ingestionQueue.js)
+ * Jobs live in Supabase and uploads in a Storage bucket (INGESTION_BUCKET),
+ * so a restart doesn't lose them; set INGESTION_QUEUE=local to keep both in
+ * memory (tests, local development).
+ */
+const localIngestion = process.env.INGESTION_QUEUE === "local" || !supabase;
+const documentQueue = ingestionQueue.createIngestionQueue({
+  driver: localIngestion
+    ? ingestionQueue.createLocalDriver()
+    : ingestionQueue.createSupabaseDriver(supabase),
+  files: localIngestion
+    ? ingestionQueue.createMemoryFileStore()
+    : ingestionQueue.createStorageFileStore(
+        supabase,
+        process.env.INGESTION_BUCKET || ingestionQueue.DEFAULT_BUCKET
+      ),
+  handlers: {
+    document: processDocumentJob,
+    url: processUrlJob,
+  },
+  onFailed: markDocumentFailed,
+  concurrency:
+    parseInt(process.env.INGESTION_CONCURRENCY, 10) ||
+    ingestionQueue.DEFAULT_CONCURRENCY,
+  companyConcurrency:
+    parseInt(process.env.INGESTION_COMPANY_CONCURRENCY, 10) ||
+    ingestionQueue.DEFAULT_COMPANY_CONCURRENCY,
+  maxAttempts:
+    parseInt(process.env.INGESTION_MAX_ATTEMPTS, 10) ||
+    ingestionQueue.DEFAULT_MAX_ATTEMPTS,
+});
+
+if (supabase && openai) {
+  const workerStartedAt = new Date().toISOString();
+
+  documentQueue
+    .start()
+    .then(() =>
+      ingestionQueue.recoverOrphanedDocuments(
+        supabase,
+        documentQueue,
+        workerStartedAt
+      )
+    )
+    .catch((error) => {
+      console.error(
+        "❌ [Ingestion] Could not recover orphaned documents:",
+        error.message
+      );
+    });
 }
 
 /**
- * Process URL asynchronously (runs in background)
+ * Queue a new document for ingestion
+ * If the job can't be queued the document row is removed again, so it
+ * neither sits in "processing" forever nor counts against the plan.
  */
-async function processUrlAsync(documentId, url, companyId) {
+async function queueIngestion(document, kind, payload, file) {
   try {
-    console.log(`🔄 Processing URL ${documentId}...`);
+    return await documentQueue.enqueue(kind, {
+      documentId: document.id,
+      companyId: document.company_id,
+      payload,
+      file,
+    });
+  } catch (error) {
+    await supabase.from("company_documents").delete().eq("id", document.id);
+    throw error;
+  }
+}
 
-    // Process URL
-    const result = await documentProcessor.processUrl(url);
+/**
+ * Helper function to check that a queued document wasn't deleted meanwhile
+ */
+async function documentExists(documentId) {
+  const { data, error } = await supabase
+    .from("company_documents")
+    .select("id")
+    .eq("id", documentId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return !!data;
+}
 
-    // Generate embeddings for all chunks
-    console.log(
-      `🧠 Generating embeddings for ${result.chunks.length} chunks...`
-    );
-    const chunkTexts = result.chunks.map((c) => c.content);
-    const embeddings = await documentProcessor.generateEmbeddingsBatch(
-      chunkTexts,
-      openai
-    );
+/**
+ * Embed and store processed chunks, then mark the document completed
+ * Resumes an earlier, interrupted attempt: chunks it stored that still match
+ * are kept, the rest are removed and re-embedded.
+ */
+async function storeDocumentChunks(documentId, companyId, result, progress) {
+  const total = result.chunks.length;
+
+  // Keep chunks a previous attempt already stored, as long as they still
+  // match (a URL's content may have changed since)
+  const stored = new Map(
+    (await vectorOperations.getStoredChunks(supabase, documentId)).map(
+      (chunk) => [chunk.chunk_index, chunk.content]
+    )
+  );
+  const pending = result.chunks.filter(
+    (chunk) => stored.get(chunk.chunk_index) !== chunk.content
+  );
+  const current = new Map(
+    result.chunks.map((chunk) => [chunk.chunk_index, chunk.content])
+  );
+  const outdated = [...stored.keys()].filter(
+    (chunkIndex) => current.get(chunkIndex) !== stored.get(chunkIndex)
+  );
+  await vectorOperations.deleteChunksByIndex(supabase, documentId, outdated);
 
-    // Store chunks
-    console.log(`💾 Storing chunks in vector database...`);
-    const chunksStored = await vectorOperations.storeChunks(
-      supabase,
-      companyId,
-      documentId,
-      result.chunks,
-      embeddings
-    );
+  // Embed and store the rest, saving each batch as it completes
+  let done = total - pending.length;
+  console.log(
+    `🧠 Generating embeddings for ${pending.length} of ${total} chunks...`
+  );
+  await progress.report("embedding", done, total);
+  await documentProcessor.generateEmbeddingsBatch(
+    pending.map((chunk) => chunk.content),
+    openai,
+    {
+      onBatch: async ({ start, embeddings }) => {
+        await progress.report("storing", done, total);
+        await vectorOperations.storeChunks(
+          supabase,
+          companyId,
+          documentId,
+          pending.slice(start, start + embeddings.length),
+          embeddings
+        );
+        done += embeddings.length;
+        await progress.report("embedding", done, total);
+      },
+    }
+  );
 
-    // Update document status
-    await supabase
-      .from("company_documents")
-      .update({
-        status: "completed",
-        total_chunks: chunksStored,
-        total_tokens: result.totalTokens,
-      })
-      .eq("id", documentId);
+  // Update document status
+  await progress.report("completed");
+  const { error } = await supabase
+    .from("company_documents")
+    .update({
+      status: "completed",
+      total_chunks: total,
+      total_tokens: result.totalTokens,
+      error_message: null,
+    })
+    .eq("id", documentId);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Ingestion job: extract, chunk and embed an uploaded file
+ * Files that can't be parsed fail right away instead of being retried.
+ */
+async function processDocumentJob(job) {
+  const { document_id: documentId, company_id: companyId } = job;
+
+  if (!(await documentExists(documentId))) {
+    console.log(`🗑️ Document ${documentId} was deleted, skipping`);
+    return;
+  }
+
+  console.log(
+    `🔄 Processing document ${documentId} (attempt ${job.attempts})...`
+  );
+  const progress = ingestionProgress.createProgressReporter({
+    supabase,
+    documentId,
+  });
 
-    console.log(`✅ URL ${documentId} processed successfully`);
+  let result;
+  try {
+    result = await documentProcessor.processDocument(
+      job.file,
+      job.payload.fileType,
+      { onProgress: (stage) => progress.report(stage) }
+    );
   } catch (error) {
-    console.error(`❌ Error processing URL ${documentId}:`, error);
+    error.retryable = false;
+    throw error;
+  }
 
-    // Update document with error
-    await supabase
-      .from("company_documents")
-      .update({
-        status: "failed",
-        error_message: error.message,
-      })
-      .eq("id", documentId);
+  await storeDocumentChunks(documentId, companyId, result, progress);
+  console.log(`✅ Document ${documentId} processed successfully`);
+}
+
+/**
+ * Ingestion job: fetch, chunk and embed a URL
+ */
+async function processUrlJob(job) {
+  const { document_id: documentId, company_id: companyId } = job;
+
+  if (!(await documentExists(documentId))) {
+    console.log(`🗑️ Document ${documentId} was deleted, skipping`);
+    return;
   }
+
+  console.log(`🔄 Processing URL ${documentId} (attempt ${job.attempts})...`);
+  const progress = ingestionProgress.createProgressReporter({
+    supabase,
+    documentId,
+  });
+
+  const result = await documentProcessor.processUrl(job.payload.url, {
+    onProgress: (stage) => progress.report(stage),
+  });
+
+  await storeDocumentChunks(documentId, companyId, result, progress);
+  console.log(`✅ URL ${documentId} processed successfully`);
+}
+
+/**
+ * Mark a document failed once its ingestion job is out of attempts
+ */
+async function markDocumentFailed(job, error) {
+  await supabase
+    .from("company_documents")
+    .update({
+      status: "failed",
+      error_message: error.message,
+    })
+    .eq("id", job.document_id);
 }
 
 /**
@@ -2673,13 +3228,24 @@ app.get("/", (req, res) => {
       generate:
         "POST /generate - Generate a reply (body: { text: 'post text' })",
       usage: "GET /usage - Get current usage stats",
+      plan: "GET /plan - Get your plan, its limits and usage against them",
+      companies: "GET /companies - List your companies (POST to create one)",
       companyUpload:
         "POST /company/:id/upload - Upload document to company knowledge",
       companyUploadUrl:
         "POST /company/:id/upload-url - Add URL to company knowledge",
       companyStatus: "GET /company/:id/status - Get company knowledge stats",
       companyDocuments: "GET /company/:id/documents - List company documents",
+      companyDocumentProgress:
+        "GET /company/:id/documents/:documentId/progress - Stream ingestion progress (SSE)",
       companySettings: "GET /company/:id/settings - Get company voice settings",
+      verticals: "GET /verticals - List industry verticals for replies",
+      companyTones:
+        "GET /company/:id/tones - List custom reply tones (POST to create one)",
+      adminPrompts:
+        "GET /admin/prompts - List prompt templates and active versions (admin)",
+      adminPlans:
+        "GET /admin/plans - List plans (PUT /admin/plans/users/:id or /companies/:id to assign) (admin)",
     },
     docs: "See server.js for more information",
   });
@@ -2703,19 +3269,23 @@ app.use((err, req, res, next) => {
 /**
  * Start the server
  */
-app.listen(PORT, () => {
-  console.log("\n");
-  console.log("╔════════════════════════════════════════╗");
-  console.log("║  AI Reply Generator Backend Server     ║");
-  console.log("║  Running on: http://localhost:3000    ║");
-  console.log("╚════════════════════════════════════════╝");
-  console.log("\n");
-  console.log("📚 Available endpoints:");
-  console.log("   GET  /health - Check backend status");
-  console.log("   POST /generate - Generate AI reply");
-  console.log("\n");
-  console.log("💡 The Chrome Extension will send requests here.");
-  console.log("   Make sure the extension's API_ENDPOINT matches this URL.\n");
+promptActivationsLoaded.then(() => {
+  app.listen(PORT, () => {
+    console.log("\n");
+    console.log("╔════════════════════════════════════════╗");
+    console.log("║  AI Reply Generator Backend Server     ║");
+    console.log("║  Running on: http://localhost:3000    ║");
+    console.log("╚════════════════════════════════════════╝");
+    console.log("\n");
+    console.log("📚 Available endpoints:");
+    console.log("   GET  /health - Check backend status");
+    console.log("   POST /generate - Generate AI reply");
+    console.log("\n");
+    console.log("💡 The Chrome Extension will send requests here.");
+    console.log(
+      "   Make sure the extension's API_ENDPOINT matches this URL.\n"
+    );
+  });
 });
 
 // ==========================================
@@ -2729,7 +3299,7 @@ const cron = require("node-cron");
  * Runs daily at 2 AM, checks for profiles that are 30+ days old
  * and automatically re-learns them
  */
-if (supabase && anthropic) {
+if (supabase && llm.isAvailable()) {
   // Schedule: Run every day at 2:00 AM
   cron.schedule("0 2 * * *", async () => {
     try {
@@ -2795,10 +3365,21 @@ if (supabase && anthropic) {
           }
 
           // Generate new tone profile
-          const toneProfile = await toneService.generateToneProfile(
-            anthropic,
-            tweets
+          let toneProfile = await toneService.generateToneProfile(llm, tweets);
+
+          // Keep what the operator taught it through reply feedback
+          const feedback = await replyFeedback.listToneFeedback(
+            supabase,
+            profile.operator_id,
+            thirtyDaysAgo.toISOString()
           );
+          if (feedback.length > 0) {
+            toneProfile = await toneService.refineToneProfile(
+              llm,
+              toneProfile,
+              feedback
+            );
+          }
 
           // Update profile in database
           await supabase
@@ -2842,7 +3423,7 @@ if (supabase && anthropic) {
   );
 } else {
   console.log(
-    "⚠️ Automatic tone re-learning disabled (Supabase or Anthropic not configured)"
+    "⚠️ Automatic tone re-learning disabled (Supabase or LLM provider not configured)"
   );
 }
 
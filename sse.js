@@ -0,0 +1,93 @@
+/**
+ * Server-Sent Events helpers
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Check whether a request asked for an SSE response
+ * Either ?stream=true / { stream: true } or "Accept: text/event-stream".
+ *
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  return (
+    req.body?.stream === true ||
+    req.query?.stream === "true" ||
+    (req.get("accept") || "").includes("text/event-stream")
+  );
+}
+
+/**
+ * Switch a response to an SSE stream
+ *
+ * The returned signal aborts when the client disconnects, so upstream work
+ * (e.g. a model stream) can be cancelled.
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {{send: Function, close: Function, signal: AbortSignal, isOpen: Function}}
+ */
+function openEventStream(req, res) {
+  const controller = new AbortController();
+  let open = true;
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop nginx-style proxies from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // Comment lines keep idle connections from being dropped by proxies
+  const heartbeat = setInterval(() => {
+    if (open) {
+      res.write(": ping\n\n");
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (open) {
+      open = false;
+      controller.abort();
+    }
+  });
+
+  /**
+   * Send one event
+   * @param {string} event - Event name
+   * @param {object} data - JSON payload
+   */
+  function send(event, data) {
+    if (!open) {
+      return;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    if (open) {
+      open = false;
+      res.end();
+    }
+  }
+
+  return {
+    send,
+    close,
+    signal: controller.signal,
+    isOpen: () => open,
+  };
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  wantsEventStream,
+  openEventStream,
+};
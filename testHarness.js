@@ -0,0 +1,54 @@
+/**
+ * Shared pieces of the node test_*.js scripts
+ * Each script builds a `tests` object of named async functions and hands it
+ * to runTests, which runs them in order and sets the exit code.
+ */
+
+/**
+ * Clock that only moves when the test says so
+ *
+ * @param {string|number|Date} start - Starting instant
+ * @returns {Object} now() in ms, date() as a Date, advance(ms) and set(instant)
+ */
+function createFakeClock(start = '2026-03-11T12:00:00Z') {
+  let current = new Date(start).getTime();
+  return {
+    now: () => current,
+    date: () => new Date(current),
+    advance: (ms) => {
+      current += ms;
+    },
+    set: (instant) => {
+      current = new Date(instant).getTime();
+    },
+  };
+}
+
+/**
+ * Run named async tests in order, print a line per test and exit non-zero
+ * if any failed
+ *
+ * @param {Object<string, Function>} tests - Test name to async test function
+ */
+async function runTests(tests) {
+  let failed = 0;
+
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(error);
+    }
+  }
+
+  console.log(`\n🏁 ${Object.keys(tests).length - failed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = {
+  createFakeClock,
+  runTests,
+};
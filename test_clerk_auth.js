@@ -0,0 +1,221 @@
+/**
+ * Clerk auth tests
+ * Signs tokens with a local RSA keypair and serves its public half from a
+ * fake JWKS fetcher, so no Clerk instance or network is needed:
+ *
+ *   node test_clerk_auth.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  createJwksClient,
+  createClerkTokenVerifier,
+  createClerkAuthMiddleware,
+} = require('./clerkAuth');
+const { createFakeClock, runTests } = require('./testHarness');
+
+const ISSUER = 'https://clerk.example.test';
+
+function createKeypair(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+  return { kid, privateKey, jwk };
+}
+
+const KEY_1 = createKeypair('key_1');
+const KEY_2 = createKeypair('key_2');
+
+/**
+ * JWKS endpoint stand-in that can be switched between key sets or taken down
+ */
+function createFakeJwks(keys) {
+  const jwks = {
+    keys,
+    down: false,
+    fetches: 0,
+    fetch: async () => {
+      jwks.fetches++;
+      if (jwks.down) {
+        throw new Error('connect ECONNREFUSED 10.0.0.1:443');
+      }
+      return { keys: jwks.keys.map((key) => key.jwk) };
+    },
+  };
+  return jwks;
+}
+
+function signToken(keypair, clock, claims = {}) {
+  const issuedAt = Math.floor(clock.now() / 1000);
+  return jwt.sign(
+    { sub: 'user_123', sid: 'sess_1', iss: ISSUER, iat: issuedAt, exp: issuedAt + 60, ...claims },
+    keypair.privateKey,
+    { algorithm: 'RS256', keyid: keypair.kid }
+  );
+}
+
+function setup(keys = [KEY_1]) {
+  const clock = createFakeClock();
+  const jwks = createFakeJwks(keys);
+  const verifier = createClerkTokenVerifier({
+    fetchJwks: jwks.fetch,
+    issuers: [ISSUER],
+    now: clock.now,
+  });
+  return { clock, jwks, verifier };
+}
+
+async function assertRejects(promise, reason) {
+  await assert.rejects(promise, (error) => {
+    assert.strictEqual(error.reason, reason);
+    return true;
+  });
+}
+
+/**
+ * Run the middleware for one request and report how it ended
+ */
+async function runMiddleware(verifier, token) {
+  const middleware = createClerkAuthMiddleware({ verifier });
+  const req = { path: '/usage', headers: { authorization: `Bearer ${token}` } };
+  const result = { status: null, body: null, nextCalled: false, req };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+  };
+
+  await middleware(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+}
+
+const tests = {
+  async 'verifies a token signed by a JWKS key'() {
+    const { clock, verifier } = setup();
+
+    const auth = await verifier.verify(signToken(KEY_1, clock));
+
+    assert.strictEqual(auth.userId, 'user_123');
+    assert.strictEqual(auth.sessionId, 'sess_1');
+  },
+
+  async 'rejects expired tokens, other issuers and other algorithms'() {
+    const { clock, verifier } = setup();
+
+    const expired = signToken(KEY_1, clock);
+    clock.advance(5 * 60 * 1000);
+    await assertRejects(verifier.verify(expired), 'token_expired');
+
+    await assertRejects(
+      verifier.verify(signToken(KEY_1, clock, { iss: 'https://evil.example' })),
+      'invalid_issuer'
+    );
+
+    const unsigned = jwt.sign({ sub: 'user_123', iss: ISSUER }, null, { algorithm: 'none' });
+    await assertRejects(verifier.verify(unsigned), 'invalid_algorithm');
+  },
+
+  async 'rejects a token signed by a key not in the JWKS'() {
+    const { clock, verifier } = setup();
+    const forged = createKeypair('key_1');
+
+    await assertRejects(verifier.verify(signToken(forged, clock)), 'invalid_token');
+  },
+
+  async 'picks up a rotated key after the refresh interval'() {
+    const { clock, jwks, verifier } = setup();
+    await verifier.verify(signToken(KEY_1, clock));
+
+    jwks.keys = [KEY_1, KEY_2];
+    // Within the refresh interval an unknown kid doesn't refetch
+    await assertRejects(verifier.verify(signToken(KEY_2, clock)), 'unknown_key');
+    assert.strictEqual(jwks.fetches, 1);
+
+    clock.advance(31 * 1000);
+    const auth = await verifier.verify(signToken(KEY_2, clock));
+    assert.strictEqual(auth.userId, 'user_123');
+    assert.strictEqual(jwks.fetches, 2);
+  },
+
+  async 'keeps using cached keys when the JWKS is down after the TTL'() {
+    const { clock, jwks, verifier } = setup();
+    await verifier.verify(signToken(KEY_1, clock));
+
+    jwks.down = true;
+    clock.advance(61 * 60 * 1000);
+    const auth = await verifier.verify(signToken(KEY_1, clock));
+    assert.strictEqual(auth.userId, 'user_123');
+    assert.strictEqual(jwks.fetches, 2);
+
+    // Backs off instead of refetching on every request
+    await verifier.verify(signToken(KEY_1, clock));
+    await verifier.verify(signToken(KEY_1, clock));
+    assert.strictEqual(jwks.fetches, 2);
+
+    clock.advance(31 * 1000);
+    await verifier.verify(signToken(KEY_1, clock));
+    assert.strictEqual(jwks.fetches, 3);
+
+    // The wait doubles after each failure
+    clock.advance(31 * 1000);
+    await verifier.verify(signToken(KEY_1, clock));
+    assert.strictEqual(jwks.fetches, 3);
+
+    jwks.down = false;
+    clock.advance(31 * 1000);
+    await verifier.verify(signToken(KEY_1, clock));
+    assert.strictEqual(jwks.fetches, 4);
+  },
+
+  async 'returns 503 without leaking the error when no key can be loaded'() {
+    const { clock, jwks, verifier } = setup();
+    jwks.down = true;
+
+    const result = await runMiddleware(verifier, signToken(KEY_1, clock));
+
+    assert.strictEqual(result.status, 503);
+    assert.strictEqual(result.body.reason, 'auth_unavailable');
+    assert.ok(!JSON.stringify(result.body).includes('ECONNREFUSED'));
+    assert.strictEqual(result.nextCalled, false);
+  },
+
+  async 'attaches req.auth for a valid token'() {
+    const { clock, verifier } = setup();
+
+    const result = await runMiddleware(verifier, signToken(KEY_1, clock));
+
+    assert.strictEqual(result.nextCalled, true);
+    assert.strictEqual(result.req.auth.userId, 'user_123');
+  },
+
+  async 'returns 401 with a reason for a bad token'() {
+    const { verifier } = setup();
+
+    const result = await runMiddleware(verifier, 'not.a.token');
+
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.body.reason, 'malformed_token');
+  },
+
+  async 'collapses concurrent refreshes into one fetch'() {
+    const clock = createFakeClock();
+    const jwks = createFakeJwks([KEY_1]);
+    const client = createJwksClient({ fetchJwks: jwks.fetch, now: clock.now });
+
+    await Promise.all([client.getKey('key_1'), client.getKey('key_1'), client.getKey('key_1')]);
+
+    assert.strictEqual(jwks.fetches, 1);
+  },
+};
+
+runTests(tests);
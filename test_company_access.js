@@ -0,0 +1,213 @@
+/**
+ * Company access tests
+ * Runs requireCompanyPermission against an in-memory companies and
+ * user_company_memberships table, so no Supabase project is needed:
+ *
+ *   node test_company_access.js
+ */
+
+const assert = require('assert');
+const { requireCompanyPermission } = require('./companyAccess');
+const { runTests } = require('./testHarness');
+
+const COMPANY_A = '11111111-1111-4111-8111-111111111111';
+const COMPANY_B = '22222222-2222-4222-8222-222222222222';
+
+/**
+ * Minimal in-memory stand-in for the supabase-js calls companyAccess makes
+ */
+function createFakeSupabase(tables) {
+  function from(table) {
+    assert.ok(tables[table], `unexpected table ${table}`);
+
+    const filters = [];
+
+    const query = {
+      select: () => query,
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      limit: () => query,
+      then: (resolve, reject) =>
+        Promise.resolve({
+          data: tables[table]
+            .filter((row) => filters.every((filter) => filter(row)))
+            .map((row) => ({ ...row })),
+          error: null,
+        }).then(resolve, reject),
+    };
+
+    return query;
+  }
+
+  return { from };
+}
+
+function setup() {
+  return createFakeSupabase({
+    companies: [
+      { id: COMPANY_A, name: 'Acme', owner_user_id: 'owner_a' },
+      { id: COMPANY_B, name: 'Globex', owner_user_id: 'owner_b' },
+      // Created before membership rows were written reliably
+      {
+        id: '33333333-3333-4333-8333-333333333333',
+        name: 'Legacy',
+        owner_user_id: 'legacy_owner',
+      },
+    ],
+    user_company_memberships: [
+      { company_id: COMPANY_A, user_id: 'owner_a', role: 'owner' },
+      { company_id: COMPANY_A, user_id: 'admin_a', role: 'admin' },
+      { company_id: COMPANY_A, user_id: 'member_a', role: 'member' },
+      { company_id: COMPANY_B, user_id: 'owner_b', role: 'owner' },
+    ],
+  });
+}
+
+/**
+ * Run the guard for one request and report how it ended
+ */
+async function runGuard(supabase, permission, { userId, companyId }) {
+  const guard = requireCompanyPermission(supabase, permission);
+  const req = {
+    auth: userId ? { userId } : undefined,
+    params: { companyId },
+  };
+
+  const result = { status: null, body: null, nextCalled: false, req };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(body) {
+      result.body = body;
+      return res;
+    },
+  };
+
+  await guard(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+}
+
+const tests = {
+  async 'returns 404 to a user of another company'() {
+    const result = await runGuard(setup(), 'knowledge:read', {
+      userId: 'owner_b',
+      companyId: COMPANY_A,
+    });
+
+    assert.strictEqual(result.status, 404);
+    assert.strictEqual(result.nextCalled, false);
+  },
+
+  async 'returns the same 404 for a company that does not exist'() {
+    const missing = await runGuard(setup(), 'knowledge:read', {
+      userId: 'owner_b',
+      companyId: '44444444-4444-4444-8444-444444444444',
+    });
+    const foreign = await runGuard(setup(), 'knowledge:read', {
+      userId: 'owner_b',
+      companyId: COMPANY_A,
+    });
+
+    assert.strictEqual(missing.status, 404);
+    assert.deepStrictEqual(missing.body, foreign.body);
+  },
+
+  async 'returns 404 for a malformed company ID'() {
+    const result = await runGuard(setup(), 'company:read', {
+      userId: 'owner_a',
+      companyId: 'not-a-uuid',
+    });
+
+    assert.strictEqual(result.status, 404);
+  },
+
+  async 'returns 401 without a signed-in user'() {
+    const result = await runGuard(setup(), 'company:read', {
+      companyId: COMPANY_A,
+    });
+
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.nextCalled, false);
+  },
+
+  async 'returns 503 when Supabase is not configured'() {
+    const result = await runGuard(undefined, 'company:read', {
+      userId: 'owner_a',
+      companyId: COMPANY_A,
+    });
+
+    assert.strictEqual(result.status, 503);
+  },
+
+  async 'returns 403 to a member below the required role'() {
+    const settings = await runGuard(setup(), 'settings:write', {
+      userId: 'member_a',
+      companyId: COMPANY_A,
+    });
+    const transfer = await runGuard(setup(), 'ownership:transfer', {
+      userId: 'admin_a',
+      companyId: COMPANY_A,
+    });
+
+    assert.strictEqual(settings.status, 403);
+    assert.strictEqual(settings.body.role, 'member');
+    assert.strictEqual(settings.nextCalled, false);
+    assert.strictEqual(transfer.status, 403);
+    assert.strictEqual(transfer.body.role, 'admin');
+  },
+
+  async 'lets a member read company knowledge'() {
+    const result = await runGuard(setup(), 'knowledge:read', {
+      userId: 'member_a',
+      companyId: COMPANY_A,
+    });
+
+    assert.strictEqual(result.nextCalled, true);
+    assert.strictEqual(result.req.companyAccess.role, 'member');
+  },
+
+  async 'lets an admin manage settings and members'() {
+    for (const permission of ['settings:write', 'members:manage']) {
+      const result = await runGuard(setup(), permission, {
+        userId: 'admin_a',
+        companyId: COMPANY_A,
+      });
+
+      assert.strictEqual(result.nextCalled, true, permission);
+      assert.strictEqual(result.status, null, permission);
+    }
+  },
+
+  async 'lets the owner delete the company and transfer ownership'() {
+    for (const permission of ['company:delete', 'ownership:transfer']) {
+      const result = await runGuard(setup(), permission, {
+        userId: 'owner_a',
+        companyId: COMPANY_A,
+      });
+
+      assert.strictEqual(result.nextCalled, true, permission);
+    }
+  },
+
+  async 'treats owner_user_id as owner without a membership row'() {
+    const result = await runGuard(setup(), 'company:delete', {
+      userId: 'legacy_owner',
+      companyId: '33333333-3333-4333-8333-333333333333',
+    });
+
+    assert.strictEqual(result.nextCalled, true);
+    assert.strictEqual(result.req.companyAccess.role, 'owner');
+  },
+
+  async 'rejects unknown permissions up front'() {
+    assert.throws(() => requireCompanyPermission(setup(), 'company:destroy'));
+  },
+};
+
+runTests(tests);
@@ -0,0 +1,219 @@
+/**
+ * Embedding batch tests
+ * Runs generateEmbeddingsBatch against a fake embeddings.create that fails on
+ * demand, with sleep recorded instead of waited, so no OpenAI key is needed:
+ *
+ *   node test_embeddings.js
+ */
+
+const assert = require('assert');
+const {
+  planEmbeddingBatches,
+  generateEmbeddingsBatch,
+} = require('./documentProcessor');
+const { runTests } = require('./testHarness');
+
+function statusError(status, headers = {}) {
+  const error = new Error(`${status} status code`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Stand-in for the OpenAI client
+ * Each request takes the next scripted outcome for the batch it embeds (keyed
+ * by its first input): an error to throw, or a promise to wait for first.
+ * Without a script left it returns one vector per input: [text length].
+ */
+function createFakeOpenAI(script = {}) {
+  const requests = [];
+
+  const embeddings = {
+    async create(body, options) {
+      requests.push({ input: body.input, options });
+
+      const outcome = (script[body.input[0]] || []).shift();
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      if (outcome) {
+        await outcome;
+      }
+
+      return {
+        // Out of order on purpose: callers must sort by index
+        data: body.input
+          .map((text, index) => ({ index, embedding: [text.length] }))
+          .reverse(),
+      };
+    },
+  };
+
+  return { embeddings, requests };
+}
+
+/**
+ * Promise the test resolves when it wants a request to finish
+ */
+function createGate() {
+  let open;
+  const gate = new Promise((resolve) => {
+    open = resolve;
+  });
+  gate.open = open;
+  return gate;
+}
+
+function texts(count, length = 8) {
+  return Array.from({ length: count }, (_, index) =>
+    `${index}`.padEnd(length, 'x')
+  );
+}
+
+const tests = {
+  async 'splits batches by count and by estimated tokens'() {
+    // 40 characters ≈ 10 tokens each
+    const input = texts(7, 40);
+
+    const byCount = planEmbeddingBatches(input, 3, 1000);
+    assert.deepStrictEqual(
+      byCount.map((batch) => [batch.start, batch.texts.length]),
+      [[0, 3], [3, 3], [6, 1]]
+    );
+
+    const byTokens = planEmbeddingBatches(input, 100, 25);
+    assert.deepStrictEqual(
+      byTokens.map((batch) => [batch.start, batch.texts.length]),
+      [[0, 2], [2, 2], [4, 2], [6, 1]]
+    );
+  },
+
+  async 'gives a text over the token limit a batch of its own'() {
+    const input = ['short', 'x'.repeat(400), 'short'];
+
+    const batches = planEmbeddingBatches(input, 100, 50);
+
+    assert.deepStrictEqual(
+      batches.map((batch) => batch.start),
+      [0, 1, 2]
+    );
+  },
+
+  async 'returns vectors in input order across batches'() {
+    const input = texts(5).map((text, index) => text.slice(0, index + 1));
+    const openai = createFakeOpenAI();
+
+    const vectors = await generateEmbeddingsBatch(input, openai, { maxBatchSize: 2 });
+
+    assert.deepStrictEqual(vectors, [[1], [2], [3], [4], [5]]);
+    assert.strictEqual(openai.requests.length, 3);
+    // Retries are ours, not the SDK's
+    assert.ok(openai.requests.every((request) => request.options.maxRetries === 0));
+  },
+
+  async 'retries 429 and 5xx, waiting Retry-After when sent'() {
+    const input = texts(2);
+    const openai = createFakeOpenAI({
+      [input[0]]: [statusError(429, { 'retry-after': '3' }), statusError(500)],
+    });
+    const sleeps = [];
+
+    const vectors = await generateEmbeddingsBatch(input, openai, {
+      sleep: async (ms) => sleeps.push(ms),
+    });
+
+    assert.strictEqual(vectors.length, 2);
+    assert.strictEqual(openai.requests.length, 3);
+    assert.strictEqual(sleeps[0], 3000);
+    // Second retry backs off 2s with up to half of it jittered away
+    assert.ok(sleeps[1] >= 1000 && sleeps[1] <= 2000, String(sleeps[1]));
+  },
+
+  async 'gives up after maxRetries as a retryable failure'() {
+    const input = texts(2);
+    const openai = createFakeOpenAI({
+      [input[0]]: [statusError(503), statusError(503), statusError(503)],
+    });
+
+    await assert.rejects(
+      generateEmbeddingsBatch(input, openai, { maxRetries: 2, sleep: async () => {} }),
+      (error) => {
+        assert.strictEqual(error.status, 503);
+        assert.strictEqual(error.retryable, true);
+        return true;
+      }
+    );
+    assert.strictEqual(openai.requests.length, 3);
+  },
+
+  async 'does not retry a 400'() {
+    const input = texts(2);
+    const openai = createFakeOpenAI({ [input[0]]: [statusError(400)] });
+    const sleeps = [];
+
+    await assert.rejects(
+      generateEmbeddingsBatch(input, openai, { sleep: async (ms) => sleeps.push(ms) }),
+      (error) => {
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(error.retryable, false);
+        return true;
+      }
+    );
+    assert.strictEqual(openai.requests.length, 1);
+    assert.deepStrictEqual(sleeps, []);
+  },
+
+  async 'retries a request that failed without a response'() {
+    const input = texts(1);
+    const openai = createFakeOpenAI({ [input[0]]: [new Error('socket hang up')] });
+
+    const vectors = await generateEmbeddingsBatch(input, openai, { sleep: async () => {} });
+
+    assert.strictEqual(vectors.length, 1);
+    assert.strictEqual(openai.requests.length, 2);
+  },
+
+  async 'saves batches in flight after a failure, then starts no more'() {
+    // Four batches of one, two at a time: the first fails for good while the
+    // second is still running
+    const input = texts(4);
+    const second = createGate();
+    const openai = createFakeOpenAI({
+      [input[0]]: [statusError(400)],
+      [input[1]]: [second],
+    });
+    const saved = [];
+
+    const run = generateEmbeddingsBatch(input, openai, {
+      maxBatchSize: 1,
+      concurrency: 2,
+      onBatch: async ({ start, embeddings }) => saved.push([start, embeddings.length]),
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    second.open();
+
+    await assert.rejects(run, (error) => error.retryable === false);
+    assert.deepStrictEqual(saved, [[1, 1]]);
+    assert.deepStrictEqual(
+      openai.requests.map((request) => request.input[0]),
+      [input[0], input[1]]
+    );
+  },
+
+  async 'reports each batch to onBatch with its start'() {
+    const input = texts(5);
+    const openai = createFakeOpenAI();
+    const saved = [];
+
+    await generateEmbeddingsBatch(input, openai, {
+      maxBatchSize: 2,
+      concurrency: 1,
+      onBatch: async ({ start, embeddings }) => saved.push([start, embeddings.length]),
+    });
+
+    assert.deepStrictEqual(saved, [[0, 2], [2, 2], [4, 1]]);
+  },
+};
+
+runTests(tests);
@@ -0,0 +1,185 @@
+/**
+ * Generation cache tests
+ * Checks what the cache key depends on and runs the generation pipeline with
+ * stubbed context and model stages against the memory store, so no model or
+ * Supabase project is needed:
+ *
+ *   node test_generation_cache.js
+ */
+
+const assert = require('assert');
+const {
+  buildCacheKey,
+  createMemoryStore,
+  createGenerationCache,
+} = require('./generationCache');
+const { createGenerationService } = require('./generationService');
+const { httpError } = require('./errors');
+const { createFakeClock, runTests } = require('./testHarness');
+
+/**
+ * Generation context as it stands after buildPrompt
+ */
+function createContext(overrides = {}) {
+  const { input, ...rest } = overrides;
+  return {
+    input: {
+      platform: 'twitter',
+      text: 'Shipping a new feature today',
+      emojiBool: false,
+      companyId: 'company_1',
+      userId: 'user_1',
+      ...input,
+    },
+    tone: { name: 'value' },
+    vertical: { id: 'general' },
+    operatorTone: { style: 'dry' },
+    ragContext: { chunks: [{ id: 'chunk_1' }] },
+    feedbackExamples: [{ reply: 'Nice one' }],
+    tweetReplies: [],
+    promptVersion: 'reply-twitter@v1',
+    llmProvider: 'anthropic',
+    modelParams: { temperature: 0.7 },
+    ...rest,
+  };
+}
+
+/**
+ * Generation service with the context and model stages stubbed out
+ */
+function setup() {
+  const clock = createFakeClock();
+  const calls = { model: 0, quota: 0, tracked: 0 };
+  const quota = { exceeded: false };
+
+  const service = createGenerationService(
+    {
+      cache: createGenerationCache({ store: createMemoryStore({ now: clock.now }) }),
+      checkQuota: async () => {
+        calls.quota++;
+        if (quota.exceeded) {
+          throw httpError(429, 'Free plan limit reached');
+        }
+      },
+      trackUsage: async () => {
+        calls.tracked++;
+        return { daily_used: calls.tracked };
+      },
+      getUsage: async () => ({ daily_used: calls.tracked }),
+    },
+    {
+      gatherContext: async (ctx) => {
+        Object.assign(ctx, createContext({ input: ctx.input }), { input: ctx.input });
+      },
+      buildPrompt: async () => {},
+      callModel: async (ctx) => {
+        calls.model++;
+        ctx.candidates = [`reply ${calls.model}`];
+      },
+      record: async () => {},
+    }
+  );
+
+  return { calls, quota, service };
+}
+
+const INPUT = {
+  platform: 'twitter',
+  text: 'Shipping a new feature today',
+  tone: 'value',
+  emojiBool: false,
+  userId: 'user_1',
+};
+
+const tests = {
+  async 'keys the same generation the same way'() {
+    const key = buildCacheKey(createContext());
+
+    assert.strictEqual(buildCacheKey(createContext()), key);
+    assert.strictEqual(
+      buildCacheKey(createContext({ input: { text: '  Shipping a new\n feature today ' } })),
+      key
+    );
+    assert.strictEqual(
+      buildCacheKey(createContext({ modelParams: { temperature: 0.7, stop: undefined } })),
+      key
+    );
+  },
+
+  async 'keys per user and per company'() {
+    const key = buildCacheKey(createContext());
+
+    assert.notStrictEqual(buildCacheKey(createContext({ input: { userId: 'user_2' } })), key);
+    assert.notStrictEqual(buildCacheKey(createContext({ input: { userId: undefined } })), key);
+    assert.notStrictEqual(
+      buildCacheKey(createContext({ input: { companyId: 'company_2' } })),
+      key
+    );
+    assert.notStrictEqual(buildCacheKey(createContext({ input: { companyId: null } })), key);
+  },
+
+  async 'changes the key when gathered context changes'() {
+    const key = buildCacheKey(createContext());
+    const changes = {
+      tone: { tone: { name: 'value', prompt: 'edited' } },
+      toneProfile: { operatorTone: { style: 'warm' } },
+      rag: { ragContext: { chunks: [{ id: 'chunk_2' }] } },
+      feedback: { feedbackExamples: [] },
+      thread: { tweetReplies: [{ text: 'First!' }] },
+      prompt: { promptVersion: 'reply-twitter@v2' },
+      provider: { llmProvider: 'openai' },
+      modelParams: { modelParams: { temperature: 0.2 } },
+    };
+
+    for (const [name, change] of Object.entries(changes)) {
+      assert.notStrictEqual(buildCacheKey(createContext(change)), key, name);
+    }
+  },
+
+  async 'replays a cached reply without a model call or usage'() {
+    const { calls, service } = setup();
+
+    const first = await service.generateReply(INPUT);
+    const second = await service.generateReply(INPUT);
+
+    assert.strictEqual(first.cached, false);
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(second.reply, first.reply);
+    assert.strictEqual(calls.model, 1);
+    assert.strictEqual(calls.tracked, 1);
+    assert.strictEqual(calls.quota, 1);
+  },
+
+  async 'serves a cached reply to a user at quota'() {
+    const { calls, quota, service } = setup();
+    const first = await service.generateReply(INPUT);
+
+    quota.exceeded = true;
+    const cached = await service.generateReply(INPUT);
+
+    assert.strictEqual(cached.cached, true);
+    assert.strictEqual(cached.reply, first.reply);
+    assert.strictEqual(calls.model, 1);
+    // A different post misses the cache and hits the limit
+    await assert.rejects(
+      service.generateReply({ ...INPUT, text: 'Another post entirely' }),
+      (error) => error.status === 429
+    );
+    // So does asking for a fresh reply
+    await assert.rejects(
+      service.generateReply({ ...INPUT, cache: false }),
+      (error) => error.status === 429
+    );
+    assert.strictEqual(calls.model, 1);
+  },
+
+  async 'checks quota before a model call on a miss'() {
+    const { calls, quota, service } = setup();
+    quota.exceeded = true;
+
+    await assert.rejects(service.generateReply(INPUT), (error) => error.status === 429);
+    assert.strictEqual(calls.model, 0);
+  },
+};
+
+runTests(tests);
@@ -0,0 +1,300 @@
+/**
+ * Idempotency-Key tests
+ * Serves a small Express app through the middleware on a local port, with
+ * the memory store on a fake clock, so no Supabase project is needed:
+ *
+ *   node test_idempotency.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const {
+  DEFAULT_TTL_SECONDS,
+  IN_FLIGHT_SECONDS,
+  createMemoryStore,
+  createIdempotencyMiddleware,
+} = require('./idempotency');
+const { createFakeClock, runTests } = require('./testHarness');
+
+/**
+ * Promise the test resolves when it wants a request to finish
+ */
+function createGate() {
+  let open;
+  const gate = new Promise((resolve) => {
+    open = resolve;
+  });
+  gate.open = open;
+  return gate;
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the request');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * App with a counted route per response kind, listening on a free port
+ */
+async function setup(options = {}) {
+  const clock = createFakeClock();
+  const store = options.store || createMemoryStore({ now: clock.now });
+  const runs = { reply: 0, fail: 0, stream: 0 };
+  const gates = [];
+
+  const app = express();
+  app.use(express.json());
+  app.use(createIdempotencyMiddleware({ store }));
+
+  app.post('/reply', async (req, res) => {
+    runs.reply++;
+    if (req.body.wait) {
+      const gate = createGate();
+      gates.push(gate);
+      await gate;
+    }
+    res.status(201).json({ reply: `reply ${runs.reply}` });
+  });
+  app.post('/fail', (req, res) => {
+    runs.fail++;
+    res.status(500).json({ error: 'Model unavailable' });
+  });
+  app.post('/stream', (req, res) => {
+    runs.stream++;
+    res.set('Content-Type', 'text/event-stream');
+    res.write(`data: chunk ${runs.stream}\n\n`);
+    // The first run of a hanging stream only ends when the client leaves
+    if (!req.body.hang || runs.stream > 1) {
+      res.end();
+    }
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function post(path, body = {}, key = 'key-1', init = {}) {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(key ? { 'idempotency-key': key } : {}),
+      },
+      body: JSON.stringify(body),
+      ...init,
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(text) : text,
+    };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    if (store.close) {
+      store.close();
+    }
+  }
+
+  return { clock, runs, gates, post, close };
+}
+
+/**
+ * Run a test body against a fresh app and always shut it down
+ */
+function withApp(body, options) {
+  return async () => {
+    const app = await setup(options);
+    try {
+      await body(app);
+    } finally {
+      await app.close();
+    }
+  };
+}
+
+const tests = {
+  'replays a stored response for the same key': withApp(async ({ runs, post }) => {
+    const first = await post('/reply', { text: 'hi' });
+    const retry = await post('/reply', { text: 'hi' });
+
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(retry.status, 201);
+    assert.deepStrictEqual(retry.body, first.body);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(runs.reply, 1);
+  }),
+
+  'runs requests without a key every time': withApp(async ({ runs, post }) => {
+    await post('/reply', { text: 'hi' }, null);
+    await post('/reply', { text: 'hi' }, null);
+
+    assert.strictEqual(runs.reply, 2);
+  }),
+
+  'rejects a malformed key': withApp(async ({ runs, post }) => {
+    const response = await post('/reply', {}, 'x'.repeat(256));
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(runs.reply, 0);
+  }),
+
+  'runs the request again once the stored response expires': withApp(
+    async ({ clock, runs, post }) => {
+      await post('/reply', { text: 'hi' });
+
+      clock.advance(DEFAULT_TTL_SECONDS * 1000);
+      const later = await post('/reply', { text: 'hi' });
+
+      assert.strictEqual(later.headers.get('idempotent-replayed'), null);
+      assert.strictEqual(runs.reply, 2);
+    }
+  ),
+
+  'answers 409 while the first request is in flight': withApp(
+    async ({ runs, gates, post }) => {
+      const first = post('/reply', { wait: true });
+      await waitFor(() => gates.length === 1);
+
+      const retry = await post('/reply', { wait: true });
+      assert.strictEqual(retry.status, 409);
+      assert.strictEqual(retry.body.code, 'idempotency_in_flight');
+      assert.strictEqual(retry.headers.get('retry-after'), '1');
+
+      gates[0].open();
+      assert.strictEqual((await first).status, 201);
+      const replay = await post('/reply', { wait: true });
+      assert.strictEqual(replay.headers.get('idempotent-replayed'), 'true');
+      assert.strictEqual(runs.reply, 1);
+    }
+  ),
+
+  'lets a retry run once an abandoned in-flight key expires': withApp(
+    async ({ clock, runs, gates, post }) => {
+      const first = post('/reply', { wait: true });
+      await waitFor(() => gates.length === 1);
+
+      clock.advance(IN_FLIGHT_SECONDS * 1000);
+      const retry = await post('/reply', {});
+
+      assert.strictEqual(retry.status, 201);
+      assert.strictEqual(runs.reply, 2);
+      gates[0].open();
+      await first;
+    }
+  ),
+
+  'answers 422 when the key is reused for a different request': withApp(
+    async ({ runs, post }) => {
+      await post('/reply', { text: 'hi' });
+
+      const otherBody = await post('/reply', { text: 'something else' });
+      const otherRoute = await post('/fail', { text: 'hi' });
+
+      assert.strictEqual(otherBody.status, 422);
+      assert.strictEqual(otherBody.body.code, 'idempotency_key_reused');
+      assert.strictEqual(otherRoute.status, 422);
+      assert.strictEqual(runs.reply, 1);
+      assert.strictEqual(runs.fail, 0);
+    }
+  ),
+
+  'runs each key separately': withApp(async ({ runs, post }) => {
+    await post('/reply', { text: 'hi' }, 'key-1');
+    await post('/reply', { text: 'hi' }, 'key-2');
+
+    assert.strictEqual(runs.reply, 2);
+  }),
+
+  'releases the key after an error response': withApp(async ({ runs, post }) => {
+    const first = await post('/fail');
+    const retry = await post('/fail');
+
+    assert.strictEqual(first.status, 500);
+    assert.strictEqual(retry.status, 500);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(runs.fail, 2);
+  }),
+
+  'releases the key after a streamed response': withApp(async ({ runs, post }) => {
+    const first = await post('/stream');
+    const retry = await post('/stream');
+
+    assert.strictEqual(first.body, 'data: chunk 1\n\n');
+    assert.strictEqual(retry.body, 'data: chunk 2\n\n');
+    assert.strictEqual(runs.stream, 2);
+  }),
+
+  'releases the key when a streaming client disconnects': withApp(
+    async ({ runs, post }) => {
+      const controller = new AbortController();
+      const first = post('/stream', { hang: true }, 'key-1', {
+        signal: controller.signal,
+      });
+      await waitFor(() => runs.stream === 1);
+      controller.abort();
+      await assert.rejects(first);
+
+      // The key is released once the server sees the connection close
+      let retry;
+      await waitFor(async () => {
+        retry = await post('/stream', { hang: true });
+        return retry.status !== 409;
+      });
+      assert.strictEqual(retry.status, 200);
+      assert.strictEqual(runs.stream, 2);
+    }
+  ),
+
+  'runs the request when the store fails': withApp(
+    async ({ runs, post }) => {
+      const first = await post('/reply', { text: 'hi' });
+      const retry = await post('/reply', { text: 'hi' });
+
+      assert.strictEqual(first.status, 201);
+      assert.strictEqual(retry.status, 201);
+      assert.strictEqual(retry.headers.get('idempotent-replayed'), null);
+      assert.strictEqual(runs.reply, 2);
+    },
+    {
+      store: {
+        begin: async () => {
+          throw new Error('database unavailable');
+        },
+        complete: async () => {},
+        release: async () => {},
+      },
+    }
+  ),
+
+  'still responds when the response cannot be saved': withApp(
+    async ({ runs, post }) => {
+      const first = await post('/reply', { text: 'hi' });
+
+      assert.strictEqual(first.status, 201);
+      assert.strictEqual(runs.reply, 1);
+    },
+    {
+      store: {
+        begin: async () => null,
+        complete: async () => {
+          throw new Error('database unavailable');
+        },
+        release: async () => {},
+      },
+    }
+  ),
+};
+
+runTests(tests);
@@ -0,0 +1,326 @@
+/**
+ * Ingestion queue tests
+ * Runs the queue on the local driver and memory file store with a fake
+ * clock, so no Supabase project is needed:
+ *
+ *   node test_ingestion_queue.js
+ */
+
+const assert = require('assert');
+const {
+  STALE_AFTER_MS,
+  backoffDelay,
+  createLocalDriver,
+  createMemoryFileStore,
+  createIngestionQueue,
+  recoverOrphanedDocuments,
+} = require('./ingestionQueue');
+const { createFakeClock, runTests } = require('./testHarness');
+
+/**
+ * Memory file store that also reports what it holds
+ */
+function createFakeFiles() {
+  const store = createMemoryFileStore();
+  const paths = new Set();
+  return {
+    paths,
+    async put(path, file) {
+      paths.add(path);
+      return store.put(path, file);
+    },
+    get: (path) => store.get(path),
+    async remove(path) {
+      paths.delete(path);
+      return store.remove(path);
+    },
+  };
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the queue');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+function setup(handlers, options = {}) {
+  const clock = createFakeClock();
+  const driver = createLocalDriver({ now: clock.now });
+  const files = createFakeFiles();
+  const failed = [];
+  const queue = createIngestionQueue({
+    driver,
+    files,
+    handlers,
+    onFailed: async (job, error) => failed.push([job.document_id, error.message]),
+    maxAttempts: 3,
+    now: clock.now,
+    ...options,
+  });
+
+  const jobStatus = async (documentId) =>
+    (await queue.getJobs([documentId])).get(documentId);
+
+  return { clock, driver, files, failed, queue, jobStatus };
+}
+
+/**
+ * Restart the worker so it claims jobs whose retry time has come
+ * (the real worker polls every few seconds)
+ */
+async function poll(queue) {
+  await queue.stop();
+  await queue.start();
+}
+
+const tests = {
+  async 'hands the uploaded file to the handler and removes it afterwards'() {
+    const seen = [];
+    const { files, queue, jobStatus } = setup({
+      document: async (job) => seen.push(job.file.toString()),
+    });
+    await queue.start();
+
+    const job = await queue.enqueue('document', {
+      documentId: 'doc_1',
+      companyId: 'company_1',
+      payload: { fileType: 'txt' },
+      file: Buffer.from('hello world'),
+    });
+    assert.strictEqual(job.status, 'queued');
+
+    await waitFor(async () => (await jobStatus('doc_1')).status === 'completed');
+    await queue.stop();
+
+    assert.deepStrictEqual(seen, ['hello world']);
+    assert.strictEqual(files.paths.size, 0);
+  },
+
+  async 'keeps the file out of the job record'() {
+    const { driver, queue } = setup({ document: async () => {} });
+
+    await queue.enqueue('document', {
+      documentId: 'doc_1',
+      companyId: 'company_1',
+      file: Buffer.from('hello world'),
+    });
+
+    const [record] = await driver.listForDocuments(['doc_1']);
+    assert.match(record.file_path, /^company_1\/doc_1\//);
+    assert.ok(!Object.values(record).some((value) => Buffer.isBuffer(value)));
+  },
+
+  async 'retries a failing job with backoff, then completes it'() {
+    let calls = 0;
+    const { clock, files, queue, jobStatus } = setup({
+      document: async (job) => {
+        calls++;
+        assert.strictEqual(job.file.toString(), 'retry me');
+        if (job.attempts === 1) {
+          throw new Error('embeddings unavailable');
+        }
+      },
+    });
+    await queue.start();
+
+    await queue.enqueue('document', {
+      documentId: 'doc_1',
+      companyId: 'company_1',
+      file: Buffer.from('retry me'),
+    });
+    await waitFor(async () => (await jobStatus('doc_1')).attempts === 1 && calls === 1);
+
+    const queued = await jobStatus('doc_1');
+    assert.strictEqual(queued.status, 'queued');
+    assert.strictEqual(queued.last_error, 'embeddings unavailable');
+    assert.strictEqual(
+      Date.parse(queued.next_attempt_at),
+      clock.now() + backoffDelay(1)
+    );
+    // The file stays for the retry
+    assert.strictEqual(files.paths.size, 1);
+
+    // Not due yet
+    await poll(queue);
+    assert.strictEqual(calls, 1);
+
+    clock.advance(backoffDelay(1));
+    await poll(queue);
+    await waitFor(async () => (await jobStatus('doc_1')).status === 'completed');
+    await queue.stop();
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(files.paths.size, 0);
+  },
+
+  async 'fails a job for good on a non-retryable error'() {
+    const { failed, files, queue, jobStatus } = setup({
+      document: async () => {
+        throw Object.assign(new Error('not a PDF'), { retryable: false });
+      },
+    });
+    await queue.start();
+
+    await queue.enqueue('document', {
+      documentId: 'doc_1',
+      companyId: 'company_1',
+      file: Buffer.from('garbage'),
+    });
+    await waitFor(async () => (await jobStatus('doc_1')).status === 'failed');
+    await queue.stop();
+
+    assert.deepStrictEqual(failed, [['doc_1', 'not a PDF']]);
+    assert.strictEqual((await jobStatus('doc_1')).attempts, 1);
+    assert.strictEqual(files.paths.size, 0);
+  },
+
+  async 'fails a job after maxAttempts'() {
+    const { clock, failed, queue, jobStatus } = setup({
+      url: async () => {
+        throw new Error('site down');
+      },
+    });
+    await queue.start();
+
+    await queue.enqueue('url', {
+      documentId: 'doc_1',
+      companyId: 'company_1',
+      payload: { url: 'https://example.com' },
+    });
+
+    for (let attempt = 1; attempt < 3; attempt++) {
+      await waitFor(async () => (await jobStatus('doc_1')).attempts === attempt);
+      clock.advance(backoffDelay(attempt));
+      await poll(queue);
+    }
+    await waitFor(async () => (await jobStatus('doc_1')).status === 'failed');
+    await queue.stop();
+
+    assert.strictEqual((await jobStatus('doc_1')).attempts, 3);
+    assert.deepStrictEqual(failed, [['doc_1', 'site down']]);
+  },
+
+  async 'runs one job per company at a time'() {
+    let running = 0;
+    let maxRunning = 0;
+    const release = [];
+    const { queue, jobStatus } = setup(
+      {
+        document: async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise((resolve) => release.push(resolve));
+          running--;
+        },
+      },
+      { concurrency: 3, companyConcurrency: 1 }
+    );
+    await queue.start();
+
+    for (const [documentId, companyId] of [
+      ['doc_1', 'company_1'],
+      ['doc_2', 'company_1'],
+      ['doc_3', 'company_2'],
+    ]) {
+      await queue.enqueue('document', { documentId, companyId, file: Buffer.from(documentId) });
+    }
+
+    await waitFor(() => release.length === 2);
+    assert.strictEqual((await jobStatus('doc_2')).status, 'queued');
+
+    while (release.length > 0 || running > 0) {
+      release.splice(0).forEach((resolve) => resolve());
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    await waitFor(async () => (await jobStatus('doc_2')).status === 'completed');
+    await queue.stop();
+
+    assert.strictEqual(maxRunning, 2);
+  },
+
+  async 're-queues a job whose worker stopped heartbeating'() {
+    const { clock, driver, queue, jobStatus } = setup({ document: async () => {} });
+
+    await queue.enqueue('document', {
+      documentId: 'doc_1',
+      companyId: 'company_1',
+      file: Buffer.from('orphan'),
+    });
+    // Another worker claims it and dies
+    await driver.claim('dead-worker', 1);
+    clock.advance(STALE_AFTER_MS + 1000);
+
+    await queue.start();
+    await waitFor(async () => (await jobStatus('doc_1')).status === 'completed');
+    await queue.stop();
+
+    assert.strictEqual((await jobStatus('doc_1')).attempts, 2);
+  },
+
+  async 'removes the uploaded file when the job cannot be queued'() {
+    const { driver, files, queue } = setup({ document: async () => {} });
+    driver.enqueue = async () => {
+      throw new Error('database unavailable');
+    };
+
+    await assert.rejects(
+      queue.enqueue('document', {
+        documentId: 'doc_1',
+        companyId: 'company_1',
+        file: Buffer.from('lost'),
+      }),
+      /database unavailable/
+    );
+    assert.strictEqual(files.paths.size, 0);
+  },
+
+  async 'rejects unknown job kinds'() {
+    const { queue } = setup({ document: async () => {} });
+
+    await assert.rejects(
+      queue.enqueue('video', { documentId: 'doc_1', companyId: 'company_1' }),
+      /Unknown ingestion job kind/
+    );
+  },
+
+  async 'recovers orphaned documents: URLs re-queued, files failed'() {
+    const { queue, jobStatus } = setup({ url: async () => {}, document: async () => {} });
+    const documents = [
+      { id: 'doc_url', company_id: 'company_1', file_type: 'url', source_url: 'https://example.com' },
+      { id: 'doc_pdf', company_id: 'company_1', file_type: 'pdf', source_url: null },
+    ];
+    const updates = [];
+    const supabase = {
+      from: () => {
+        const query = {
+          select: () => query,
+          eq: (column, value) => {
+            if (query.changes) {
+              updates.push([value, query.changes.status]);
+              return Promise.resolve({ error: null });
+            }
+            return query;
+          },
+          lt: () => Promise.resolve({ data: documents, error: null }),
+          update: (changes) => {
+            query.changes = changes;
+            return query;
+          },
+        };
+        return query;
+      },
+    };
+
+    const counts = await recoverOrphanedDocuments(supabase, queue, new Date().toISOString());
+
+    assert.deepStrictEqual(counts, { requeued: 1, failed: 1 });
+    assert.deepStrictEqual(updates, [['doc_pdf', 'failed']]);
+    assert.strictEqual((await jobStatus('doc_url')).kind, 'url');
+  },
+};
+
+runTests(tests);
@@ -0,0 +1,187 @@
+/**
+ * LLM provider router tests
+ * Builds routers from stub providers that fail on demand, so generation can
+ * be tested offline without any API key:
+ *
+ *   node test_llm_providers.js
+ */
+
+const assert = require('assert');
+const {
+  STUB_REPLY,
+  createStubProvider,
+  createLLMRouter,
+} = require('./llmProviders');
+const { httpError } = require('./errors');
+const { runTests } = require('./testHarness');
+
+/**
+ * Stub provider under another name that records its calls and throws the
+ * given error (if any) instead of replying
+ */
+function createFakeProvider(name, { error, reply = `${name} reply`, deltasBeforeError = 0 } = {}) {
+  const calls = [];
+  const stub = createStubProvider({ respond: () => reply });
+
+  return {
+    ...stub,
+    name,
+    label: name,
+    model: `${name}-default`,
+    calls,
+    async complete(request) {
+      // The router reuses one request object across providers, so keep a copy
+      calls.push({ ...request });
+      if (!error) {
+        return stub.complete(request);
+      }
+
+      for (let i = 0; i < deltasBeforeError && request.onDelta; i++) {
+        request.onDelta('partial ');
+      }
+      throw error;
+    },
+  };
+}
+
+function statusError(status) {
+  const error = new Error(`Request failed with status ${status}`);
+  error.status = status;
+  return error;
+}
+
+const REQUEST = { prompt: 'Write a reply', maxTokens: 100 };
+
+const tests = {
+  async 'generates offline with the stub provider'() {
+    const router = createLLMRouter({ providers: [createStubProvider()], order: ['stub'] });
+
+    const deltas = [];
+    const result = await router.complete({ ...REQUEST, onDelta: (delta) => deltas.push(delta) });
+
+    assert.strictEqual(result.text, STUB_REPLY);
+    assert.strictEqual(result.provider, 'stub');
+    assert.strictEqual(deltas.join(''), STUB_REPLY);
+  },
+
+  async 'fails over on 429 and 5xx'() {
+    for (const status of [429, 500, 503]) {
+      const anthropic = createFakeProvider('anthropic', { error: statusError(status) });
+      const openai = createFakeProvider('openai');
+      const router = createLLMRouter({ providers: [anthropic, openai] });
+
+      const result = await router.complete(REQUEST);
+
+      assert.strictEqual(result.provider, 'openai', String(status));
+      assert.strictEqual(anthropic.calls.length, 1);
+    }
+  },
+
+  async 'fails over when a provider cannot be reached'() {
+    const local = createFakeProvider('local', { error: new Error('connect ECONNREFUSED') });
+    const openai = createFakeProvider('openai');
+    const router = createLLMRouter({ providers: [local, openai] });
+
+    const result = await router.complete(REQUEST);
+
+    assert.strictEqual(result.provider, 'openai');
+  },
+
+  async 'does not fail over on 4xx'() {
+    for (const status of [400, 401, 404]) {
+      const anthropic = createFakeProvider('anthropic', { error: statusError(status) });
+      const openai = createFakeProvider('openai');
+      const router = createLLMRouter({ providers: [anthropic, openai] });
+
+      await assert.rejects(router.complete(REQUEST), (error) => {
+        assert.strictEqual(error.status, status);
+        assert.strictEqual(error.provider, 'anthropic');
+        return true;
+      });
+      assert.strictEqual(openai.calls.length, 0, String(status));
+    }
+  },
+
+  async 'does not fail over on our own (expose) errors'() {
+    const anthropic = createFakeProvider('anthropic', { error: httpError(503, 'Plan limit') });
+    const openai = createFakeProvider('openai');
+    const router = createLLMRouter({ providers: [anthropic, openai] });
+
+    await assert.rejects(router.complete(REQUEST), /Plan limit/);
+    assert.strictEqual(openai.calls.length, 0);
+  },
+
+  async 'does not fail over after the first streamed delta'() {
+    const anthropic = createFakeProvider('anthropic', {
+      error: statusError(503),
+      deltasBeforeError: 1,
+    });
+    const openai = createFakeProvider('openai');
+    const router = createLLMRouter({ providers: [anthropic, openai] });
+
+    const deltas = [];
+    await assert.rejects(
+      router.complete({ ...REQUEST, onDelta: (delta) => deltas.push(delta) }),
+      (error) => error.status === 503
+    );
+    assert.deepStrictEqual(deltas, ['partial ']);
+    assert.strictEqual(openai.calls.length, 0);
+  },
+
+  async 'fails over a stream that fails before its first delta'() {
+    const anthropic = createFakeProvider('anthropic', { error: statusError(529) });
+    const openai = createFakeProvider('openai', { reply: 'from openai' });
+    const router = createLLMRouter({ providers: [anthropic, openai] });
+
+    const deltas = [];
+    const result = await router.complete({ ...REQUEST, onDelta: (delta) => deltas.push(delta) });
+
+    assert.strictEqual(result.provider, 'openai');
+    assert.strictEqual(deltas.join(''), 'from openai');
+  },
+
+  async 'does not fail over an aborted request'() {
+    const controller = new AbortController();
+    controller.abort();
+    const anthropic = createFakeProvider('anthropic', { error: statusError(503) });
+    const openai = createFakeProvider('openai');
+    const router = createLLMRouter({ providers: [anthropic, openai] });
+
+    await assert.rejects(router.complete({ ...REQUEST, signal: controller.signal }));
+    assert.strictEqual(openai.calls.length, 0);
+  },
+
+  async 'tries the preferred provider first and sends it the model'() {
+    const anthropic = createFakeProvider('anthropic', { error: statusError(503) });
+    const openai = createFakeProvider('openai', { error: statusError(503) });
+    const local = createFakeProvider('local');
+    const router = createLLMRouter({ providers: [anthropic, openai, local] });
+
+    const result = await router.complete({ ...REQUEST, model: 'gpt-4o' }, { provider: 'openai' });
+
+    assert.strictEqual(result.provider, 'local');
+    assert.strictEqual(openai.calls[0].model, 'gpt-4o');
+    // Failovers use their own model
+    assert.strictEqual(anthropic.calls[0].model, undefined);
+    assert.strictEqual(local.calls[0].model, undefined);
+  },
+
+  async 'ignores the model when the preferred provider is not configured'() {
+    const anthropic = createFakeProvider('anthropic');
+    const router = createLLMRouter({ providers: [anthropic] });
+
+    const result = await router.complete({ ...REQUEST, model: 'gpt-4o' }, { provider: 'openai' });
+
+    assert.strictEqual(result.provider, 'anthropic');
+    assert.strictEqual(anthropic.calls[0].model, undefined);
+  },
+
+  async 'leaves stub out of the default order'() {
+    const router = createLLMRouter({ providers: [createStubProvider()] });
+
+    assert.strictEqual(router.isAvailable(), false);
+    await assert.rejects(router.complete(REQUEST), (error) => error.status === 503);
+  },
+};
+
+runTests(tests);
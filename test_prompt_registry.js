@@ -0,0 +1,144 @@
+/**
+ * Prompt registry tests
+ * Runs two registries over a temporary template directory and one in-memory
+ * activation store, standing in for two server instances sharing Supabase:
+ *
+ *   node test_prompt_registry.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPromptRegistry } = require('./promptRegistry');
+const { runTests } = require('./testHarness');
+
+/**
+ * Template directory with versions 1..count of one template
+ */
+function createTemplateDir(name, count) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  fs.mkdirSync(path.join(dir, name));
+  for (let version = 1; version <= count; version++) {
+    fs.writeFileSync(path.join(dir, name, `v${version}.md`), `Version ${version}\n`);
+  }
+  return dir;
+}
+
+/**
+ * Activation store shaped like createSupabaseActivationStore, rows in memory
+ */
+function createMemoryActivationStore() {
+  const rows = [];
+  return {
+    rows,
+    async loadAll() {
+      const latest = {};
+      for (const row of rows) {
+        latest[row.name] = { version: row.version, previous_version: row.previous_version };
+      }
+      return latest;
+    },
+    async save(name, version, activatedBy, previousVersion) {
+      rows.push({ name, version, previous_version: previousVersion, activated_by: activatedBy });
+    },
+  };
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Two registries on the same templates and activation store
+ */
+async function setup(options = { refreshMs: 0 }) {
+  const dir = createTemplateDir('reply', 3);
+  const store = createMemoryActivationStore();
+  const first = createPromptRegistry({ dir });
+  const second = createPromptRegistry({ dir });
+  await first.useStore(store, options);
+  await second.useStore(store, options);
+
+  return { dir, store, first, second };
+}
+
+const activeVersion = (registry) => registry.render('reply', {}).version;
+
+const tests = {
+  async 'starts on the newest version'() {
+    const { first } = await setup();
+
+    assert.strictEqual(activeVersion(first), 3);
+    assert.strictEqual(first.render('reply', {}).text, 'Version 3');
+  },
+
+  async 'applies saved activations before useStore resolves'() {
+    const { dir, store, first } = await setup();
+    await first.activate('reply', 1, 'admin_1');
+
+    const restarted = createPromptRegistry({ dir });
+    await restarted.useStore(store, { refreshMs: 0 });
+
+    assert.strictEqual(activeVersion(restarted), 1);
+  },
+
+  async 're-reads activations made on another instance'() {
+    const { first, second } = await setup({ refreshMs: 10 });
+
+    await first.activate('reply', 1, 'admin_1');
+    await wait(50);
+
+    assert.strictEqual(activeVersion(second), 1);
+  },
+
+  async 'records the version it switched from'() {
+    const { store, first } = await setup();
+
+    const result = await first.activate('reply', 1, 'admin_1');
+
+    assert.deepStrictEqual(result, { name: 'reply', version: 1, previous_version: 3 });
+    assert.deepStrictEqual(store.rows, [
+      { name: 'reply', version: 1, previous_version: 3, activated_by: 'admin_1' },
+    ]);
+  },
+
+  async 'rolls back to the previously active version, not the next lower one'() {
+    const { first } = await setup();
+    await first.activate('reply', 1, 'admin_1');
+
+    const result = await first.rollback('reply', 'admin_1');
+
+    assert.deepStrictEqual(result, { name: 'reply', version: 3, previous_version: 1 });
+    assert.strictEqual(activeVersion(first), 3);
+  },
+
+  async 'rolls back what another instance activated'() {
+    const { first, second } = await setup();
+    await first.activate('reply', 2, 'admin_1');
+    await first.activate('reply', 1, 'admin_1');
+
+    // second never re-read, yet rolls back from v1 to v2
+    const result = await second.rollback('reply', 'admin_2');
+
+    assert.deepStrictEqual(result, { name: 'reply', version: 2, previous_version: 1 });
+    assert.strictEqual(activeVersion(second), 2);
+  },
+
+  async 'rolls back to the next lower version before any activation'() {
+    const { first } = await setup();
+
+    const result = await first.rollback('reply', 'admin_1');
+
+    assert.strictEqual(result.version, 2);
+  },
+
+  async 'refuses to roll back from the oldest version'() {
+    const dir = createTemplateDir('reply', 1);
+    const registry = createPromptRegistry({ dir });
+
+    await assert.rejects(registry.rollback('reply', 'admin_1'), (error) => error.status === 409);
+  },
+};
+
+runTests(tests);
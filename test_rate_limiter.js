@@ -0,0 +1,182 @@
+/**
+ * Rate limiter tests
+ * Runs the middleware against the memory store on a fake clock, so no
+ * Supabase project is needed:
+ *
+ *   node test_rate_limiter.js
+ */
+
+const assert = require('assert');
+const {
+  parseBudget,
+  createMemoryStore,
+  createRateLimiter,
+} = require('./rateLimiter');
+const { createFakeClock, runTests } = require('./testHarness');
+
+// One token every 20 seconds
+const BUDGETS = {
+  generation: { limit: 3, windowSeconds: 60 },
+  tone: { limit: 1, windowSeconds: 3600 },
+};
+
+function setup(options = {}) {
+  const clock = createFakeClock();
+  const store = options.store || createMemoryStore({ now: clock.now });
+  const limiter = createRateLimiter({ budgets: BUDGETS, store });
+
+  /**
+   * Run one request through a budget's middleware and report how it ended
+   */
+  async function request(name, { userId, ip = '203.0.113.7' } = {}) {
+    const result = { status: null, body: null, headers: {}, nextCalled: false };
+    const req = { auth: userId ? { userId } : undefined, ip };
+    const res = {
+      set(field, value) {
+        const values = typeof field === 'object' ? field : { [field]: value };
+        Object.assign(result.headers, values);
+        return res;
+      },
+      status(code) {
+        result.status = code;
+        return res;
+      },
+      json(body) {
+        result.body = body;
+        return res;
+      },
+    };
+
+    await limiter.middleware(name)(req, res, () => {
+      result.nextCalled = true;
+    });
+    return result;
+  }
+
+  return { clock, store, limiter, request };
+}
+
+async function drain(request, name, count, client) {
+  for (let i = 0; i < count; i++) {
+    assert.ok((await request(name, client)).nextCalled);
+  }
+}
+
+const tests = {
+  async 'allows the limit, then answers 429'() {
+    const { store, request } = setup();
+
+    await drain(request, 'generation', 3);
+    const rejected = await request('generation');
+
+    assert.strictEqual(rejected.nextCalled, false);
+    assert.strictEqual(rejected.status, 429);
+    assert.strictEqual(rejected.body.code, 'rate_limited');
+    assert.strictEqual(rejected.body.budget, 'generation');
+    store.close();
+  },
+
+  async 'sets RateLimit headers on allowed requests'() {
+    const { store, request } = setup();
+
+    const first = await request('generation');
+
+    assert.deepStrictEqual(first.headers, {
+      'RateLimit-Limit': '3',
+      'RateLimit-Remaining': '2',
+      // One token short of full
+      'RateLimit-Reset': '20',
+      'RateLimit-Policy': '3;w=60',
+    });
+    store.close();
+  },
+
+  async 'sets Retry-After and RateLimit-Reset on a rejected request'() {
+    const { clock, store, request } = setup();
+    await drain(request, 'generation', 3);
+
+    const empty = await request('generation');
+    assert.strictEqual(empty.headers['Retry-After'], '20');
+    assert.strictEqual(empty.headers['RateLimit-Remaining'], '0');
+    assert.strictEqual(empty.headers['RateLimit-Reset'], '60');
+    assert.strictEqual(empty.body.retry_after, 20);
+
+    // Half a token back
+    clock.advance(10 * 1000);
+    const half = await request('generation');
+    assert.strictEqual(half.status, 429);
+    assert.strictEqual(half.headers['Retry-After'], '10');
+    assert.strictEqual(half.headers['RateLimit-Reset'], '50');
+    store.close();
+  },
+
+  async 'refills one token per window / limit'() {
+    const { clock, store, request } = setup();
+    await drain(request, 'generation', 3);
+
+    clock.advance(20 * 1000);
+    const refilled = await request('generation');
+    assert.ok(refilled.nextCalled);
+    assert.strictEqual(refilled.headers['RateLimit-Remaining'], '0');
+    assert.strictEqual((await request('generation')).status, 429);
+    store.close();
+  },
+
+  async 'refills no further than the limit'() {
+    const { clock, store, request } = setup();
+    await drain(request, 'generation', 3);
+
+    clock.advance(60 * 60 * 1000);
+    await drain(request, 'generation', 3);
+
+    assert.strictEqual((await request('generation')).status, 429);
+    store.close();
+  },
+
+  async 'keeps buckets apart per client and per budget'() {
+    const { store, request } = setup();
+    await drain(request, 'generation', 3, { userId: 'user_1' });
+
+    assert.strictEqual((await request('generation', { userId: 'user_1' })).status, 429);
+    assert.ok((await request('generation', { userId: 'user_2' })).nextCalled);
+    // Unauthenticated requests are keyed by IP
+    assert.ok((await request('generation')).nextCalled);
+    assert.ok((await request('tone', { userId: 'user_1' })).nextCalled);
+    store.close();
+  },
+
+  async 'lets requests through when the store fails'() {
+    const { request } = setup({
+      store: {
+        consume: async () => {
+          throw new Error('database unavailable');
+        },
+      },
+    });
+
+    const result = await request('generation');
+
+    assert.ok(result.nextCalled);
+    assert.strictEqual(result.status, null);
+    assert.deepStrictEqual(result.headers, {});
+  },
+
+  async 'rejects unknown budgets'() {
+    const { limiter, store } = setup();
+
+    assert.throws(() => limiter.middleware('uploads'), /Unknown rate limit budget/);
+    await assert.rejects(limiter.check('uploads', 'user:user_1'), /Unknown rate limit budget/);
+    store.close();
+  },
+
+  async 'parses budgets from the environment'() {
+    const fallback = { limit: 30, windowSeconds: 60 };
+
+    assert.deepStrictEqual(parseBudget(' 10 / 120 ', fallback), { limit: 10, windowSeconds: 120 });
+    assert.strictEqual(parseBudget('', fallback), fallback);
+    assert.strictEqual(parseBudget('0/60', fallback), fallback);
+    assert.strictEqual(parseBudget('ten per minute', fallback), fallback);
+  },
+};
+
+runTests(tests);
@@ -0,0 +1,126 @@
+/**
+ * Reply rule tests
+ * Runs enforceRules on hand-written replies, so no model is needed:
+ *
+ *   node test_reply_rules.js
+ */
+
+const assert = require('assert');
+const {
+  countSentences,
+  getRuleOptions,
+  findViolations,
+  enforceRules,
+} = require('./replyRules');
+const { runTests } = require('./testHarness');
+
+function options(overrides = {}) {
+  return getRuleOptions({ platform: 'linkedin', emojiBool: false, tone: null, ...overrides });
+}
+
+const tests = {
+  async 'strips a label and the quotes it was hiding'() {
+    const result = enforceRules('Reply: "Great point, thanks for sharing."', options());
+
+    assert.strictEqual(result.reply, 'Great point, thanks for sharing.');
+    assert.deepStrictEqual(result.fixed, ['label', 'quotes']);
+    assert.deepStrictEqual(result.unresolved, []);
+  },
+
+  async 'leaves quotes inside the reply alone'() {
+    const reply = '"Ship it" and "test it" are both good advice.';
+
+    assert.deepStrictEqual(enforceRules(reply, options()).fixed, []);
+  },
+
+  async 'keeps number ranges as hyphens and turns other em-dashes into commas'() {
+    const result = enforceRules('We grew 10—20% this year — a big jump.', options());
+
+    assert.strictEqual(result.reply, 'We grew 10-20% this year, a big jump.');
+    assert.deepStrictEqual(result.fixed, ['em_dash']);
+  },
+
+  async 'drops a comma an em-dash left before punctuation'() {
+    const result = enforceRules('Couldn’t agree more —!', options());
+
+    assert.strictEqual(result.reply, 'Couldn’t agree more!');
+  },
+
+  async 'removes emojis when emojis are off'() {
+    const result = enforceRules('Love this 🚀 great work 👍', options());
+
+    assert.strictEqual(result.reply, 'Love this great work');
+    assert.deepStrictEqual(result.fixed, ['emoji_not_allowed']);
+  },
+
+  async 'keeps the last allowed emojis, moved to the end'() {
+    const twitter = options({ platform: 'twitter', emojiBool: true });
+
+    const result = enforceRules('🔥 Big news 🚀 for the team 👏🏽 today 🎉', twitter);
+
+    assert.strictEqual(result.reply, 'Big news for the team today 👏🏽🎉');
+    assert.deepStrictEqual(result.fixed, ['emoji_count']);
+    assert.deepStrictEqual(result.unresolved, []);
+  },
+
+  async 'moves emojis to the end when emojis are on'() {
+    const linkedin = options({ emojiBool: true });
+
+    const result = enforceRules('Great 🚀 insight here.', linkedin);
+
+    assert.strictEqual(result.reply, 'Great insight here. 🚀');
+    assert.deepStrictEqual(result.fixed, ['emoji_position']);
+  },
+
+  async 'accepts allowed emojis at the end'() {
+    const twitter = options({ platform: 'twitter', emojiBool: true });
+
+    assert.deepStrictEqual(findViolations('Congrats on the launch! 🎉👩‍💻', twitter), []);
+  },
+
+  async 'does not count abbreviations and initials as sentences'() {
+    assert.strictEqual(countSentences('e.g. this works. Dr. Smith agrees. Yes.'), 3);
+    assert.strictEqual(countSentences('Met J. R. Smith at the U.S. office. Great chat.'), 2);
+    assert.strictEqual(countSentences('Revenue hit $2.5M, up 3x vs. last year. Impressive.'), 2);
+    assert.strictEqual(countSentences('Wait... What? Really! Yes.'), 4);
+    assert.strictEqual(countSentences('So true. 🙌'), 1);
+
+    assert.deepStrictEqual(
+      enforceRules('e.g. this works. Dr. Smith agrees. Yes.', options()).unresolved,
+      []
+    );
+  },
+
+  async 'reports more than three sentences unless the tone sets a length'() {
+    const reply = 'Great post. I agree. We saw the same. Thanks for sharing.';
+
+    assert.deepStrictEqual(enforceRules(reply, options()).unresolved, ['sentence_count']);
+    assert.deepStrictEqual(
+      enforceRules(reply, options({ tone: { min_length: 10 } })).unresolved,
+      []
+    );
+  },
+
+  async 'limits Twitter replies to 280 characters'() {
+    const twitter = options({ platform: 'twitter' });
+    assert.strictEqual(twitter.maxLength, 280);
+
+    assert.deepStrictEqual(enforceRules('a'.repeat(280), twitter).unresolved, []);
+    assert.deepStrictEqual(enforceRules('a'.repeat(281), twitter).unresolved, ['length']);
+    // LinkedIn has no limit of its own
+    assert.deepStrictEqual(enforceRules('a'.repeat(281), options()).unresolved, []);
+  },
+
+  async 'uses the lower of the tone and platform limits'() {
+    assert.strictEqual(
+      options({ platform: 'twitter', tone: { max_length: 200 } }).maxLength,
+      200
+    );
+    assert.strictEqual(
+      options({ platform: 'twitter', tone: { max_length: 500 } }).maxLength,
+      280
+    );
+  },
+};
+
+runTests(tests);
@@ -0,0 +1,305 @@
+/**
+ * Usage reset tests
+ * Simulates day and ISO-week boundaries with a fake clock and an in-memory
+ * operator_usage table, so no Supabase project is needed:
+ *
+ *   node test_usage_reset.js
+ */
+
+const assert = require('assert');
+const {
+  createUsageTracker,
+  getWindows,
+  validatePreferences,
+} = require('./usageTracking');
+const { createFakeClock, runTests } = require('./testHarness');
+
+const USER_ID = 'test_user';
+
+/**
+ * Minimal in-memory stand-in for the supabase-js calls usageTracking makes
+ * Every call yields to the event loop so concurrent requests interleave
+ * between their read and their write, like they would against Postgres.
+ */
+function createFakeSupabase() {
+  const rows = [];
+
+  function from(table) {
+    assert.strictEqual(table, 'operator_usage');
+
+    const filters = [];
+    let action = 'select';
+    let payload = null;
+
+    const matches = (row) => filters.every((filter) => filter(row));
+
+    async function run() {
+      await new Promise((resolve) => setImmediate(resolve));
+
+      if (action === 'insert') {
+        const duplicate = payload.some((insert) =>
+          rows.some((row) => row.user_id === insert.user_id)
+        );
+        if (duplicate) {
+          return { data: null, error: { code: '23505', message: 'duplicate key' } };
+        }
+        const inserted = payload.map((insert) => ({
+          replies_sent_today: 0,
+          replies_sent_week: 0,
+          time_zone: 'UTC',
+          ...insert,
+        }));
+        rows.push(...inserted);
+        return { data: inserted.map((row) => ({ ...row })), error: null };
+      }
+
+      const matched = rows.filter(matches);
+      if (action === 'update') {
+        matched.forEach((row) => Object.assign(row, payload));
+      }
+      return { data: matched.map((row) => ({ ...row })), error: null };
+    }
+
+    const query = {
+      select: () => query,
+      insert: (values) => {
+        action = 'insert';
+        payload = values;
+        return query;
+      },
+      update: (values) => {
+        action = 'update';
+        payload = values;
+        return query;
+      },
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      is: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      limit: () => query,
+      then: (resolve, reject) => run().then(resolve, reject),
+    };
+
+    return query;
+  }
+
+  /**
+   * operator_usage_increment as in db.sql: one atomic upsert
+   */
+  async function rpc(name, params) {
+    assert.strictEqual(name, 'operator_usage_increment');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const { p_user_id: userId, p_day: day, p_week_start: weekStart } = params;
+    let row = rows.find((existing) => existing.user_id === userId);
+    if (!row) {
+      row = {
+        user_id: userId,
+        replies_sent_today: 1,
+        replies_sent_week: 1,
+        daily_goal: 10,
+        weekly_goal: 50,
+        last_reset_date: day,
+        last_reset_week_date: weekStart,
+        time_zone: 'UTC',
+      };
+      rows.push(row);
+    } else {
+      Object.assign(row, {
+        replies_sent_today:
+          row.last_reset_date >= day ? (row.replies_sent_today || 0) + 1 : 1,
+        replies_sent_week:
+          row.last_reset_week_date >= weekStart ? (row.replies_sent_week || 0) + 1 : 1,
+        last_reset_date: row.last_reset_date > day ? row.last_reset_date : day,
+        last_reset_week_date:
+          row.last_reset_week_date > weekStart ? row.last_reset_week_date : weekStart,
+      });
+    }
+    return { data: [{ ...row }], error: null };
+  }
+
+  return { from, rpc, rows };
+}
+
+function setup(startIso, timeZone) {
+  const supabase = createFakeSupabase();
+  const clock = createFakeClock(startIso);
+  const tracker = createUsageTracker({ supabase, now: clock.date });
+
+  if (timeZone) {
+    const windows = getWindows(clock.date(), timeZone);
+    supabase.rows.push({
+      user_id: USER_ID,
+      replies_sent_today: 0,
+      replies_sent_week: 0,
+      daily_goal: 10,
+      weekly_goal: 50,
+      last_reset_date: windows.day,
+      last_reset_week_date: windows.weekStart,
+      time_zone: timeZone,
+    });
+  }
+
+  return { supabase, clock, tracker };
+}
+
+async function trackTimes(tracker, times) {
+  let usage;
+  for (let i = 0; i < times; i++) {
+    usage = await tracker.trackUsage(USER_ID);
+  }
+  return usage;
+}
+
+const tests = {
+  async 'creates a record on first use'() {
+    const { tracker, supabase } = setup('2026-03-11T12:00:00Z');
+
+    const usage = await tracker.trackUsage(USER_ID);
+
+    assert.strictEqual(usage.daily_used, 1);
+    assert.strictEqual(usage.weekly_used, 1);
+    assert.strictEqual(supabase.rows[0].last_reset_date, '2026-03-11');
+    // 2026-03-11 is a Wednesday
+    assert.strictEqual(supabase.rows[0].last_reset_week_date, '2026-03-09');
+  },
+
+  async 'resets the daily counter at midnight but keeps the week'() {
+    const { tracker, clock } = setup('2026-03-11T23:59:00Z');
+
+    await trackTimes(tracker, 3);
+    clock.set('2026-03-12T00:00:30Z');
+    const usage = await tracker.trackUsage(USER_ID);
+
+    assert.strictEqual(usage.daily_used, 1);
+    assert.strictEqual(usage.weekly_used, 4);
+  },
+
+  async 'resets both counters on Monday (ISO week)'() {
+    // Sunday evening, then Monday morning
+    const { tracker, clock } = setup('2026-03-15T22:00:00Z');
+
+    await trackTimes(tracker, 5);
+    clock.set('2026-03-16T06:00:00Z');
+    const usage = await tracker.trackUsage(USER_ID);
+
+    assert.strictEqual(usage.daily_used, 1);
+    assert.strictEqual(usage.weekly_used, 1);
+    assert.strictEqual(usage.week_start, '2026-03-16');
+  },
+
+  async 'reports stale counters as 0 without writing'() {
+    const { tracker, clock, supabase } = setup('2026-03-11T10:00:00Z');
+
+    await trackTimes(tracker, 2);
+    clock.set('2026-03-17T10:00:00Z');
+    const usage = await tracker.getUsage(USER_ID);
+
+    assert.strictEqual(usage.daily_used, 0);
+    assert.strictEqual(usage.weekly_used, 0);
+    assert.strictEqual(usage.daily_remaining, 10);
+    assert.strictEqual(supabase.rows[0].replies_sent_today, 2);
+  },
+
+  async 'rolls over at local midnight in the user time zone'() {
+    // 23:30 in New York on Wednesday is already Thursday in UTC
+    const { tracker, clock } = setup('2026-03-12T03:30:00Z', 'America/New_York');
+
+    await trackTimes(tracker, 2);
+    let usage = await tracker.getUsage(USER_ID);
+    assert.strictEqual(usage.day, '2026-03-11');
+    assert.strictEqual(usage.daily_used, 2);
+
+    // Reset happens at midnight in New York (04:00 UTC), not at UTC midnight
+    clock.set('2026-03-12T04:10:00Z');
+    usage = await tracker.trackUsage(USER_ID);
+    assert.strictEqual(usage.day, '2026-03-12');
+    assert.strictEqual(usage.daily_used, 1);
+    assert.strictEqual(usage.weekly_used, 3);
+  },
+
+  async 'uses the local week in time zones ahead of UTC'() {
+    // Sunday 20:00 UTC is already Monday 09:00 in Auckland
+    const { tracker } = setup('2026-03-15T20:00:00Z', 'Pacific/Auckland');
+
+    const usage = await tracker.trackUsage(USER_ID);
+
+    assert.strictEqual(usage.day, '2026-03-16');
+    assert.strictEqual(usage.week_start, '2026-03-16');
+  },
+
+  async 'falls back to UTC for an unknown time zone'() {
+    const { tracker } = setup('2026-03-11T12:00:00Z', 'Mars/Olympus_Mons');
+
+    const usage = await tracker.trackUsage(USER_ID);
+
+    assert.strictEqual(usage.time_zone, 'UTC');
+    assert.strictEqual(usage.daily_used, 1);
+  },
+
+  async 'does not lose increments under concurrency'() {
+    const { tracker, supabase } = setup('2026-03-11T12:00:00Z', 'UTC');
+
+    // Well past the retries a read-then-write update would allow
+    await Promise.all(Array.from({ length: 20 }, () => tracker.trackUsage(USER_ID)));
+
+    assert.strictEqual(supabase.rows[0].replies_sent_today, 20);
+    assert.strictEqual(supabase.rows[0].replies_sent_week, 20);
+  },
+
+  async 'starts the week on the preferred day'() {
+    // Saturday, then Sunday
+    const { tracker, clock } = setup('2026-03-14T12:00:00Z');
+
+    await trackTimes(tracker, 2);
+    await tracker.updatePreferences(USER_ID, { week_starts_on: 'sunday' });
+    clock.set('2026-03-15T12:00:00Z');
+    const usage = await tracker.trackUsage(USER_ID);
+
+    assert.strictEqual(usage.week_start, '2026-03-15');
+    assert.strictEqual(usage.weekly_used, 1);
+  },
+
+  async 'keeps progress when the time zone changes'() {
+    const { tracker } = setup('2026-03-11T12:00:00Z');
+
+    await trackTimes(tracker, 4);
+    const { preferences, usage } = await tracker.updatePreferences(USER_ID, {
+      time_zone: 'Asia/Tokyo',
+      daily_goal: 3,
+    });
+
+    assert.strictEqual(preferences.time_zone, 'Asia/Tokyo');
+    assert.strictEqual(usage.day, '2026-03-11');
+    assert.strictEqual(usage.daily_used, 4);
+    assert.strictEqual(usage.daily_goal, 3);
+    assert.strictEqual(usage.daily_remaining, 0);
+  },
+
+  async 'rejects preferences the table would reject'() {
+    assert.ok(validatePreferences({}));
+    assert.ok(validatePreferences({ daily_goal: 0 }));
+    assert.ok(validatePreferences({ weekly_goal: 2.5 }));
+    assert.ok(validatePreferences({ time_zone: 'Nowhere/City' }));
+    assert.ok(validatePreferences({ week_starts_on: 'funday' }));
+    assert.strictEqual(
+      validatePreferences({ daily_goal: 5, week_starts_on: 'sunday' }),
+      null
+    );
+  },
+
+  async 'creates a single record when first requests race'() {
+    const { tracker, supabase } = setup('2026-03-11T12:00:00Z');
+
+    await Promise.all(Array.from({ length: 10 }, () => tracker.trackUsage(USER_ID)));
+
+    assert.strictEqual(supabase.rows.length, 1);
+    assert.strictEqual(supabase.rows[0].replies_sent_today, 10);
+  },
+};
+
+runTests(tests);
@@ -1,6 +1,6 @@
 /**
  * Tone Extraction Service
- * Uses Claude LLM to analyze tweets and generate operator tone profiles
+ * Uses an LLM (see llmProviders.js) to analyze tweets and generate operator tone profiles
  */
 
 /**
@@ -31,15 +31,61 @@ Output ONLY valid JSON with this exact structure (no markdown, no prose, no extr
 Be specific and actionable. Focus on patterns that can be replicated.`;
 
 /**
- * Generate tone profile from tweets using Claude
+ * System prompt for refining a tone profile with reply feedback
+ */
+const TONE_REFINEMENT_PROMPT = `You are a writing style analyst. You are given an existing writing style profile and feedback on AI-generated replies written with it: replies the author edited before posting, and replies the author rejected.
+
+Update the profile so future replies need fewer edits. Learn from what the author changed (words removed or added, length, formality, punctuation). Keep everything in the profile that the feedback does not contradict.
+
+Output ONLY valid JSON with exactly the same structure as the existing profile (no markdown, no prose, no extra text).`;
+
+/**
+ * Parse and validate a tone profile from the model's response text
+ *
+ * @param {string} responseText - Raw response
+ * @returns {Object} Tone profile JSON
+ */
+function parseToneProfile(responseText) {
+  let toneProfile;
+  try {
+    // Try to extract JSON from response (in case the model wrapped it in markdown)
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    const jsonText = jsonMatch ? jsonMatch[0] : responseText;
+    toneProfile = JSON.parse(jsonText);
+  } catch (parseError) {
+    console.error('❌ Failed to parse tone profile JSON:', responseText);
+    throw new Error('Invalid JSON response from tone analysis');
+  }
+
+  // Validate structure
+  const requiredFields = [
+    'tone_keywords',
+    'style_description',
+    'sentence_patterns',
+    'vocabulary_profile',
+    'formality_level',
+    'tone_rules',
+  ];
+
+  for (const field of requiredFields) {
+    if (!toneProfile[field]) {
+      throw new Error(`Missing required field in tone profile: ${field}`);
+    }
+  }
+
+  return toneProfile;
+}
+
+/**
+ * Generate tone profile from tweets using the LLM
  * 
- * @param {Object} anthropicClient - Initialized Anthropic client
+ * @param {Object} llm - Provider router (llmProviders.createLLMRouter)
  * @param {string[]} tweets - Array of tweet texts
  * @returns {Promise<Object>} Tone profile JSON
  */
-async function generateToneProfile(anthropicClient, tweets) {
-  if (!anthropicClient) {
-    throw new Error('Anthropic client not initialized');
+async function generateToneProfile(llm, tweets) {
+  if (!llm) {
+    throw new Error('LLM providers not initialized');
   }
 
   if (!tweets || tweets.length === 0) {
@@ -65,54 +111,20 @@ ${tweetsText}
 
 Remember: Output ONLY the JSON object, nothing else.`;
 
-    // Call Claude
-    const message = await anthropicClient.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1500,
+    // Call the model
+    const completion = await llm.complete({
+      maxTokens: 1500,
       temperature: 0.3, // Lower temperature for more consistent analysis
       system: TONE_EXTRACTION_PROMPT,
-      messages: [
-        {
-          role: 'user',
-          content: userPrompt,
-        },
-      ],
+      prompt: userPrompt,
     });
 
     // Extract response
-    if (!message || !message.content || message.content.length === 0) {
-      throw new Error('Empty response from Claude');
-    }
-
-    const responseText = message.content[0].text;
-
-    // Parse JSON
-    let toneProfile;
-    try {
-      // Try to extract JSON from response (in case Claude wrapped it in markdown)
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? jsonMatch[0] : responseText;
-      toneProfile = JSON.parse(jsonText);
-    } catch (parseError) {
-      console.error('❌ Failed to parse tone profile JSON:', responseText);
-      throw new Error('Invalid JSON response from tone analysis');
+    if (!completion.text) {
+      throw new Error('Empty response from the model');
     }
 
-    // Validate structure
-    const requiredFields = [
-      'tone_keywords',
-      'style_description',
-      'sentence_patterns',
-      'vocabulary_profile',
-      'formality_level',
-      'tone_rules',
-    ];
-
-    for (const field of requiredFields) {
-      if (!toneProfile[field]) {
-        throw new Error(`Missing required field in tone profile: ${field}`);
-      }
-    }
+    const toneProfile = parseToneProfile(completion.text);
 
     console.log('✅ Tone profile generated successfully');
     console.log(`   - Formality: ${toneProfile.formality_level}`);
@@ -125,6 +137,60 @@ Remember: Output ONLY the JSON object, nothing else.`;
   }
 }
 
+/**
+ * Refine an existing tone profile with feedback on generated replies
+ *
+ * @param {Object} llm - Provider router (llmProviders.createLLMRouter)
+ * @param {Object} toneJson - Current tone profile JSON
+ * @param {Object[]} feedback - Entries from replyFeedback.listToneFeedback
+ *   ({ post_text, reply, final_text, rating, outcome })
+ * @returns {Promise<Object>} Refined tone profile JSON
+ */
+async function refineToneProfile(llm, toneJson, feedback) {
+  if (!llm) {
+    throw new Error('LLM providers not initialized');
+  }
+
+  if (!feedback || feedback.length === 0) {
+    return toneJson;
+  }
+
+  const feedbackText = feedback
+    .map((entry, i) => {
+      let text = `${i + 1}. Post: "${entry.post_text}"\n   Generated: "${entry.reply}"`;
+      if (entry.outcome === 'edited' && entry.final_text) {
+        text += `\n   Author posted instead: "${entry.final_text}"`;
+      }
+      if (entry.rating === 'down') {
+        text += '\n   Author rated this reply as bad';
+      }
+      if (entry.outcome === 'discarded') {
+        text += '\n   Author did not post it';
+      }
+      return text;
+    })
+    .join('\n\n');
+
+  const completion = await llm.complete({
+    maxTokens: 1500,
+    temperature: 0.3,
+    system: TONE_REFINEMENT_PROMPT,
+    prompt: `EXISTING PROFILE:
+${JSON.stringify(toneJson, null, 2)}
+
+FEEDBACK:
+${feedbackText}
+
+Remember: Output ONLY the updated JSON object, nothing else.`,
+  });
+
+  if (!completion.text) {
+    throw new Error('Empty response from the model');
+  }
+
+  return parseToneProfile(completion.text);
+}
+
 /**
  * Format tone profile for use in reply generation prompts
  * Converts JSON structure into natural language description
@@ -206,6 +272,7 @@ function getDefaultToneProfile() {
 
 module.exports = {
   generateToneProfile,
+  refineToneProfile,
   formatToneForPrompt,
   getDefaultToneProfile,
 };
@@ -0,0 +1,307 @@
+/**
+ * Usage Analytics Module
+ * Records one usage_history row per generation and turns the history into
+ * dashboard data: per-day / per-week counts by platform and tone, streaks and
+ * goal completion rates
+ */
+
+const { httpError } = require("./errors");
+
+const PERIODS = ["day", "week"];
+
+/**
+ * Day names in Date#getUTCDay order, for the week start preference
+ */
+const WEEK_DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const DEFAULT_WEEK_START = "monday";
+
+/**
+ * Default range per period, counted back from today
+ */
+const DEFAULT_RANGE_DAYS = { day: 30, week: 12 * 7 };
+
+const MAX_RANGE_DAYS = 366;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Save a usage_history row for one generation
+ *
+ * @param {object} supabase - Supabase client
+ * @param {object} event
+ * @param {string} event.userId - Clerk user ID
+ * @param {string} event.platform - "linkedin" | "twitter"
+ * @param {string} event.tone - Tone name
+ * @param {string} event.companyId - Company used for RAG (optional)
+ * @param {number} event.latencyMs - Generation time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function recordUsage(supabase, event) {
+  const { error } = await supabase.from("usage_history").insert([
+    {
+      user_id: event.userId,
+      platform: event.platform || null,
+      tone: event.tone || null,
+      company_id: event.companyId || null,
+      latency_ms: Number.isFinite(event.latencyMs)
+        ? Math.round(event.latencyMs)
+        : null,
+    },
+  ]);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().slice(0, 10);
+}
+
+/**
+ * First day of the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} weekStartsOn - Day name (default: "monday", as in ISO weeks)
+ * @returns {string} - YYYY-MM-DD
+ */
+function startOfWeek(date, weekStartsOn = DEFAULT_WEEK_START) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const firstDay = Math.max(0, WEEK_DAYS.indexOf(weekStartsOn));
+  return addDays(date, -((weekday - firstDay + 7) % 7));
+}
+
+function isDate(value) {
+  return (
+    typeof value === "string" &&
+    DATE_REGEX.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value
+  );
+}
+
+/**
+ * Parse analytics query parameters
+ *
+ * @param {object} query - req.query: { period?, from?, to? } (dates are YYYY-MM-DD, inclusive)
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @param {string} weekStartsOn - Day name weeks start on (default: "monday")
+ * @returns {{period: string, from: string, to: string}}
+ */
+function parseAnalyticsQuery(query, today, weekStartsOn = DEFAULT_WEEK_START) {
+  const period = query.period || "day";
+
+  if (!PERIODS.includes(period)) {
+    throw httpError(400, `period must be one of: ${PERIODS.join(", ")}`);
+  }
+
+  for (const field of ["from", "to"]) {
+    if (query[field] !== undefined && !isDate(query[field])) {
+      throw httpError(400, `${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  const to = query.to || today;
+  let from = query.from || addDays(to, -(DEFAULT_RANGE_DAYS[period] - 1));
+
+  // Week buckets always cover whole weeks
+  if (period === "week") {
+    from = startOfWeek(from, weekStartsOn);
+  }
+
+  if (from > to) {
+    throw httpError(400, "from must not be after to");
+  }
+
+  if (daysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+    throw httpError(400, `The range can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { period, from, to };
+}
+
+function daysBetween(from, to) {
+  return Math.round(
+    (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000
+  );
+}
+
+/**
+ * Load per-day counts grouped by platform and tone
+ *
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Clerk user ID
+ * @param {object} range - { from, to } (YYYY-MM-DD, inclusive)
+ * @param {string} timeZone - IANA time zone that defines "a day" (default: UTC)
+ * @returns {Promise<Array<{day: string, platform: string, tone: string, count: number}>>}
+ */
+async function getDailyCounts(supabase, userId, range, timeZone = "UTC") {
+  const { data, error } = await supabase.rpc("usage_history_daily_counts", {
+    p_user_id: userId,
+    p_from: range.from,
+    p_to: range.to,
+    p_time_zone: timeZone,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map((row) => ({
+    day: row.day,
+    platform: row.platform || "unknown",
+    tone: row.tone || "unknown",
+    count: Number(row.count),
+  }));
+}
+
+function emptyBucket(start) {
+  return { start, total: 0, by_platform: {}, by_tone: {} };
+}
+
+function addToBucket(bucket, row) {
+  bucket.total += row.count;
+  bucket.by_platform[row.platform] =
+    (bucket.by_platform[row.platform] || 0) + row.count;
+  bucket.by_tone[row.tone] = (bucket.by_tone[row.tone] || 0) + row.count;
+}
+
+/**
+ * Longest and current run of consecutive buckets that pass a check
+ * The current run ends at the last bucket, or the one before it when the last
+ * (still in progress) bucket has not passed yet.
+ */
+function computeStreak(buckets, passes) {
+  let longest = 0;
+  let run = 0;
+
+  for (const bucket of buckets) {
+    run = passes(bucket) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  let index = buckets.length - 1;
+  if (index >= 0 && !passes(buckets[index])) {
+    index -= 1;
+  }
+  while (index >= 0 && passes(buckets[index])) {
+    current += 1;
+    index -= 1;
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Share of buckets in which the goal was met
+ * The in-progress bucket only counts once its goal is met.
+ */
+function computeGoalCompletion(buckets, goal, inProgressStart) {
+  const counted = buckets.filter(
+    (bucket) => bucket.start !== inProgressStart || bucket.total >= goal
+  );
+  const met = counted.filter((bucket) => bucket.total >= goal).length;
+
+  return {
+    goal,
+    periods: counted.length,
+    met,
+    rate:
+      counted.length > 0 ? Math.round((met / counted.length) * 1000) / 1000 : 0,
+  };
+}
+
+/**
+ * Build the analytics response from daily counts
+ *
+ * @param {Array<object>} dailyCounts - From getDailyCounts
+ * @param {object} options
+ * @param {string} options.period - "day" | "week"
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD
+ * @param {string} options.today - Current date (YYYY-MM-DD)
+ * @param {number} options.dailyGoal - Replies per day
+ * @param {number} options.weeklyGoal - Replies per week
+ * @param {string} options.weekStartsOn - Day name weeks start on (default: "monday")
+ * @returns {object}
+ */
+function buildAnalytics(dailyCounts, options) {
+  const { period, from, to, today, dailyGoal, weeklyGoal } = options;
+  const weekOf = (day) => startOfWeek(day, options.weekStartsOn);
+
+  // Every day and week in range, including those without usage
+  const days = new Map();
+  const weeks = new Map();
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.set(day, emptyBucket(day));
+    if (!weeks.has(weekOf(day))) {
+      weeks.set(weekOf(day), emptyBucket(weekOf(day)));
+    }
+  }
+
+  const totals = { total: 0, by_platform: {}, by_tone: {} };
+  for (const row of dailyCounts) {
+    if (days.has(row.day)) {
+      addToBucket(days.get(row.day), row);
+      addToBucket(weeks.get(weekOf(row.day)), row);
+      addToBucket(totals, row);
+    }
+  }
+
+  const dayBuckets = [...days.values()];
+  const weekBuckets = [...weeks.values()];
+
+  return {
+    period,
+    from,
+    to,
+    buckets: period === "week" ? weekBuckets : dayBuckets,
+    totals,
+    streaks: {
+      // Days in a row with at least one reply
+      active_days: computeStreak(dayBuckets, (bucket) => bucket.total > 0),
+      // Days in a row that met the daily goal
+      daily_goal: computeStreak(
+        dayBuckets,
+        (bucket) => bucket.total >= dailyGoal
+      ),
+      weekly_goal: computeStreak(
+        weekBuckets,
+        (bucket) => bucket.total >= weeklyGoal
+      ),
+    },
+    goal_completion: {
+      daily: computeGoalCompletion(dayBuckets, dailyGoal, today),
+      weekly: computeGoalCompletion(weekBuckets, weeklyGoal, weekOf(today)),
+    },
+  };
+}
+
+module.exports = {
+  PERIODS,
+  WEEK_DAYS,
+  DEFAULT_WEEK_START,
+  MAX_RANGE_DAYS,
+  recordUsage,
+  addDays,
+  startOfWeek,
+  parseAnalyticsQuery,
+  getDailyCounts,
+  buildAnalytics,
+};
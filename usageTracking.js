@@ -0,0 +1,492 @@
+/**
+ * Usage Tracking Module
+ * Daily and weekly reply counters (operator_usage) with rollover computed in
+ * code: a day is the user's local calendar day and a week starts on the
+ * user's week_starts_on day (Monday by default, as in ISO weeks), both in the
+ * user's time zone. Goals, time zone and week start are user preferences.
+ *
+ * last_reset_date holds the day the daily counter belongs to and
+ * last_reset_week_date the first day of the week the weekly counter belongs to.
+ * A counter whose window has passed is treated as 0 and restarts on the next
+ * generation.
+ *
+ * Increments run as one statement in Postgres (operator_usage_increment), so
+ * concurrent generations never lose a count. Preference updates use
+ * optimistic concurrency: the update only applies if the row still holds the
+ * counters it was computed from, and is retried otherwise.
+ */
+
+const usageAnalytics = require("./usageAnalytics");
+const { httpError } = require("./errors");
+
+const DEFAULT_TIME_ZONE = "UTC";
+const DEFAULT_DAILY_GOAL = 10;
+const DEFAULT_WEEKLY_GOAL = 50;
+
+/**
+ * Largest goal the integer columns hold
+ */
+const MAX_GOAL = 2147483647;
+
+/**
+ * Attempts before giving up on a contended preferences update
+ */
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const COUNTER_COLUMNS = [
+  "replies_sent_today",
+  "replies_sent_week",
+  "last_reset_date",
+  "last_reset_week_date",
+];
+
+/**
+ * Check whether a value is an IANA time zone Node knows about
+ * @param {*} timeZone - Raw value
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - YYYY-MM-DD
+ */
+function localDate(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Milliseconds to add to UTC to get local time
+ */
+function timeZoneOffset(date, timeZone) {
+  const parts = {};
+  for (const part of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date)) {
+    parts[part.type] = Number(part.value);
+  }
+
+  const localAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant a local calendar day starts in a time zone
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+function startOfLocalDay(day, timeZone) {
+  const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+  const offset = timeZoneOffset(new Date(midnightUtc), timeZone);
+  const instant = midnightUtc - offset;
+
+  // Correct once if a DST change falls between the guess and the answer
+  const corrected = timeZoneOffset(new Date(instant), timeZone);
+  return new Date(midnightUtc - corrected);
+}
+
+/**
+ * When the current daily and weekly windows end
+ * @param {object} windows - From getWindows
+ * @returns {{dayEndsAt: Date, weekEndsAt: Date}}
+ */
+function getWindowEnds(windows) {
+  return {
+    dayEndsAt: startOfLocalDay(
+      usageAnalytics.addDays(windows.day, 1),
+      windows.timeZone
+    ),
+    weekEndsAt: startOfLocalDay(
+      usageAnalytics.addDays(windows.weekStart, 7),
+      windows.timeZone
+    ),
+  };
+}
+
+/**
+ * Current daily and weekly windows for a user
+ * @param {Date} now - Current instant
+ * @param {string} timeZone - User's time zone (invalid values fall back to UTC)
+ * @param {string} weekStartsOn - Day name the week starts on (default: "monday")
+ * @returns {{timeZone: string, weekStartsOn: string, day: string, weekStart: string}}
+ */
+function getWindows(now, timeZone, weekStartsOn) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+  const firstDay = usageAnalytics.WEEK_DAYS.includes(weekStartsOn)
+    ? weekStartsOn
+    : usageAnalytics.DEFAULT_WEEK_START;
+  const day = localDate(now, zone);
+
+  return {
+    timeZone: zone,
+    weekStartsOn: firstDay,
+    day,
+    weekStart: usageAnalytics.startOfWeek(day, firstDay),
+  };
+}
+
+/**
+ * Windows for a usage record's own preferences
+ */
+function getRecordWindows(now, row) {
+  return getWindows(now, row.time_zone, row.week_starts_on);
+}
+
+/**
+ * Counters as they stand in the current windows
+ * @param {object} row - operator_usage row
+ * @param {object} windows - From getWindows
+ * @returns {{today: number, week: number}}
+ */
+function currentCounts(row, windows) {
+  return {
+    today:
+      row.last_reset_date === windows.day ? row.replies_sent_today || 0 : 0,
+    week:
+      row.last_reset_week_date === windows.weekStart
+        ? row.replies_sent_week || 0
+        : 0,
+  };
+}
+
+/**
+ * Format a row as the usage stats returned to clients
+ */
+function toUsageStats(row, windows) {
+  const counts = currentCounts(row, windows);
+  const ends = getWindowEnds(windows);
+
+  return {
+    usage_count: counts.today,
+    daily_used: counts.today,
+    daily_goal: row.daily_goal,
+    daily_remaining: Math.max(0, row.daily_goal - counts.today),
+    weekly_used: counts.week,
+    weekly_goal: row.weekly_goal,
+    weekly_remaining: Math.max(0, row.weekly_goal - counts.week),
+    time_zone: windows.timeZone,
+    week_starts_on: windows.weekStartsOn,
+    day: windows.day,
+    week_start: windows.weekStart,
+    daily_resets_at: ends.dayEndsAt.toISOString(),
+    weekly_resets_at: ends.weekEndsAt.toISOString(),
+  };
+}
+
+/**
+ * Format a row as the user's preferences
+ */
+function toPreferences(row) {
+  return {
+    daily_goal: row.daily_goal,
+    weekly_goal: row.weekly_goal,
+    time_zone: isValidTimeZone(row.time_zone)
+      ? row.time_zone
+      : DEFAULT_TIME_ZONE,
+    week_starts_on: row.week_starts_on || usageAnalytics.DEFAULT_WEEK_START,
+  };
+}
+
+/**
+ * Validate a preferences update
+ * Mirrors the operator_usage CHECK constraints.
+ *
+ * @param {object} body - { daily_goal?, weekly_goal?, time_zone?, week_starts_on? }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePreferences(body) {
+  const fields = ["daily_goal", "weekly_goal", "time_zone", "week_starts_on"];
+  const provided = fields.filter((field) => body && body[field] !== undefined);
+
+  if (provided.length === 0) {
+    return `Provide at least one of: ${fields.join(", ")}.`;
+  }
+
+  for (const field of ["daily_goal", "weekly_goal"]) {
+    const goal = body[field];
+    if (
+      goal !== undefined &&
+      (!Number.isInteger(goal) || goal <= 0 || goal > MAX_GOAL)
+    ) {
+      return `${field} must be a positive integer.`;
+    }
+  }
+
+  if (body.time_zone !== undefined && !isValidTimeZone(body.time_zone)) {
+    return "time_zone must be an IANA time zone, e.g. 'Europe/Berlin'.";
+  }
+
+  if (
+    body.week_starts_on !== undefined &&
+    !usageAnalytics.WEEK_DAYS.includes(body.week_starts_on)
+  ) {
+    return `week_starts_on must be one of: ${usageAnalytics.WEEK_DAYS.join(
+      ", "
+    )}.`;
+  }
+
+  return null;
+}
+
+/**
+ * Match a column value, including NULL
+ */
+function matchColumn(query, column, value) {
+  return value === null || value === undefined
+    ? query.is(column, null)
+    : query.eq(column, value);
+}
+
+/**
+ * Create a usage tracker
+ *
+ * @param {object} deps
+ * @param {object} deps.supabase - Supabase client
+ * @param {Function} deps.now - Clock returning the current Date (default: new Date())
+ * @returns {{trackUsage: Function, getUsage: Function, getRecord: Function}}
+ */
+function createUsageTracker({ supabase, now = () => new Date() }) {
+  async function loadRecord(userId) {
+    const { data, error } = await supabase
+      .from("operator_usage")
+      .select("*")
+      .eq("user_id", userId)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Insert a usage record, or return null if another request created it first
+   */
+  async function insertRecord(userId, fields) {
+    const { data, error } = await supabase
+      .from("operator_usage")
+      .insert([
+        {
+          user_id: userId,
+          daily_goal: DEFAULT_DAILY_GOAL,
+          weekly_goal: DEFAULT_WEEKLY_GOAL,
+          ...fields,
+        },
+      ])
+      .select()
+      .limit(1);
+
+    if (error) {
+      if (error.code === "23505") {
+        return null;
+      }
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error("Failed to create user record");
+    }
+
+    return data[0];
+  }
+
+  /**
+   * Update a record only if its counters still hold the values it was read
+   * with (optimistic concurrency)
+   * @returns {Promise<object|null>} - Updated row, or null if it changed meanwhile
+   */
+  async function updateIfUnchanged(row, changes) {
+    let query = supabase
+      .from("operator_usage")
+      .update(changes)
+      .eq("user_id", row.user_id);
+    for (const column of COUNTER_COLUMNS) {
+      query = matchColumn(query, column, row[column]);
+    }
+
+    const { data, error } = await query.select().limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Get the user's usage record, creating it with default goals if needed
+   * @param {string} userId - Clerk user ID
+   * @returns {Promise<object>} - operator_usage row
+   */
+  async function getRecord(userId) {
+    const existing = await loadRecord(userId);
+    if (existing) {
+      return existing;
+    }
+
+    const windows = getWindows(now());
+    const created = await insertRecord(userId, {
+      replies_sent_today: 0,
+      replies_sent_week: 0,
+      last_reset_date: windows.day,
+      last_reset_week_date: windows.weekStart,
+    });
+
+    // Lost the race: another request created it
+    return created || loadRecord(userId);
+  }
+
+  /**
+   * Count one generation against the user's daily and weekly counters
+   *
+   * The windows come from the user's time zone and week start; the rollover
+   * and increment happen in one upsert, so concurrent calls all count.
+   *
+   * @param {string} userId - Clerk user ID
+   * @returns {Promise<object>} - Usage stats after the increment
+   */
+  async function trackUsage(userId) {
+    const row = await loadRecord(userId);
+    const windows = row ? getRecordWindows(now(), row) : getWindows(now());
+
+    const { data, error } = await supabase.rpc("operator_usage_increment", {
+      p_user_id: userId,
+      p_day: windows.day,
+      p_week_start: windows.weekStart,
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    const updated = Array.isArray(data) ? data[0] : data;
+    if (!updated) {
+      throw new Error("Failed to record usage");
+    }
+
+    if (!row) {
+      console.log(`📊 Created new user usage record for ${userId}`);
+    }
+
+    return toUsageStats(updated, windows);
+  }
+
+  /**
+   * Current usage stats; counters from a past day or week read as 0
+   * @param {string} userId - Clerk user ID
+   * @returns {Promise<object>}
+   */
+  async function getUsage(userId) {
+    const row = await getRecord(userId);
+    return toUsageStats(row, getRecordWindows(now(), row));
+  }
+
+  /**
+   * Get the user's goals, time zone and week start
+   * @param {string} userId - Clerk user ID
+   * @returns {Promise<object>}
+   */
+  async function getPreferences(userId) {
+    return toPreferences(await getRecord(userId));
+  }
+
+  /**
+   * Update the user's goals, time zone and/or week start
+   *
+   * Counts in the current day and week carry over to the windows of the new
+   * time zone / week start, so changing them never resets progress.
+   *
+   * @param {string} userId - Clerk user ID
+   * @param {object} changes - Validated { daily_goal?, weekly_goal?, time_zone?, week_starts_on? }
+   * @returns {Promise<{preferences: object, usage: object}>}
+   */
+  async function updatePreferences(userId, changes) {
+    const preferences = {};
+    for (const field of [
+      "daily_goal",
+      "weekly_goal",
+      "time_zone",
+      "week_starts_on",
+    ]) {
+      if (changes[field] !== undefined) {
+        preferences[field] = changes[field];
+      }
+    }
+
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const row = await getRecord(userId);
+      const counts = currentCounts(row, getRecordWindows(now(), row));
+      const windows = getRecordWindows(now(), { ...row, ...preferences });
+
+      const updated = await updateIfUnchanged(row, {
+        ...preferences,
+        replies_sent_today: counts.today,
+        replies_sent_week: counts.week,
+        last_reset_date: windows.day,
+        last_reset_week_date: windows.weekStart,
+      });
+
+      if (updated) {
+        return {
+          preferences: toPreferences(updated),
+          usage: toUsageStats(updated, windows),
+        };
+      }
+    }
+
+    throw httpError(409, "Usage record is busy, please try again");
+  }
+
+  return { trackUsage, getUsage, getRecord, getPreferences, updatePreferences };
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_DAILY_GOAL,
+  DEFAULT_WEEKLY_GOAL,
+  isValidTimeZone,
+  localDate,
+  getWindows,
+  startOfLocalDay,
+  getWindowEnds,
+  validatePreferences,
+  createUsageTracker,
+};
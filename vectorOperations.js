@@ -27,7 +27,8 @@ async function storeChunks(supabase, companyId, documentId, chunks, embeddings,
       embedding: embeddings[index], // Supabase handles array -> vector conversion automatically
       chunk_index: chunk.chunk_index,
       token_count: chunk.token_count,
-      metadata: { ...metadata, original_index: index },
+      // Chunks may be stored in several calls, so index within them isn't enough
+      metadata: { ...metadata, original_index: chunk.chunk_index },
     }));
 
     // Insert in batches to avoid payload size limits
@@ -156,6 +157,60 @@ async function deleteDocumentChunks(supabase, documentId) {
   }
 }
 
+/**
+ * Get the chunks already stored for a document (without embeddings)
+ * @param {object} supabase - Supabase client
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<Array<{chunk_index: number, content: string}>>}
+ */
+async function getStoredChunks(supabase, documentId) {
+  try {
+    const { data, error } = await supabase
+      .from("company_chunks")
+      .select("chunk_index, content")
+      .eq("document_id", documentId);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error("Error getting stored chunks:", error);
+    throw new Error(`Failed to get stored chunks: ${error.message}`);
+  }
+}
+
+/**
+ * Delete some of a document's chunks
+ * @param {object} supabase - Supabase client
+ * @param {string} documentId - Document UUID
+ * @param {Array<number>} chunkIndexes - chunk_index values to delete
+ * @returns {Promise<void>}
+ */
+async function deleteChunksByIndex(supabase, documentId, chunkIndexes) {
+  if (chunkIndexes.length === 0) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from("company_chunks")
+      .delete()
+      .eq("document_id", documentId)
+      .in("chunk_index", chunkIndexes);
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`✅ Deleted ${chunkIndexes.length} outdated chunks for document ${documentId}`);
+  } catch (error) {
+    console.error("Error deleting chunks:", error);
+    throw new Error(`Failed to delete chunks: ${error.message}`);
+  }
+}
+
 /**
  * Format retrieved chunks for LLM context
  * @param {Array} chunks - Array of chunk objects from retrieval
@@ -200,30 +255,47 @@ async function getCompanyVoiceSettings(supabase, companyId) {
   }
 }
 
+/**
+ * Voice settings columns a settings update may write
+ */
+const VOICE_SETTINGS_COLUMNS = [
+  "voice_guidelines",
+  "brand_tone",
+  "positioning",
+  "vertical",
+  "llm_provider",
+  "generation_config",
+];
+
 /**
  * Update or create company voice settings
+ * Only the fields present in settings are written, so a client that sends
+ * some of them keeps the rest. Send null to clear a field.
  * @param {object} supabase - Supabase client
  * @param {string} companyId - Company UUID
  * @param {object} settings - Voice settings object
  * @returns {Promise<object>} - Updated settings
  */
 async function upsertCompanyVoiceSettings(supabase, companyId, settings) {
+  const row = {
+    company_id: companyId,
+    updated_at: new Date().toISOString(),
+  };
+  for (const column of VOICE_SETTINGS_COLUMNS) {
+    if (settings[column] !== undefined) {
+      row[column] = settings[column] || null;
+    }
+  }
+  if (settings.metadata !== undefined) {
+    row.metadata = settings.metadata || {};
+  }
+
   try {
     const { data, error } = await supabase
       .from("company_voice_settings")
-      .upsert(
-        {
-          company_id: companyId,
-          voice_guidelines: settings.voice_guidelines || null,
-          brand_tone: settings.brand_tone || null,
-          positioning: settings.positioning || null,
-          metadata: settings.metadata || {},
-          updated_at: new Date().toISOString(),
-        },
-        {
-          onConflict: "company_id",
-        }
-      )
+      .upsert(row, {
+        onConflict: "company_id",
+      })
       .select()
       .single();
 
@@ -336,6 +408,8 @@ module.exports = {
   retrieveRelevantChunks,
   getCompanyStats,
   deleteDocumentChunks,
+  getStoredChunks,
+  deleteChunksByIndex,
   formatChunksForContext,
   getCompanyVoiceSettings,
   upsertCompanyVoiceSettings,
@@ -0,0 +1,257 @@
+/**
+ * Verticals Module
+ * Industry packs that tailor replies to a domain: example replies, jargon
+ * guidance and claims the model must never make. A vertical is chosen per
+ * request or as a company default (company_voice_settings.vertical).
+ *
+ * "web3" also selects the Web3 variant of the base prompt templates, which is
+ * what the legacy web3Bool flag used to switch.
+ */
+
+const { httpError } = require("./errors");
+
+const DEFAULT_VERTICAL = "general";
+
+/**
+ * Vertical packs keyed by id
+ */
+const VERTICALS = {
+  general: {
+    label: "General",
+    description: "No industry focus",
+    jargon: null,
+    examples: [],
+    forbiddenClaims: [],
+  },
+  web3: {
+    label: "Web3",
+    description: "Crypto, DeFi, NFTs and blockchain infrastructure",
+    jargon:
+      "Use crypto-native terms (L2, TVL, rollups, wallets, gas) naturally and correctly. Don't explain basics to a crypto audience.",
+    // The Web3 base templates already carry Web3 examples
+    examples: [],
+    forbiddenClaims: [
+      "Price predictions or claims that a token will go up",
+      "Financial or investment advice",
+      "Guaranteed yields or returns",
+    ],
+  },
+  saas: {
+    label: "SaaS",
+    description: "B2B software, growth and go-to-market",
+    jargon:
+      "Metrics like ARR, NRR, CAC payback and churn are fine when relevant. Prefer concrete numbers over growth-hacking buzzwords.",
+    examples: [
+      {
+        post: "Product-led growth is dead. Sales-led is back.",
+        reply:
+          "Most PLG companies that worked added sales on top of self-serve, not instead of it. The question is when usage signals are strong enough to hand off.",
+      },
+      {
+        post: "We cut churn in half by adding more features",
+        reply:
+          "Curious whether it was the features or the onboarding that came with them. Usually activation in the first week moves churn more than roadmap.",
+      },
+    ],
+    forbiddenClaims: [
+      "Specific revenue or growth numbers for named companies unless they are in the post or company knowledge",
+      "Guaranteed ROI or results",
+    ],
+  },
+  fintech: {
+    label: "Fintech",
+    description: "Payments, banking, lending and financial infrastructure",
+    jargon:
+      "Terms like interchange, KYC/AML, BaaS, settlement and underwriting are fine. Be precise; this audience notices loose financial language.",
+    examples: [
+      {
+        post: "Embedded finance is the future of every software company",
+        reply:
+          "The margins look great until you own the compliance burden. The winners so far either have distribution or a partner bank that really wants the deposits.",
+      },
+    ],
+    forbiddenClaims: [
+      "Investment, tax or legal advice",
+      "Statements that a product is FDIC insured or regulated unless stated in the post or company knowledge",
+      "Guaranteed returns or approval rates",
+    ],
+  },
+  healthcare: {
+    label: "Healthcare",
+    description: "Health tech, providers, payers and life sciences",
+    jargon:
+      "Clinical and industry terms (EHR, HIPAA, prior auth, value-based care) are fine. Stay evidence-based and conservative.",
+    examples: [
+      {
+        post: "AI will replace radiologists within 5 years",
+        reply:
+          "The tools are getting good at narrow reads, but workflow, liability and reimbursement move slower than models. Augmented reads seem far likelier this decade.",
+      },
+    ],
+    forbiddenClaims: [
+      "Medical advice, diagnoses or treatment recommendations",
+      "Claims that a product cures, treats or prevents a condition",
+      "Clinical outcomes or efficacy numbers not in the post or company knowledge",
+    ],
+  },
+  devtools: {
+    label: "Developer Tools",
+    description: "Developer platforms, infrastructure and open source",
+    jargon:
+      "Technical terms are welcome; be specific (name the tradeoff, the API, the failure mode). Developers distrust marketing language.",
+    examples: [
+      {
+        post: "Monorepos are a mistake for most teams",
+        reply:
+          "The tooling tax is real, but so is the cost of versioning ten internal packages. It mostly comes down to whether your CI can build only what changed.",
+      },
+    ],
+    forbiddenClaims: [
+      "Benchmark or performance numbers not in the post or company knowledge",
+      "Claims that a competitor's product is insecure or broken",
+    ],
+  },
+  recruiting: {
+    label: "Recruiting",
+    description: "Hiring, talent acquisition and HR",
+    jargon:
+      "Recruiting terms (time-to-hire, pipeline, sourcing, offer acceptance) are fine. Be respectful of candidates in every reply.",
+    examples: [
+      {
+        post: "Cover letters are useless and nobody reads them",
+        reply:
+          "For high-volume roles, mostly true. For small teams hiring a first marketer, a short note on why this company often decides the interview.",
+      },
+    ],
+    forbiddenClaims: [
+      "Statements about candidates based on age, gender, ethnicity, religion, disability or other protected characteristics",
+      "Salary or hiring guarantees",
+    ],
+  },
+};
+
+const INVALID_VERTICAL_MESSAGE = `Invalid vertical. Please use one of: ${Object.keys(
+  VERTICALS
+).join(", ")}.`;
+
+/**
+ * Check whether a value is a known vertical id
+ * @param {*} vertical - Raw value
+ * @returns {boolean}
+ */
+function isVertical(vertical) {
+  return (
+    typeof vertical === "string" &&
+    Object.prototype.hasOwnProperty.call(VERTICALS, vertical)
+  );
+}
+
+/**
+ * Get a vertical pack
+ * @param {string} vertical - Vertical id
+ * @returns {object} - Pack with its id
+ */
+function getVertical(vertical) {
+  if (!isVertical(vertical)) {
+    throw httpError(
+      400,
+      `Invalid vertical '${vertical}'. Use one of: ${Object.keys(
+        VERTICALS
+      ).join(", ")}`
+    );
+  }
+
+  return { id: vertical, ...VERTICALS[vertical] };
+}
+
+/**
+ * List every vertical pack
+ * @returns {Array<object>}
+ */
+function listVerticals() {
+  return Object.keys(VERTICALS).map(getVertical);
+}
+
+/**
+ * Read a company's default vertical from its voice settings
+ * @param {object} supabase - Supabase client
+ * @param {string} companyId - Company UUID
+ * @returns {Promise<string|null>}
+ */
+async function getCompanyDefaultVertical(supabase, companyId) {
+  const { data, error } = await supabase
+    .from("company_voice_settings")
+    .select("vertical")
+    .eq("company_id", companyId)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  const vertical = data && data.length > 0 ? data[0].vertical : null;
+  return isVertical(vertical) ? vertical : null;
+}
+
+/**
+ * Pick the vertical for a request
+ *
+ * Precedence: explicit vertical > legacy web3Bool > company default > fallback.
+ * A truthy web3Bool maps to "web3" and a falsy one to "general", so existing
+ * clients that always send it keep their current behavior.
+ *
+ * @param {object} options
+ * @param {object} options.supabase - Supabase client (optional)
+ * @param {string} options.companyId - Company UUID (optional)
+ * @param {string} options.vertical - Requested vertical (optional)
+ * @param {boolean} options.web3Bool - Legacy Web3 switch (optional)
+ * @param {string} options.fallback - Used when nothing else applies (default: "general")
+ * @returns {Promise<object>} - Vertical pack with its id
+ */
+async function resolveVertical(options) {
+  const {
+    supabase,
+    companyId,
+    vertical,
+    web3Bool,
+    fallback = DEFAULT_VERTICAL,
+  } = options;
+
+  if (vertical !== undefined && vertical !== null) {
+    return getVertical(vertical);
+  }
+
+  if (web3Bool !== undefined && web3Bool !== null) {
+    return getVertical(web3Bool ? "web3" : DEFAULT_VERTICAL);
+  }
+
+  if (supabase && companyId) {
+    try {
+      const companyDefault = await getCompanyDefaultVertical(
+        supabase,
+        companyId
+      );
+      if (companyDefault) {
+        return getVertical(companyDefault);
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ [Vertical] Could not load default vertical for company ${companyId}:`,
+        error.message
+      );
+    }
+  }
+
+  return getVertical(fallback);
+}
+
+module.exports = {
+  DEFAULT_VERTICAL,
+  VERTICALS,
+  INVALID_VERTICAL_MESSAGE,
+  isVertical,
+  getVertical,
+  listVerticals,
+  getCompanyDefaultVertical,
+  resolveVertical,
+};